@@ -80,6 +80,483 @@ const migrations = [
           )
         );
     `
+  },
+
+  // Client identifiers for de-duplicating retried telemetry samples
+  {
+    name: 'add_performance_data_idempotency_columns',
+    sql: `
+      ALTER TABLE vehicle_performance_data
+        ADD COLUMN IF NOT EXISTS sample_id UUID,
+        ADD COLUMN IF NOT EXISTS sequence BIGINT;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS vehicle_performance_data_sample_id_key
+        ON vehicle_performance_data (vehicle_id, sample_id)
+        WHERE sample_id IS NOT NULL;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS vehicle_performance_data_sequence_key
+        ON vehicle_performance_data (vehicle_id, sequence)
+        WHERE sequence IS NOT NULL;
+    `
+  },
+
+  // Stored responses for requests sent with an Idempotency-Key header
+  {
+    name: 'create_idempotency_keys_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        status_code INTEGER NOT NULL,
+        response_body JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (scope, key)
+      );
+    `
+  },
+
+  // Users granted access to a vehicle they don't own
+  {
+    name: 'create_vehicle_access_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vehicle_access (
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+        granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (vehicle_id, user_id)
+      );
+    `
+  },
+
+  // Trips detected from vehicle_performance_data
+  {
+    name: 'create_vehicle_trips_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vehicle_trips (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        status TEXT DEFAULT 'completed' CHECK (status IN ('in_progress', 'completed')),
+        start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        duration_seconds INTEGER,
+        distance_km NUMERIC(10,2),
+        max_speed NUMERIC(6,2),
+        avg_speed NUMERIC(6,2),
+        idle_seconds INTEGER,
+        fuel_used_liters NUMERIC(8,2),
+        fuel_level_start NUMERIC(5,2),
+        fuel_level_end NUMERIC(5,2),
+        sample_count INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (vehicle_id, start_time)
+      );
+    `
+  },
+
+  // Threshold alert rules evaluated on incoming telemetry (vehicle_id NULL = global rule)
+  {
+    name: 'create_alert_rules_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vehicle_id UUID REFERENCES vehicles(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        conditions JSONB NOT NULL,
+        duration_seconds INTEGER DEFAULT 0,
+        severity TEXT DEFAULT 'warning' CHECK (severity IN ('info', 'warning', 'critical')),
+        enabled BOOLEAN DEFAULT TRUE,
+        created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS alert_rules_vehicle_id_idx ON alert_rules (vehicle_id);
+    `
+  },
+
+  // Alerts fired by alert rules
+  {
+    name: 'create_alerts_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS alerts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        rule_id UUID REFERENCES alert_rules(id) ON DELETE SET NULL,
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        status TEXT DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'closed')),
+        severity TEXT,
+        message TEXT,
+        trigger_values JSONB,
+        notes TEXT,
+        triggered_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        acknowledged_at TIMESTAMP WITH TIME ZONE,
+        acknowledged_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        closed_at TIMESTAMP WITH TIME ZONE,
+        closed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        close_reason TEXT CHECK (close_reason IN ('cleared', 'manual')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS alerts_vehicle_status_idx ON alerts (vehicle_id, status);
+    `
+  },
+
+  // Catalogued OBD-II PIDs without a dedicated column, keyed by catalog key
+  {
+    name: 'add_performance_data_pids_column',
+    sql: `
+      ALTER TABLE vehicle_performance_data
+        ADD COLUMN IF NOT EXISTS pids JSONB;
+    `
+  },
+
+  // Unit system users want telemetry displayed in
+  {
+    name: 'add_profiles_unit_system_column',
+    sql: `
+      ALTER TABLE profiles
+        ADD COLUMN IF NOT EXISTS unit_system TEXT DEFAULT 'metric' CHECK (unit_system IN ('metric', 'imperial'));
+    `
+  },
+
+  // Retention: insertion time of raw samples and the owner's plan
+  {
+    name: 'add_retention_columns',
+    sql: `
+      ALTER TABLE vehicle_performance_data
+        ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+      ALTER TABLE profiles
+        ADD COLUMN IF NOT EXISTS plan TEXT;
+    `
+  },
+
+  // Hourly summaries of raw samples past the raw retention window (metric -> { count, sum, min, max })
+  {
+    name: 'create_vehicle_performance_hourly_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vehicle_performance_hourly (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        bucket_start TIMESTAMP WITH TIME ZONE NOT NULL,
+        sample_count INTEGER NOT NULL,
+        metrics JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (vehicle_id, bucket_start)
+      );
+    `
+  },
+
+  // Daily summaries of raw samples past the raw retention window
+  {
+    name: 'create_vehicle_performance_daily_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vehicle_performance_daily (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        bucket_start TIMESTAMP WITH TIME ZONE NOT NULL,
+        sample_count INTEGER NOT NULL,
+        metrics JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (vehicle_id, bucket_start)
+      );
+    `
+  },
+
+  // Per vehicle retention boundaries, reads pick the tier holding each part of a range from them
+  {
+    name: 'create_telemetry_retention_state_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS telemetry_retention_state (
+        vehicle_id UUID PRIMARY KEY REFERENCES vehicles(id) ON DELETE CASCADE,
+        raw_before TIMESTAMP WITH TIME ZONE,
+        hourly_before TIMESTAMP WITH TIME ZONE,
+        daily_before TIMESTAMP WITH TIME ZONE,
+        last_run_at TIMESTAMP WITH TIME ZONE
+      );
+    `
+  },
+
+  // GPS fix recorded with each telemetry sample
+  {
+    name: 'add_performance_data_location_columns',
+    sql: `
+      ALTER TABLE vehicle_performance_data
+        ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS heading REAL,
+        ADD COLUMN IF NOT EXISTS accuracy REAL;
+    `
+  },
+
+  // Circle or polygon areas watched for vehicles entering and leaving them
+  {
+    name: 'create_geofences_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS geofences (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('circle', 'polygon')),
+        center JSONB,
+        radius_meters DOUBLE PRECISION,
+        polygon JSONB,
+        vehicle_ids UUID[] NOT NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS geofences_vehicle_ids_idx ON geofences USING GIN (vehicle_ids);
+    `
+  },
+
+  // Vehicles entering and leaving geofences
+  {
+    name: 'create_geofence_events_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS geofence_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        geofence_id UUID NOT NULL REFERENCES geofences(id) ON DELETE CASCADE,
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        event TEXT NOT NULL CHECK (event IN ('enter', 'exit')),
+        latitude DOUBLE PRECISION NOT NULL,
+        longitude DOUBLE PRECISION NOT NULL,
+        occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS geofence_events_vehicle_time_idx ON geofence_events (vehicle_id, occurred_at DESC);
+      CREATE INDEX IF NOT EXISTS geofence_events_geofence_vehicle_idx ON geofence_events (geofence_id, vehicle_id, occurred_at DESC);
+    `
+  },
+
+  // Driving behaviour score and the event counts it was computed from
+  {
+    name: 'add_trip_driving_score_columns',
+    sql: `
+      ALTER TABLE vehicle_trips
+        ADD COLUMN IF NOT EXISTS driving_score SMALLINT,
+        ADD COLUMN IF NOT EXISTS driving_metrics JSONB;
+    `
+  },
+
+  // Fuel price users enter for fuel cost estimates
+  {
+    name: 'add_profiles_fuel_price_column',
+    sql: `
+      ALTER TABLE profiles
+        ADD COLUMN IF NOT EXISTS fuel_price_per_liter NUMERIC(8,3);
+    `
+  },
+
+  // Rolling mean/variance learned per vehicle, metric and rpm band for anomaly detection
+  {
+    name: 'create_telemetry_baselines_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS telemetry_baselines (
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        metric TEXT NOT NULL,
+        rpm_band TEXT NOT NULL,
+        sample_count INTEGER NOT NULL,
+        mean DOUBLE PRECISION NOT NULL,
+        variance DOUBLE PRECISION NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (vehicle_id, metric, rpm_band)
+      );
+    `
+  },
+
+  // Where DTCs come from: reported by a scan or filed as an anomaly insight
+  {
+    name: 'add_vehicle_dtcs_source_column',
+    sql: `
+      ALTER TABLE vehicle_dtcs
+        ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'scan' CHECK (source IN ('scan', 'anomaly'));
+    `
+  },
+
+  // Readings that deviated from a vehicle's baseline
+  {
+    name: 'create_vehicle_anomalies_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS vehicle_anomalies (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        metric TEXT NOT NULL,
+        rpm_band TEXT NOT NULL,
+        direction TEXT NOT NULL CHECK (direction IN ('high', 'low')),
+        value DOUBLE PRECISION,
+        expected_mean DOUBLE PRECISION,
+        expected_stddev DOUBLE PRECISION,
+        z_score DOUBLE PRECISION,
+        peak_value DOUBLE PRECISION,
+        peak_z_score DOUBLE PRECISION,
+        sample_count INTEGER,
+        status TEXT DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        insight_dtc_id UUID REFERENCES vehicle_dtcs(id) ON DELETE SET NULL,
+        started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ended_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS vehicle_anomalies_vehicle_started_idx ON vehicle_anomalies (vehicle_id, started_at DESC);
+    `
+  },
+
+  // When a DTC was last reported by a scan
+  {
+    name: 'add_vehicle_dtcs_last_seen_column',
+    sql: `
+      ALTER TABLE vehicle_dtcs
+        ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+
+      UPDATE vehicle_dtcs SET last_seen_at = occurred_at WHERE last_seen_at IS NULL;
+    `
+  },
+
+  // Conditions recorded when a DTC was set (rpm, speed, coolant temperature, load)
+  {
+    name: 'add_vehicle_dtcs_freeze_frame_column',
+    sql: `
+      ALTER TABLE vehicle_dtcs
+        ADD COLUMN IF NOT EXISTS freeze_frame JSONB;
+    `
+  },
+
+  // DTC lifecycle: acknowledged and in_repair statuses, resolution notes
+  {
+    name: 'add_vehicle_dtcs_lifecycle_columns',
+    sql: `
+      ALTER TABLE vehicle_dtcs DROP CONSTRAINT IF EXISTS vehicle_dtcs_status_check;
+      ALTER TABLE vehicle_dtcs
+        ADD CONSTRAINT vehicle_dtcs_status_check
+        CHECK (status IN ('active', 'acknowledged', 'in_repair', 'resolved', 'ignored'));
+
+      ALTER TABLE vehicle_dtcs
+        ADD COLUMN IF NOT EXISTS resolution_notes TEXT;
+    `
+  },
+
+  // Audit trail of DTC status changes, edits and notes
+  {
+    name: 'create_dtc_events_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS dtc_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        dtc_id UUID NOT NULL REFERENCES vehicle_dtcs(id) ON DELETE CASCADE,
+        vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+        event_type TEXT NOT NULL CHECK (event_type IN ('created', 'status_changed', 'reopened', 'updated', 'note')),
+        from_status TEXT,
+        to_status TEXT,
+        actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        notes TEXT,
+        attachments JSONB DEFAULT '[]'::jsonb,
+        changes JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS dtc_events_dtc_created_idx ON dtc_events (dtc_id, created_at);
+    `
+  },
+
+  // Snooze and always-ignore rules hiding nuisance DTCs, per vehicle, per brand/model or fleet wide
+  {
+    name: 'create_dtc_suppression_rules_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS dtc_suppression_rules (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        dtc_code TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('snooze', 'ignore')),
+        vehicle_id UUID REFERENCES vehicles(id) ON DELETE CASCADE,
+        brand TEXT,
+        model TEXT,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        ignition_cycles INTEGER CHECK (ignition_cycles > 0),
+        notes TEXT,
+        created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS dtc_suppression_rules_vehicle_idx ON dtc_suppression_rules (vehicle_id);
+    `
+  },
+
+  // Idempotency keys are reserved before the request runs, a reserved key has no response yet
+  {
+    name: 'allow_pending_idempotency_keys',
+    sql: `
+      ALTER TABLE idempotency_keys ALTER COLUMN status_code DROP NOT NULL;
+    `
+  },
+
+  // Insertion time up to which trip detection has seen a vehicle's samples, older samples inserted
+  // later (buffered bulk uploads) send detection back to the trip they belong to
+  {
+    name: 'create_trip_detection_state_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS trip_detection_state (
+        vehicle_id UUID PRIMARY KEY REFERENCES vehicles(id) ON DELETE CASCADE,
+        samples_before TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS vehicle_performance_data_vehicle_created_idx
+        ON vehicle_performance_data (vehicle_id, created_at);
+    `
+  },
+
+  // Raw samples a summary already counts: timestamp before rolled_before and inserted up to
+  // rolled_created_before. A rollup re-run after a failed prune skips them instead of counting them twice
+  {
+    name: 'add_rollup_watermarks',
+    sql: `
+      ALTER TABLE vehicle_performance_hourly
+        ADD COLUMN IF NOT EXISTS rolled_before TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS rolled_created_before TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE vehicle_performance_daily
+        ADD COLUMN IF NOT EXISTS rolled_before TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS rolled_created_before TIMESTAMP WITH TIME ZONE;
+    `
+  },
+
+  // When a trip's driving score was computed, also set for trips whose raw samples were already
+  // pruned so the score backfill stops picking them up
+  {
+    name: 'add_trip_scored_at_column',
+    sql: `
+      ALTER TABLE vehicle_trips
+        ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP WITH TIME ZONE;
+
+      UPDATE vehicle_trips SET scored_at = updated_at
+        WHERE scored_at IS NULL AND driving_metrics IS NOT NULL;
+    `
+  },
+
+  // At most one open DTC per vehicle and code, the statuses match DTC_OPEN_STATUSES.
+  // Duplicates opened by concurrent scans before the index existed are resolved into the newest one
+  {
+    name: 'add_vehicle_dtcs_open_code_index',
+    sql: `
+      UPDATE vehicle_dtcs older
+        SET status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+        FROM vehicle_dtcs newer
+        WHERE newer.vehicle_id = older.vehicle_id
+          AND newer.dtc_code = older.dtc_code
+          AND older.status IN ('active', 'acknowledged', 'in_repair')
+          AND newer.status IN ('active', 'acknowledged', 'in_repair')
+          AND (newer.created_at, newer.id) > (older.created_at, older.id);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS vehicle_dtcs_open_code_key
+        ON vehicle_dtcs (vehicle_id, dtc_code)
+        WHERE status IN ('active', 'acknowledged', 'in_repair');
+    `
   }
 ];
 
@@ -0,0 +1,50 @@
+/**
+ * Telemetry anomaly detection
+ * Each vehicle learns a rolling mean and standard deviation per metric and rpm band, so a reading is
+ * compared with what the same vehicle usually shows at a similar engine speed. Readings more than
+ * ANOMALY_Z_THRESHOLD standard deviations away, in a direction that matters for the metric,
+ * for ANOMALY_MIN_STREAK samples in a row open an anomaly.
+ */
+
+// Engine speed bands baselines are kept for, a reading falls into the first band whose maxRpm it is below
+const RPM_BANDS = [
+  { band: 'idle', maxRpm: 1000 },
+  { band: 'low', maxRpm: 2000 },
+  { band: 'mid', maxRpm: 3000 },
+  { band: 'high', maxRpm: 4500 },
+  { band: 'very_high', maxRpm: Infinity },
+];
+
+// Monitored metrics, the directions that count as anomalous and the smallest standard deviation
+// used for scoring, so a very steady baseline does not flag tiny changes.
+// Temperatures are only flagged high: a cold engine reads low while warming up.
+// `insightCodes` are the generic DTCs an anomaly insight is filed under, per direction
+const ANOMALY_METRICS = {
+  coolantTemp: { directions: ['high'], minStddev: 1.5, insightCodes: { high: 'P0217' } },
+  engineTemp: { directions: ['high'], minStddev: 1.5, insightCodes: { high: 'P0217' } },
+  batteryVoltage: { directions: ['low', 'high'], minStddev: 0.1, insightCodes: { low: 'P0562', high: 'P0563' } },
+  fuelConsumption: { directions: ['high'], minStddev: 0.3, insightCodes: {} },
+};
+
+const ANOMALY_Z_THRESHOLD = 3;
+
+const ANOMALY_MIN_STREAK = 3;
+
+// Samples a baseline needs before readings are scored against it
+const BASELINE_MIN_SAMPLES = 200;
+
+// Samples the rolling baseline averages over, older readings fade out
+const BASELINE_WINDOW = 2000;
+
+// Also file anomalies with an insight code as low impact DTCs (source 'anomaly')
+const ANOMALY_DTC_INSIGHTS = process.env.ANOMALY_DTC_INSIGHTS === 'true';
+
+module.exports = {
+  RPM_BANDS,
+  ANOMALY_METRICS,
+  ANOMALY_Z_THRESHOLD,
+  ANOMALY_MIN_STREAK,
+  BASELINE_MIN_SAMPLES,
+  BASELINE_WINDOW,
+  ANOMALY_DTC_INSIGHTS,
+};
@@ -0,0 +1,53 @@
+/**
+ * Driving behaviour scoring
+ * A trip starts at 100 points and loses points for harsh acceleration and braking, over-revving,
+ * speeding and excessive idling. Event counts are normalised per 100 km so long trips are not penalised
+ * for their length, time based behaviours by their share of the trip.
+ */
+
+// Event detection thresholds (metric units)
+const DRIVING_SCORE_THRESHOLDS = {
+  // Speed gain (km/h per second) counted as harsh acceleration, about 0.28 g
+  harshAccelerationKmhPerSecond: 10,
+  // Speed loss (km/h per second) counted as harsh braking, about 0.34 g
+  harshBrakingKmhPerSecond: 12,
+  overRevRpm: 4500,
+  // Continuous idling tolerated before it counts as excessive (e.g. a long red light)
+  idleAllowanceSeconds: 120,
+  // Speeding bands (km/h), a sample counts towards the highest band its speed reaches
+  // Road speed limits are unknown, so the bands start above common motorway limits
+  speedingBands: [
+    { band: 'moderate', minSpeed: 120 },
+    { band: 'high', minSpeed: 140 },
+    { band: 'extreme', minSpeed: 160 },
+  ],
+  // Samples further apart than this are not compared, the speed change between them is unknown
+  maxSampleGapSeconds: 5,
+};
+
+// Points lost per unit of each behaviour
+const DRIVING_SCORE_WEIGHTS = {
+  // Per event per 100 km
+  harshAcceleration: 1,
+  harshBraking: 1.5,
+  overRevving: 0.5,
+  // Per percent of moving time spent in the band
+  speeding: {
+    moderate: 0.2,
+    high: 0.5,
+    extreme: 1,
+  },
+  // Per percent of the trip spent idling beyond the allowance
+  idling: 0.5,
+  // No single behaviour can take away more than this
+  maxPenalty: 40,
+};
+
+// Shortest distance event rates are normalised over, a single event on a 1 km trip is not 100 per 100 km
+const MIN_SCORED_DISTANCE_KM = 10;
+
+module.exports = {
+  DRIVING_SCORE_THRESHOLDS,
+  DRIVING_SCORE_WEIGHTS,
+  MIN_SCORED_DISTANCE_KM,
+};
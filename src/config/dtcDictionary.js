@@ -0,0 +1,1553 @@
+/**
+ * DTC code dictionary
+ * Common SAE J2012 generic diagnostic trouble codes with their description, typical causes and the
+ * impact level a new DTC defaults to. Codes that are not listed are still classified by their
+ * structure: the letter is the system, the first digit tells generic from manufacturer specific codes
+ * and, for powertrain codes, the second digit is the subsystem.
+ */
+
+const DTC_SYSTEMS = {
+  P: 'powertrain',
+  B: 'body',
+  C: 'chassis',
+  U: 'network',
+};
+
+// Powertrain subsystems by the code's second digit
+const POWERTRAIN_CATEGORIES = {
+  0: 'fuel_air_metering',
+  1: 'fuel_air_metering',
+  2: 'fuel_air_metering',
+  3: 'ignition_misfire',
+  4: 'emission_controls',
+  5: 'speed_idle_control',
+  6: 'computer_output',
+  7: 'transmission',
+  8: 'transmission',
+  9: 'transmission',
+};
+
+const DTC_CATEGORIES = [...new Set(Object.values(POWERTRAIN_CATEGORIES))];
+
+// Impact level of codes that are not in the dictionary, by subsystem or else by system
+const DEFAULT_SEVERITIES = {
+  ignition_misfire: 'high',
+  emission_controls: 'low',
+  powertrain: 'mid',
+  body: 'low',
+  chassis: 'mid',
+  network: 'mid',
+};
+
+const DTC_DICTIONARY = [
+  {
+    code: 'P0010',
+    description: '"A" Camshaft Position Actuator Circuit (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Faulty camshaft position actuator solenoid',
+      'Damaged wiring or connector',
+      'Faulty engine control module',
+    ],
+  },
+  {
+    code: 'P0011',
+    description: '"A" Camshaft Position - Timing Over-Advanced or System Performance (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Faulty camshaft position actuator (VVT) solenoid',
+      'Low or dirty engine oil',
+      'Stretched timing chain',
+    ],
+  },
+  {
+    code: 'P0012',
+    description: '"A" Camshaft Position - Timing Over-Retarded (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Faulty camshaft position actuator (VVT) solenoid',
+      'Low or dirty engine oil',
+      'Stretched timing chain',
+    ],
+  },
+  {
+    code: 'P0016',
+    description: 'Crankshaft Position - Camshaft Position Correlation (Bank 1 Sensor A)',
+    severity: 'high',
+    causes: [
+      'Stretched or jumped timing chain or belt',
+      'Faulty camshaft or crankshaft position sensor',
+      'Faulty camshaft position actuator',
+    ],
+  },
+  {
+    code: 'P0030',
+    description: 'HO2S Heater Control Circuit (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Failed oxygen sensor heater element',
+      'Blown heater fuse',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0100',
+    description: 'Mass or Volume Air Flow Circuit Malfunction',
+    severity: 'mid',
+    causes: [
+      'Dirty or faulty mass air flow sensor',
+      'Intake air leak after the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0101',
+    description: 'Mass or Volume Air Flow Circuit Range/Performance Problem',
+    severity: 'mid',
+    causes: [
+      'Dirty or faulty mass air flow sensor',
+      'Intake air leak after the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0102',
+    description: 'Mass or Volume Air Flow Circuit Low Input',
+    severity: 'mid',
+    causes: [
+      'Dirty or faulty mass air flow sensor',
+      'Intake air leak after the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0103',
+    description: 'Mass or Volume Air Flow Circuit High Input',
+    severity: 'mid',
+    causes: [
+      'Dirty or faulty mass air flow sensor',
+      'Intake air leak after the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0106',
+    description: 'Manifold Absolute Pressure/Barometric Pressure Circuit Range/Performance Problem',
+    severity: 'mid',
+    causes: [
+      'Faulty MAP sensor',
+      'Cracked or disconnected vacuum hose',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0107',
+    description: 'Manifold Absolute Pressure/Barometric Pressure Circuit Low Input',
+    severity: 'mid',
+    causes: [
+      'Faulty MAP sensor',
+      'Cracked or disconnected vacuum hose',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0108',
+    description: 'Manifold Absolute Pressure/Barometric Pressure Circuit High Input',
+    severity: 'mid',
+    causes: [
+      'Faulty MAP sensor',
+      'Cracked or disconnected vacuum hose',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0110',
+    description: 'Intake Air Temperature Circuit Malfunction',
+    severity: 'low',
+    causes: [
+      'Faulty intake air temperature sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0112',
+    description: 'Intake Air Temperature Circuit Low Input',
+    severity: 'low',
+    causes: [
+      'Faulty intake air temperature sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0113',
+    description: 'Intake Air Temperature Circuit High Input',
+    severity: 'low',
+    causes: [
+      'Faulty intake air temperature sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0115',
+    description: 'Engine Coolant Temperature Circuit Malfunction',
+    severity: 'mid',
+    causes: [
+      'Faulty coolant temperature sensor',
+      'Damaged wiring or connector',
+      'Low coolant level',
+    ],
+  },
+  {
+    code: 'P0116',
+    description: 'Engine Coolant Temperature Circuit Range/Performance Problem',
+    severity: 'mid',
+    causes: [
+      'Faulty coolant temperature sensor',
+      'Damaged wiring or connector',
+      'Low coolant level',
+    ],
+  },
+  {
+    code: 'P0117',
+    description: 'Engine Coolant Temperature Circuit Low Input',
+    severity: 'mid',
+    causes: [
+      'Faulty coolant temperature sensor',
+      'Damaged wiring or connector',
+      'Low coolant level',
+    ],
+  },
+  {
+    code: 'P0118',
+    description: 'Engine Coolant Temperature Circuit High Input',
+    severity: 'mid',
+    causes: [
+      'Faulty coolant temperature sensor',
+      'Damaged wiring or connector',
+      'Low coolant level',
+    ],
+  },
+  {
+    code: 'P0120',
+    description: 'Throttle/Pedal Position Sensor/Switch A Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty throttle position sensor',
+      'Dirty or sticking throttle body',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0121',
+    description: 'Throttle/Pedal Position Sensor/Switch A Circuit Range/Performance Problem',
+    severity: 'high',
+    causes: [
+      'Faulty throttle position sensor',
+      'Dirty or sticking throttle body',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0122',
+    description: 'Throttle/Pedal Position Sensor/Switch A Circuit Low Input',
+    severity: 'high',
+    causes: [
+      'Faulty throttle position sensor',
+      'Dirty or sticking throttle body',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0123',
+    description: 'Throttle/Pedal Position Sensor/Switch A Circuit High Input',
+    severity: 'high',
+    causes: [
+      'Faulty throttle position sensor',
+      'Dirty or sticking throttle body',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0125',
+    description: 'Insufficient Coolant Temperature for Closed Loop Fuel Control',
+    severity: 'low',
+    causes: [
+      'Thermostat stuck open',
+      'Faulty coolant temperature sensor',
+      'Low coolant level',
+    ],
+  },
+  {
+    code: 'P0128',
+    description: 'Coolant Thermostat (Coolant Temperature Below Thermostat Regulating Temperature)',
+    severity: 'low',
+    causes: [
+      'Thermostat stuck open',
+      'Faulty coolant temperature sensor',
+      'Cooling fan running constantly',
+    ],
+  },
+  {
+    code: 'P0130',
+    description: 'O2 Sensor Circuit Malfunction (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0131',
+    description: 'O2 Sensor Circuit Low Voltage (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0132',
+    description: 'O2 Sensor Circuit High Voltage (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0133',
+    description: 'O2 Sensor Circuit Slow Response (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0134',
+    description: 'O2 Sensor Circuit No Activity Detected (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0135',
+    description: 'O2 Sensor Heater Circuit Malfunction (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Failed oxygen sensor heater element',
+      'Blown heater fuse',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0136',
+    description: 'O2 Sensor Circuit Malfunction (Bank 1 Sensor 2)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0137',
+    description: 'O2 Sensor Circuit Low Voltage (Bank 1 Sensor 2)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0138',
+    description: 'O2 Sensor Circuit High Voltage (Bank 1 Sensor 2)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0141',
+    description: 'O2 Sensor Heater Circuit Malfunction (Bank 1 Sensor 2)',
+    severity: 'low',
+    causes: [
+      'Failed oxygen sensor heater element',
+      'Blown heater fuse',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0150',
+    description: 'O2 Sensor Circuit Malfunction (Bank 2 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0155',
+    description: 'O2 Sensor Heater Circuit Malfunction (Bank 2 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Failed oxygen sensor heater element',
+      'Blown heater fuse',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0171',
+    description: 'System Too Lean (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Vacuum leak',
+      'Weak fuel pump or clogged fuel filter',
+      'Dirty mass air flow sensor',
+      'Restricted fuel injectors',
+    ],
+  },
+  {
+    code: 'P0172',
+    description: 'System Too Rich (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Leaking fuel injector',
+      'Excessive fuel pressure',
+      'Faulty mass air flow or oxygen sensor',
+      'Restricted air filter',
+    ],
+  },
+  {
+    code: 'P0174',
+    description: 'System Too Lean (Bank 2)',
+    severity: 'mid',
+    causes: [
+      'Vacuum leak',
+      'Weak fuel pump or clogged fuel filter',
+      'Dirty mass air flow sensor',
+      'Restricted fuel injectors',
+    ],
+  },
+  {
+    code: 'P0175',
+    description: 'System Too Rich (Bank 2)',
+    severity: 'mid',
+    causes: [
+      'Leaking fuel injector',
+      'Excessive fuel pressure',
+      'Faulty mass air flow or oxygen sensor',
+      'Restricted air filter',
+    ],
+  },
+  {
+    code: 'P0191',
+    description: 'Fuel Rail Pressure Sensor Circuit Range/Performance',
+    severity: 'high',
+    causes: [
+      'Faulty fuel rail pressure sensor',
+      'Weak fuel pump or clogged fuel filter',
+      'Faulty fuel pressure regulator',
+    ],
+  },
+  {
+    code: 'P0200',
+    description: 'Injector Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0201',
+    description: 'Injector Circuit Malfunction - Cylinder 1',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0202',
+    description: 'Injector Circuit Malfunction - Cylinder 2',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0203',
+    description: 'Injector Circuit Malfunction - Cylinder 3',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0204',
+    description: 'Injector Circuit Malfunction - Cylinder 4',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0205',
+    description: 'Injector Circuit Malfunction - Cylinder 5',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0206',
+    description: 'Injector Circuit Malfunction - Cylinder 6',
+    severity: 'high',
+    causes: [
+      'Faulty fuel injector',
+      'Open or shorted injector wiring',
+      'Faulty engine control module driver',
+    ],
+  },
+  {
+    code: 'P0217',
+    description: 'Engine Overtemperature Condition',
+    severity: 'high',
+    causes: [
+      'Low coolant level or coolant leak',
+      'Faulty thermostat or water pump',
+      'Inoperative cooling fan',
+      'Clogged radiator',
+    ],
+  },
+  {
+    code: 'P0218',
+    description: 'Transmission Over Temperature Condition',
+    severity: 'high',
+    causes: [
+      'Low transmission fluid',
+      'Towing or heavy load',
+      'Clogged transmission cooler',
+    ],
+  },
+  {
+    code: 'P0219',
+    description: 'Engine Overspeed Condition',
+    severity: 'mid',
+    causes: [
+      'Engine revved beyond its limit',
+      'Downshift at high speed',
+      'Faulty crankshaft position sensor',
+    ],
+  },
+  {
+    code: 'P0230',
+    description: 'Fuel Pump Primary Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty fuel pump relay',
+      'Blown fuel pump fuse',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0234',
+    description: 'Turbo/Super Charger Overboost Condition',
+    severity: 'high',
+    causes: [
+      'Sticking wastegate',
+      'Faulty boost control solenoid',
+      'Faulty boost pressure sensor',
+    ],
+  },
+  {
+    code: 'P0299',
+    description: 'Turbo/Super Charger Underboost',
+    severity: 'mid',
+    causes: [
+      'Boost leak in intercooler piping',
+      'Sticking wastegate',
+      'Worn turbocharger',
+    ],
+  },
+  {
+    code: 'P0300',
+    description: 'Random/Multiple Cylinder Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+      'Vacuum leak',
+    ],
+  },
+  {
+    code: 'P0301',
+    description: 'Cylinder 1 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0302',
+    description: 'Cylinder 2 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0303',
+    description: 'Cylinder 3 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0304',
+    description: 'Cylinder 4 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0305',
+    description: 'Cylinder 5 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0306',
+    description: 'Cylinder 6 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0307',
+    description: 'Cylinder 7 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0308',
+    description: 'Cylinder 8 Misfire Detected',
+    severity: 'high',
+    causes: [
+      'Worn spark plug',
+      'Faulty ignition coil',
+      'Clogged or leaking fuel injector',
+      'Low compression',
+    ],
+  },
+  {
+    code: 'P0325',
+    description: 'Knock Sensor 1 Circuit Malfunction (Bank 1 or Single Sensor)',
+    severity: 'mid',
+    causes: [
+      'Faulty knock sensor',
+      'Damaged wiring or connector',
+      'Incorrect sensor torque',
+    ],
+  },
+  {
+    code: 'P0327',
+    description: 'Knock Sensor 1 Circuit Low Input (Bank 1 or Single Sensor)',
+    severity: 'mid',
+    causes: [
+      'Faulty knock sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0335',
+    description: 'Crankshaft Position Sensor A Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty crankshaft position sensor',
+      'Damaged reluctor ring',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0336',
+    description: 'Crankshaft Position Sensor A Circuit Range/Performance',
+    severity: 'high',
+    causes: [
+      'Faulty crankshaft position sensor',
+      'Damaged reluctor ring',
+      'Electrical interference',
+    ],
+  },
+  {
+    code: 'P0340',
+    description: 'Camshaft Position Sensor Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty camshaft position sensor',
+      'Damaged wiring or connector',
+      'Timing chain or belt problem',
+    ],
+  },
+  {
+    code: 'P0341',
+    description: 'Camshaft Position Sensor Circuit Range/Performance',
+    severity: 'high',
+    causes: [
+      'Faulty camshaft position sensor',
+      'Timing chain or belt problem',
+      'Electrical interference',
+    ],
+  },
+  {
+    code: 'P0351',
+    description: 'Ignition Coil A Primary/Secondary Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty ignition coil',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0352',
+    description: 'Ignition Coil B Primary/Secondary Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty ignition coil',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0400',
+    description: 'Exhaust Gas Recirculation Flow Malfunction',
+    severity: 'mid',
+    causes: [
+      'Clogged EGR valve or passages',
+      'Faulty EGR valve or position sensor',
+      'Vacuum leak in EGR control',
+    ],
+  },
+  {
+    code: 'P0401',
+    description: 'Exhaust Gas Recirculation Flow Insufficient Detected',
+    severity: 'mid',
+    causes: [
+      'Clogged EGR valve or passages',
+      'Faulty EGR valve or position sensor',
+      'Vacuum leak in EGR control',
+    ],
+  },
+  {
+    code: 'P0402',
+    description: 'Exhaust Gas Recirculation Flow Excessive Detected',
+    severity: 'mid',
+    causes: [
+      'Clogged EGR valve or passages',
+      'Faulty EGR valve or position sensor',
+      'Vacuum leak in EGR control',
+    ],
+  },
+  {
+    code: 'P0403',
+    description: 'Exhaust Gas Recirculation Circuit Malfunction',
+    severity: 'mid',
+    causes: [
+      'Faulty EGR solenoid',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0404',
+    description: 'Exhaust Gas Recirculation Circuit Range/Performance',
+    severity: 'mid',
+    causes: [
+      'Clogged EGR valve or passages',
+      'Faulty EGR valve or position sensor',
+      'Vacuum leak in EGR control',
+    ],
+  },
+  {
+    code: 'P0410',
+    description: 'Secondary Air Injection System Malfunction',
+    severity: 'low',
+    causes: [
+      'Faulty secondary air pump',
+      'Stuck check valve',
+      'Leaking air hose',
+    ],
+  },
+  {
+    code: 'P0420',
+    description: 'Catalyst System Efficiency Below Threshold (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Worn catalytic converter',
+      'Faulty downstream oxygen sensor',
+      'Exhaust leak',
+      'Engine misfire damaging the catalyst',
+    ],
+  },
+  {
+    code: 'P0430',
+    description: 'Catalyst System Efficiency Below Threshold (Bank 2)',
+    severity: 'mid',
+    causes: [
+      'Worn catalytic converter',
+      'Faulty downstream oxygen sensor',
+      'Exhaust leak',
+      'Engine misfire damaging the catalyst',
+    ],
+  },
+  {
+    code: 'P0440',
+    description: 'Evaporative Emission Control System Malfunction',
+    severity: 'low',
+    causes: [
+      'Loose or damaged fuel cap',
+      'Leaking EVAP hose',
+      'Faulty purge or vent valve',
+    ],
+  },
+  {
+    code: 'P0441',
+    description: 'Evaporative Emission Control System Incorrect Purge Flow',
+    severity: 'low',
+    causes: [
+      'Faulty purge valve',
+      'Leaking or blocked purge hose',
+      'Saturated charcoal canister',
+    ],
+  },
+  {
+    code: 'P0442',
+    description: 'Evaporative Emission Control System Leak Detected (Small Leak)',
+    severity: 'low',
+    causes: [
+      'Loose or damaged fuel cap',
+      'Leaking EVAP hose',
+      'Faulty purge or vent valve',
+    ],
+  },
+  {
+    code: 'P0443',
+    description: 'Evaporative Emission Control System Purge Control Valve Circuit Malfunction',
+    severity: 'low',
+    causes: [
+      'Faulty purge valve',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0446',
+    description: 'Evaporative Emission Control System Vent Control Circuit Malfunction',
+    severity: 'low',
+    causes: [
+      'Faulty vent valve',
+      'Blocked vent filter',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0449',
+    description: 'Evaporative Emission Control System Vent Valve/Solenoid Circuit Malfunction',
+    severity: 'low',
+    causes: [
+      'Faulty vent solenoid',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0455',
+    description: 'Evaporative Emission Control System Leak Detected (Gross Leak)',
+    severity: 'low',
+    causes: [
+      'Loose or damaged fuel cap',
+      'Leaking EVAP hose',
+      'Faulty purge or vent valve',
+    ],
+  },
+  {
+    code: 'P0456',
+    description: 'Evaporative Emission Control System Leak Detected (Very Small Leak)',
+    severity: 'low',
+    causes: [
+      'Loose or damaged fuel cap',
+      'Leaking EVAP hose',
+      'Faulty purge or vent valve',
+    ],
+  },
+  {
+    code: 'P0457',
+    description: 'Evaporative Emission Control System Leak Detected (Fuel Cap Loose/Off)',
+    severity: 'low',
+    causes: [
+      'Loose, missing or damaged fuel cap',
+      'Worn fuel cap seal',
+    ],
+  },
+  {
+    code: 'P0480',
+    description: 'Cooling Fan 1 Control Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty cooling fan relay',
+      'Failed fan motor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0500',
+    description: 'Vehicle Speed Sensor Malfunction',
+    severity: 'mid',
+    causes: [
+      'Faulty vehicle speed sensor',
+      'Damaged wiring or connector',
+      'Faulty instrument cluster',
+    ],
+  },
+  {
+    code: 'P0505',
+    description: 'Idle Control System Malfunction',
+    severity: 'mid',
+    causes: [
+      'Dirty throttle body or idle air control valve',
+      'Vacuum leak',
+      'Faulty idle air control valve',
+    ],
+  },
+  {
+    code: 'P0506',
+    description: 'Idle Control System RPM Lower Than Expected',
+    severity: 'low',
+    causes: [
+      'Dirty throttle body',
+      'Restricted air intake',
+      'Faulty idle air control valve',
+    ],
+  },
+  {
+    code: 'P0507',
+    description: 'Idle Control System RPM Higher Than Expected',
+    severity: 'low',
+    causes: [
+      'Vacuum leak',
+      'Dirty or sticking throttle body',
+      'Faulty idle air control valve',
+    ],
+  },
+  {
+    code: 'P0520',
+    description: 'Engine Oil Pressure Sensor/Switch Circuit Malfunction',
+    severity: 'high',
+    causes: [
+      'Faulty oil pressure sensor',
+      'Damaged wiring or connector',
+      'Low oil pressure',
+    ],
+  },
+  {
+    code: 'P0524',
+    description: 'Engine Oil Pressure Too Low',
+    severity: 'high',
+    causes: [
+      'Low engine oil level',
+      'Worn oil pump',
+      'Clogged oil pickup or filter',
+      'Worn engine bearings',
+    ],
+  },
+  {
+    code: 'P0530',
+    description: 'A/C Refrigerant Pressure Sensor Circuit Malfunction',
+    severity: 'low',
+    causes: [
+      'Faulty refrigerant pressure sensor',
+      'Low refrigerant charge',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0562',
+    description: 'System Voltage Low',
+    severity: 'mid',
+    causes: [
+      'Weak or failing battery',
+      'Faulty alternator',
+      'Corroded battery terminals or ground',
+    ],
+  },
+  {
+    code: 'P0563',
+    description: 'System Voltage High',
+    severity: 'mid',
+    causes: [
+      'Faulty voltage regulator',
+      'Faulty alternator',
+      'Poor battery sense connection',
+    ],
+  },
+  {
+    code: 'P0600',
+    description: 'Serial Communication Link Malfunction',
+    severity: 'mid',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'P0601',
+    description: 'Internal Control Module Memory Check Sum Error',
+    severity: 'high',
+    causes: [
+      'Faulty engine control module',
+      'Interrupted software update',
+    ],
+  },
+  {
+    code: 'P0603',
+    description: 'Internal Control Module Keep Alive Memory (KAM) Error',
+    severity: 'mid',
+    causes: [
+      'Battery recently disconnected',
+      'Faulty engine control module',
+      'Poor module power supply',
+    ],
+  },
+  {
+    code: 'P0606',
+    description: 'PCM Processor Fault',
+    severity: 'high',
+    causes: [
+      'Faulty powertrain control module',
+      'Poor module power or ground',
+    ],
+  },
+  {
+    code: 'P0700',
+    description: 'Transmission Control System Malfunction',
+    severity: 'mid',
+    causes: [
+      'Fault stored in the transmission control module',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0705',
+    description: 'Transmission Range Sensor Circuit Malfunction (PRNDL Input)',
+    severity: 'mid',
+    causes: [
+      'Faulty transmission range sensor',
+      'Misadjusted shift linkage',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P0715',
+    description: 'Input/Turbine Speed Sensor Circuit Malfunction',
+    severity: 'mid',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P0720',
+    description: 'Output Speed Sensor Circuit Malfunction',
+    severity: 'mid',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P0730',
+    description: 'Incorrect Gear Ratio',
+    severity: 'high',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P0740',
+    description: 'Torque Converter Clutch Circuit Malfunction',
+    severity: 'mid',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P0741',
+    description: 'Torque Converter Clutch Circuit Performance or Stuck Off',
+    severity: 'mid',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P0750',
+    description: 'Shift Solenoid A Malfunction',
+    severity: 'mid',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P0755',
+    description: 'Shift Solenoid B Malfunction',
+    severity: 'mid',
+    causes: [
+      'Low or degraded transmission fluid',
+      'Faulty solenoid or sensor',
+      'Damaged wiring or connector',
+      'Internal transmission fault',
+    ],
+  },
+  {
+    code: 'P2002',
+    description: 'Diesel Particulate Filter Efficiency Below Threshold (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Damaged or removed particulate filter',
+      'Faulty differential pressure sensor',
+    ],
+  },
+  {
+    code: 'P2015',
+    description: 'Intake Manifold Runner Position Sensor/Switch Circuit Range/Performance (Bank 1)',
+    severity: 'low',
+    causes: [
+      'Sticking intake manifold runner flaps',
+      'Faulty runner position sensor',
+    ],
+  },
+  {
+    code: 'P2096',
+    description: 'Post Catalyst Fuel Trim System Too Lean (Bank 1)',
+    severity: 'low',
+    causes: [
+      'Exhaust leak',
+      'Faulty downstream oxygen sensor',
+      'Vacuum leak',
+    ],
+  },
+  {
+    code: 'P2097',
+    description: 'Post Catalyst Fuel Trim System Too Rich (Bank 1)',
+    severity: 'low',
+    causes: [
+      'Faulty downstream oxygen sensor',
+      'Leaking fuel injector',
+      'Worn catalytic converter',
+    ],
+  },
+  {
+    code: 'P2101',
+    description: 'Throttle Actuator Control Motor Circuit Range/Performance',
+    severity: 'high',
+    causes: [
+      'Dirty or sticking throttle body',
+      'Faulty throttle actuator motor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P2135',
+    description: 'Throttle/Pedal Position Sensor/Switch A/B Voltage Correlation',
+    severity: 'high',
+    causes: [
+      'Faulty throttle position sensor',
+      'Dirty or sticking throttle body',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P2138',
+    description: 'Throttle/Pedal Position Sensor/Switch D/E Voltage Correlation',
+    severity: 'high',
+    causes: [
+      'Faulty accelerator pedal position sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P2187',
+    description: 'System Too Lean at Idle (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Vacuum leak',
+      'Leaking PCV valve or hose',
+      'Low fuel pressure',
+    ],
+  },
+  {
+    code: 'P2195',
+    description: 'O2 Sensor Signal Stuck Lean (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+      'Vacuum leak',
+    ],
+  },
+  {
+    code: 'P2196',
+    description: 'O2 Sensor Signal Stuck Rich (Bank 1 Sensor 1)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+      'Leaking fuel injector',
+    ],
+  },
+  {
+    code: 'P2270',
+    description: 'O2 Sensor Signal Stuck Lean (Bank 1 Sensor 2)',
+    severity: 'low',
+    causes: [
+      'Faulty oxygen sensor',
+      'Exhaust leak upstream of the sensor',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'P2463',
+    description: 'Diesel Particulate Filter - Soot Accumulation (Bank 1)',
+    severity: 'mid',
+    causes: [
+      'Frequent short trips preventing regeneration',
+      'Failed regeneration',
+      'Faulty differential pressure sensor',
+    ],
+  },
+  {
+    code: 'B0001',
+    description: 'Driver Frontal Stage 1 Deployment Control',
+    severity: 'high',
+    causes: [
+      'Faulty airbag module or clockspring',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'B0010',
+    description: 'Passenger Frontal Stage 1 Deployment Control',
+    severity: 'high',
+    causes: [
+      'Faulty passenger airbag module',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'C0035',
+    description: 'Left Front Wheel Speed Sensor Circuit',
+    severity: 'mid',
+    causes: [
+      'Faulty wheel speed sensor',
+      'Damaged tone ring',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'C0040',
+    description: 'Right Front Wheel Speed Sensor Circuit',
+    severity: 'mid',
+    causes: [
+      'Faulty wheel speed sensor',
+      'Damaged tone ring',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'C0045',
+    description: 'Left Rear Wheel Speed Sensor Circuit',
+    severity: 'mid',
+    causes: [
+      'Faulty wheel speed sensor',
+      'Damaged tone ring',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'C0050',
+    description: 'Right Rear Wheel Speed Sensor Circuit',
+    severity: 'mid',
+    causes: [
+      'Faulty wheel speed sensor',
+      'Damaged tone ring',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'C0110',
+    description: 'Pump Motor Circuit',
+    severity: 'mid',
+    causes: [
+      'Faulty ABS pump motor',
+      'Blown ABS pump fuse or relay',
+      'Damaged wiring or connector',
+    ],
+  },
+  {
+    code: 'C0121',
+    description: 'Valve Relay Circuit',
+    severity: 'mid',
+    causes: [
+      'Faulty ABS valve relay',
+      'Poor ABS module power or ground',
+    ],
+  },
+  {
+    code: 'U0001',
+    description: 'High Speed CAN Communication Bus',
+    severity: 'mid',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0073',
+    description: 'Control Module Communication Bus A Off',
+    severity: 'mid',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0100',
+    description: 'Lost Communication With ECM/PCM "A"',
+    severity: 'high',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0101',
+    description: 'Lost Communication With TCM',
+    severity: 'high',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0121',
+    description: 'Lost Communication With Anti-Lock Brake System (ABS) Control Module',
+    severity: 'high',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0140',
+    description: 'Lost Communication With Body Control Module',
+    severity: 'mid',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0151',
+    description: 'Lost Communication With Restraints Control Module',
+    severity: 'high',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0155',
+    description: 'Lost Communication With Instrument Panel Cluster (IPC) Control Module',
+    severity: 'mid',
+    causes: [
+      'Damaged CAN bus wiring or connector',
+      'Module without power or ground',
+      'Faulty control module',
+    ],
+  },
+  {
+    code: 'U0401',
+    description: 'Invalid Data Received From ECM/PCM "A"',
+    severity: 'mid',
+    causes: [
+      'Fault stored in the engine control module',
+      'Incorrect module software',
+      'Damaged CAN bus wiring',
+    ],
+  },
+];
+
+const CODES = new Map(DTC_DICTIONARY.map((entry) => [entry.code, entry]));
+
+/**
+ * Classify a code by its structure
+ * @param {string} code - DTC code (e.g. P0301)
+ * @returns {Object} - { system, category, generic }
+ */
+const classifyDtcCode = (code) => {
+  const [letter, first, second] = code;
+  const system = DTC_SYSTEMS[letter] || null;
+  const category = letter === 'P' && first !== '3' ? POWERTRAIN_CATEGORIES[second] : null;
+
+  // P0, P2 and P34-P39 are SAE generic, as are B0, C0 and U0 (U3 is reserved for SAE too)
+  let generic = first === '0';
+  if (letter === 'P') generic = generic || first === '2' || (first === '3' && second >= '4');
+  if (letter === 'U') generic = generic || first === '3';
+
+  return { system, category, generic };
+};
+
+/**
+ * Look up a code, codes that are not in the dictionary get a generic description
+ * @param {string} code - DTC code (e.g. P0301)
+ * @returns {Object} - { code, known, description, system, category, generic, causes, severity }
+ */
+const findDtcCode = (code) => {
+  const normalized = String(code).toUpperCase();
+  const entry = CODES.get(normalized);
+  const { system, category, generic } = classifyDtcCode(normalized);
+
+  if (entry) {
+    return {
+      code: normalized,
+      known: true,
+      description: entry.description,
+      system,
+      category,
+      generic,
+      causes: entry.causes,
+      severity: entry.severity,
+    };
+  }
+
+  return {
+    code: normalized,
+    known: false,
+    description: `${generic ? 'Generic' : 'Manufacturer specific'} ${system || 'unknown system'} code ${normalized}`,
+    system,
+    category,
+    generic,
+    causes: [],
+    severity: DEFAULT_SEVERITIES[category] || DEFAULT_SEVERITIES[system] || 'mid',
+  };
+};
+
+/**
+ * Search the dictionary by code prefix or by words in the description and causes
+ * @param {Object} filters - { q, system, category, limit }
+ * @returns {Array<Object>} - Matching codes described like findDtcCode, code matches first
+ */
+const searchDtcCodes = ({
+  q, system, category, limit = 20,
+}) => {
+  const query = q ? q.trim().toLowerCase() : '';
+
+  const matches = DTC_DICTIONARY
+    .map((entry) => findDtcCode(entry.code))
+    .filter((entry) => (!system || entry.system === system) && (!category || entry.category === category))
+    .map((entry) => {
+      if (!query) return { entry, rank: 0 };
+      if (entry.code.toLowerCase().startsWith(query)) return { entry, rank: 0 };
+
+      const text = `${entry.description} ${entry.causes.join(' ')}`.toLowerCase();
+      const words = query.split(/\s+/);
+      return { entry, rank: words.every((word) => text.includes(word)) ? 1 : null };
+    })
+    .filter((match) => match.rank !== null);
+
+  return matches
+    .sort((a, b) => a.rank - b.rank || a.entry.code.localeCompare(b.entry.code))
+    .slice(0, limit)
+    .map((match) => match.entry);
+};
+
+module.exports = {
+  DTC_SYSTEMS,
+  DTC_CATEGORIES,
+  DTC_DICTIONARY,
+  findDtcCode,
+  searchDtcCodes,
+};
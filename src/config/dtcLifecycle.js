@@ -0,0 +1,44 @@
+/**
+ * DTC lifecycle
+ * A fault is reported active, acknowledged by the owner, taken into repair and finally resolved,
+ * or ignored at any point while open. Resolved and ignored faults can be reopened.
+ * Every status change and field edit is recorded in dtc_events.
+ */
+
+const DTC_STATUSES = ['active', 'acknowledged', 'in_repair', 'resolved', 'ignored'];
+
+// Statuses of a fault that is still present on the vehicle, at most one open DTC per vehicle and code
+// (vehicle_dtcs_open_code_key in scripts/migrate.js lists the same statuses)
+const DTC_OPEN_STATUSES = ['active', 'acknowledged', 'in_repair'];
+
+// Statuses a DTC may be added with, later statuses are only reached through transitions
+const DTC_INITIAL_STATUSES = ['active', 'ignored'];
+
+// Status -> statuses it may move to
+const DTC_TRANSITIONS = {
+  active: ['acknowledged', 'in_repair', 'resolved', 'ignored'],
+  acknowledged: ['in_repair', 'resolved', 'ignored'],
+  in_repair: ['resolved', 'ignored'],
+  resolved: ['active'],
+  ignored: ['active'],
+};
+
+// 'note' events only carry notes or attachments, 'updated' events record edited fields
+const DTC_EVENT_TYPES = ['created', 'status_changed', 'reopened', 'updated', 'note'];
+
+/**
+ * Check whether a DTC may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - Whether the transition is allowed
+ */
+const canTransition = (from, to) => (DTC_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  DTC_STATUSES,
+  DTC_OPEN_STATUSES,
+  DTC_INITIAL_STATUSES,
+  DTC_TRANSITIONS,
+  DTC_EVENT_TYPES,
+  canTransition,
+};
@@ -0,0 +1,424 @@
+/**
+ * OBD-II PID catalog
+ * Every PID the adapter can report, with its display metadata and the SAE J1979 decode formula.
+ * A, B, ... in `formula` are the data bytes returned by the ECU, in order.
+ * PIDs flagged `column` are stored in their own vehicle_performance_data column,
+ * the others are stored by key in the `pids` JSONB column.
+ */
+
+const PID_CATALOG = [
+  {
+    key: 'rpm',
+    mode: '01',
+    pid: '0C',
+    name: 'Engine RPM',
+    unit: 'rpm',
+    min: 0,
+    max: 16383.75,
+    bytes: 2,
+    formula: '((256 * A) + B) / 4',
+    decode: ([a, b]) => (256 * a + b) / 4,
+    column: true,
+  },
+  {
+    key: 'speed',
+    mode: '01',
+    pid: '0D',
+    name: 'Vehicle speed',
+    unit: 'km/h',
+    quantity: 'speed',
+    min: 0,
+    max: 255,
+    bytes: 1,
+    formula: 'A',
+    decode: ([a]) => a,
+    column: true,
+  },
+  {
+    key: 'batteryVoltage',
+    mode: '01',
+    pid: '42',
+    name: 'Control module voltage',
+    unit: 'V',
+    min: 0,
+    max: 65.535,
+    bytes: 2,
+    formula: '((256 * A) + B) / 1000',
+    decode: ([a, b]) => (256 * a + b) / 1000,
+    column: true,
+  },
+  {
+    key: 'fuelTankLevel',
+    mode: '01',
+    pid: '2F',
+    name: 'Fuel tank level input',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+    column: true,
+  },
+  {
+    key: 'intakeAirTemp',
+    mode: '01',
+    pid: '0F',
+    name: 'Intake air temperature',
+    unit: '°C',
+    quantity: 'temperature',
+    min: -40,
+    max: 215,
+    bytes: 1,
+    formula: 'A - 40',
+    decode: ([a]) => a - 40,
+    column: true,
+  },
+  {
+    key: 'coolantTemp',
+    mode: '01',
+    pid: '05',
+    name: 'Engine coolant temperature',
+    unit: '°C',
+    quantity: 'temperature',
+    min: -40,
+    max: 215,
+    bytes: 1,
+    formula: 'A - 40',
+    decode: ([a]) => a - 40,
+    column: true,
+  },
+  {
+    key: 'engineTemp',
+    mode: '01',
+    pid: '5C',
+    name: 'Engine oil temperature',
+    unit: '°C',
+    quantity: 'temperature',
+    min: -40,
+    max: 210,
+    bytes: 1,
+    formula: 'A - 40',
+    decode: ([a]) => a - 40,
+    column: true,
+  },
+  {
+    key: 'fuelConsumption',
+    mode: '01',
+    pid: '5E',
+    name: 'Engine fuel rate',
+    unit: 'L/h',
+    quantity: 'fuelRate',
+    min: 0,
+    max: 3212.75,
+    bytes: 2,
+    formula: '((256 * A) + B) / 20',
+    decode: ([a, b]) => (256 * a + b) / 20,
+    column: true,
+  },
+  {
+    key: 'engineLoad',
+    mode: '01',
+    pid: '04',
+    name: 'Calculated engine load',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+  },
+  {
+    key: 'shortTermFuelTrimBank1',
+    mode: '01',
+    pid: '06',
+    name: 'Short term fuel trim - Bank 1',
+    unit: '%',
+    min: -100,
+    max: 99.2,
+    bytes: 1,
+    formula: '(100 / 128) * A - 100',
+    decode: ([a]) => (100 / 128) * a - 100,
+  },
+  {
+    key: 'longTermFuelTrimBank1',
+    mode: '01',
+    pid: '07',
+    name: 'Long term fuel trim - Bank 1',
+    unit: '%',
+    min: -100,
+    max: 99.2,
+    bytes: 1,
+    formula: '(100 / 128) * A - 100',
+    decode: ([a]) => (100 / 128) * a - 100,
+  },
+  {
+    key: 'fuelPressure',
+    mode: '01',
+    pid: '0A',
+    name: 'Fuel pressure (gauge)',
+    unit: 'kPa',
+    min: 0,
+    max: 765,
+    bytes: 1,
+    formula: '3 * A',
+    decode: ([a]) => 3 * a,
+  },
+  {
+    key: 'intakeManifoldPressure',
+    mode: '01',
+    pid: '0B',
+    name: 'Intake manifold absolute pressure',
+    unit: 'kPa',
+    min: 0,
+    max: 255,
+    bytes: 1,
+    formula: 'A',
+    decode: ([a]) => a,
+  },
+  {
+    key: 'timingAdvance',
+    mode: '01',
+    pid: '0E',
+    name: 'Timing advance',
+    unit: '° before TDC',
+    min: -64,
+    max: 63.5,
+    bytes: 1,
+    formula: 'A / 2 - 64',
+    decode: ([a]) => a / 2 - 64,
+  },
+  {
+    key: 'mafAirFlowRate',
+    mode: '01',
+    pid: '10',
+    name: 'Mass air flow sensor air flow rate',
+    unit: 'g/s',
+    min: 0,
+    max: 655.35,
+    bytes: 2,
+    formula: '((256 * A) + B) / 100',
+    decode: ([a, b]) => (256 * a + b) / 100,
+  },
+  {
+    key: 'throttlePosition',
+    mode: '01',
+    pid: '11',
+    name: 'Throttle position',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+  },
+  {
+    key: 'runTimeSinceStart',
+    mode: '01',
+    pid: '1F',
+    name: 'Run time since engine start',
+    unit: 's',
+    min: 0,
+    max: 65535,
+    bytes: 2,
+    formula: '(256 * A) + B',
+    decode: ([a, b]) => 256 * a + b,
+  },
+  {
+    key: 'distanceWithMilOn',
+    mode: '01',
+    pid: '21',
+    name: 'Distance traveled with malfunction indicator lamp on',
+    unit: 'km',
+    quantity: 'distance',
+    min: 0,
+    max: 65535,
+    bytes: 2,
+    formula: '(256 * A) + B',
+    decode: ([a, b]) => 256 * a + b,
+  },
+  {
+    key: 'commandedEgr',
+    mode: '01',
+    pid: '2C',
+    name: 'Commanded EGR',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+  },
+  {
+    key: 'distanceSinceCodesCleared',
+    mode: '01',
+    pid: '31',
+    name: 'Distance traveled since codes cleared',
+    unit: 'km',
+    quantity: 'distance',
+    min: 0,
+    max: 65535,
+    bytes: 2,
+    formula: '(256 * A) + B',
+    decode: ([a, b]) => 256 * a + b,
+  },
+  {
+    key: 'barometricPressure',
+    mode: '01',
+    pid: '33',
+    name: 'Absolute barometric pressure',
+    unit: 'kPa',
+    min: 0,
+    max: 255,
+    bytes: 1,
+    formula: 'A',
+    decode: ([a]) => a,
+  },
+  {
+    key: 'relativeThrottlePosition',
+    mode: '01',
+    pid: '45',
+    name: 'Relative throttle position',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+  },
+  {
+    key: 'ambientAirTemp',
+    mode: '01',
+    pid: '46',
+    name: 'Ambient air temperature',
+    unit: '°C',
+    quantity: 'temperature',
+    min: -40,
+    max: 215,
+    bytes: 1,
+    formula: 'A - 40',
+    decode: ([a]) => a - 40,
+  },
+  {
+    key: 'acceleratorPedalPosition',
+    mode: '01',
+    pid: '5A',
+    name: 'Relative accelerator pedal position',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+  },
+  {
+    key: 'hybridBatteryLife',
+    mode: '01',
+    pid: '5B',
+    name: 'Hybrid battery pack remaining life',
+    unit: '%',
+    min: 0,
+    max: 100,
+    bytes: 1,
+    formula: '(100 / 255) * A',
+    decode: ([a]) => (100 / 255) * a,
+  },
+  {
+    key: 'fuelInjectionTiming',
+    mode: '01',
+    pid: '5D',
+    name: 'Fuel injection timing',
+    unit: '°',
+    min: -210,
+    max: 301.992,
+    bytes: 2,
+    formula: '((256 * A) + B) / 128 - 210',
+    decode: ([a, b]) => (256 * a + b) / 128 - 210,
+  },
+];
+
+const pidCode = (entry) => `${entry.mode}${entry.pid}`;
+
+// Catalog entries by key and by mode + PID code (e.g. rpm, 010C)
+const PIDS_BY_ID = new Map();
+PID_CATALOG.forEach((entry) => {
+  PIDS_BY_ID.set(entry.key, entry);
+  PIDS_BY_ID.set(pidCode(entry), entry);
+});
+
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/i;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Find a catalog entry by key or by mode + PID code
+ * @param {string} id - PID key (rpm) or code (010C, case insensitive)
+ * @returns {Object|null} - Catalog entry or null
+ */
+const findPid = (id) => PIDS_BY_ID.get(id) || PIDS_BY_ID.get(String(id).toUpperCase()) || null;
+
+/**
+ * Decode and range-check the PID readings of a sample
+ * A reading is either a decoded number or the raw data bytes as a hex string (e.g. "1AF8")
+ * @param {Object} readings - PID key or code -> number or hex string
+ * @returns {Object} - { values, errors } with values keyed by PID key
+ */
+const normalizePids = (readings) => {
+  const values = {};
+  const errors = [];
+
+  Object.entries(readings).forEach(([id, reading]) => {
+    const entry = findPid(id);
+
+    if (!entry) {
+      errors.push(`Unknown PID ${id}`);
+      return;
+    }
+
+    let value = reading;
+    if (typeof reading === 'string') {
+      if (!HEX_PATTERN.test(reading) || reading.length !== entry.bytes * 2) {
+        errors.push(`PID ${id} raw value must be ${entry.bytes} hex byte(s)`);
+        return;
+      }
+      const bytes = reading.match(/../g).map((byte) => parseInt(byte, 16));
+      value = round3(entry.decode(bytes));
+    }
+
+    if (value < entry.min || value > entry.max) {
+      errors.push(`PID ${id} must be between ${entry.min} and ${entry.max} ${entry.unit}`);
+      return;
+    }
+
+    values[entry.key] = value;
+  });
+
+  return { values, errors };
+};
+
+/**
+ * Public description of a catalog entry, without the decode function
+ * @param {Object} entry - Catalog entry
+ * @returns {Object} - PID description
+ */
+const describePid = (entry) => ({
+  key: entry.key,
+  code: pidCode(entry),
+  mode: entry.mode,
+  pid: entry.pid,
+  name: entry.name,
+  unit: entry.unit,
+  quantity: entry.quantity || null,
+  min: entry.min,
+  max: entry.max,
+  bytes: entry.bytes,
+  formula: entry.formula,
+  storage: entry.column ? 'column' : 'pids',
+});
+
+module.exports = {
+  PID_CATALOG,
+  findPid,
+  normalizePids,
+  describePid,
+};
@@ -0,0 +1,69 @@
+const { logger } = require('./logger');
+
+/**
+ * Telemetry retention windows
+ * Raw samples older than `rawDays` are rolled into hourly and daily summaries and pruned,
+ * hourly summaries are kept for `hourlyDays` and daily summaries for `dailyDays` (null keeps them forever).
+ * Windows apply to a vehicle through its owner's plan, falling back to the owner's role, then to the defaults.
+ */
+
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) || days < 1 ? fallback : days;
+};
+
+// Summary table per rollup tier
+const ROLLUP_TABLES = {
+  hourly: 'vehicle_performance_hourly',
+  daily: 'vehicle_performance_daily',
+};
+
+const DEFAULT_RETENTION_POLICY = {
+  rawDays: parseDays(process.env.RETENTION_RAW_DAYS, 30),
+  hourlyDays: parseDays(process.env.RETENTION_HOURLY_DAYS, 365),
+  dailyDays: parseDays(process.env.RETENTION_DAILY_DAYS, null),
+};
+
+/**
+ * Per plan and per role overrides from RETENTION_POLICIES,
+ * e.g. {"plans":{"pro":{"rawDays":90}},"roles":{"admin":{"rawDays":365}}}
+ * @returns {Object} - { plans, roles }
+ */
+const loadOverrides = () => {
+  try {
+    const { plans = {}, roles = {} } = JSON.parse(process.env.RETENTION_POLICIES || '{}');
+    return { plans, roles };
+  } catch (error) {
+    logger.error('Invalid RETENTION_POLICIES, using the default retention policy:', error.message);
+    return { plans: {}, roles: {} };
+  }
+};
+
+const RETENTION_OVERRIDES = loadOverrides();
+
+/**
+ * Retention windows for a vehicle owner
+ * @param {Object} [owner] - Owner profile ({ plan, role })
+ * @returns {Object} - { rawDays, hourlyDays, dailyDays }
+ */
+const resolveRetentionPolicy = (owner = {}) => {
+  const override = (owner.plan && RETENTION_OVERRIDES.plans[owner.plan])
+    || (owner.role && RETENTION_OVERRIDES.roles[owner.role])
+    || {};
+
+  const policy = { ...DEFAULT_RETENTION_POLICY, ...override };
+
+  // Summaries must outlive the raw rows they replace
+  policy.hourlyDays = Math.max(policy.hourlyDays, policy.rawDays);
+  if (policy.dailyDays !== null) {
+    policy.dailyDays = Math.max(policy.dailyDays, policy.hourlyDays);
+  }
+
+  return policy;
+};
+
+module.exports = {
+  ROLLUP_TABLES,
+  DEFAULT_RETENTION_POLICY,
+  resolveRetentionPolicy,
+};
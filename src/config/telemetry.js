@@ -0,0 +1,25 @@
+const { PID_CATALOG } = require('./pidCatalog');
+
+// Telemetry fields stored in their own vehicle_performance_data column,
+// every other catalogued PID is stored in the `pids` JSONB column
+const TELEMETRY_FIELDS = PID_CATALOG
+  .filter((entry) => entry.column)
+  .map((entry) => entry.key);
+
+// GPS fix stored alongside each sample (degrees, degrees, degrees from north, meters)
+const LOCATION_FIELDS = ['latitude', 'longitude', 'heading', 'accuracy'];
+
+// Legacy metric names accepted by the aggregation endpoint
+const METRIC_ALIASES = {
+  temperature: 'coolantTemp',
+};
+
+// Statistics the aggregation endpoint can compute per metric
+const AGGREGATION_STATS = ['avg', 'min', 'max', 'p95', 'count'];
+
+module.exports = {
+  TELEMETRY_FIELDS,
+  LOCATION_FIELDS,
+  METRIC_ALIASES,
+  AGGREGATION_STATS,
+};
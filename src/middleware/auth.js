@@ -129,8 +129,45 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Socket.io middleware to authenticate the bearer token sent during the handshake
+ * Accepts the token from `auth.token` or an `Authorization: Bearer` header
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const authHeader = headers.authorization;
+    const token = auth.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      const err = new Error('Access token is required');
+      err.data = { code: 'UNAUTHORIZED', message: 'Access token is required' };
+      return next(err);
+    }
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      const err = new Error('Invalid or expired token');
+      err.data = { code: 'UNAUTHORIZED', message: 'Invalid or expired token' };
+      return next(err);
+    }
+
+    // Add user to socket object
+    socket.user = user;
+    socket.userId = user.id;
+    return next();
+  } catch (error) {
+    logger.error('Socket authentication error:', error.message);
+    const err = new Error('Authentication failed');
+    err.data = { code: 'AUTH_FAILED', message: 'Authentication failed' };
+    return next(err);
+  }
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
-  optionalAuth
+  optionalAuth,
+  authenticateSocket,
 }; 
\ No newline at end of file
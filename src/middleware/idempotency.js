@@ -0,0 +1,155 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+// A reservation older than this belongs to a request that died before storing its response
+const RESERVATION_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Store the response of a reserved key, or release the key when the request did not succeed
+ * so a retry can run again
+ * @param {string} scope - Key scope
+ * @param {string} key - Idempotency key
+ * @param {Object|null} response - { status_code, response_body }, null to release the key
+ */
+const settleReservation = (scope, key, response) => {
+  const query = response
+    ? supabase.from('idempotency_keys').update(response)
+    : supabase.from('idempotency_keys').delete();
+
+  query
+    .eq('scope', scope)
+    .eq('key', key)
+    .is('status_code', null)
+    .then(({ error }) => {
+      if (error) {
+        logger.error('Idempotency store error:', error.message);
+      }
+    })
+    .catch((error) => logger.error('Idempotency store error:', error.message));
+};
+
+/**
+ * Reserve a key before the request runs, so concurrent requests with the same key cannot both run
+ * @param {string} scope - Key scope
+ * @param {string} key - Idempotency key
+ * @returns {Object} - { reserved } or { stored } with the stored row of an earlier request
+ */
+const reserveKey = async (scope, key) => {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .insert([{ scope, key, created_at: now }]);
+
+  if (!error) {
+    return { reserved: true };
+  }
+
+  if (error.code !== '23505') {
+    throw new Error(error.message);
+  }
+
+  const { data: stored, error: lookupError } = await supabase
+    .from('idempotency_keys')
+    .select('status_code, response_body, created_at')
+    .eq('scope', scope)
+    .eq('key', key)
+    .maybeSingle();
+
+  if (lookupError) {
+    throw new Error(lookupError.message);
+  }
+
+  // Take over an abandoned reservation, the created_at match makes sure only one retry does
+  if (stored && stored.status_code === null
+    && Date.now() - new Date(stored.created_at).getTime() > RESERVATION_TIMEOUT_MS) {
+    const { data: taken } = await supabase
+      .from('idempotency_keys')
+      .update({ created_at: now })
+      .eq('scope', scope)
+      .eq('key', key)
+      .is('status_code', null)
+      .eq('created_at', stored.created_at)
+      .select('key');
+
+    if (taken && taken.length > 0) {
+      return { reserved: true };
+    }
+  }
+
+  return { reserved: false, stored };
+};
+
+/**
+ * Middleware to replay responses for requests retried with the same Idempotency-Key header
+ * Must run after authenticateToken: keys are scoped to the endpoint and the user, requests without
+ * the header or without an authenticated user are passed through untouched.
+ * The key is reserved before the request runs, a concurrent request with the same key gets 409
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.headers[IDEMPOTENCY_HEADER];
+
+  if (!key || !req.userId) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path} ${req.userId}`;
+
+  try {
+    const { reserved, stored } = await reserveKey(scope, key);
+
+    if (!reserved) {
+      if (stored && stored.status_code !== null) {
+        logger.info(`Replaying idempotent response for key: ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.status_code).json(stored.response_body);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed',
+      });
+    }
+  } catch (error) {
+    logger.error('Idempotency lookup error:', error.message);
+    return next();
+  }
+
+  // Remember successful responses so a retry gets the same answer, release the key otherwise
+  let settled = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      settleReservation(scope, key, res.statusCode >= 200 && res.statusCode < 300
+        ? { status_code: res.statusCode, response_body: body }
+        : null);
+    }
+
+    return originalJson(body);
+  };
+
+  // The request ended without a JSON response (aborted or crashed)
+  res.on('close', () => {
+    if (!settled) {
+      settled = true;
+      settleReservation(scope, key, null);
+    }
+  });
+
+  return next();
+};
+
+module.exports = {
+  idempotency,
+};
@@ -0,0 +1,254 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const {
+  successResponse,
+  errorResponse,
+  createdResponse,
+  notFoundResponse,
+  forbiddenResponse,
+} = require('../utils/response');
+const {
+  createAlertRuleSchema,
+  updateAlertRuleSchema,
+  getAlertRulesQuerySchema,
+  alertIdSchema,
+} = require('../validators/alert');
+const alertService = require('../services/alertService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const router = express.Router();
+
+/**
+ * Check that the user may manage rules for a vehicle, or global rules when vehicleId is null
+ * @param {string} userId - Authenticated user ID
+ * @param {string|null} vehicleId - Vehicle ID, null for a global rule
+ * @returns {string|null} - Denial message, null when allowed
+ */
+const checkRuleAccess = async (userId, vehicleId) => {
+  if (vehicleId === null) {
+    const allowed = await vehicleAccessService.hasUnrestrictedRole(userId);
+    return allowed ? null : 'Only admins can manage global alert rules';
+  }
+
+  const access = await vehicleAccessService.canAccessVehicle(userId, vehicleId);
+  return access.allowed ? null : 'You do not have access to this vehicle';
+};
+
+/**
+ * @route   POST /api/alerts/rules
+ * @desc    Create an alert rule for a vehicle, or a global rule
+ * @access  Private
+ */
+router.post('/', authenticateToken, validateRequest(createAlertRuleSchema), async (req, res) => {
+  try {
+    const denied = await checkRuleAccess(req.userId, req.body.vehicle_id);
+    if (denied) {
+      return forbiddenResponse(res, denied);
+    }
+
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .insert([{
+        ...req.body,
+        created_by: req.userId,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error:', error);
+      return errorResponse(res, 500, 'Failed to create alert rule');
+    }
+
+    alertService.invalidateRules();
+
+    logger.info(`Alert rule created: ${data.id} (${data.vehicle_id || 'global'})`);
+    return createdResponse(res, 'Alert rule created successfully', data);
+  } catch (error) {
+    logger.error('Create alert rule error:', error.message);
+    return errorResponse(res, 500, 'Failed to create alert rule');
+  }
+});
+
+/**
+ * @route   GET /api/alerts/rules
+ * @desc    List alert rules for a vehicle (including global rules), or the user's own rules
+ * @access  Private
+ */
+router.get('/', authenticateToken, validateRequest(getAlertRulesQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { vehicle_id: vehicleId, enabled } = req.query;
+
+    let query = supabase
+      .from('alert_rules')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (vehicleId) {
+      const denied = await checkRuleAccess(req.userId, vehicleId);
+      if (denied) {
+        return forbiddenResponse(res, denied);
+      }
+      query = query.or(`vehicle_id.is.null,vehicle_id.eq.${vehicleId}`);
+    } else {
+      query = query.or(`vehicle_id.is.null,created_by.eq.${req.userId}`);
+    }
+
+    if (enabled !== undefined) {
+      query = query.eq('enabled', enabled);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve alert rules');
+    }
+
+    return successResponse(res, 200, 'Alert rules retrieved successfully', data);
+  } catch (error) {
+    logger.error('Get alert rules error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve alert rules');
+  }
+});
+
+/**
+ * @route   GET /api/alerts/rules/:id
+ * @desc    Get alert rule by ID
+ * @access  Private
+ */
+router.get('/:id', authenticateToken, validateRequest(alertIdSchema, 'params'), async (req, res) => {
+  try {
+    const { data: rule, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !rule) {
+      return notFoundResponse(res, 'Alert rule not found');
+    }
+
+    // Global rules are readable by everyone
+    if (rule.vehicle_id) {
+      const denied = await checkRuleAccess(req.userId, rule.vehicle_id);
+      if (denied) {
+        return forbiddenResponse(res, denied);
+      }
+    }
+
+    return successResponse(res, 200, 'Alert rule retrieved successfully', rule);
+  } catch (error) {
+    logger.error('Get alert rule by ID error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve alert rule');
+  }
+});
+
+/**
+ * @route   PUT /api/alerts/rules/:id
+ * @desc    Update an alert rule
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  validateRequest(alertIdSchema, 'params'),
+  validateRequest(updateAlertRuleSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { data: existingRule, error: fetchError } = await supabase
+        .from('alert_rules')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (fetchError || !existingRule) {
+        return notFoundResponse(res, 'Alert rule not found');
+      }
+
+      // Must be allowed to manage the rule where it is now and where it moves to
+      const targets = new Set([existingRule.vehicle_id]);
+      if (req.body.vehicle_id !== undefined) targets.add(req.body.vehicle_id);
+
+      const denials = await Promise.all([...targets].map((vehicleId) => checkRuleAccess(req.userId, vehicleId)));
+      const denied = denials.find(Boolean);
+      if (denied) {
+        return forbiddenResponse(res, denied);
+      }
+
+      const { data, error } = await supabase
+        .from('alert_rules')
+        .update({ ...req.body, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Database error:', error.message);
+        return errorResponse(res, 500, 'Failed to update alert rule');
+      }
+
+      alertService.invalidateRules();
+
+      logger.info(`Alert rule updated: ${id}`);
+      return successResponse(res, 200, 'Alert rule updated successfully', data);
+    } catch (error) {
+      logger.error('Update alert rule error:', error.message);
+      return errorResponse(res, 500, 'Failed to update alert rule');
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/alerts/rules/:id
+ * @desc    Delete an alert rule
+ * @access  Private
+ */
+router.delete('/:id', authenticateToken, validateRequest(alertIdSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingRule, error: fetchError } = await supabase
+      .from('alert_rules')
+      .select('id, vehicle_id')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existingRule) {
+      return notFoundResponse(res, 'Alert rule not found');
+    }
+
+    const denied = await checkRuleAccess(req.userId, existingRule.vehicle_id);
+    if (denied) {
+      return forbiddenResponse(res, denied);
+    }
+
+    const { error } = await supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to delete alert rule');
+    }
+
+    alertService.invalidateRules();
+
+    logger.info(`Alert rule deleted: ${id}`);
+    return successResponse(res, 200, 'Alert rule deleted successfully');
+  } catch (error) {
+    logger.error('Delete alert rule error:', error.message);
+    return errorResponse(res, 500, 'Failed to delete alert rule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  paginatedResponse,
+} = require('../utils/response');
+const {
+  updateAlertSchema,
+  getAlertsQuerySchema,
+  alertIdSchema,
+} = require('../validators/alert');
+const alertService = require('../services/alertService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const alertRuleRoutes = require('./alertRules');
+
+const router = express.Router();
+
+// Alert rules, mounted before /:id
+router.use('/rules', alertRuleRoutes);
+
+/**
+ * @route   GET /api/alerts
+ * @desc    List fired alerts for a vehicle
+ * @access  Private
+ */
+router.get('/', authenticateToken, validateRequest(getAlertsQuerySchema, 'query'), async (req, res) => {
+  try {
+    const {
+      vehicle_id: vehicleId,
+      status,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    if (!vehicleId) {
+      return errorResponse(res, 400, 'vehicle_id is required');
+    }
+
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
+    }
+
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('alerts')
+      .select('*', { count: 'exact' })
+      .eq('vehicle_id', vehicleId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query
+      .order('triggered_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve alerts');
+    }
+
+    return paginatedResponse(res, 'Alerts retrieved successfully', data, page, limit, count, Math.ceil(count / limit));
+  } catch (error) {
+    logger.error('Get alerts error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve alerts');
+  }
+});
+
+/**
+ * @route   PUT /api/alerts/:id
+ * @desc    Acknowledge or close an alert
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  validateRequest(alertIdSchema, 'params'),
+  validateRequest(updateAlertSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, notes } = req.body;
+
+      const { data: existingAlert, error: fetchError } = await supabase
+        .from('alerts')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (fetchError || !existingAlert) {
+        return notFoundResponse(res, 'Alert not found');
+      }
+
+      const access = await vehicleAccessService.canAccessVehicle(req.userId, existingAlert.vehicle_id);
+      if (!access.allowed) {
+        return forbiddenResponse(res, 'You do not have access to this vehicle');
+      }
+
+      if (existingAlert.status === 'closed') {
+        return errorResponse(res, 400, 'Alert is already closed');
+      }
+
+      if (existingAlert.status === status) {
+        return errorResponse(res, 400, `Alert is already ${status}`);
+      }
+
+      const now = new Date().toISOString();
+      const updateData = { status, updated_at: now };
+
+      if (notes) updateData.notes = notes;
+
+      if (status === 'acknowledged') {
+        updateData.acknowledged_at = now;
+        updateData.acknowledged_by = req.userId;
+      } else {
+        updateData.closed_at = now;
+        updateData.closed_by = req.userId;
+        updateData.close_reason = 'manual';
+      }
+
+      const { data, error } = await supabase
+        .from('alerts')
+        .update(updateData)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Database error:', error.message);
+        return errorResponse(res, 500, 'Failed to update alert');
+      }
+
+      alertService.emitAlert(req.app.get('io'), data);
+
+      logger.info(`Alert ${id} ${status} by user: ${req.userId}`);
+      return successResponse(res, 200, 'Alert updated successfully', data);
+    } catch (error) {
+      logger.error('Update alert error:', error.message);
+      return errorResponse(res, 500, 'Failed to update alert');
+    }
+  },
+);
+
+module.exports = router;
@@ -1,24 +1,61 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { logger } = require('../config/logger');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../utils/validation');
 const {
   successResponse,
   errorResponse,
   createdResponse,
   notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
   paginatedResponse
 } = require('../utils/response');
 const {
   createDTCSchema,
   updateDTCSchema,
   dtcIdSchema,
-  getDTCsQuerySchema
 } = require('../validators/dtc');
+const {
+  getDTCQuerySchema,
+  getDTCsQuerySchema,
+} = require('../validators/dtcQuery');
+const { convertRecord } = require('../utils/units');
+const { DTC_OPEN_STATUSES } = require('../config/dtcLifecycle');
+const dtcService = require('../services/dtcService');
+const dtcLifecycleService = require('../services/dtcLifecycleService');
+const dtcFreezeFrameService = require('../services/dtcFreezeFrameService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+const unitPreferenceService = require('../services/unitPreferenceService');
+
+const dtcCodeRoutes = require('./dtcCodes');
+const dtcVehicleRoutes = require('./dtcVehicles');
+const dtcSuppressionRoutes = require('./dtcSuppressions');
+const dtcAnalyticsRoutes = require('./dtcAnalytics');
+const dtcScanRoutes = require('./dtcScans');
+const dtcEventLogRoutes = require('./dtcEventLog');
 
 const router = express.Router();
 
+// Code dictionary, mounted before /:id
+router.use('/codes', dtcCodeRoutes);
+
+// Per vehicle lists and history
+router.use('/vehicle', dtcVehicleRoutes);
+
+// Snooze and ignore rules, mounted before /:id
+router.use('/suppressions', dtcSuppressionRoutes);
+
+// Fleet analytics, mounted before /:id
+router.use('/analytics', dtcAnalyticsRoutes);
+
+// Scan reconciliation
+router.use('/bulk', dtcScanRoutes);
+
+// Event log of one DTC
+router.use('/:id/events', dtcEventLogRoutes);
+
 /**
  * @route   POST /api/dtcs
  * @desc    Add a new DTC
@@ -29,36 +66,33 @@ router.post('/', authenticateToken, validateRequest(createDTCSchema), async (req
     const {
       vehicle_id,
       dtc_code,
-      description,
-      impact_level,
-      status,
-      occurred_at
+      occurred_at: occurredAt,
     } = req.body;
 
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicle_id);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
+    }
+
     // Check if DTC with same code already exists for this vehicle
     const { data: existingDTC } = await supabase
       .from('vehicle_dtcs')
       .select('id')
       .eq('vehicle_id', vehicle_id)
       .eq('dtc_code', dtc_code)
-      .eq('status', 'active')
-      .single();
+      .in('status', DTC_OPEN_STATUSES)
+      .limit(1)
+      .maybeSingle();
 
     if (existingDTC) {
-      return errorResponse(res, 400, 'Active DTC with this code already exists for this vehicle');
+      return errorResponse(res, 400, 'Open DTC with this code already exists for this vehicle');
     }
 
-    // Prepare data for insertion
-    const dtcData = {
-      vehicle_id,
-      dtc_code,
-      description,
-      impact_level,
-      status: status || 'active',
-      occurred_at: occurred_at || new Date().toISOString(),
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    // Prepare data for insertion, what the client left out comes from the code dictionary
+    // and the freeze frame from the nearest telemetry sample
+    const dtcData = await dtcFreezeFrameService.withFreezeFrame(
+      dtcService.buildDtcRow(vehicle_id, req.body, occurredAt || new Date().toISOString()),
+    );
 
     // Insert DTC into Supabase
     const { data, error } = await supabase
@@ -67,29 +101,36 @@ router.post('/', authenticateToken, validateRequest(createDTCSchema), async (req
       .select()
       .single();
 
+    // A concurrent request opened the same code after the check above
+    if (error && error.code === '23505') {
+      return errorResponse(res, 400, 'Open DTC with this code already exists for this vehicle');
+    }
+
     if (error) {
       logger.error('Database error:', error);
       return errorResponse(res, 500, 'Failed to add DTC');
     }
 
+    await dtcLifecycleService.recordEvents([dtcLifecycleService.createdEvent(data, req.userId)]);
+
     logger.info(`DTC added: ${dtc_code} for vehicle: ${vehicle_id}`);
-    createdResponse(res, 'DTC added successfully', data);
+    dtcService.emitDtcEvents(req.app.get('io'), vehicle_id, [{ event: 'dtc-created', dtc: data }]);
 
+    return createdResponse(res, 'DTC added successfully', data);
   } catch (error) {
     logger.error('Add DTC error:', error.message);
-    errorResponse(res, 500, 'Failed to add DTC');
+    return errorResponse(res, 500, 'Failed to add DTC');
   }
 });
 
 /**
  * @route   PUT /api/dtcs/:id
- * @desc    Update DTC status or details
+ * @desc    Update DTC status or details, status changes follow the DTC lifecycle
  * @access  Private
  */
 router.put('/:id', authenticateToken, validateRequest(dtcIdSchema, 'params'), validateRequest(updateDTCSchema), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = { ...req.body };
 
     // Check if DTC exists
     const { data: existingDTC, error: fetchError } = await supabase
@@ -102,136 +143,78 @@ router.put('/:id', authenticateToken, validateRequest(dtcIdSchema, 'params'), va
       return notFoundResponse(res, 'DTC not found');
     }
 
-    // Add updated timestamp
-    updateData.updated_at = new Date().toISOString();
-
-    // If resolving the DTC, set resolved_at timestamp
-    if (updateData.status === 'resolved' && existingDTC.status !== 'resolved') {
-      updateData.resolved_at = new Date().toISOString();
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, existingDTC.vehicle_id);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
     }
 
-    // Update DTC in Supabase
-    const { data, error } = await supabase
-      .from('vehicle_dtcs')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      logger.error('Database error:', error.message);
-      return errorResponse(res, 500, 'Failed to update DTC');
-    }
-
-    logger.info(`DTC updated: ${id} - Status: ${updateData.status || existingDTC.status}`);
-    successResponse(res, 200, 'DTC updated successfully', data);
-
-  } catch (error) {
-    logger.error('Update DTC error:', error.message);
-    errorResponse(res, 500, 'Failed to update DTC');
-  }
-});
-
-/**
- * @route   GET /api/dtcs/:id
- * @desc    Get DTC by ID
- * @access  Private
- */
-router.get('/:id', authenticateToken, validateRequest(dtcIdSchema, 'params'), async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const { data: dtc, error } = await supabase
-      .from('vehicle_dtcs')
-      .select('*')
-      .eq('id', id)
-      .single();
+    // Status changes must follow the DTC lifecycle, every change is recorded in the event log
+    const result = await dtcLifecycleService.updateDtc(existingDTC, req.body, req.userId);
 
-    if (error || !dtc) {
-      return notFoundResponse(res, 'DTC not found');
+    if (!result.success) {
+      if (result.code === 'invalid_transition' || result.code === 'duplicate') {
+        return conflictResponse(res, result.message);
+      }
+      return errorResponse(res, 500, result.message);
     }
 
-    successResponse(res, 200, 'DTC retrieved successfully', dtc);
+    const { data } = result;
 
-  } catch (error) {
-    logger.error('Get DTC by ID error:', error.message);
-    errorResponse(res, 500, 'Failed to retrieve DTC');
-  }
-});
+    logger.info(`DTC updated: ${id} - Status: ${data.status}`);
 
-/**
- * @route   GET /api/dtcs/vehicle/:vehicleId/active
- * @desc    Get active DTCs for a specific vehicle
- * @access  Private
- */
-router.get('/vehicle/:vehicleId/active', authenticateToken, async (req, res) => {
-  try {
-    const { vehicleId } = req.params;
-
-    const { data, error } = await supabase
-      .from('vehicle_dtcs')
-      .select('*')
-      .eq('vehicle_id', vehicleId)
-      .eq('status', 'active')
-      .order('impact_level', { ascending: false })
-      .order('occurred_at', { ascending: false });
-
-    if (error) {
-      logger.error('Database error:', error.message);
-      return errorResponse(res, 500, 'Failed to retrieve active DTCs');
-    }
-
-    const dtcCounts = {
-      high: data.filter(dtc => dtc.impact_level === 'high').length,
-      mid: data.filter(dtc => dtc.impact_level === 'mid').length,
-      low: data.filter(dtc => dtc.impact_level === 'low').length
-    };
-
-    successResponse(res, 200, 'Active DTCs retrieved successfully', {
-      dtcs: data,
-      total_active: data.length,
-      impact_breakdown: dtcCounts
-    });
+    const resolved = data.status === 'resolved' && existingDTC.status !== 'resolved';
+    dtcService.emitDtcEvents(req.app.get('io'), data.vehicle_id, [
+      { event: resolved ? 'dtc-resolved' : 'dtc-updated', dtc: data },
+    ]);
 
+    return successResponse(res, 200, 'DTC updated successfully', data);
   } catch (error) {
-    logger.error('Get active DTCs error:', error.message);
-    errorResponse(res, 500, 'Failed to retrieve active DTCs');
+    logger.error('Update DTC error:', error.message);
+    return errorResponse(res, 500, 'Failed to update DTC');
   }
 });
 
 /**
- * @route   GET /api/dtcs/vehicle/:vehicleId/resolved
- * @desc    Get resolved DTCs for a specific vehicle
+ * @route   GET /api/dtcs/:id
+ * @desc    Get DTC by ID, with its freeze frame in the user's units
  * @access  Private
  */
-router.get('/vehicle/:vehicleId/resolved', authenticateToken, async (req, res) => {
-  try {
-    const { vehicleId } = req.params;
-
-    const { data, error } = await supabase
-      .from('vehicle_dtcs')
-      .select('*')
-      .eq('vehicle_id', vehicleId)
-      .eq('status', 'resolved')
-      .order('resolved_at', { ascending: false })
-      .limit(50); // Limit to last 50 resolved DTCs
-
-    if (error) {
-      logger.error('Database error:', error.message);
-      return errorResponse(res, 500, 'Failed to retrieve resolved DTCs');
+router.get(
+  '/:id',
+  authenticateToken,
+  validateRequest(dtcIdSchema, 'params'),
+  validateRequest(getDTCQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { data: dtc, error } = await supabase
+        .from('vehicle_dtcs')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error || !dtc) {
+        return notFoundResponse(res, 'DTC not found');
+      }
+
+      const access = await vehicleAccessService.canAccessVehicle(req.userId, dtc.vehicle_id);
+      if (!access.allowed) {
+        return forbiddenResponse(res, 'You do not have access to this vehicle');
+      }
+
+      const units = await unitPreferenceService.resolveForRequest(req);
+
+      return successResponse(res, 200, 'DTC retrieved successfully', {
+        ...dtc,
+        freeze_frame: dtc.freeze_frame ? convertRecord(dtc.freeze_frame, units) : null,
+      });
+    } catch (error) {
+      logger.error('Get DTC by ID error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve DTC');
     }
-
-    successResponse(res, 200, 'Resolved DTCs retrieved successfully', {
-      dtcs: data,
-      total_resolved: data.length
-    });
-
-  } catch (error) {
-    logger.error('Get resolved DTCs error:', error.message);
-    errorResponse(res, 500, 'Failed to retrieve resolved DTCs');
-  }
-});
-
+  },
+);
 
 /**
  * @route   GET /api/dtcs
@@ -0,0 +1,76 @@
+const express = require('express');
+
+const { logger } = require('../config/logger');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { successResponse, errorResponse } = require('../utils/response');
+const { getDTCAnalyticsQuerySchema } = require('../validators/dtcQuery');
+const { DAY_MS } = require('../utils/time');
+const dtcAnalyticsService = require('../services/dtcAnalyticsService');
+
+const router = express.Router();
+
+// Range analysed when the analytics request has no from_date
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// Longest range analysed in one request, every DTC of the fleet in the range is read
+const ANALYTICS_MAX_DAYS = 92;
+
+/**
+ * @route   GET /api/dtcs/analytics
+ * @desc    Fleet wide DTC analytics: most common codes overall and per brand/model/year,
+ *          mean time to resolution, high impact share and trends
+ * @access  Private (Admin, Moderator)
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin', 'moderator']),
+  validateRequest(getDTCAnalyticsQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const {
+        from_date: fromDate,
+        to_date: toDate,
+        brand,
+        impact_level: impactLevel,
+        group_by: groupBy,
+        timezone,
+        limit,
+      } = req.query;
+
+      const to = toDate ? new Date(toDate) : new Date();
+      const from = fromDate ? new Date(fromDate) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+
+      if (to - from > ANALYTICS_MAX_DAYS * DAY_MS) {
+        return errorResponse(res, 400, `Analytics range cannot exceed ${ANALYTICS_MAX_DAYS} days`);
+      }
+
+      const result = await dtcAnalyticsService.getAnalytics({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        brand,
+        impactLevel,
+        groupBy,
+        timezone,
+        limit,
+      });
+
+      if (!result.success) {
+        return errorResponse(res, 500, result.message);
+      }
+
+      return successResponse(res, 200, 'DTC analytics retrieved successfully', {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        filters: { brand: brand || null, impact_level: impactLevel || null },
+        ...result.data,
+      });
+    } catch (error) {
+      logger.error('Get DTC analytics error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve DTC analytics');
+    }
+  },
+);
+
+module.exports = router;
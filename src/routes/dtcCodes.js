@@ -0,0 +1,46 @@
+const express = require('express');
+
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { successResponse, errorResponse } = require('../utils/response');
+const { dtcCodeSchema } = require('../validators/dtc');
+const { searchDTCCodesQuerySchema } = require('../validators/dtcQuery');
+const { findDtcCode, searchDtcCodes } = require('../config/dtcDictionary');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/dtcs/codes
+ * @desc    Search the DTC code dictionary by code prefix or description
+ * @access  Private
+ */
+router.get('/', authenticateToken, validateRequest(searchDTCCodesQuerySchema, 'query'), (req, res) => {
+  try {
+    const codes = searchDtcCodes(req.query);
+
+    successResponse(res, 200, 'DTC codes retrieved successfully', {
+      codes,
+      total: codes.length,
+    });
+  } catch (error) {
+    logger.error('Search DTC codes error:', error.message);
+    errorResponse(res, 500, 'Failed to search DTC codes');
+  }
+});
+
+/**
+ * @route   GET /api/dtcs/codes/:code
+ * @desc    Look up a DTC code's description, system, typical causes and default impact level
+ * @access  Private
+ */
+router.get('/:code', authenticateToken, validateRequest(dtcCodeSchema, 'params'), (req, res) => {
+  try {
+    successResponse(res, 200, 'DTC code retrieved successfully', findDtcCode(req.params.code));
+  } catch (error) {
+    logger.error('Get DTC code error:', error.message);
+    errorResponse(res, 500, 'Failed to retrieve DTC code');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse,
+} = require('../utils/response');
+const { dtcIdSchema } = require('../validators/dtc');
+const dtcLifecycleService = require('../services/dtcLifecycleService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+// Mounted under /:id/events, the DTC ID comes from the parent route
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/dtcs/:id/events
+ * @desc    Get the event log of a DTC: creation, status changes, edits and notes
+ * @access  Private
+ */
+router.get('/', authenticateToken, validateRequest(dtcIdSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: dtc, error } = await supabase
+      .from('vehicle_dtcs')
+      .select('id, vehicle_id, dtc_code, status')
+      .eq('id', id)
+      .single();
+
+    if (error || !dtc) {
+      return notFoundResponse(res, 'DTC not found');
+    }
+
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, dtc.vehicle_id);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
+    }
+
+    const result = await dtcLifecycleService.getEvents(id);
+
+    if (!result.success) {
+      return errorResponse(res, 500, result.message);
+    }
+
+    return successResponse(res, 200, 'DTC events retrieved successfully', {
+      dtc,
+      events: result.data,
+      total: result.data.length,
+    });
+  } catch (error) {
+    logger.error('Get DTC events error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve DTC events');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { successResponse, errorResponse, forbiddenResponse } = require('../utils/response');
+const { createBulkDTCsSchema } = require('../validators/dtc');
+const dtcService = require('../services/dtcService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/dtcs/bulk
+ * @desc    Submit the codes of one scan, reconciled against the vehicle's active DTCs
+ * @access  Private
+ */
+router.post('/', authenticateToken, validateRequest(createBulkDTCsSchema), async (req, res) => {
+  try {
+    const {
+      vehicle_id: vehicleId,
+      dtcs,
+      scanned_at: scannedAt,
+      auto_resolve: autoResolve,
+    } = req.body;
+
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
+    }
+
+    const result = await dtcService.reconcileScan(vehicleId, {
+      dtcs,
+      scannedAt: scannedAt ? new Date(scannedAt).toISOString() : new Date().toISOString(),
+      autoResolve,
+      actorId: req.userId,
+    });
+
+    if (!result.success) {
+      return errorResponse(res, 500, result.message);
+    }
+
+    const { created, still_present: stillPresent, resolved } = result.data;
+    logger.info(
+      `DTC scan for vehicle ${vehicleId}: ${created.length} new, `
+      + `${stillPresent.length} still present, ${resolved.length} resolved`,
+    );
+
+    dtcService.emitDtcEvents(req.app.get('io'), vehicleId, [
+      ...created.map((dtc) => ({ event: 'dtc-created', dtc })),
+      ...resolved.map((dtc) => ({ event: 'dtc-resolved', dtc })),
+    ]);
+
+    return successResponse(res, 200, 'DTC scan reconciled successfully', {
+      ...result.data,
+      summary: {
+        reported: dtcs.length,
+        created: created.length,
+        still_present: stillPresent.length,
+        resolved: resolved.length,
+      },
+    });
+  } catch (error) {
+    logger.error('Bulk DTC error:', error.message);
+    return errorResponse(res, 500, 'Failed to reconcile scan');
+  }
+});
+
+module.exports = router;
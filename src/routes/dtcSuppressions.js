@@ -0,0 +1,155 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const {
+  successResponse,
+  errorResponse,
+  createdResponse,
+  notFoundResponse,
+  forbiddenResponse,
+} = require('../utils/response');
+const {
+  createDTCSuppressionSchema,
+  getDTCSuppressionsQuerySchema,
+  dtcSuppressionIdSchema,
+} = require('../validators/dtcSuppression');
+const dtcSuppressionService = require('../services/dtcSuppressionService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/dtcs/suppressions
+ * @desc    Snooze a code on a vehicle, or always ignore it on a vehicle, a brand and model or fleet wide
+ * @access  Private (brand/model and fleet wide rules: Admin)
+ */
+router.post('/', authenticateToken, validateRequest(createDTCSuppressionSchema), async (req, res) => {
+  try {
+    const { vehicle_id: vehicleId } = req.body;
+
+    const allowed = vehicleId
+      ? (await vehicleAccessService.canAccessVehicle(req.userId, vehicleId)).allowed
+      : await vehicleAccessService.hasUnrestrictedRole(req.userId);
+
+    if (!allowed) {
+      return forbiddenResponse(res, vehicleId
+        ? 'You do not have access to this vehicle'
+        : 'Only admins can create rules for more than one vehicle');
+    }
+
+    const result = await dtcSuppressionService.createRule(req.body, req.userId);
+
+    if (!result.success) {
+      return errorResponse(res, 500, result.message);
+    }
+
+    logger.info(`DTC ${result.data.action} rule created: ${result.data.dtc_code} by user: ${req.userId}`);
+    return createdResponse(res, 'Suppression rule created successfully', result.data);
+  } catch (error) {
+    logger.error('Create DTC suppression rule error:', error.message);
+    return errorResponse(res, 500, 'Failed to create suppression rule');
+  }
+});
+
+/**
+ * @route   GET /api/dtcs/suppressions
+ * @desc    Get the rules applying to a vehicle, or the rules the user created (every rule for admins)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  validateRequest(getDTCSuppressionsQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const { vehicle_id: vehicleId, include_expired: includeExpired } = req.query;
+      let rules;
+
+      if (vehicleId) {
+        const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+        if (!access.allowed) {
+          return forbiddenResponse(res, 'You do not have access to this vehicle');
+        }
+
+        const { data: vehicle } = await supabase
+          .from('vehicles')
+          .select('id, brand, model')
+          .eq('id', vehicleId)
+          .single();
+
+        const result = await dtcSuppressionService.getVehicleRules(vehicle);
+        if (!result.success) {
+          return errorResponse(res, 500, result.message);
+        }
+        rules = await dtcSuppressionService.withStatus(vehicleId, result.data);
+      } else {
+        const unrestricted = await vehicleAccessService.hasUnrestrictedRole(req.userId);
+        const result = await dtcSuppressionService.getUserRules(req.userId, unrestricted);
+        if (!result.success) {
+          return errorResponse(res, 500, result.message);
+        }
+        // Ignition cycles are counted per vehicle, only the expiry time is known here
+        rules = result.data.map((rule) => ({
+          ...rule,
+          active: !rule.expires_at || new Date(rule.expires_at) > new Date(),
+        }));
+      }
+
+      const listed = includeExpired ? rules : rules.filter((rule) => rule.active);
+
+      return successResponse(res, 200, 'Suppression rules retrieved successfully', {
+        rules: listed,
+        total: listed.length,
+      });
+    } catch (error) {
+      logger.error('Get DTC suppression rules error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve suppression rules');
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/dtcs/suppressions/:ruleId
+ * @desc    Delete a snooze or ignore rule
+ * @access  Private (rule creator or Admin)
+ */
+router.delete(
+  '/:ruleId',
+  authenticateToken,
+  validateRequest(dtcSuppressionIdSchema, 'params'),
+  async (req, res) => {
+    try {
+      const { ruleId } = req.params;
+
+      const { data: rule, error } = await supabase
+        .from('dtc_suppression_rules')
+        .select('id, created_by')
+        .eq('id', ruleId)
+        .single();
+
+      if (error || !rule) {
+        return notFoundResponse(res, 'Suppression rule not found');
+      }
+
+      if (rule.created_by !== req.userId && !(await vehicleAccessService.hasUnrestrictedRole(req.userId))) {
+        return forbiddenResponse(res, 'You can only delete rules you created');
+      }
+
+      const result = await dtcSuppressionService.deleteRule(ruleId);
+
+      if (!result.success) {
+        return errorResponse(res, 500, result.message);
+      }
+
+      return successResponse(res, 200, 'Suppression rule deleted successfully');
+    } catch (error) {
+      logger.error('Delete DTC suppression rule error:', error.message);
+      return errorResponse(res, 500, 'Failed to delete suppression rule');
+    }
+  },
+);
+
+module.exports = router;
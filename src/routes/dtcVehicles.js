@@ -0,0 +1,121 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { successResponse, errorResponse, forbiddenResponse } = require('../utils/response');
+const { vehicleIdSchema } = require('../validators/dtc');
+const { getDTCHistoryQuerySchema } = require('../validators/dtcQuery');
+const dtcService = require('../services/dtcService');
+const dtcHistoryService = require('../services/dtcHistoryService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/dtcs/vehicle/:vehicleId/active
+ * @desc    Get active DTCs for a specific vehicle, including acknowledged ones and ones in repair
+ * @access  Private
+ */
+router.get('/:vehicleId/active', authenticateToken, async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+
+    const result = await dtcService.getActiveDtcs(vehicleId);
+
+    if (!result.success) {
+      return errorResponse(res, 500, result.message);
+    }
+
+    const { dtcs, suppressed, impact_breakdown: impactBreakdown } = result.data;
+
+    return successResponse(res, 200, 'Active DTCs retrieved successfully', {
+      dtcs,
+      total_active: dtcs.length,
+      total_suppressed: suppressed.length,
+      impact_breakdown: impactBreakdown,
+    });
+  } catch (error) {
+    logger.error('Get active DTCs error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve active DTCs');
+  }
+});
+
+/**
+ * @route   GET /api/dtcs/vehicle/:vehicleId/history
+ * @desc    Get the fault timeline of a vehicle, with recurrences after resolution flagged
+ * @access  Private
+ */
+router.get(
+  '/:vehicleId/history',
+  authenticateToken,
+  validateRequest(vehicleIdSchema, 'params'),
+  validateRequest(getDTCHistoryQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const { vehicleId } = req.params;
+      const {
+        from_date: fromDate,
+        to_date: toDate,
+        recurrence_days: recurrenceDays,
+        group_by: groupBy,
+      } = req.query;
+
+      const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+      if (!access.allowed) {
+        return forbiddenResponse(res, 'You do not have access to this vehicle');
+      }
+
+      const result = await dtcHistoryService.getHistory(vehicleId, {
+        from: fromDate ? new Date(fromDate).toISOString() : undefined,
+        to: toDate ? new Date(toDate).toISOString() : undefined,
+        recurrenceDays,
+        groupBy,
+      });
+
+      if (!result.success) {
+        return errorResponse(res, 500, result.message);
+      }
+
+      return successResponse(res, 200, 'DTC history retrieved successfully', result.data);
+    } catch (error) {
+      logger.error('Get DTC history error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve DTC history');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/dtcs/vehicle/:vehicleId/resolved
+ * @desc    Get resolved DTCs for a specific vehicle
+ * @access  Private
+ */
+router.get('/:vehicleId/resolved', authenticateToken, async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+
+    const { data, error } = await supabase
+      .from('vehicle_dtcs')
+      .select('*')
+      .eq('vehicle_id', vehicleId)
+      .eq('status', 'resolved')
+      .order('resolved_at', { ascending: false })
+      .limit(50); // Limit to last 50 resolved DTCs
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve resolved DTCs');
+    }
+
+    return successResponse(res, 200, 'Resolved DTCs retrieved successfully', {
+      dtcs: data,
+      total_resolved: data.length,
+    });
+  } catch (error) {
+    logger.error('Get resolved DTCs error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve resolved DTCs');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const {
+  errorResponse,
+  forbiddenResponse,
+  paginatedResponse,
+} = require('../utils/response');
+const { getGeofenceEventsQuerySchema } = require('../validators/geofence');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/geofences/events
+ * @desc    List enter/exit events of a vehicle, newest first
+ * @access  Private
+ */
+router.get('/', authenticateToken, validateRequest(getGeofenceEventsQuerySchema, 'query'), async (req, res) => {
+  try {
+    const {
+      vehicle_id: vehicleId,
+      geofence_id: geofenceId,
+      event,
+      from_date: fromDate,
+      to_date: toDate,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
+    }
+
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('geofence_events')
+      .select('*, geofences(name, type)', { count: 'exact' })
+      .eq('vehicle_id', vehicleId);
+
+    if (geofenceId) query = query.eq('geofence_id', geofenceId);
+    if (event) query = query.eq('event', event);
+    if (fromDate) query = query.gte('occurred_at', new Date(fromDate).toISOString());
+    if (toDate) query = query.lte('occurred_at', new Date(toDate).toISOString());
+
+    const { data, error, count } = await query
+      .order('occurred_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve geofence events');
+    }
+
+    return paginatedResponse(
+      res,
+      'Geofence events retrieved successfully',
+      data,
+      page,
+      limit,
+      count,
+      Math.ceil(count / limit),
+    );
+  } catch (error) {
+    logger.error('Get geofence events error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve geofence events');
+  }
+});
+
+module.exports = router;
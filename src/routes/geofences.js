@@ -0,0 +1,295 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest, validateData } = require('../utils/validation');
+const {
+  successResponse,
+  errorResponse,
+  createdResponse,
+  notFoundResponse,
+  forbiddenResponse,
+} = require('../utils/response');
+const {
+  createGeofenceSchema,
+  updateGeofenceSchema,
+  getGeofencesQuerySchema,
+  geofenceIdSchema,
+} = require('../validators/geofence');
+const geofenceService = require('../services/geofenceService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const geofenceEventRoutes = require('./geofenceEvents');
+
+const router = express.Router();
+
+/**
+ * Check that the user may access every vehicle a geofence watches
+ * @param {string} userId - Authenticated user ID
+ * @param {Array<string>} vehicleIds - Watched vehicle IDs
+ * @returns {string|null} - Denial message, null when allowed
+ */
+const checkGeofenceAccess = async (userId, vehicleIds) => {
+  const results = await Promise.all(
+    vehicleIds.map((vehicleId) => vehicleAccessService.canAccessVehicle(userId, vehicleId)),
+  );
+  return results.every((access) => access.allowed) ? null : 'You do not have access to this vehicle';
+};
+
+/**
+ * Shape fields of a geofence for its type, the other type's fields are cleared
+ * @param {Object} geofence - Validated geofence
+ * @returns {Object} - { center, radius_meters, polygon }
+ */
+const shapeColumns = (geofence) => (geofence.type === 'circle'
+  ? { center: geofence.center, radius_meters: geofence.radius_meters, polygon: null }
+  : { center: null, radius_meters: null, polygon: geofence.polygon });
+
+/**
+ * Apply an update to a stored geofence, keeping the stored value of every field the update leaves out
+ * @param {Object} geofence - Stored geofence
+ * @param {Object} changes - Validated update
+ * @returns {Object} - Merged geofence, with the shape fields of its type only
+ */
+const mergeGeofence = (geofence, changes) => {
+  const merged = { ...geofence, ...changes };
+  const shapeFields = merged.type === 'circle' ? ['center', 'radius_meters'] : ['polygon'];
+
+  return Object.fromEntries(['name', 'type', 'vehicle_ids', 'enabled', ...shapeFields]
+    .filter((field) => merged[field] !== null && merged[field] !== undefined)
+    .map((field) => [field, merged[field]]));
+};
+
+// Geofence events, mounted before /:id
+router.use('/events', geofenceEventRoutes);
+
+/**
+ * @route   POST /api/geofences
+ * @desc    Create a circle or polygon geofence for one or more vehicles
+ * @access  Private
+ */
+router.post('/', authenticateToken, validateRequest(createGeofenceSchema), async (req, res) => {
+  try {
+    const denied = await checkGeofenceAccess(req.userId, req.body.vehicle_ids);
+    if (denied) {
+      return forbiddenResponse(res, denied);
+    }
+
+    const { data, error } = await supabase
+      .from('geofences')
+      .insert([{
+        name: req.body.name,
+        type: req.body.type,
+        ...shapeColumns(req.body),
+        vehicle_ids: req.body.vehicle_ids,
+        enabled: req.body.enabled,
+        created_by: req.userId,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error:', error);
+      return errorResponse(res, 500, 'Failed to create geofence');
+    }
+
+    geofenceService.invalidateGeofences();
+
+    logger.info(`Geofence created: ${data.id} (${data.vehicle_ids.length} vehicles)`);
+    return createdResponse(res, 'Geofence created successfully', data);
+  } catch (error) {
+    logger.error('Create geofence error:', error.message);
+    return errorResponse(res, 500, 'Failed to create geofence');
+  }
+});
+
+/**
+ * @route   GET /api/geofences
+ * @desc    List geofences watching a vehicle, or the user's own geofences
+ * @access  Private
+ */
+router.get('/', authenticateToken, validateRequest(getGeofencesQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { vehicle_id: vehicleId, enabled } = req.query;
+
+    let query = supabase
+      .from('geofences')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (vehicleId) {
+      const denied = await checkGeofenceAccess(req.userId, [vehicleId]);
+      if (denied) {
+        return forbiddenResponse(res, denied);
+      }
+      query = query.contains('vehicle_ids', [vehicleId]);
+    } else {
+      query = query.eq('created_by', req.userId);
+    }
+
+    if (enabled !== undefined) {
+      query = query.eq('enabled', enabled);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve geofences');
+    }
+
+    return successResponse(res, 200, 'Geofences retrieved successfully', data);
+  } catch (error) {
+    logger.error('Get geofences error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve geofences');
+  }
+});
+
+/**
+ * @route   GET /api/geofences/:id
+ * @desc    Get geofence by ID
+ * @access  Private
+ */
+router.get('/:id', authenticateToken, validateRequest(geofenceIdSchema, 'params'), async (req, res) => {
+  try {
+    const { data: geofence, error } = await supabase
+      .from('geofences')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !geofence) {
+      return notFoundResponse(res, 'Geofence not found');
+    }
+
+    const denied = await checkGeofenceAccess(req.userId, geofence.vehicle_ids);
+    if (denied) {
+      return forbiddenResponse(res, denied);
+    }
+
+    return successResponse(res, 200, 'Geofence retrieved successfully', geofence);
+  } catch (error) {
+    logger.error('Get geofence by ID error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve geofence');
+  }
+});
+
+/**
+ * @route   PUT /api/geofences/:id
+ * @desc    Update a geofence
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  validateRequest(geofenceIdSchema, 'params'),
+  validateRequest(updateGeofenceSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { data: existingGeofence, error: fetchError } = await supabase
+        .from('geofences')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (fetchError || !existingGeofence) {
+        return notFoundResponse(res, 'Geofence not found');
+      }
+
+      // The merged geofence must still be a valid circle or polygon
+      const validation = validateData(createGeofenceSchema, mergeGeofence(existingGeofence, req.body));
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        });
+      }
+
+      // Must have access to the vehicles watched now and the ones it will watch
+      const targets = [...new Set([...existingGeofence.vehicle_ids, ...validation.data.vehicle_ids])];
+      const denied = await checkGeofenceAccess(req.userId, targets);
+      if (denied) {
+        return forbiddenResponse(res, denied);
+      }
+
+      const { data, error } = await supabase
+        .from('geofences')
+        .update({
+          name: validation.data.name,
+          type: validation.data.type,
+          ...shapeColumns(validation.data),
+          vehicle_ids: validation.data.vehicle_ids,
+          enabled: validation.data.enabled,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Database error:', error.message);
+        return errorResponse(res, 500, 'Failed to update geofence');
+      }
+
+      geofenceService.invalidateGeofences();
+
+      logger.info(`Geofence updated: ${id}`);
+      return successResponse(res, 200, 'Geofence updated successfully', data);
+    } catch (error) {
+      logger.error('Update geofence error:', error.message);
+      return errorResponse(res, 500, 'Failed to update geofence');
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/geofences/:id
+ * @desc    Delete a geofence and its events
+ * @access  Private
+ */
+router.delete('/:id', authenticateToken, validateRequest(geofenceIdSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingGeofence, error: fetchError } = await supabase
+      .from('geofences')
+      .select('id, vehicle_ids')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existingGeofence) {
+      return notFoundResponse(res, 'Geofence not found');
+    }
+
+    const denied = await checkGeofenceAccess(req.userId, existingGeofence.vehicle_ids);
+    if (denied) {
+      return forbiddenResponse(res, denied);
+    }
+
+    const { error } = await supabase
+      .from('geofences')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      logger.error('Database error:', error.message);
+      return errorResponse(res, 500, 'Failed to delete geofence');
+    }
+
+    geofenceService.invalidateGeofences();
+
+    logger.info(`Geofence deleted: ${id}`);
+    return successResponse(res, 200, 'Geofence deleted successfully');
+  } catch (error) {
+    logger.error('Delete geofence error:', error.message);
+    return errorResponse(res, 500, 'Failed to delete geofence');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,4 @@
 const express = require('express');
-const WebSocket = require('ws');
-const { supabase } = require('../config/supabase');
 const { logger } = require('../config/logger');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { validateRequest } = require('../utils/validation');
@@ -8,86 +6,74 @@ const {
   successResponse,
   errorResponse,
   createdResponse,
-  notFoundResponse,
+  forbiddenResponse,
   paginatedResponse
 } = require('../utils/response');
 const {
   createPerformanceDataSchema,
-  createBulkPerformanceDataSchema,
-  aggregatedDataQuerySchema,
   performanceDataIdSchema,
 } = require('../validators/performanceData');
+const {
+  aggregatedDataQuerySchema,
+  performanceDataQuerySchema,
+} = require('../validators/performanceDataQuery');
 const { removeNulls } = require('../utils/utils');
+const telemetryService = require('../services/telemetryService');
+const aggregationService = require('../services/aggregationService');
+const timeSeriesService = require('../services/timeSeriesService');
+const telemetryTierService = require('../services/telemetryTierService');
+const unitPreferenceService = require('../services/unitPreferenceService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+const { TELEMETRY_FIELDS, METRIC_ALIASES, AGGREGATION_STATS } = require('../config/telemetry');
+const { resolveDateRange } = require('../utils/dateRange');
+const { parseResolution } = require('../utils/downsample');
+const { idempotency } = require('../middleware/idempotency');
+const { convertRecord, convertAggregate, fieldUnits } = require('../utils/units');
+
+const performanceDataBulkRoutes = require('./performanceDataBulk');
+const performanceDataExportRoutes = require('./performanceDataExport');
 
 const router = express.Router();
 
+// Batch ingestion
+router.use('/bulk', performanceDataBulkRoutes);
+
+// CSV and NDJSON downloads
+router.use('/:id/export', performanceDataExportRoutes);
+
 /**
  * @route   POST /api/performance-data
  * @desc    Store performance data
  * @access  Private
  */
-router.post('/', validateRequest(createPerformanceDataSchema), async (req, res) => {
+router.post('/', authenticateToken, idempotency, validateRequest(createPerformanceDataSchema), async (req, res) => {
   try {
-    const {
-      vehicle_id,
-      rpm,
-      speed,
-      batteryVoltage,
-      fuelTankLevel,
-      intakeAirTemp,
-      coolantTemp,
-      engineTemp,
-      fuelConsumption,
-    } = req.body;
-
-    const vehicleConnections = req.app.get('vehicleConnections');
-
-    // Prepare data for insertion
-    const performanceData = {
-      vehicle_id,
-      rpm,
-      speed,
-      batteryVoltage,
-      fuelTankLevel,
-      intakeAirTemp,
-      coolantTemp,
-      engineTemp,
-      fuelConsumption,
-    };
-
-    // Insert data into Supabase
-    const { data, error } = await supabase
-      .from('vehicle_performance_data')
-      .insert([performanceData])
-      .select()
-      .single();
-
-    if (error) {
-      logger.error('Database error:', error);
-      return errorResponse(res, 500, 'Failed to store performance data');
+    const { vehicle_id: vehicleId } = req.body;
+
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
     }
 
-    logger.info(`Performance data stored for vehicle: ${vehicle_id}`);
-    createdResponse(res, 'Performance data stored successfully', data); 
+    const result = await telemetryService.storeSample(req.body);
 
+    if (!result.success) {
+      return errorResponse(res, 500, result.message);
+    }
 
-    const connections = vehicleConnections.get(vehicle_id);
-    if (connections && connections.size > 0) {
-      const message = JSON.stringify({
-        timestamp: new Date().toISOString(),
-        ...performanceData,
-      });
+    const { data } = result;
 
-      connections.forEach(ws => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(message);
-        }
-      });
+    // Retried sample, acknowledge without storing it again
+    if (result.duplicate) {
+      logger.info(`Duplicate performance data ignored for vehicle: ${vehicleId}`);
+      return successResponse(res, 200, 'Performance data already stored', data);
     }
 
+    logger.info(`Performance data stored for vehicle: ${vehicleId}`);
+    return createdResponse(res, 'Performance data stored successfully', data);
   } catch (error) {
     logger.error('Store performance data error:', error.message);
-    errorResponse(res, 500, 'Failed to store performance data');
+    return errorResponse(res, 500, 'Failed to store performance data');
   }
 });
 
@@ -99,221 +85,201 @@ router.post('/', validateRequest(createPerformanceDataSchema), async (req, res)
 router.get('/aggregated', authenticateToken, validateRequest(aggregatedDataQuerySchema, 'query'), async (req, res) => {
   try {
     const {
-      vehicle_id,
-      from_date,
-      to_date,
-      group_by,
-      metrics = ['rpm', 'speed', 'temperature'],
-      aggregation_type = 'all'
+      vehicle_id: vehicleId,
+      from_date: fromDate,
+      to_date: toDate,
+      group_by: groupBy = 'day',
+      metrics = ['rpm', 'speed', 'coolantTemp'],
+      aggregation_type: aggregationType = ['all'],
+      timezone = 'UTC',
     } = req.query;
 
-    // Build aggregation query based on group_by parameter
-    let dateFormat;
-    switch (group_by) {
-      case 'hour':
-        dateFormat = 'YYYY-MM-DD HH24:00:00';
-        break;
-      case 'day':
-        dateFormat = 'YYYY-MM-DD';
-        break;
-      case 'week':
-        dateFormat = 'YYYY-"W"WW';
-        break;
-      case 'month':
-        dateFormat = 'YYYY-MM';
-        break;
-      default:
-        dateFormat = 'YYYY-MM-DD';
-    }
-
-    // Build the aggregation query
-    let query = `
-      SELECT 
-        to_char(timestamp, '${dateFormat}') as period,
-        AVG(rpm)::INTEGER as avg_rpm,
-        AVG(speed_kmh)::NUMERIC(5,2) as avg_speed,
-        AVG(coolant_temperature_celsius)::NUMERIC(5,2) as avg_temperature,
-        MAX(rpm) as max_rpm,
-        MAX(speed_kmh) as max_speed,
-        MAX(coolant_temperature_celsius) as max_temperature,
-        MIN(rpm) as min_rpm,
-        MIN(speed_kmh) as min_speed,
-        MIN(coolant_temperature_celsius) as min_temperature,
-        COUNT(*) as data_points
-      FROM vehicle_performance_data
-      WHERE 1=1
-    `;
-
-    const queryParams = [];
-    let paramIndex = 1;
-
-    if (vehicle_id) {
-      query += ` AND vehicle_id = $${paramIndex}`;
-      queryParams.push(vehicle_id);
-      paramIndex++;
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, vehicleId);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
     }
 
-    if (from_date) {
-      query += ` AND timestamp >= $${paramIndex}`;
-      queryParams.push(from_date);
-      paramIndex++;
-    }
-
-    if (to_date) {
-      query += ` AND timestamp <= $${paramIndex}`;
-      queryParams.push(to_date);
-      paramIndex++;
-    }
-
-    query += ` GROUP BY period ORDER BY period`;
-
-    // Execute raw SQL query
-    const { data, error } = await supabase.rpc('execute_sql', {
-      query: query,
-      params: queryParams
+    // Resolve legacy aliases (temperature -> coolantTemp) and drop repeats
+    const resolvedMetrics = [...new Set(metrics.map((metric) => METRIC_ALIASES[metric] || metric))];
+    const stats = aggregationType.includes('all') ? AGGREGATION_STATS : aggregationType;
+
+    const result = await aggregationService.aggregate({
+      vehicleId,
+      from: fromDate && new Date(fromDate).toISOString(),
+      to: toDate && new Date(toDate).toISOString(),
+      groupBy,
+      metrics: resolvedMetrics,
+      stats,
+      timezone,
     });
 
-    if (error) {
-      logger.error('Database error:', error.message);
+    if (!result.success) {
       return errorResponse(res, 500, 'Failed to retrieve aggregated data');
     }
 
-    successResponse(res, 200, 'Aggregated data retrieved successfully', {
-      aggregated_data: data || [],
-      group_by: group_by,
-      metrics: metrics,
-      aggregation_type: aggregation_type,
-      total_periods: data?.length || 0
+    const units = await unitPreferenceService.resolveForRequest(req);
+
+    return successResponse(res, 200, 'Aggregated data retrieved successfully', {
+      aggregated_data: result.data.map((period) => convertAggregate(period, units)),
+      group_by: groupBy,
+      metrics: resolvedMetrics,
+      aggregation_type: stats,
+      timezone,
+      units,
+      field_units: fieldUnits(units),
+      total_periods: result.data.length,
     });
-
   } catch (error) {
     logger.error('Get aggregated data error:', error.message);
-    errorResponse(res, 500, 'Failed to retrieve aggregated data');
+    return errorResponse(res, 500, 'Failed to retrieve aggregated data');
   }
 });
 
 
 /**
- * @route   GET /api/performance-data/:id
- * @desc    Get performance data by ID with date filtering
- * @access  Private
+ * Metadata about the query of GET /:id
+ * @param {Object} query - Validated query
+ * @param {string} units - Unit system of the response
+ * @returns {Object} - Response metadata
  */
-router.get('/:id', authenticateToken, validateRequest(performanceDataIdSchema, 'params'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { filterType, date, fromDate, toDate } = req.query;
-
-    // Build the base query
-    let query = supabase
-      .from('vehicle_performance_data')
-      .select('*')
-      .eq('vehicle_id', id)
-      .order('timestamp', { ascending: true });
-
-    // Apply date filtering based on filterType
-    if (filterType === 'day') {
-      // Filter for specific day
-      const targetDate = date || new Date().toISOString().split('T')[0];
-      const startOfDay = `${targetDate}T00:00:00.000Z`;
-      const endOfDay = `${targetDate}T23:59:59.999Z`;
-
-      query = query
-        .gte('timestamp', startOfDay)
-        .lte('timestamp', endOfDay);
-
-    } else if (filterType === 'weekend') {
-      // Filter for specific week
-      let startDate, endDate;
-
-      if (date) {
-        // If specific date is provided, calculate week containing that date
-        const targetDate = new Date(date);
-        const dayOfWeek = targetDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
-
-        // Calculate start of week (Monday)
-        startDate = new Date(targetDate);
-        startDate.setDate(targetDate.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
-        startDate.setHours(0, 0, 0, 0);
-
-        // Calculate end of week (Sunday)
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
-        endDate.setHours(23, 59, 59, 999);
-      } else {
-        // Default to current week
-        const now = new Date();
-        const dayOfWeek = now.getDay();
-
-        startDate = new Date(now);
-        startDate.setDate(now.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
-        startDate.setHours(0, 0, 0, 0);
-
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
-        endDate.setHours(23, 59, 59, 999);
-      }
-
-      query = query
-        .gte('timestamp', startDate.toISOString())
-        .lte('timestamp', endDate.toISOString());
+const describeQuery = (query, units) => {
+  const today = new Date().toISOString().split('T')[0];
+
+  return {
+    filterType: query.filterType || 'day',
+    dateRange: {
+      from: query.fromDate || query.date || today,
+      to: query.toDate || query.date || today,
+    },
+    units,
+    fieldUnits: fieldUnits(units),
+  };
+};
 
-    } else if (filterType === 'range' || filterType === 'week') {
-      // Filter for date range
-      if (!fromDate || !toDate) {
-        return errorResponse(res, 400, 'fromDate and toDate are required for range filtering');
-      }
+/**
+ * Send the downsampled series of GET /:id
+ * @param {Object} res - Express response
+ * @param {Object} query - Validated query, `points` and/or `resolution` set
+ * @param {Object} context - { vehicleId, range, units, metadata }
+ * @returns {Object} - Express response
+ */
+const sendDownsampled = async (res, query, {
+  vehicleId, range, units, metadata,
+}) => {
+  const { points, resolution, metrics = TELEMETRY_FIELDS } = query;
+  const method = query.method || (resolution ? 'avg' : 'lttb');
+
+  if (method === 'lttb' && !points) {
+    return errorResponse(res, 400, 'points is required for lttb downsampling');
+  }
 
-      const startOfFromDate = `${fromDate}T00:00:00.000Z`;
-      const endOfToDate = `${toDate}T23:59:59.999Z`;
+  const result = await timeSeriesService.getDownsampled({
+    vehicleId,
+    from: range.from,
+    to: range.to,
+    metrics,
+    points,
+    resolutionMs: parseResolution(resolution),
+    method,
+  });
+
+  if (!result.success) {
+    return errorResponse(res, 500, 'Failed to retrieve performance data');
+  }
 
-      query = query
-        .gte('timestamp', startOfFromDate)
-        .lte('timestamp', endOfToDate);
+  const downsampled = result.data.map((record) => convertRecord(record, units));
 
-    } else {
-      // Default: return today's data
-      const today = new Date().toISOString().split('T')[0];
-      const startOfDay = `${today}T00:00:00.000Z`;
-      const endOfDay = `${today}T23:59:59.999Z`;
+  return successResponse(res, 200, 'Performance data retrieved successfully', downsampled, {
+    ...metadata,
+    totalRecords: result.data.length,
+    downsampling: result.meta,
+  });
+};
 
-      query = query
-        .gte('timestamp', startOfDay)
-        .lte('timestamp', endOfDay);
+/**
+ * Send one cursor page of raw samples for GET /:id
+ * @param {Object} res - Express response
+ * @param {Object} query - Validated query
+ * @param {Object} context - { vehicleId, range, units, metadata }
+ * @returns {Object} - Express response
+ */
+const sendSamplePage = async (res, query, {
+  vehicleId, range, units, metadata,
+}) => {
+  const { cursor, limit = 1000 } = query;
+
+  let pageCursor = null;
+  if (cursor) {
+    pageCursor = telemetryService.decodeCursor(cursor);
+    if (!pageCursor) {
+      return errorResponse(res, 400, 'Invalid cursor');
     }
+  }
 
-    const { data: performanceData, error } = await query;
+  const page = await telemetryTierService.getSamplePage(
+    { vehicleId, from: range.from, to: range.to },
+    ['*'],
+    { cursor: pageCursor, limit },
+  );
 
-    if (error) {
-      logger.error('Database query error:', error.message);
-      return errorResponse(res, 500, 'Failed to retrieve performance data');
-    }
+  if (!page.success) {
+    return errorResponse(res, 500, 'Failed to retrieve performance data');
+  }
 
-    if (!performanceData) {
-      return notFoundResponse(res, 'Performance data not found');
-    }
+  const performanceData = page.data;
+  const filteredData = performanceData.map((record) => convertRecord(removeNulls(record), units));
 
-    const filteredData = performanceData.map(record => removeNulls(record));
+  return successResponse(res, 200, 'Performance data retrieved successfully', filteredData, {
+    ...metadata,
+    totalRecords: filteredData.length,
+    tiers: page.tiers,
+    nextCursor: performanceData.length === limit
+      ? telemetryService.encodeCursor(performanceData[performanceData.length - 1])
+      : null,
+  });
+};
+
+/**
+ * @route   GET /api/performance-data/:id
+ * @desc    Get performance data by ID with date filtering
+ *          Raw rows are paginated with a cursor, `points` or `resolution` return a downsampled series
+ *          Parts of the range past the raw retention window come from the hourly/daily summaries
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  validateRequest(performanceDataIdSchema, 'params'),
+  validateRequest(performanceDataQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { points, resolution } = req.query;
+
+      const access = await vehicleAccessService.canAccessVehicle(req.userId, id);
+      if (!access.allowed) {
+        return forbiddenResponse(res, 'You do not have access to this vehicle');
+      }
 
-    // Add metadata about the query
-    const metadata = {
-      filterType: filterType || 'day',
-      totalRecords: filteredData.length,
-      dateRange: {
-        from: req.query.fromDate || req.query.date || new Date().toISOString().split('T')[0],
-        to: req.query.toDate || req.query.date || new Date().toISOString().split('T')[0]
+      const range = resolveDateRange(req.query);
+      if (range.error) {
+        return errorResponse(res, 400, range.error);
       }
-    };
 
-    successResponse(res, 200, 'Performance data retrieved successfully', filteredData, metadata);
+      const units = await unitPreferenceService.resolveForRequest(req);
 
-  } catch (error) {
-    logger.error('Get performance data by ID error:', error.message);
-    errorResponse(res, 500, 'Failed to retrieve performance data');
-  }
-});
+      const context = {
+        vehicleId: id, range, units, metadata: describeQuery(req.query, units),
+      };
 
+      return points || resolution
+        ? await sendDownsampled(res, req.query, context)
+        : await sendSamplePage(res, req.query, context);
+    } catch (error) {
+      logger.error('Get performance data by ID error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve performance data');
+    }
+  },
+);
 
 module.exports = router;
-
-
-
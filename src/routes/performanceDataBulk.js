@@ -0,0 +1,86 @@
+const express = require('express');
+
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateData, validateRequest } = require('../utils/validation');
+const { errorResponse, createdResponse } = require('../utils/response');
+const { createPerformanceDataSchema, createBulkPerformanceDataSchema } = require('../validators/performanceData');
+const telemetryBulkService = require('../services/telemetryBulkService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/performance-data/bulk
+ * @desc    Store a batch of buffered performance data samples
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticateToken,
+  idempotency,
+  validateRequest(createBulkPerformanceDataSchema),
+  async (req, res) => {
+    try {
+      const { data: entries } = req.body;
+
+      const validEntries = [];
+      const rejected = [];
+
+      entries.forEach((entry, index) => {
+        const result = validateData(createPerformanceDataSchema, entry);
+
+        if (result.success) {
+          validEntries.push({ index, sample: result.data });
+        } else {
+          rejected.push({
+            index,
+            status: 'rejected',
+            message: 'Validation failed',
+            errors: result.errors,
+          });
+        }
+      });
+
+      // Samples for vehicles the user cannot access are rejected, the rest of the batch is stored
+      const vehicleIds = [...new Set(validEntries.map(({ sample }) => sample.vehicle_id))];
+      const accessResults = await Promise.all(
+        vehicleIds.map((vehicleId) => vehicleAccessService.canAccessVehicle(req.userId, vehicleId)),
+      );
+      const allowedVehicles = new Set(vehicleIds.filter((vehicleId, i) => accessResults[i].allowed));
+
+      const accessibleEntries = validEntries.filter(({ index, sample }) => {
+        if (allowedVehicles.has(sample.vehicle_id)) return true;
+        rejected.push({ index, status: 'rejected', message: 'You do not have access to this vehicle' });
+        return false;
+      });
+
+      const stored = await telemetryBulkService.storeBulk(accessibleEntries);
+
+      const results = [...stored, ...rejected].sort((a, b) => a.index - b.index);
+      const acceptedCount = results.filter((result) => result.status === 'accepted').length;
+      const duplicateCount = results.filter((result) => result.status === 'duplicate').length;
+
+      const report = {
+        total: entries.length,
+        accepted: acceptedCount,
+        duplicates: duplicateCount,
+        rejected: entries.length - acceptedCount - duplicateCount,
+        results,
+      };
+
+      if (acceptedCount === 0 && duplicateCount === 0) {
+        return errorResponse(res, 400, 'No performance data entries were stored', null, report);
+      }
+
+      logger.info(`Bulk performance data stored: ${acceptedCount}/${entries.length} entries accepted`);
+      return createdResponse(res, 'Bulk performance data processed', report);
+    } catch (error) {
+      logger.error('Store bulk performance data error:', error.message);
+      return errorResponse(res, 500, 'Failed to store bulk performance data');
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { errorResponse, forbiddenResponse } = require('../utils/response');
+const { performanceDataIdSchema } = require('../validators/performanceData');
+const { exportPerformanceDataQuerySchema } = require('../validators/performanceDataQuery');
+const exportService = require('../services/exportService');
+const unitPreferenceService = require('../services/unitPreferenceService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+const { TELEMETRY_FIELDS } = require('../config/telemetry');
+const { resolveDateRange } = require('../utils/dateRange');
+
+// Mounted under /:id/export, the vehicle ID comes from the parent route
+const router = express.Router({ mergeParams: true });
+
+
+/**
+ * @route   GET /api/performance-data/:id/export
+ * @desc    Stream performance data as a CSV or NDJSON download, using the same date filters as GET /:id
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  validateRequest(performanceDataIdSchema, 'params'),
+  validateRequest(exportPerformanceDataQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { format, columns = TELEMETRY_FIELDS } = req.query;
+
+      const access = await vehicleAccessService.canAccessVehicle(req.userId, id);
+      if (!access.allowed) {
+        return forbiddenResponse(res, 'You do not have access to this vehicle');
+      }
+
+      const range = resolveDateRange(req.query);
+      if (range.error) {
+        return errorResponse(res, 400, range.error);
+      }
+
+      const units = await unitPreferenceService.resolveForRequest(req);
+
+      // A failed export is logged by the service and ends the download with a destroyed response
+      return await exportService.streamExport(res, {
+        vehicleId: id,
+        from: range.from,
+        to: range.to,
+        format,
+        columns,
+        units,
+      });
+    } catch (error) {
+      logger.error('Export performance data error:', error.message);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      return errorResponse(res, 500, 'Failed to export performance data');
+    }
+  },
+);
+
+module.exports = router;
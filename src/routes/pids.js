@@ -0,0 +1,48 @@
+const express = require('express');
+
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+} = require('../utils/response');
+const { PID_CATALOG, findPid, describePid } = require('../config/pidCatalog');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/pids
+ * @desc    List the OBD-II PIDs the backend knows, with their unit, range and decode formula
+ * @access  Private
+ */
+router.get('/', authenticateToken, (req, res) => {
+  try {
+    return successResponse(res, 200, 'PIDs retrieved successfully', PID_CATALOG.map(describePid));
+  } catch (error) {
+    logger.error('Get PIDs error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve PIDs');
+  }
+});
+
+/**
+ * @route   GET /api/pids/:pid
+ * @desc    Get a PID by key (rpm) or mode + PID code (010C)
+ * @access  Private
+ */
+router.get('/:pid', authenticateToken, (req, res) => {
+  try {
+    const entry = findPid(req.params.pid);
+
+    if (!entry) {
+      return notFoundResponse(res, 'PID not found');
+    }
+
+    return successResponse(res, 200, 'PID retrieved successfully', describePid(entry));
+  } catch (error) {
+    logger.error('Get PID error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve PID');
+  }
+});
+
+module.exports = router;
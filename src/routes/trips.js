@@ -0,0 +1,122 @@
+const express = require('express');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse,
+} = require('../utils/response');
+const { removeNulls } = require('../utils/utils');
+const { convertValue } = require('../utils/units');
+const { tripIdSchema, getTripRouteQuerySchema } = require('../validators/trip');
+const tripSampleService = require('../services/tripSampleService');
+const unitPreferenceService = require('../services/unitPreferenceService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+const { TELEMETRY_FIELDS, LOCATION_FIELDS } = require('../config/telemetry');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/trips/:tripId
+ * @desc    Get a trip summary with its samples
+ * @access  Private
+ */
+router.get('/:tripId', authenticateToken, validateRequest(tripIdSchema, 'params'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const { data: trip, error } = await supabase
+      .from('vehicle_trips')
+      .select('*')
+      .eq('id', tripId)
+      .single();
+
+    if (error || !trip) {
+      return notFoundResponse(res, 'Trip not found');
+    }
+
+    const access = await vehicleAccessService.canAccessVehicle(req.userId, trip.vehicle_id);
+    if (!access.allowed) {
+      return forbiddenResponse(res, 'You do not have access to this vehicle');
+    }
+
+    const samples = await tripSampleService.getTripSamples(trip, [...TELEMETRY_FIELDS, ...LOCATION_FIELDS]);
+
+    if (!samples.success) {
+      return errorResponse(res, 500, 'Failed to retrieve trip samples');
+    }
+
+    return successResponse(res, 200, 'Trip retrieved successfully', {
+      ...trip,
+      samples: samples.data.map((sample) => removeNulls(sample)),
+    });
+  } catch (error) {
+    logger.error('Get trip by ID error:', error.message);
+    return errorResponse(res, 500, 'Failed to retrieve trip');
+  }
+});
+
+/**
+ * @route   GET /api/trips/:tripId/route
+ * @desc    Get a trip's route as a simplified polyline with speed/rpm overlays for map playback
+ * @access  Private
+ */
+router.get(
+  '/:tripId/route',
+  authenticateToken,
+  validateRequest(tripIdSchema, 'params'),
+  validateRequest(getTripRouteQuerySchema, 'query'),
+  async (req, res) => {
+    try {
+      const { tripId } = req.params;
+      const { tolerance } = req.query;
+
+      const { data: trip, error } = await supabase
+        .from('vehicle_trips')
+        .select('*')
+        .eq('id', tripId)
+        .single();
+
+      if (error || !trip) {
+        return notFoundResponse(res, 'Trip not found');
+      }
+
+      const access = await vehicleAccessService.canAccessVehicle(req.userId, trip.vehicle_id);
+      if (!access.allowed) {
+        return forbiddenResponse(res, 'You do not have access to this vehicle');
+      }
+
+      const route = await tripSampleService.getTripRoute(trip, tolerance);
+
+      if (!route.success) {
+        return errorResponse(res, 500, 'Failed to build trip route');
+      }
+
+      const units = await unitPreferenceService.resolveForRequest(req);
+
+      return successResponse(res, 200, 'Trip route retrieved successfully', {
+        trip_id: trip.id,
+        vehicle_id: trip.vehicle_id,
+        start_time: trip.start_time,
+        end_time: trip.end_time,
+        distance: convertValue(route.data.distance_km, 'distance', units),
+        recorded_points: route.data.recorded_points,
+        tolerance_meters: tolerance,
+        units,
+        points: route.data.points.map((point) => ({
+          ...point,
+          speed: convertValue(point.speed, 'speed', units),
+        })),
+      });
+    } catch (error) {
+      logger.error('Get trip route error:', error.message);
+      return errorResponse(res, 500, 'Failed to retrieve trip route');
+    }
+  },
+);
+
+module.exports = router;
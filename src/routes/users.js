@@ -17,6 +17,7 @@ const {
   userIdSchema
 } = require('../validators/user');
 const upload = require('../middleware/upload');
+const unitPreferenceService = require('../services/unitPreferenceService');
 
 const router = express.Router();
 
@@ -50,6 +51,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
       location: profile.location,
       website: profile.website,
       socialLinks: profile.social_links,
+      unitSystem: profile.unit_system || 'metric',
+      fuelPricePerLiter: profile.fuel_price_per_liter,
       createdAt: profile.created_at,
       updatedAt: profile.updated_at
     });
@@ -105,6 +108,8 @@ router.put('/profile', authenticateToken, upload.single('avatar'), validateReque
     if (req.body.location) updateData.location = req.body.location;
     if (req.body.website) updateData.website = req.body.website;
     if (req.body.socialLinks) updateData.social_links = req.body.socialLinks;
+    if (req.body.unitSystem) updateData.unit_system = req.body.unitSystem;
+    if (req.body.fuelPricePerLiter !== undefined) updateData.fuel_price_per_liter = req.body.fuelPricePerLiter;
 
     const { data: profile, error } = await supabase
       .from('profiles')
@@ -118,6 +123,8 @@ router.put('/profile', authenticateToken, upload.single('avatar'), validateReque
       return errorResponse(res, 500, 'Failed to update profile');
     }
 
+    unitPreferenceService.invalidate(profile.id);
+
     updatedResponse(res, 'Profile updated successfully', {
       id: profile.id,
       email: profile.email,
@@ -132,6 +139,8 @@ router.put('/profile', authenticateToken, upload.single('avatar'), validateReque
       location: profile.location,
       website: profile.website,
       socialLinks: profile.social_links,
+      unitSystem: profile.unit_system || 'metric',
+      fuelPricePerLiter: profile.fuel_price_per_liter,
       createdAt: profile.created_at,
       updatedAt: profile.updated_at
     });
@@ -338,6 +347,8 @@ router.get('/:id', authenticateToken, requireRole(['admin']), validateRequest(us
       location: profile.location,
       website: profile.website,
       socialLinks: profile.social_links,
+      unitSystem: profile.unit_system || 'metric',
+      fuelPricePerLiter: profile.fuel_price_per_liter,
       createdAt: profile.created_at,
       updatedAt: profile.updated_at
     });
@@ -10,6 +10,7 @@ const {
     errorResponse,
     createdResponse,
     notFoundResponse,
+    forbiddenResponse,
     paginatedResponse
 } = require('../utils/response');
 const {
@@ -17,6 +18,16 @@ const {
     updateVehicleSchema,
     vehicleIdSchema,
 } = require('../validators/vehicle');
+const { getTripsQuerySchema, getDrivingScoreQuerySchema } = require('../validators/trip');
+const { getFuelReportQuerySchema } = require('../validators/fuel');
+const { getAnomaliesQuerySchema } = require('../validators/anomaly');
+const { convertValue, FIELD_QUANTITIES } = require('../utils/units');
+const { DAY_MS } = require('../utils/time');
+const { DTC_OPEN_STATUSES } = require('../config/dtcLifecycle');
+const drivingScoreService = require('../services/drivingScoreService');
+const fuelService = require('../services/fuelService');
+const vehicleAccessService = require('../services/vehicleAccessService');
+const unitPreferenceService = require('../services/unitPreferenceService');
 
 const router = express.Router();
 
@@ -167,7 +178,7 @@ router.delete('/:id', authenticateToken, validateRequest(vehicleIdSchema, 'param
             .from('vehicle_dtcs')
             .select('id')
             .eq('vehicle_id', id)
-            .eq('status', 'active');
+            .in('status', DTC_OPEN_STATUSES);
 
         if (activeDTCs && activeDTCs.length > 0) {
             return errorResponse(res, 400, 'Cannot delete vehicle with active DTCs. Please resolve all DTCs first.');
@@ -247,9 +258,10 @@ router.get('/:id', authenticateToken, validateRequest(vehicleIdSchema, 'params')
 
         const stats = {
             total_dtcs: dtcStats?.length || 0,
-            active_dtcs: dtcStats?.filter(dtc => dtc.status === 'active').length || 0,
-            resolved_dtcs: dtcStats?.filter(dtc => dtc.status === 'resolved').length || 0,
-            high_impact: dtcStats?.filter(dtc => dtc.impact_level === 'high' && dtc.status === 'active').length || 0
+            active_dtcs: dtcStats?.filter((dtc) => DTC_OPEN_STATUSES.includes(dtc.status)).length || 0,
+            resolved_dtcs: dtcStats?.filter((dtc) => dtc.status === 'resolved').length || 0,
+            high_impact: dtcStats
+                ?.filter((dtc) => dtc.impact_level === 'high' && DTC_OPEN_STATUSES.includes(dtc.status)).length || 0,
         };
 
         successResponse(res, 200, 'Vehicle retrieved successfully', {
@@ -292,9 +304,10 @@ router.get('/owner/:id', authenticateToken, validateRequest(vehicleIdSchema, 'pa
 
         const stats = {
             total_dtcs: dtcStats?.length || 0,
-            active_dtcs: dtcStats?.filter(dtc => dtc.status === 'active').length || 0,
-            resolved_dtcs: dtcStats?.filter(dtc => dtc.status === 'resolved').length || 0,
-            high_impact: dtcStats?.filter(dtc => dtc.impact_level === 'high' && dtc.status === 'active').length || 0
+            active_dtcs: dtcStats?.filter((dtc) => DTC_OPEN_STATUSES.includes(dtc.status)).length || 0,
+            resolved_dtcs: dtcStats?.filter((dtc) => dtc.status === 'resolved').length || 0,
+            high_impact: dtcStats
+                ?.filter((dtc) => dtc.impact_level === 'high' && DTC_OPEN_STATUSES.includes(dtc.status)).length || 0,
         };
 
         successResponse(res, 200, 'Vehicle retrieved successfully', {
@@ -308,4 +321,342 @@ router.get('/owner/:id', authenticateToken, validateRequest(vehicleIdSchema, 'pa
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   GET /api/vehicles/:id/trips
+ * @desc    Get trips detected from the vehicle's telemetry
+ * @access  Private
+ */
+router.get(
+    '/:id/trips',
+    authenticateToken,
+    validateRequest(vehicleIdSchema, 'params'),
+    validateRequest(getTripsQuerySchema, 'query'),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const {
+                from_date: fromDate,
+                to_date: toDate,
+                page = 1,
+                limit = 20,
+            } = req.query;
+
+            const access = await vehicleAccessService.canAccessVehicle(req.userId, id);
+            if (!access.allowed) {
+                return forbiddenResponse(res, 'You do not have access to this vehicle');
+            }
+
+            // Trips are detected by the scheduled job (tripDetectionService), only stored trips are listed
+            const offset = (page - 1) * limit;
+
+            let query = supabase
+                .from('vehicle_trips')
+                .select('*', { count: 'exact' })
+                .eq('vehicle_id', id);
+
+            if (fromDate) {
+                query = query.gte('start_time', new Date(fromDate).toISOString());
+            }
+
+            if (toDate) {
+                query = query.lte('start_time', new Date(toDate).toISOString());
+            }
+
+            const { data, error, count } = await query
+                .order('start_time', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (error) {
+                logger.error('Database error:', error.message);
+                return errorResponse(res, 500, 'Failed to retrieve trips');
+            }
+
+            return paginatedResponse(
+                res,
+                'Trips retrieved successfully',
+                data,
+                page,
+                limit,
+                count,
+                Math.ceil(count / limit),
+            );
+        } catch (error) {
+            logger.error('Get vehicle trips error:', error.message);
+            return errorResponse(res, 500, 'Failed to retrieve trips');
+        }
+    },
+);
+
+// Range scored when the request has no from_date
+const DRIVING_SCORE_DEFAULT_DAYS = 84;
+
+/**
+ * @route   GET /api/vehicles/:id/driving-score
+ * @desc    Get the driving behaviour score of a vehicle with its breakdown, per-trip and weekly scores and trend
+ * @access  Private
+ */
+router.get(
+    '/:id/driving-score',
+    authenticateToken,
+    validateRequest(vehicleIdSchema, 'params'),
+    validateRequest(getDrivingScoreQuerySchema, 'query'),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { from_date: fromDate, to_date: toDate, timezone } = req.query;
+
+            const access = await vehicleAccessService.canAccessVehicle(req.userId, id);
+            if (!access.allowed) {
+                return forbiddenResponse(res, 'You do not have access to this vehicle');
+            }
+
+            // Trips are scored when the scheduled job detects them, the score covers the stored trips
+            const to = toDate ? new Date(toDate) : new Date();
+            const from = fromDate ? new Date(fromDate) : new Date(to.getTime() - DRIVING_SCORE_DEFAULT_DAYS * DAY_MS);
+
+            const result = await drivingScoreService.getDrivingScore(id, {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                timezone,
+            });
+
+            if (!result.success) {
+                return errorResponse(res, 500, 'Failed to compute driving score');
+            }
+
+            const units = await unitPreferenceService.resolveForRequest(req);
+            const {
+                distance_km: distanceKm,
+                weeks,
+                trips,
+                ...score
+            } = result.data;
+
+            return successResponse(res, 200, 'Driving score retrieved successfully', {
+                vehicle_id: id,
+                from: from.toISOString(),
+                to: to.toISOString(),
+                timezone,
+                units,
+                ...score,
+                distance: convertValue(distanceKm, 'distance', units),
+                weeks: weeks.map(({ distance_km: weekDistance, ...week }) => ({
+                    ...week,
+                    distance: convertValue(weekDistance, 'distance', units),
+                })),
+                trips: trips.map(({ distance_km: tripDistance, ...trip }) => ({
+                    ...trip,
+                    distance: convertValue(tripDistance, 'distance', units),
+                })),
+            });
+        } catch (error) {
+            logger.error('Get driving score error:', error.message);
+            return errorResponse(res, 500, 'Failed to retrieve driving score');
+        }
+    },
+);
+
+// Range reported when the request has no from_date
+const FUEL_REPORT_DEFAULT_DAYS = 30;
+
+/**
+ * Convert a metric fuel summary to a unit system
+ * @param {Object} summary - { distance_km, fuel_used_liters, economy_l_per_100km, ... }
+ * @param {string} units - metric or imperial
+ * @returns {Object} - Summary with distance, fuel_used and economy in the unit system
+ */
+const convertFuelSummary = ({
+    distance_km: distanceKm,
+    fuel_used_liters: fuelUsedLiters,
+    economy_l_per_100km: economyLPer100km,
+    ...rest
+}, units) => ({
+    ...rest,
+    distance: convertValue(distanceKm, 'distance', units),
+    fuel_used: convertValue(fuelUsedLiters, 'volume', units),
+    economy: convertValue(economyLPer100km, 'fuelEconomy', units),
+});
+
+/**
+ * Fuel price a user saved in their profile
+ * @param {string} userId - User ID
+ * @returns {number|null} - Price per liter, null when not set
+ */
+const getFuelPrice = async (userId) => {
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('fuel_price_per_liter')
+        .eq('id', userId)
+        .maybeSingle();
+
+    return profile && profile.fuel_price_per_liter !== null ? Number(profile.fuel_price_per_liter) : null;
+};
+
+/**
+ * @route   GET /api/vehicles/:id/fuel
+ * @desc    Get fuel economy per trip, day and month, refuels and fuel cost compared with the vehicle's baseline
+ * @access  Private
+ */
+router.get(
+    '/:id/fuel',
+    authenticateToken,
+    validateRequest(vehicleIdSchema, 'params'),
+    validateRequest(getFuelReportQuerySchema, 'query'),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const {
+                from_date: fromDate,
+                to_date: toDate,
+                timezone,
+                price_per_liter: requestedPrice,
+            } = req.query;
+
+            const access = await vehicleAccessService.canAccessVehicle(req.userId, id);
+            if (!access.allowed) {
+                return forbiddenResponse(res, 'You do not have access to this vehicle');
+            }
+
+            // Fuel use is measured per trip, the report covers the trips the scheduled job stored
+            const pricePerLiter = requestedPrice ?? await getFuelPrice(req.userId);
+
+            const to = toDate ? new Date(toDate) : new Date();
+            const from = fromDate ? new Date(fromDate) : new Date(to.getTime() - FUEL_REPORT_DEFAULT_DAYS * DAY_MS);
+
+            const result = await fuelService.getFuelReport(id, {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                timezone,
+                pricePerLiter,
+            });
+
+            if (!result.success) {
+                return errorResponse(res, 500, 'Failed to compute fuel report');
+            }
+
+            const units = await unitPreferenceService.resolveForRequest(req);
+            const report = result.data;
+
+            return successResponse(res, 200, 'Fuel report retrieved successfully', {
+                vehicle_id: id,
+                from: from.toISOString(),
+                to: to.toISOString(),
+                timezone,
+                units,
+                price_per_liter: report.price_per_liter,
+                summary: convertFuelSummary(report.summary, units),
+                baseline: convertFuelSummary(report.baseline, units),
+                trips: report.trips.map((trip) => convertFuelSummary(trip, units)),
+                daily: report.daily.map((period) => convertFuelSummary(period, units)),
+                monthly: report.monthly.map((period) => convertFuelSummary(period, units)),
+                refuels: report.refuels,
+            });
+        } catch (error) {
+            logger.error('Get fuel report error:', error.message);
+            return errorResponse(res, 500, 'Failed to retrieve fuel report');
+        }
+    },
+);
+
+/**
+ * Convert the readings of an anomaly to a unit system
+ * The standard deviation is a spread, it is scaled without the offset some conversions apply
+ * @param {Object} anomaly - vehicle_anomalies row
+ * @param {string} units - metric or imperial
+ * @returns {Object} - Converted copy of the anomaly
+ */
+const convertAnomaly = (anomaly, units) => {
+    const quantity = FIELD_QUANTITIES[anomaly.metric];
+    if (!quantity || units === 'metric') return anomaly;
+
+    const mean = convertValue(anomaly.expected_mean, quantity, units);
+    const upper = convertValue(anomaly.expected_mean + anomaly.expected_stddev, quantity, units);
+
+    return {
+        ...anomaly,
+        value: convertValue(anomaly.value, quantity, units),
+        peak_value: convertValue(anomaly.peak_value, quantity, units),
+        expected_mean: mean,
+        expected_stddev: Math.round(Math.abs(upper - mean) * 100) / 100,
+    };
+};
+
+/**
+ * @route   GET /api/vehicles/:id/anomalies
+ * @desc    List readings that deviated from the vehicle's learned baseline for the same rpm band
+ * @access  Private
+ */
+router.get(
+    '/:id/anomalies',
+    authenticateToken,
+    validateRequest(vehicleIdSchema, 'params'),
+    validateRequest(getAnomaliesQuerySchema, 'query'),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const {
+                metric,
+                status,
+                from_date: fromDate,
+                to_date: toDate,
+                page = 1,
+                limit = 20,
+            } = req.query;
+
+            const access = await vehicleAccessService.canAccessVehicle(req.userId, id);
+            if (!access.allowed) {
+                return forbiddenResponse(res, 'You do not have access to this vehicle');
+            }
+
+            const offset = (page - 1) * limit;
+
+            let query = supabase
+                .from('vehicle_anomalies')
+                .select('*', { count: 'exact' })
+                .eq('vehicle_id', id);
+
+            if (metric) {
+                query = query.eq('metric', metric);
+            }
+
+            if (status) {
+                query = query.eq('status', status);
+            }
+
+            if (fromDate) {
+                query = query.gte('started_at', new Date(fromDate).toISOString());
+            }
+
+            if (toDate) {
+                query = query.lte('started_at', new Date(toDate).toISOString());
+            }
+
+            const { data, error, count } = await query
+                .order('started_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (error) {
+                logger.error('Database error:', error.message);
+                return errorResponse(res, 500, 'Failed to retrieve anomalies');
+            }
+
+            const units = await unitPreferenceService.resolveForRequest(req);
+            const anomalies = data.map((anomaly) => convertAnomaly(anomaly, units));
+
+            return paginatedResponse(
+                res,
+                'Anomalies retrieved successfully',
+                anomalies,
+                page,
+                limit,
+                count,
+                Math.ceil(count / limit),
+            );
+        } catch (error) {
+            logger.error('Get vehicle anomalies error:', error.message);
+            return errorResponse(res, 500, 'Failed to retrieve anomalies');
+        }
+    },
+);
+
+module.exports = router;
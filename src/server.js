@@ -32,8 +32,24 @@ const uploadRoutes = require('./routes/upload');
 const dataRoutes = require('./routes/performanceData');
 const dtcRoutes = require('./routes/dtc');
 const vehicleRoutes = require('./routes/vehicle')
+const tripRoutes = require('./routes/trips');
+const alertRoutes = require('./routes/alerts');
+const geofenceRoutes = require('./routes/geofences');
+const pidRoutes = require('./routes/pids');
 const healthRoutes = require('./routes/health');
-const { supabase } = require('./config/supabase');
+const { validateData } = require('./utils/validation');
+const { createPerformanceDataSchema, vehicleIdSchema } = require('./validators/performanceData');
+const telemetryService = require('./services/telemetryService');
+const socketAccessService = require('./services/socketAccessService');
+const liveTelemetryService = require('./services/liveTelemetryService');
+const alertService = require('./services/alertService');
+const geofenceService = require('./services/geofenceService');
+const anomalyService = require('./services/anomalyService');
+const unitPreferenceService = require('./services/unitPreferenceService');
+const retentionService = require('./services/retentionService');
+const tripDetectionService = require('./services/tripDetectionService');
+const { authenticateSocket } = require('./middleware/auth');
+const { scheduleJob } = require('./utils/scheduler');
 
 
 const app = express();
@@ -72,32 +88,67 @@ const io = new Server(server, {
 });
 
 
-const vehicleConnections = new Map();
-
-// Make io and vehicleConnections available to routes
+// Make io available to routes
 app.set('io', io);
-app.set('vehicleConnections', vehicleConnections);
 
+// Push every newly stored sample (REST or Socket.io) to dashboards subscribed to its vehicle
+// and run it through the alert rules. Bulk uploads of buffered history are evaluated but not pushed live
+telemetryService.on('sample-stored', (record, { live }) => {
+  if (live) liveTelemetryService.publish(io, record);
+  alertService.evaluate(io, record);
+  geofenceService.evaluate(io, record);
+  anomalyService.evaluate(io, record);
+});
+
+// Require the same bearer token as authenticateToken for every socket connection
+io.use(authenticateSocket);
 
+// Re-check open subscriptions as often as cached access decisions expire
+setInterval(() => socketAccessService.revalidateSubscriptions(io), 60 * 1000).unref();
 
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
+  logger.info(`Client connected: ${socket.id} (user ${socket.userId})`);
 
   // Handle vehicle subscription
-  socket.on('subscribe-vehicle', (vehicleId) => {
+  socket.on('subscribe-vehicle', async (vehicleId) => {
     if (!vehicleId) {
-      socket.emit('error', 'Vehicle ID is required');
+      socket.emit('error', {
+        code: 'VALIDATION_ERROR',
+        action: 'subscribe-vehicle',
+        message: 'Vehicle ID is required',
+      });
       return;
     }
 
-    // Join vehicle-specific room
-    socket.join(`vehicle-${vehicleId}`);
+    if (!validateData(vehicleIdSchema, { vehicle_id: vehicleId }).success) {
+      socket.emit('error', {
+        code: 'VALIDATION_ERROR',
+        action: 'subscribe-vehicle',
+        message: 'Vehicle ID must be a valid UUID',
+      });
+      return;
+    }
 
-    // Track connection for this vehicle
-    if (!vehicleConnections.has(vehicleId)) {
-      vehicleConnections.set(vehicleId, new Set());
+    if (!(await socketAccessService.authorize(socket, vehicleId, 'error', 'subscribe-vehicle'))) {
+      return;
+    }
+
+    // performance-update events are converted to the user's unit system, refreshed on every subscription
+    try {
+      socket.data.unitSystem = await unitPreferenceService.getUnitSystem(socket.userId);
+    } catch (error) {
+      logger.error('Socket unit preference error:', error.message);
+      socket.emit('error', {
+        code: 'INTERNAL_ERROR',
+        action: 'subscribe-vehicle',
+        vehicleId,
+        message: 'Failed to load unit preferences',
+      });
+      return;
     }
-    vehicleConnections.get(vehicleId).add(socket.id);
+
+    // Join vehicle-specific room, performance-update events are broadcast to it
+    socket.join(`vehicle-${vehicleId}`);
 
     logger.info(`Client ${socket.id} subscribed to vehicle ${vehicleId}`);
     socket.emit('subscribed', { vehicleId, message: 'Successfully subscribed to vehicle updates' });
@@ -108,14 +159,6 @@ io.on('connection', (socket) => {
     if (vehicleId) {
       socket.leave(`vehicle-${vehicleId}`);
 
-      const connections = vehicleConnections.get(vehicleId);
-      if (connections) {
-        connections.delete(socket.id);
-        if (connections.size === 0) {
-          vehicleConnections.delete(vehicleId);
-        }
-      }
-
       logger.info(`Client ${socket.id} unsubscribed from vehicle ${vehicleId}`);
       socket.emit('unsubscribed', { vehicleId });
     }
@@ -124,79 +167,68 @@ io.on('connection', (socket) => {
   // Handle performance data from frontend
   socket.on('performance-data', async (data) => {
     try {
-      const {
-        vehicle_id,
-        rpm,
-        speed,
-        batteryVoltage,
-        fuelTankLevel,
-        intakeAirTemp,
-        coolantTemp,
-        engineTemp,
-        fuelConsumption,
-      } = data;
-
-      // Validate required fields
-      if (!vehicle_id) {
-        socket.emit('data-error', { message: 'Vehicle ID is required' });
+      if (!data || !data.vehicle_id) {
+        socket.emit('data-error', { code: 'VALIDATION_ERROR', message: 'Vehicle ID is required' });
+        return;
+      }
+
+      const validation = validateData(createPerformanceDataSchema, data);
+
+      if (!validation.success) {
+        socket.emit('data-error', {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          errors: validation.errors,
+          sequence: data.sequence,
+          sample_id: data.sample_id,
+        });
+        return;
+      }
+
+      const sample = validation.data;
+
+      if (!(await socketAccessService.authorize(socket, sample.vehicle_id, 'data-error', 'performance-data'))) {
         return;
       }
 
-      // Prepare data for insertion
-      const performanceData = {
-        vehicle_id,
-        rpm: rpm || null,
-        speed: speed || null,
-        batteryVoltage: batteryVoltage || null,
-        fuelTankLevel: fuelTankLevel || null,
-        intakeAirTemp: intakeAirTemp || null,
-        coolantTemp: coolantTemp || null,
-        engineTemp: engineTemp || null,
-        fuelConsumption: fuelConsumption || null,
-        timestamp: new Date().toISOString()
-      };
-
-      // Insert data into Supabase
-      const { data: insertedData, error } = await supabase
-        .from('vehicle_performance_data')
-        .insert([performanceData])
-        .select()
-        .single();
-
-      if (error) {
-        logger.error('Database error:', error);
-        socket.emit('data-error', { message: 'Failed to store performance data' });
+      const result = await telemetryService.storeSample(sample);
+
+      if (!result.success) {
+        socket.emit('data-error', {
+          code: 'STORE_FAILED',
+          message: 'Failed to store performance data',
+          sequence: sample.sequence,
+          sample_id: sample.sample_id,
+        });
         return;
       }
 
-      logger.info(`Performance data stored for vehicle: ${vehicle_id} via Socket.io`);
+      if (result.duplicate) {
+        logger.info(`Duplicate performance data ignored for vehicle: ${sample.vehicle_id} via Socket.io`);
+      } else {
+        logger.info(`Performance data stored for vehicle: ${sample.vehicle_id} via Socket.io`);
+      }
 
-      // Acknowledge successful storage to the sender
+      // Acknowledge storage to the sender, echoing the client identifiers so it can drop the sample from its buffer
       socket.emit('data-stored', {
         success: true,
-        vehicleId: vehicle_id,
-        timestamp: performanceData.timestamp
+        vehicleId: sample.vehicle_id,
+        timestamp: result.data.timestamp,
+        sequence: sample.sequence,
+        sample_id: sample.sample_id,
+        duplicate: result.duplicate,
       });
 
     } catch (error) {
       logger.error('Socket performance data error:', error.message);
-      socket.emit('data-error', { message: 'Failed to process performance data' });
+      socket.emit('data-error', { code: 'INTERNAL_ERROR', message: 'Failed to process performance data' });
     }
   });
 
   // Handle disconnect
   socket.on('disconnect', () => {
+    // Socket.io removes the socket from its vehicle rooms
     logger.info(`Client disconnected: ${socket.id}`);
-
-    // Remove from all vehicle connections
-    vehicleConnections.forEach((connections, vehicleId) => {
-      if (connections.has(socket.id)) {
-        connections.delete(socket.id);
-        if (connections.size === 0) {
-          vehicleConnections.delete(vehicleId);
-        }
-      }
-    });
   });
 
   // Handle errors
@@ -225,6 +257,10 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/data', dataRoutes);
 app.use('/api/dtc', dtcRoutes);
 app.use('/api/vehicle', vehicleRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/geofences', geofenceRoutes);
+app.use('/api/pids', pidRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -239,6 +275,11 @@ server.listen(PORT, () => {
   logger.info(`Health check available at: http://localhost:${PORT}/health`);
 });
 
+// Roll telemetry past its retention window into hourly/daily summaries and prune it
+scheduleJob('Telemetry retention', 'RETENTION', '15 * * * *', () => retentionService.run());
+// Detect trips in the background, the trip, driving score and fuel endpoints read the stored trips
+scheduleJob('Trip detection', 'TRIP_DETECTION', '*/10 * * * *', () => tripDetectionService.run());
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
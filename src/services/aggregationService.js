@@ -0,0 +1,163 @@
+const { logger } = require('../config/logger');
+const { getTimeBucket } = require('../utils/time');
+
+const telemetryTierService = require('./telemetryTierService');
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Nearest-rank percentile of weighted values
+ * @param {Array<Object>} values - [{ value, weight }] (sorted in place)
+ * @param {number} pct - Percentile between 0 and 100
+ * @returns {number|null} - Percentile value
+ */
+const percentile = (values, pct) => {
+  if (values.length === 0) return null;
+  values.sort((a, b) => a.value - b.value);
+
+  const rank = (pct / 100) * values.reduce((total, { weight }) => total + weight, 0);
+  let seen = 0;
+  const found = values.find(({ weight }) => {
+    seen += weight;
+    return seen >= rank;
+  });
+  return (found || values[values.length - 1]).value;
+};
+
+/**
+ * Value of a metric in one of the per-metric maps of a summary row (min, max)
+ * @param {Object|undefined} values - Metric -> value
+ * @param {string} metric - Telemetry field
+ * @param {number} fallback - Value for raw sample rows
+ * @returns {number} - Value
+ */
+const summaryValue = (values, metric, fallback) => (
+  values && values[metric] !== undefined ? Number(values[metric]) : fallback
+);
+
+/**
+ * Add a row's value of a metric to the bucket accumulator of that metric
+ * Summary rows of rolled-up ranges carry the average, extremes and number of the raw values
+ * they stand for: the average is weighted by that number and the extremes are kept as they are.
+ * Their p95 is approximated with the weighted averages.
+ * @param {Object} acc - { count, sum, min, max, values }
+ * @param {Object} row - Sample or summary row
+ * @param {string} metric - Telemetry field
+ */
+const addMetric = (acc, row, metric) => {
+  const value = row[metric];
+  if (value === null || value === undefined) return;
+
+  const average = Number(value);
+  const count = (row.counts && row.counts[metric]) || 1;
+  const min = summaryValue(row.min, metric, average);
+  const max = summaryValue(row.max, metric, average);
+
+  acc.count += count;
+  acc.sum += average * count;
+  acc.min = acc.min === null ? min : Math.min(acc.min, min);
+  acc.max = acc.max === null ? max : Math.max(acc.max, max);
+  acc.values.push({ value: average, weight: count });
+};
+
+class AggregationService {
+  /**
+   * Roll up a vehicle's telemetry into hour/day/week/month buckets
+   * Rows are read page by page through the query builder, no user input reaches raw SQL
+   * @param {Object} options - Aggregation options
+   * @param {string} options.vehicleId - Vehicle ID
+   * @param {string} [options.from] - Range start (ISO string)
+   * @param {string} [options.to] - Range end (ISO string)
+   * @param {string} options.groupBy - hour, day, week or month
+   * @param {Array<string>} options.metrics - Telemetry fields to aggregate
+   * @param {Array<string>} options.stats - Statistics to compute (avg, min, max, p95, count)
+   * @param {string} options.timezone - IANA time zone used to cut buckets
+   * @returns {Object} - Aggregation result
+   */
+  async aggregate({
+    vehicleId, from, to, groupBy, metrics, stats, timezone,
+  }) {
+    try {
+      const buckets = [];
+      let current = null;
+
+      const result = await telemetryTierService.forEachSamplePage({ vehicleId, from, to }, metrics, (rows) => {
+        rows.forEach((row) => {
+          const timestamp = new Date(row.timestamp);
+
+          // Rows arrive in timestamp order, only cut a new bucket when leaving the current one
+          if (!current || timestamp < current.start || timestamp >= current.end) {
+            current = {
+              ...getTimeBucket(timestamp, groupBy, timezone),
+              dataPoints: 0,
+              values: Object.fromEntries(metrics.map((metric) => [metric, {
+                count: 0, sum: 0, min: null, max: null, values: [],
+              }])),
+            };
+            buckets.push(current);
+          }
+
+          // Summary rows of rolled-up ranges stand for `samples` raw samples
+          current.dataPoints += row.samples || 1;
+          metrics.forEach((metric) => addMetric(current.values[metric], row, metric));
+        });
+      });
+
+      if (!result.success) {
+        return { success: false, message: result.message };
+      }
+
+      return {
+        success: true,
+        data: buckets.map((bucket) => this.summarizeBucket(bucket, metrics, stats)),
+      };
+    } catch (error) {
+      logger.error('Aggregation error:', error.message);
+      return { success: false, message: 'Failed to aggregate performance data' };
+    }
+  }
+
+  /**
+   * Compute the requested statistics for one bucket
+   * @param {Object} bucket - Bucket with an accumulator per metric
+   * @param {Array<string>} metrics - Telemetry fields
+   * @param {Array<string>} stats - Statistics to compute
+   * @returns {Object} - Flat period summary (e.g. avg_rpm, p95_speed)
+   */
+  summarizeBucket(bucket, metrics, stats) {
+    const summary = {
+      period: bucket.key,
+      period_start: bucket.start.toISOString(),
+      period_end: bucket.end.toISOString(),
+      data_points: bucket.dataPoints,
+    };
+
+    metrics.forEach((metric) => {
+      const {
+        count, sum, min, max, values,
+      } = bucket.values[metric];
+
+      stats.forEach((stat) => {
+        let value = null;
+        if (stat === 'count') {
+          value = count;
+        } else if (count > 0) {
+          if (stat === 'avg') value = round2(sum / count);
+          if (stat === 'min') value = min;
+          if (stat === 'max') value = max;
+          if (stat === 'p95') value = percentile(values, 95);
+        }
+        summary[`${stat}_${metric}`] = value;
+      });
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new AggregationService();
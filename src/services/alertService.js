@@ -0,0 +1,242 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+
+// How long enabled rules for a vehicle are cached before being reloaded
+const RULE_CACHE_TTL_MS = 30 * 1000;
+
+const OPEN_STATUSES = ['open', 'acknowledged'];
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+/**
+ * Human readable description of a rule (e.g. "coolantTemp > 110 for 30s")
+ * @param {Object} rule - alert_rules row
+ * @returns {string} - Description
+ */
+const describeRule = (rule) => {
+  const conditions = rule.conditions
+    .map(({ metric, operator, value }) => `${metric} ${operator} ${value}`)
+    .join(' while ');
+  return rule.duration_seconds > 0 ? `${conditions} for ${rule.duration_seconds}s` : conditions;
+};
+
+class AlertService {
+  constructor() {
+    // vehicleId -> { rules, expiresAt }
+    this.ruleCache = new Map();
+    // `${ruleId}:${vehicleId}` -> { since, alertId }
+    this.states = new Map();
+    // vehicleId -> promise of the evaluation in flight, samples of one vehicle are evaluated in order
+    this.queues = new Map();
+  }
+
+  /**
+   * Drop cached rules after a rule was created, updated or deleted
+   */
+  invalidateRules() {
+    this.ruleCache.clear();
+  }
+
+  /**
+   * Get enabled global and vehicle-specific rules for a vehicle
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Array<Object>} - alert_rules rows
+   */
+  async getRules(vehicleId) {
+    const cached = this.ruleCache.get(vehicleId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('enabled', true)
+      .or(`vehicle_id.is.null,vehicle_id.eq.${vehicleId}`);
+
+    if (error) {
+      logger.error('Alert rules lookup error:', error.message);
+      return cached ? cached.rules : [];
+    }
+
+    this.ruleCache.set(vehicleId, { rules: data || [], expiresAt: Date.now() + RULE_CACHE_TTL_MS });
+    return data || [];
+  }
+
+  /**
+   * Whether every condition of a rule holds for a sample
+   * @param {Object} rule - alert_rules row
+   * @param {Object} sample - vehicle_performance_data row
+   * @returns {boolean} - Rule matches
+   */
+  matches(rule, sample) {
+    return rule.conditions.every(({ metric, operator, value }) => {
+      const actual = sample[metric];
+      if (actual === null || actual === undefined) return false;
+      return COMPARATORS[operator](Number(actual), Number(value));
+    });
+  }
+
+  /**
+   * Evaluate all rules for a newly stored sample
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Stored vehicle_performance_data row
+   * @returns {Promise} - Resolves once the sample has been evaluated
+   */
+  evaluate(io, sample) {
+    const vehicleId = sample.vehicle_id;
+    const previous = this.queues.get(vehicleId) || Promise.resolve();
+
+    const next = previous
+      .then(() => this.evaluateSample(io, sample))
+      .catch((error) => logger.error('Alert evaluation error:', error.message))
+      .finally(() => {
+        if (this.queues.get(vehicleId) === next) this.queues.delete(vehicleId);
+      });
+
+    this.queues.set(vehicleId, next);
+    return next;
+  }
+
+  /**
+   * Update rule states for one sample, firing and clearing alerts as needed
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Stored vehicle_performance_data row
+   */
+  async evaluateSample(io, sample) {
+    const rules = await this.getRules(sample.vehicle_id);
+    const sampleTime = new Date(sample.timestamp).getTime();
+
+    for (const rule of rules) {
+      const state = await this.getState(rule, sample.vehicle_id);
+
+      if (this.matches(rule, sample)) {
+        if (state.since === null) state.since = sampleTime;
+
+        if (!state.alertId && sampleTime - state.since >= rule.duration_seconds * 1000) {
+          await this.fireAlert(io, rule, sample, state);
+        }
+      } else {
+        state.since = null;
+
+        if (state.alertId) {
+          await this.clearAlert(io, state);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the evaluation state of a rule for a vehicle, seeding it from any alert still open
+   * @param {Object} rule - alert_rules row
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - { since, alertId }
+   */
+  async getState(rule, vehicleId) {
+    const key = `${rule.id}:${vehicleId}`;
+
+    if (!this.states.has(key)) {
+      const { data: openAlert } = await supabase
+        .from('alerts')
+        .select('id')
+        .eq('rule_id', rule.id)
+        .eq('vehicle_id', vehicleId)
+        .in('status', OPEN_STATUSES)
+        .limit(1)
+        .maybeSingle();
+
+      this.states.set(key, { since: null, alertId: openAlert ? openAlert.id : null });
+    }
+
+    return this.states.get(key);
+  }
+
+  /**
+   * Persist a firing alert and push it to the vehicle's room
+   * @param {Object} io - Socket.io server
+   * @param {Object} rule - alert_rules row
+   * @param {Object} sample - Sample that completed the condition
+   * @param {Object} state - Rule state for the vehicle
+   */
+  async fireAlert(io, rule, sample, state) {
+    const triggerValues = {};
+    rule.conditions.forEach(({ metric }) => {
+      triggerValues[metric] = sample[metric];
+    });
+
+    const { data: alert, error } = await supabase
+      .from('alerts')
+      .insert([{
+        rule_id: rule.id,
+        vehicle_id: sample.vehicle_id,
+        status: 'open',
+        severity: rule.severity,
+        message: `${rule.name}: ${describeRule(rule)}`,
+        trigger_values: triggerValues,
+        triggered_at: new Date(state.since).toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Alert store error:', error.message);
+      return;
+    }
+
+    state.alertId = alert.id;
+    logger.info(`Alert fired: ${alert.message} for vehicle: ${sample.vehicle_id}`);
+    this.emitAlert(io, alert);
+  }
+
+  /**
+   * Close the alert of a rule whose condition no longer holds
+   * @param {Object} io - Socket.io server
+   * @param {Object} state - Rule state for the vehicle
+   */
+  async clearAlert(io, state) {
+    const { data: alert, error } = await supabase
+      .from('alerts')
+      .update({
+        status: 'closed',
+        close_reason: 'cleared',
+        closed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', state.alertId)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Alert close error:', error.message);
+      return;
+    }
+
+    state.alertId = null;
+    if (alert) {
+      logger.info(`Alert cleared: ${alert.id} for vehicle: ${alert.vehicle_id}`);
+      this.emitAlert(io, alert);
+    }
+  }
+
+  /**
+   * Emit an alert event to the vehicle's room
+   * @param {Object} io - Socket.io server
+   * @param {Object} alert - alerts row
+   */
+  emitAlert(io, alert) {
+    if (!io) return;
+    io.to(`vehicle-${alert.vehicle_id}`).emit('alert', alert);
+  }
+}
+
+module.exports = new AlertService();
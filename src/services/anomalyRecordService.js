@@ -0,0 +1,163 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { ANOMALY_METRICS, ANOMALY_DTC_INSIGHTS } = require('../config/anomaly');
+const { DTC_OPEN_STATUSES } = require('../config/dtcLifecycle');
+
+const dtcLifecycleService = require('./dtcLifecycleService');
+const dtcSuppressionService = require('./dtcSuppressionService');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Stores the anomalies anomalyService detects, files their DTC insights and pushes them to the vehicle's room
+ */
+class AnomalyRecordService {
+  /**
+   * Persist a new anomaly, file its insight and push it to the vehicle's room,
+   * unless a suppression rule hides the insight's code on the vehicle
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Sample that completed the streak
+   * @param {Object} reading - { metric, band, value } and its score ({ direction, z, mean, stddev })
+   * @param {Object} episode - Episode the anomaly belongs to, updated in place
+   */
+  async openAnomaly(io, sample, reading, episode) {
+    const { data: anomaly, error } = await supabase
+      .from('vehicle_anomalies')
+      .insert([{
+        vehicle_id: sample.vehicle_id,
+        metric: reading.metric,
+        rpm_band: reading.band,
+        direction: reading.direction,
+        value: reading.value,
+        expected_mean: round2(reading.mean),
+        expected_stddev: round2(reading.stddev),
+        z_score: round2(reading.z),
+        peak_value: episode.peak.value,
+        peak_z_score: round2(episode.peak.z),
+        sample_count: episode.samples,
+        status: 'open',
+        started_at: episode.startedAt,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Anomaly store error:', error.message);
+      return;
+    }
+
+    episode.anomaly = anomaly;
+    logger.info(`Anomaly opened: ${reading.metric} ${reading.direction} for vehicle: ${sample.vehicle_id}`);
+
+    if (ANOMALY_DTC_INSIGHTS) {
+      episode.anomaly = await this.fileInsight(anomaly);
+
+      // The insight is still recorded, but a snoozed or ignored code raises no alert
+      const code = ANOMALY_METRICS[anomaly.metric].insightCodes[anomaly.direction];
+      if (code && await dtcSuppressionService.isSuppressed(anomaly.vehicle_id, code)) return;
+    }
+
+    this.emitAnomaly(io, episode.anomaly);
+  }
+
+  /**
+   * File an anomaly as a low impact DTC under its metric's generic code,
+   * unless the vehicle already has that code active
+   * @param {Object} anomaly - vehicle_anomalies row
+   * @returns {Object} - The anomaly, linked to the insight when one was filed
+   */
+  async fileInsight(anomaly) {
+    const code = ANOMALY_METRICS[anomaly.metric].insightCodes[anomaly.direction];
+    if (!code) return anomaly;
+
+    const { data: existing } = await supabase
+      .from('vehicle_dtcs')
+      .select('id')
+      .eq('vehicle_id', anomaly.vehicle_id)
+      .eq('dtc_code', code)
+      .in('status', DTC_OPEN_STATUSES)
+      .limit(1)
+      .maybeSingle();
+
+    if (existing) return anomaly;
+
+    const { data: dtc, error } = await supabase
+      .from('vehicle_dtcs')
+      .insert([{
+        vehicle_id: anomaly.vehicle_id,
+        dtc_code: code,
+        description: `${anomaly.metric} running ${anomaly.direction === 'high' ? 'higher' : 'lower'} than usual`
+          + ` at ${anomaly.rpm_band} rpm (${anomaly.value}, expected ${anomaly.expected_mean}`
+          + ` ± ${anomaly.expected_stddev})`,
+        impact_level: 'low',
+        status: 'active',
+        source: 'anomaly',
+        occurred_at: anomaly.started_at,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      }])
+      .select('id, vehicle_id, status')
+      .single();
+
+    if (error) {
+      logger.error('Anomaly insight store error:', error.message);
+      return anomaly;
+    }
+
+    await dtcLifecycleService.recordEvents([dtcLifecycleService.createdEvent(dtc, null)]);
+
+    const { data: linked, error: linkError } = await supabase
+      .from('vehicle_anomalies')
+      .update({ insight_dtc_id: dtc.id, updated_at: new Date().toISOString() })
+      .eq('id', anomaly.id)
+      .select()
+      .single();
+
+    if (linkError) {
+      logger.error('Anomaly insight link error:', linkError.message);
+      return anomaly;
+    }
+
+    return linked;
+  }
+
+  /**
+   * Close the anomaly of an ended episode
+   * @param {Object} episode - Ended episode with an open anomaly
+   * @param {Object} sample - First sample back to normal
+   */
+  async closeAnomaly(episode, sample) {
+    const { error } = await supabase
+      .from('vehicle_anomalies')
+      .update({
+        status: 'closed',
+        ended_at: sample.timestamp,
+        sample_count: episode.samples,
+        peak_value: episode.peak.value,
+        peak_z_score: round2(episode.peak.z),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', episode.anomaly.id);
+
+    if (error) {
+      logger.error('Anomaly close error:', error.message);
+      return;
+    }
+
+    logger.info(`Anomaly closed: ${episode.anomaly.id} for vehicle: ${sample.vehicle_id}`);
+  }
+
+  /**
+   * Emit an anomaly event to the vehicle's room
+   * @param {Object} io - Socket.io server
+   * @param {Object} anomaly - vehicle_anomalies row
+   */
+  emitAnomaly(io, anomaly) {
+    if (!io) return;
+    io.to(`vehicle-${anomaly.vehicle_id}`).emit('anomaly', anomaly);
+  }
+}
+
+module.exports = new AnomalyRecordService();
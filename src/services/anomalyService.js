@@ -0,0 +1,271 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const {
+  RPM_BANDS,
+  ANOMALY_METRICS,
+  ANOMALY_Z_THRESHOLD,
+  ANOMALY_MIN_STREAK,
+  BASELINE_MIN_SAMPLES,
+  BASELINE_WINDOW,
+} = require('../config/anomaly');
+
+const anomalyRecordService = require('./anomalyRecordService');
+
+// Minimum delay between two writes of a vehicle's learned baselines
+const BASELINE_FLUSH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Engine speed band of an rpm reading
+ * @param {number} rpm - Engine speed
+ * @returns {string} - Band name
+ */
+const rpmBand = (rpm) => RPM_BANDS.find(({ maxRpm }) => rpm < maxRpm).band;
+
+/**
+ * Fold a reading into an exponentially weighted mean and variance
+ * Until the window is full the weight is 1/count, which gives the plain mean and population variance
+ * @param {Object} baseline - { sample_count, mean, variance }, updated in place
+ * @param {number} value - Reading
+ */
+const updateBaseline = (baseline, value) => {
+  baseline.sample_count += 1;
+  const alpha = 1 / Math.min(baseline.sample_count, BASELINE_WINDOW);
+  const diff = value - baseline.mean;
+  const increment = alpha * diff;
+  baseline.mean += increment;
+  baseline.variance = (1 - alpha) * (baseline.variance + diff * increment);
+  baseline.dirty = true;
+};
+
+class AnomalyService {
+  constructor() {
+    // vehicleId -> { baselines, episodes, lastFlushAt }
+    // baselines: `${metric}:${band}` -> { metric, rpm_band, sample_count, mean, variance, dirty }
+    // episodes: metric -> { direction, streak, startedAt, samples, peak, anomaly }
+    this.vehicles = new Map();
+    // vehicleId -> promise of the evaluation in flight, samples of one vehicle are evaluated in order
+    this.queues = new Map();
+  }
+
+  /**
+   * Evaluate a newly stored sample against the vehicle's baselines
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Stored vehicle_performance_data row
+   * @returns {Promise} - Resolves once the sample has been evaluated
+   */
+  evaluate(io, sample) {
+    // Baselines are learned with the engine running only
+    if (!(sample.rpm > 0)) return Promise.resolve();
+
+    const vehicleId = sample.vehicle_id;
+    const previous = this.queues.get(vehicleId) || Promise.resolve();
+
+    const next = previous
+      .then(() => this.evaluateSample(io, sample))
+      .catch((error) => logger.error('Anomaly evaluation error:', error.message))
+      .finally(() => {
+        if (this.queues.get(vehicleId) === next) this.queues.delete(vehicleId);
+      });
+
+    this.queues.set(vehicleId, next);
+    return next;
+  }
+
+  /**
+   * Score one sample, open and close anomalies and learn from normal readings
+   * Readings that are anomalous are not learned, so a developing fault stays flagged
+   * instead of becoming the vehicle's new normal
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Stored vehicle_performance_data row with the engine running
+   */
+  async evaluateSample(io, sample) {
+    const state = await this.getVehicleState(sample.vehicle_id);
+    const band = rpmBand(sample.rpm);
+    const metrics = Object.keys(ANOMALY_METRICS)
+      .filter((metric) => sample[metric] !== null && sample[metric] !== undefined);
+
+    for (const metric of metrics) {
+      const value = sample[metric];
+      const key = `${metric}:${band}`;
+      if (!state.baselines.has(key)) {
+        state.baselines.set(key, {
+          metric, rpm_band: band, sample_count: 0, mean: 0, variance: 0, dirty: false,
+        });
+      }
+      const baseline = state.baselines.get(key);
+      const score = this.score(metric, value, baseline);
+
+      if (score) {
+        await this.recordAnomalous(io, state, sample, {
+          metric, band, value, ...score,
+        });
+      } else {
+        if (state.episodes.has(metric)) {
+          await this.closeEpisode(state, metric, sample);
+        }
+        updateBaseline(baseline, value);
+      }
+    }
+
+    if (Date.now() - state.lastFlushAt >= BASELINE_FLUSH_INTERVAL_MS) {
+      await this.flushBaselines(sample.vehicle_id, state);
+    }
+  }
+
+  /**
+   * Score a reading against its baseline
+   * @param {string} metric - Telemetry field
+   * @param {number} value - Reading
+   * @param {Object} baseline - Baseline of the metric in the reading's rpm band
+   * @returns {Object|null} - { direction, z, mean, stddev } when anomalous, otherwise null
+   */
+  score(metric, value, baseline) {
+    if (baseline.sample_count < BASELINE_MIN_SAMPLES) return null;
+
+    const { directions, minStddev } = ANOMALY_METRICS[metric];
+    const stddev = Math.max(Math.sqrt(baseline.variance), minStddev);
+    const z = (value - baseline.mean) / stddev;
+
+    let direction = null;
+    if (z >= ANOMALY_Z_THRESHOLD) direction = 'high';
+    else if (z <= -ANOMALY_Z_THRESHOLD) direction = 'low';
+
+    if (!direction || !directions.includes(direction)) return null;
+    return {
+      direction, z, mean: baseline.mean, stddev,
+    };
+  }
+
+  /**
+   * Load a vehicle's learned baselines and open anomalies on its first sample
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - Vehicle state
+   */
+  async getVehicleState(vehicleId) {
+    if (this.vehicles.has(vehicleId)) {
+      return this.vehicles.get(vehicleId);
+    }
+
+    const [baselines, openAnomalies] = await Promise.all([
+      supabase
+        .from('telemetry_baselines')
+        .select('metric, rpm_band, sample_count, mean, variance')
+        .eq('vehicle_id', vehicleId),
+      supabase
+        .from('vehicle_anomalies')
+        .select('*')
+        .eq('vehicle_id', vehicleId)
+        .eq('status', 'open'),
+    ]);
+
+    if (baselines.error) logger.error('Baseline lookup error:', baselines.error.message);
+    if (openAnomalies.error) logger.error('Open anomalies lookup error:', openAnomalies.error.message);
+
+    const state = {
+      baselines: new Map((baselines.data || []).map((row) => [
+        `${row.metric}:${row.rpm_band}`,
+        { ...row, dirty: false },
+      ])),
+      episodes: new Map((openAnomalies.data || []).map((anomaly) => [anomaly.metric, {
+        direction: anomaly.direction,
+        streak: ANOMALY_MIN_STREAK,
+        startedAt: anomaly.started_at,
+        samples: anomaly.sample_count,
+        peak: { value: anomaly.peak_value, z: anomaly.peak_z_score },
+        anomaly,
+      }])),
+      lastFlushAt: Date.now(),
+    };
+
+    this.vehicles.set(vehicleId, state);
+    return state;
+  }
+
+  /**
+   * Track an anomalous reading, opening an anomaly once the streak is long enough
+   * @param {Object} io - Socket.io server
+   * @param {Object} state - Vehicle state
+   * @param {Object} sample - Sample the reading belongs to
+   * @param {Object} reading - { metric, band, value } and its score ({ direction, z, mean, stddev })
+   */
+  async recordAnomalous(io, state, sample, reading) {
+    let episode = state.episodes.get(reading.metric);
+
+    // A reading flipping from high to low starts over
+    if (episode && episode.direction !== reading.direction) {
+      await this.closeEpisode(state, reading.metric, sample);
+      episode = null;
+    }
+
+    if (!episode) {
+      episode = {
+        direction: reading.direction,
+        streak: 0,
+        startedAt: sample.timestamp,
+        samples: 0,
+        peak: { value: reading.value, z: reading.z },
+        anomaly: null,
+      };
+      state.episodes.set(reading.metric, episode);
+    }
+
+    episode.streak += 1;
+    episode.samples += 1;
+    if (Math.abs(reading.z) > Math.abs(episode.peak.z)) {
+      episode.peak = { value: reading.value, z: reading.z };
+    }
+
+    if (!episode.anomaly && episode.streak >= ANOMALY_MIN_STREAK) {
+      await anomalyRecordService.openAnomaly(io, sample, reading, episode);
+    }
+  }
+
+  /**
+   * End the episode of a metric, closing its anomaly if one was opened
+   * @param {Object} state - Vehicle state
+   * @param {string} metric - Telemetry field
+   * @param {Object} sample - First sample back to normal
+   */
+  async closeEpisode(state, metric, sample) {
+    const episode = state.episodes.get(metric);
+    state.episodes.delete(metric);
+
+    if (episode.anomaly) await anomalyRecordService.closeAnomaly(episode, sample);
+  }
+
+  /**
+   * Store the baselines a vehicle learned since the last write
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} state - Vehicle state
+   */
+  async flushBaselines(vehicleId, state) {
+    state.lastFlushAt = Date.now();
+
+    const dirty = [...state.baselines.values()].filter((baseline) => baseline.dirty);
+    if (dirty.length === 0) return;
+
+    const { error } = await supabase
+      .from('telemetry_baselines')
+      .upsert(dirty.map((baseline) => ({
+        vehicle_id: vehicleId,
+        metric: baseline.metric,
+        rpm_band: baseline.rpm_band,
+        sample_count: baseline.sample_count,
+        mean: baseline.mean,
+        variance: baseline.variance,
+        updated_at: new Date().toISOString(),
+      })), { onConflict: 'vehicle_id,metric,rpm_band' });
+
+    if (error) {
+      // Left dirty, the next flush retries
+      logger.error('Baseline store error:', error.message);
+      return;
+    }
+
+    dirty.forEach((baseline) => {
+      baseline.dirty = false;
+    });
+  }
+}
+
+module.exports = new AnomalyService();
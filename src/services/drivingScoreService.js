@@ -0,0 +1,175 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { getTimeBucket } = require('../utils/time');
+const { mergeMetrics, scoreMetrics } = require('../utils/drivingScore');
+
+const tripSampleService = require('./tripSampleService');
+
+// Trips read per page
+const TRIP_PAGE_SIZE = 1000;
+
+// Unscored trips (detected before scoring existed) scored per request, the rest are picked up by later requests
+const BACKFILL_LIMIT = 50;
+
+// Weekly score change below which the trend is reported as stable
+const TREND_STABLE_POINTS = 2;
+
+// Weeks before the latest one the trend compares against
+const TREND_BASELINE_WEEKS = 4;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class DrivingScoreService {
+  /**
+   * Driving score of a vehicle over a range, with per-trip and per-week scores and the weekly trend
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} options - { from, to, timezone } with from/to as ISO strings
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async getDrivingScore(vehicleId, { from, to, timezone }) {
+    try {
+      const trips = await this.getCompletedTrips(vehicleId, from, to);
+      if (!trips.success) return trips;
+
+      const backfill = await this.backfillScores(trips.data);
+      if (!backfill.success) return backfill;
+
+      const scored = trips.data.filter((trip) => trip.driving_metrics);
+      const overall = scored.length > 0 ? scoreMetrics(mergeMetrics(scored.map((trip) => trip.driving_metrics))) : null;
+      const weeks = this.groupByWeek(scored, timezone);
+
+      return {
+        success: true,
+        data: {
+          score: overall ? overall.score : null,
+          breakdown: overall ? overall.breakdown : null,
+          distance_km: round2(scored.reduce((sum, trip) => sum + (Number(trip.distance_km) || 0), 0)),
+          trips_scored: scored.length,
+          trips_unscored: trips.data.length - scored.length,
+          trend: this.getTrend(weeks),
+          weeks,
+          trips: scored.map((trip) => ({
+            id: trip.id,
+            start_time: trip.start_time,
+            end_time: trip.end_time,
+            distance_km: Number(trip.distance_km) || 0,
+            score: trip.driving_score,
+          })),
+        },
+      };
+    } catch (error) {
+      logger.error('Driving score error:', error.message);
+      return { success: false, message: 'Failed to compute driving score' };
+    }
+  }
+
+  /**
+   * Read a vehicle's completed trips that started in a range, oldest first
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} from - Range start (ISO string)
+   * @param {string} to - Range end (ISO string)
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getCompletedTrips(vehicleId, from, to) {
+    const trips = [];
+    let page;
+
+    do {
+      const { data, error } = await supabase
+        .from('vehicle_trips')
+        .select('id, vehicle_id, start_time, end_time, distance_km, driving_score, driving_metrics, scored_at')
+        .eq('vehicle_id', vehicleId)
+        .eq('status', 'completed')
+        .gte('start_time', from)
+        .lte('start_time', to)
+        .order('start_time', { ascending: true })
+        .range(trips.length, trips.length + TRIP_PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('Driving score trips lookup error:', error.message);
+        return { success: false, message: 'Failed to retrieve trips' };
+      }
+
+      page = data;
+      trips.push(...data);
+    } while (page.length === TRIP_PAGE_SIZE);
+
+    return { success: true, data: trips };
+  }
+
+  /**
+   * Score trips stored without a driving score, in place
+   * Trips already tried (scored_at set) are skipped, their raw samples are gone
+   * @param {Array<Object>} trips - vehicle_trips rows
+   * @returns {Object} - Result ({ success, message? })
+   */
+  async backfillScores(trips) {
+    const unscored = trips.filter((trip) => !trip.driving_metrics && !trip.scored_at).slice(0, BACKFILL_LIMIT);
+
+    // Reads the trip's raw samples, one trip at a time
+    for (const trip of unscored) {
+      const result = await tripSampleService.scoreStoredTrip(trip);
+      if (!result.success) return result;
+
+      Object.assign(trip, {
+        driving_score: result.data.driving_score,
+        driving_metrics: result.data.driving_metrics,
+        scored_at: result.data.scored_at,
+      });
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Score trips per ISO week (Monday to Sunday in the requested time zone)
+   * @param {Array<Object>} trips - Scored vehicle_trips rows ordered by start_time
+   * @param {string} timezone - IANA time zone name
+   * @returns {Array<Object>} - Weeks in time order ({ week, start, end, trips, distance_km, score })
+   */
+  groupByWeek(trips, timezone) {
+    const weeks = new Map();
+
+    trips.forEach((trip) => {
+      const bucket = getTimeBucket(new Date(trip.start_time), 'week', timezone);
+      if (!weeks.has(bucket.key)) {
+        weeks.set(bucket.key, { bucket, trips: [] });
+      }
+      weeks.get(bucket.key).trips.push(trip);
+    });
+
+    return [...weeks.values()].map(({ bucket, trips: weekTrips }) => {
+      const metrics = mergeMetrics(weekTrips.map((trip) => trip.driving_metrics));
+      return {
+        week: bucket.key,
+        start: bucket.start.toISOString(),
+        end: bucket.end.toISOString(),
+        trips: weekTrips.length,
+        distance_km: round2(metrics.distance_km),
+        score: scoreMetrics(metrics).score,
+      };
+    });
+  }
+
+  /**
+   * Compare the latest week's score with the average of the weeks before it
+   * @param {Array<Object>} weeks - Weekly scores in time order
+   * @returns {Object|null} - { direction, change } or null with fewer than two weeks
+   */
+  getTrend(weeks) {
+    if (weeks.length < 2) return null;
+
+    const latest = weeks[weeks.length - 1];
+    const baseline = weeks.slice(-1 - TREND_BASELINE_WEEKS, -1);
+    const baselineScore = baseline.reduce((sum, week) => sum + week.score, 0) / baseline.length;
+    const change = round2(latest.score - baselineScore);
+
+    let direction = 'stable';
+    if (change >= TREND_STABLE_POINTS) direction = 'improving';
+    else if (change <= -TREND_STABLE_POINTS) direction = 'declining';
+
+    return { direction, change, compared_weeks: baseline.length };
+  }
+}
+
+module.exports = new DrivingScoreService();
@@ -0,0 +1,212 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { getTimeBucket } = require('../utils/time');
+const { findDtcCode } = require('../config/dtcDictionary');
+
+// DTC rows read per page
+const DTC_PAGE_SIZE = 1000;
+
+// Codes listed per brand/model/year group
+const GROUP_TOP_CODES = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Share of a count in a total, in percent
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number|null} - Percentage, null for an empty total
+ */
+const percent = (count, total) => (total > 0 ? round2((count / total) * 100) : null);
+
+/**
+ * Fault counts, high impact share and mean time to resolution of a set of DTCs
+ * @param {Array<Object>} dtcs - vehicle_dtcs rows
+ * @returns {Object} - { faults, vehicles, high_impact, high_impact_share, resolved, mttr_hours }
+ */
+const summarize = (dtcs) => {
+  const highImpact = dtcs.filter((dtc) => dtc.impact_level === 'high').length;
+  const resolved = dtcs.filter((dtc) => dtc.resolved_at);
+  const repairHours = resolved.reduce((sum, dtc) => sum + (new Date(dtc.resolved_at) - new Date(dtc.occurred_at)), 0)
+    / HOUR_MS;
+
+  return {
+    faults: dtcs.length,
+    vehicles: new Set(dtcs.map((dtc) => dtc.vehicle_id)).size,
+    high_impact: highImpact,
+    high_impact_share: percent(highImpact, dtcs.length),
+    resolved: resolved.length,
+    mttr_hours: resolved.length > 0 ? round2(repairHours / resolved.length) : null,
+  };
+};
+
+/**
+ * Group rows by a key, keeping first-seen order
+ * @param {Array<Object>} rows - Rows to group
+ * @param {Function} keyOf - Row -> group key
+ * @returns {Map} - Key -> rows
+ */
+const groupRows = (rows, keyOf) => rows.reduce((groups, row) => {
+  const key = keyOf(row);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(row);
+  return groups;
+}, new Map());
+
+class DtcAnalyticsService {
+  /**
+   * Fleet wide DTC analytics: most common codes overall and per brand/model/year, mean time to resolution,
+   * high impact share and the trend over time
+   * @param {Object} filters - { from, to, brand?, impactLevel?, groupBy, timezone, limit } with from/to as ISO strings
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async getAnalytics({
+    from, to, brand, impactLevel, groupBy, timezone, limit,
+  }) {
+    try {
+      const dtcs = await this.getDtcs({
+        from, to, brand, impactLevel,
+      });
+      if (!dtcs.success) return dtcs;
+
+      const rows = dtcs.data;
+
+      return {
+        success: true,
+        data: {
+          summary: {
+            ...summarize(rows),
+            codes: new Set(rows.map((dtc) => dtc.dtc_code)).size,
+          },
+          impact_breakdown: {
+            high: rows.filter((dtc) => dtc.impact_level === 'high').length,
+            mid: rows.filter((dtc) => dtc.impact_level === 'mid').length,
+            low: rows.filter((dtc) => dtc.impact_level === 'low').length,
+          },
+          top_codes: this.topCodes(rows, limit),
+          by_vehicle: this.byVehicle(rows, limit),
+          trend: this.trend(rows, groupBy, timezone),
+        },
+      };
+    } catch (error) {
+      logger.error('DTC analytics error:', error.message);
+      return { success: false, message: 'Failed to compute DTC analytics' };
+    }
+  }
+
+  /**
+   * Read the DTCs that occurred in a range with their vehicle's brand, model and registration date
+   * Every matching row is held in memory, callers keep the range short (GET /api/dtcs/analytics caps it)
+   * @param {Object} filters - { from, to, brand?, impactLevel? }
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getDtcs({
+    from, to, brand, impactLevel,
+  }) {
+    const dtcs = [];
+    let page;
+
+    do {
+      let query = supabase
+        .from('vehicle_dtcs')
+        .select(
+          'id, vehicle_id, dtc_code, impact_level, status, occurred_at, resolved_at, '
+          + 'vehicles!inner(brand, model, registration_date)',
+        )
+        .gte('occurred_at', from)
+        .lte('occurred_at', to);
+
+      // Case-insensitive exact match, wildcards in the brand are matched literally
+      if (brand) query = query.ilike('vehicles.brand', brand.replace(/[%_\\]/g, '\\$&'));
+      if (impactLevel) query = query.eq('impact_level', impactLevel);
+
+      const { data, error } = await query
+        .order('occurred_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(dtcs.length, dtcs.length + DTC_PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('DTC analytics lookup error:', error.message);
+        return { success: false, message: 'Failed to retrieve DTCs' };
+      }
+
+      page = data;
+      dtcs.push(...data);
+    } while (page.length === DTC_PAGE_SIZE);
+
+    return { success: true, data: dtcs };
+  }
+
+  /**
+   * Most common codes, by number of faults
+   * @param {Array<Object>} dtcs - vehicle_dtcs rows
+   * @param {number} limit - Codes to list
+   * @returns {Array<Object>} - Codes with their description and summary
+   */
+  topCodes(dtcs, limit) {
+    return [...groupRows(dtcs, (dtc) => dtc.dtc_code).entries()]
+      .map(([code, rows]) => ({
+        dtc_code: code,
+        description: findDtcCode(code).description,
+        ...summarize(rows),
+      }))
+      .sort((a, b) => b.faults - a.faults || a.dtc_code.localeCompare(b.dtc_code))
+      .slice(0, limit);
+  }
+
+  /**
+   * Faults per brand, model and registration year, with each group's most common codes
+   * @param {Array<Object>} dtcs - vehicle_dtcs rows with their vehicle
+   * @param {number} limit - Groups to list
+   * @returns {Array<Object>} - Groups with the most faults first
+   */
+  byVehicle(dtcs, limit) {
+    const yearOf = (dtc) => (dtc.vehicles.registration_date
+      ? new Date(dtc.vehicles.registration_date).getUTCFullYear()
+      : null);
+
+    return [...groupRows(dtcs, (dtc) => `${dtc.vehicles.brand}|${dtc.vehicles.model}|${yearOf(dtc)}`).values()]
+      .map((rows) => ({
+        brand: rows[0].vehicles.brand,
+        model: rows[0].vehicles.model,
+        year: yearOf(rows[0]),
+        ...summarize(rows),
+        top_codes: [...groupRows(rows, (dtc) => dtc.dtc_code).entries()]
+          .map(([code, codeRows]) => ({ dtc_code: code, faults: codeRows.length }))
+          .sort((a, b) => b.faults - a.faults || a.dtc_code.localeCompare(b.dtc_code))
+          .slice(0, GROUP_TOP_CODES),
+      }))
+      .sort((a, b) => b.faults - a.faults)
+      .slice(0, limit);
+  }
+
+  /**
+   * Faults per day, week or month of their occurrence, in a time zone
+   * @param {Array<Object>} dtcs - vehicle_dtcs rows ordered by occurred_at
+   * @param {string} groupBy - day, week or month
+   * @param {string} timezone - IANA time zone name
+   * @returns {Array<Object>} - Periods in time order ({ period, start, end, ...summary })
+   */
+  trend(dtcs, groupBy, timezone) {
+    const periods = new Map();
+
+    dtcs.forEach((dtc) => {
+      const bucket = getTimeBucket(new Date(dtc.occurred_at), groupBy, timezone);
+      if (!periods.has(bucket.key)) {
+        periods.set(bucket.key, { bucket, dtcs: [] });
+      }
+      periods.get(bucket.key).dtcs.push(dtc);
+    });
+
+    return [...periods.values()].map(({ bucket, dtcs: periodDtcs }) => ({
+      period: bucket.key,
+      start: bucket.start.toISOString(),
+      end: bucket.end.toISOString(),
+      ...summarize(periodDtcs),
+    }));
+  }
+}
+
+module.exports = new DtcAnalyticsService();
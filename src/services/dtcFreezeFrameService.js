@@ -0,0 +1,78 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+
+// Telemetry a freeze frame records, engineLoad is read from the `pids` column
+const FREEZE_FRAME_FIELDS = ['rpm', 'speed', 'coolantTemp', 'engineLoad'];
+
+// Furthest a telemetry sample may be from the fault to stand in for its freeze frame
+const FREEZE_FRAME_MAX_OFFSET_MS = 2 * 60 * 1000;
+
+class DtcFreezeFrameService {
+  /**
+   * Attach the freeze frame of the telemetry sample nearest to a fault, unless the client supplied one
+   * A DTC without a nearby sample is stored without a freeze frame
+   * @param {Object} row - vehicle_dtcs row from buildDtcRow
+   * @returns {Object} - The row, with freeze_frame filled in when a sample was found
+   */
+  async withFreezeFrame(row) {
+    if (row.freeze_frame) return row;
+
+    const freezeFrame = await this.captureFreezeFrame(row.vehicle_id, row.occurred_at);
+    return freezeFrame ? { ...row, freeze_frame: freezeFrame } : row;
+  }
+
+  /**
+   * Build a freeze frame from the vehicle's telemetry sample nearest to a moment
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} at - Moment of the fault (ISO string)
+   * @returns {Object|null} - Freeze frame (metric units) or null without a sample within FREEZE_FRAME_MAX_OFFSET_MS
+   */
+  async captureFreezeFrame(vehicleId, at) {
+    try {
+      const time = new Date(at).getTime();
+      const nearest = (ascending) => {
+        const bound = new Date(time + (ascending ? 1 : -1) * FREEZE_FRAME_MAX_OFFSET_MS).toISOString();
+        const query = supabase
+          .from('vehicle_performance_data')
+          .select('id, timestamp, rpm, speed, coolantTemp, pids')
+          .eq('vehicle_id', vehicleId);
+        const ranged = ascending
+          ? query.gt('timestamp', at).lte('timestamp', bound)
+          : query.lte('timestamp', at).gte('timestamp', bound);
+
+        return ranged
+          .order('timestamp', { ascending })
+          .limit(1)
+          .maybeSingle();
+      };
+
+      const results = await Promise.all([nearest(false), nearest(true)]);
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        logger.error('Freeze frame lookup error:', failed.error.message);
+        return null;
+      }
+
+      const offsetOf = (sample) => Math.abs(new Date(sample.timestamp).getTime() - time);
+      const sample = results
+        .map((result) => result.data)
+        .filter(Boolean)
+        .sort((a, b) => offsetOf(a) - offsetOf(b))[0];
+
+      if (!sample) return null;
+
+      const readings = { ...(sample.pids || {}), ...sample };
+      return {
+        ...Object.fromEntries(FREEZE_FRAME_FIELDS.map((field) => [field, readings[field] ?? null])),
+        source: 'telemetry',
+        sample_id: sample.id,
+        sample_timestamp: sample.timestamp,
+      };
+    } catch (error) {
+      logger.error('Freeze frame capture error:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new DtcFreezeFrameService();
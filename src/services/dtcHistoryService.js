@@ -0,0 +1,150 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { DAY_MS } = require('../utils/time');
+
+// DTC rows read per page
+const DTC_PAGE_SIZE = 1000;
+
+// A code that comes back within this many days of being resolved usually means the repair did not fix it
+const DEFAULT_RECURRENCE_DAYS = 30;
+
+class DtcHistoryService {
+  /**
+   * Fault history of a vehicle: every occurrence of every code, flagged when it came back after being resolved
+   * Occurrences before the range are still read so the first ones in the range are flagged correctly
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} options - { from?, to?, recurrenceDays?, groupBy? } with from/to as ISO strings,
+   *                           groupBy 'code' (default) or 'none'
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async getHistory(vehicleId, {
+    from, to, recurrenceDays = DEFAULT_RECURRENCE_DAYS, groupBy = 'code',
+  }) {
+    try {
+      const dtcs = await this.getVehicleDtcs(vehicleId, to);
+      if (!dtcs.success) return dtcs;
+
+      const occurrences = this.annotateRecurrences(dtcs.data, recurrenceDays)
+        .filter((occurrence) => !from || new Date(occurrence.occurred_at) >= new Date(from));
+
+      const summary = {
+        occurrences: occurrences.length,
+        codes: new Set(occurrences.map((occurrence) => occurrence.dtc_code)).size,
+        recurrences: occurrences.filter((occurrence) => occurrence.is_recurrence).length,
+        came_back_within_days: occurrences.filter((occurrence) => occurrence.came_back_within_days).length,
+      };
+
+      return {
+        success: true,
+        data: {
+          recurrence_days: recurrenceDays,
+          summary,
+          ...(groupBy === 'code'
+            ? { codes: this.groupByCode(occurrences) }
+            : { timeline: [...occurrences].reverse() }),
+        },
+      };
+    } catch (error) {
+      logger.error('DTC history error:', error.message);
+      return { success: false, message: 'Failed to retrieve DTC history' };
+    }
+  }
+
+  /**
+   * Read a vehicle's DTCs, oldest first
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} [to] - Latest occurrence to read (ISO string)
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getVehicleDtcs(vehicleId, to) {
+    const dtcs = [];
+    let page;
+
+    do {
+      let query = supabase
+        .from('vehicle_dtcs')
+        .select('*')
+        .eq('vehicle_id', vehicleId);
+
+      if (to) query = query.lte('occurred_at', to);
+
+      const { data, error } = await query
+        .order('occurred_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(dtcs.length, dtcs.length + DTC_PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('DTC history lookup error:', error.message);
+        return { success: false, message: 'Failed to retrieve DTC history' };
+      }
+
+      page = data;
+      dtcs.push(...data);
+    } while (page.length === DTC_PAGE_SIZE);
+
+    return { success: true, data: dtcs };
+  }
+
+  /**
+   * Flag occurrences of a code that follow a resolved occurrence of the same code
+   * @param {Array<Object>} dtcs - vehicle_dtcs rows ordered by occurred_at
+   * @param {number} recurrenceDays - Days after a resolution a recurrence counts as coming back quickly
+   * @returns {Array<Object>} - Rows with occurrence, is_recurrence, days_since_resolution and came_back_within_days
+   */
+  annotateRecurrences(dtcs, recurrenceDays) {
+    const previous = new Map();
+
+    return dtcs.map((dtc) => {
+      const history = previous.get(dtc.dtc_code) || { count: 0, resolvedAt: null };
+      const sinceResolution = history.resolvedAt ? new Date(dtc.occurred_at) - new Date(history.resolvedAt) : -1;
+      const daysSinceResolution = sinceResolution >= 0 ? Math.round((sinceResolution / DAY_MS) * 10) / 10 : null;
+
+      previous.set(dtc.dtc_code, {
+        count: history.count + 1,
+        resolvedAt: dtc.resolved_at || null,
+      });
+
+      return {
+        ...dtc,
+        occurrence: history.count + 1,
+        is_recurrence: daysSinceResolution !== null,
+        days_since_resolution: daysSinceResolution,
+        came_back_within_days: daysSinceResolution !== null && daysSinceResolution <= recurrenceDays,
+      };
+    });
+  }
+
+  /**
+   * Group annotated occurrences by code, most recently seen code first
+   * @param {Array<Object>} occurrences - Annotated rows ordered by occurred_at
+   * @returns {Array<Object>} - Codes with their counts and occurrences (newest first)
+   */
+  groupByCode(occurrences) {
+    const codes = new Map();
+
+    occurrences.forEach((occurrence) => {
+      if (!codes.has(occurrence.dtc_code)) codes.set(occurrence.dtc_code, []);
+      codes.get(occurrence.dtc_code).push(occurrence);
+    });
+
+    return [...codes.entries()]
+      .map(([code, list]) => {
+        const latest = list[list.length - 1];
+        return {
+          dtc_code: code,
+          description: latest.description,
+          impact_level: latest.impact_level,
+          status: latest.status,
+          occurrences: list.length,
+          recurrences: list.filter((occurrence) => occurrence.is_recurrence).length,
+          came_back_within_days: list.filter((occurrence) => occurrence.came_back_within_days).length,
+          first_seen: list[0].occurred_at,
+          last_seen: latest.last_seen_at || latest.occurred_at,
+          history: [...list].reverse(),
+        };
+      })
+      .sort((a, b) => new Date(b.last_seen) - new Date(a.last_seen));
+  }
+}
+
+module.exports = new DtcHistoryService();
@@ -0,0 +1,218 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { canTransition } = require('../config/dtcLifecycle');
+
+// Fields an update may edit, changes to them are recorded in the DTC's event log
+const EDITABLE_FIELDS = ['description', 'impact_level'];
+
+class DtcLifecycleService {
+  /**
+   * Apply a client update to a DTC, enforcing the lifecycle and recording it in the event log
+   * @param {Object} dtc - Current vehicle_dtcs row
+   * @param {Object} update - { status?, description?, impact_level?, resolution_notes?, notes?, attachments? }
+   * @param {string} actorId - User making the change
+   * @returns {Object} - Result ({ success, data, code?, message? }), code 'invalid_transition' for a refused status
+   */
+  async updateDtc(dtc, update, actorId) {
+    try {
+      const statusChanged = update.status !== undefined && update.status !== dtc.status;
+
+      if (statusChanged && !canTransition(dtc.status, update.status)) {
+        return {
+          success: false,
+          code: 'invalid_transition',
+          message: `A DTC cannot move from ${dtc.status} to ${update.status}`,
+        };
+      }
+
+      const { row, changes } = this.planUpdate(dtc, update, statusChanged);
+
+      // Only update the status the transition was checked against, a concurrent update wins
+      const { data, error } = await supabase
+        .from('vehicle_dtcs')
+        .update(row)
+        .eq('id', dtc.id)
+        .eq('status', dtc.status)
+        .select()
+        .maybeSingle();
+
+      // Reopening a resolved or ignored DTC while the same code is open again on the vehicle
+      if (error && error.code === '23505') {
+        return {
+          success: false,
+          code: 'duplicate',
+          message: `Another open DTC with code ${dtc.dtc_code} already exists for this vehicle`,
+        };
+      }
+
+      if (error) {
+        logger.error('DTC update error:', error.message);
+        return { success: false, message: 'Failed to update DTC' };
+      }
+
+      if (!data) {
+        return {
+          success: false,
+          code: 'invalid_transition',
+          message: `The DTC is no longer ${dtc.status}, it was changed by another update`,
+        };
+      }
+
+      await this.recordEvents(this.updateEvents(dtc, update, { statusChanged, changes, actorId }));
+
+      return { success: true, data };
+    } catch (error) {
+      logger.error('DTC update error:', error.message);
+      return { success: false, message: 'Failed to update DTC' };
+    }
+  }
+
+  /**
+   * Work out the columns an update sets and the fields it actually changes
+   * Resolving stores the resolution notes, reopening clears them with the resolution time
+   * @param {Object} dtc - Current vehicle_dtcs row
+   * @param {Object} update - Validated update
+   * @param {boolean} statusChanged - Whether the update moves the DTC to another status
+   * @returns {Object} - { row, changes } with changes as field -> { from, to }
+   */
+  planUpdate(dtc, update, statusChanged) {
+    const now = new Date().toISOString();
+    const changes = Object.fromEntries(EDITABLE_FIELDS
+      .filter((field) => update[field] !== undefined && update[field] !== dtc[field])
+      .map((field) => [field, { from: dtc[field], to: update[field] }]));
+
+    if (!statusChanged && update.resolution_notes !== undefined && dtc.status === 'resolved') {
+      changes.resolution_notes = { from: dtc.resolution_notes, to: update.resolution_notes };
+    }
+
+    const row = {
+      ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+      updated_at: now,
+    };
+
+    if (statusChanged) {
+      row.status = update.status;
+      if (update.status === 'resolved') {
+        row.resolved_at = now;
+        row.resolution_notes = update.resolution_notes;
+      } else if (update.status === 'active') {
+        row.resolved_at = null;
+        row.resolution_notes = null;
+      }
+    }
+
+    return { row, changes };
+  }
+
+  /**
+   * Events describing an applied update: the status change, the edited fields, or else a plain note
+   * @param {Object} dtc - vehicle_dtcs row before the update
+   * @param {Object} update - Validated update
+   * @param {Object} applied - { statusChanged, changes, actorId }
+   * @returns {Array<Object>} - dtc_events rows
+   */
+  updateEvents(dtc, update, { statusChanged, changes, actorId }) {
+    const base = {
+      dtc_id: dtc.id,
+      vehicle_id: dtc.vehicle_id,
+      actor_id: actorId,
+      notes: update.notes || null,
+      attachments: update.attachments || [],
+    };
+    const events = [];
+
+    if (statusChanged) {
+      events.push(this.statusEvent(dtc, update, base));
+    }
+
+    if (Object.keys(changes).length > 0) {
+      // Notes and attachments already went with the status change
+      const carried = statusChanged ? { notes: null, attachments: [] } : {};
+      events.push({
+        ...base, event_type: 'updated', changes, ...carried,
+      });
+    }
+
+    if (events.length === 0 && (update.notes || update.attachments)) {
+      events.push({ ...base, event_type: 'note' });
+    }
+
+    return events;
+  }
+
+  /**
+   * Event recording a status change, moving back to active reopens the DTC
+   * @param {Object} dtc - vehicle_dtcs row before the update
+   * @param {Object} update - Validated update
+   * @param {Object} base - Fields shared by the update's events
+   * @returns {Object} - dtc_events row
+   */
+  statusEvent(dtc, update, base) {
+    return {
+      ...base,
+      event_type: update.status === 'active' ? 'reopened' : 'status_changed',
+      from_status: dtc.status,
+      to_status: update.status,
+      notes: update.notes || update.resolution_notes || null,
+    };
+  }
+
+  /**
+   * Event recorded when a DTC is stored
+   * @param {Object} dtc - Stored vehicle_dtcs row
+   * @param {string|null} actorId - User who reported it, null for the system
+   * @returns {Object} - dtc_events row
+   */
+  createdEvent(dtc, actorId) {
+    return {
+      dtc_id: dtc.id,
+      vehicle_id: dtc.vehicle_id,
+      event_type: 'created',
+      to_status: dtc.status,
+      actor_id: actorId || null,
+    };
+  }
+
+  /**
+   * Append events to DTC event logs
+   * A failed write is logged, the change it describes has already been made
+   * @param {Array<Object>} events - dtc_events rows without id and created_at
+   * @returns {Object} - Result ({ success, message? })
+   */
+  async recordEvents(events) {
+    if (events.length === 0) return { success: true };
+
+    const { error } = await supabase
+      .from('dtc_events')
+      .insert(events.map((event) => ({ ...event, created_at: new Date().toISOString() })));
+
+    if (error) {
+      logger.error('DTC event log error:', error.message);
+      return { success: false, message: 'Failed to record DTC events' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Read a DTC's event log, oldest first
+   * @param {string} dtcId - DTC ID
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getEvents(dtcId) {
+    const { data, error } = await supabase
+      .from('dtc_events')
+      .select('*')
+      .eq('dtc_id', dtcId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('DTC events lookup error:', error.message);
+      return { success: false, message: 'Failed to retrieve DTC events' };
+    }
+
+    return { success: true, data };
+  }
+}
+
+module.exports = new DtcLifecycleService();
@@ -0,0 +1,281 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { findDtcCode } = require('../config/dtcDictionary');
+const { DTC_OPEN_STATUSES } = require('../config/dtcLifecycle');
+
+const dtcLifecycleService = require('./dtcLifecycleService');
+const dtcSuppressionService = require('./dtcSuppressionService');
+const dtcFreezeFrameService = require('./dtcFreezeFrameService');
+
+class DtcService {
+  /**
+   * Build a vehicle_dtcs row for a newly reported code, filling what the client left out from the dictionary
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} dtc - { dtc_code, description?, impact_level?, status?, occurred_at?, freeze_frame? }
+   * @param {string} seenAt - When the code was reported (ISO string)
+   * @returns {Object} - Row ready for insertion
+   */
+  buildDtcRow(vehicleId, dtc, seenAt) {
+    const dictionaryEntry = findDtcCode(dtc.dtc_code);
+    const now = new Date().toISOString();
+
+    return {
+      vehicle_id: vehicleId,
+      dtc_code: dtc.dtc_code,
+      description: dtc.description || dictionaryEntry.description,
+      impact_level: dtc.impact_level || dictionaryEntry.severity,
+      status: dtc.status || 'active',
+      occurred_at: dtc.occurred_at || seenAt,
+      last_seen_at: seenAt,
+      freeze_frame: dtc.freeze_frame ? { ...dtc.freeze_frame, source: 'client' } : null,
+      created_at: now,
+      updated_at: now,
+    };
+  }
+
+  /**
+   * Reconcile a scan's codes with a vehicle's open DTCs
+   * New codes are inserted, codes that are still reported get their last seen time bumped and,
+   * with autoResolve, open scan DTCs the scan no longer reports are resolved.
+   * Anomaly insights are never auto-resolved, a scan does not report them.
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} scan - { dtcs, scannedAt, autoResolve, actorId } with scannedAt as an ISO string
+   * @returns {Object} - Result ({ success, data: { created, still_present, resolved }, message? })
+   */
+  async reconcileScan(vehicleId, {
+    dtcs, scannedAt, autoResolve, actorId,
+  }) {
+    try {
+      const { data: active, error } = await supabase
+        .from('vehicle_dtcs')
+        .select('*')
+        .eq('vehicle_id', vehicleId)
+        .in('status', DTC_OPEN_STATUSES);
+
+      if (error) {
+        logger.error('Active DTCs lookup error:', error.message);
+        return { success: false, message: 'Failed to retrieve active DTCs' };
+      }
+
+      const activeCodes = new Set(active.map((dtc) => dtc.dtc_code));
+      const reportedCodes = new Set(dtcs.map((dtc) => dtc.dtc_code));
+
+      const newRows = await Promise.all(dtcs
+        .filter((dtc) => !activeCodes.has(dtc.dtc_code))
+        .map((dtc) => dtcFreezeFrameService.withFreezeFrame(this.buildDtcRow(vehicleId, dtc, scannedAt))));
+      const present = active.filter((dtc) => reportedCodes.has(dtc.dtc_code));
+      const gone = autoResolve
+        ? active.filter((dtc) => !reportedCodes.has(dtc.dtc_code) && dtc.source !== 'anomaly')
+        : [];
+
+      const [created, stillPresent, resolved] = await Promise.all([
+        this.insertScanRows(vehicleId, newRows, scannedAt),
+        this.updateRows(present, { last_seen_at: scannedAt }),
+        this.updateRows(gone, { status: 'resolved', resolved_at: new Date().toISOString() }),
+      ]);
+
+      const failed = [created, stillPresent, resolved].find((result) => !result.success);
+      if (failed) return failed;
+
+      await dtcLifecycleService.recordEvents([
+        ...created.data.map((dtc) => dtcLifecycleService.createdEvent(dtc, actorId)),
+        ...gone.map((dtc) => ({
+          dtc_id: dtc.id,
+          vehicle_id: vehicleId,
+          event_type: 'status_changed',
+          from_status: dtc.status,
+          to_status: 'resolved',
+          actor_id: actorId || null,
+          notes: 'No longer reported by a scan',
+        })),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          created: created.data,
+          still_present: [...stillPresent.data, ...created.stillPresent],
+          resolved: resolved.data,
+        },
+      };
+    } catch (error) {
+      logger.error('DTC scan reconcile error:', error.message);
+      return { success: false, message: 'Failed to reconcile scan' };
+    }
+  }
+
+  /**
+   * Open DTCs of a vehicle, highest impact and newest first, with snoozed and ignored codes set apart
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - Result ({ success, data: { dtcs, suppressed, impact_breakdown }, message? })
+   */
+  async getActiveDtcs(vehicleId) {
+    const { data, error } = await supabase
+      .from('vehicle_dtcs')
+      .select('*')
+      .eq('vehicle_id', vehicleId)
+      .in('status', DTC_OPEN_STATUSES)
+      .order('impact_level', { ascending: false })
+      .order('occurred_at', { ascending: false });
+
+    if (error) {
+      logger.error('Active DTCs lookup error:', error.message);
+      return { success: false, message: 'Failed to retrieve active DTCs' };
+    }
+
+    // Snoozed and ignored codes are still recorded, but not shown
+    const { visible, suppressed } = await dtcSuppressionService.partition(vehicleId, data);
+
+    return {
+      success: true,
+      data: {
+        dtcs: visible,
+        suppressed,
+        impact_breakdown: {
+          high: visible.filter((dtc) => dtc.impact_level === 'high').length,
+          mid: visible.filter((dtc) => dtc.impact_level === 'mid').length,
+          low: visible.filter((dtc) => dtc.impact_level === 'low').length,
+        },
+      },
+    };
+  }
+
+  /**
+   * Tell a vehicle's subscribers about DTC changes, with the vehicle's updated impact breakdown
+   * Changes to snoozed or ignored codes are not announced. Never throws, a failed emit is only logged.
+   * @param {Object} io - Socket.io server
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Array<Object>} changes - [{ event, dtc }] with event dtc-created, dtc-updated or dtc-resolved
+   */
+  async emitDtcEvents(io, vehicleId, changes) {
+    if (!io || changes.length === 0) return;
+
+    try {
+      const active = await this.getActiveDtcs(vehicleId);
+      if (!active.success) return;
+
+      const rules = await dtcSuppressionService.getActiveRules(vehicleId, changes.map(({ dtc }) => dtc.dtc_code));
+      const suppressed = rules.success ? rules.data : new Map();
+
+      changes
+        .filter(({ dtc }) => !suppressed.has(dtc.dtc_code))
+        .forEach(({ event, dtc }) => {
+          io.to(`vehicle-${vehicleId}`).emit(event, {
+            dtc,
+            total_active: active.data.dtcs.length,
+            impact_breakdown: active.data.impact_breakdown,
+          });
+        });
+    } catch (error) {
+      logger.error('DTC event emit error:', error.message);
+    }
+  }
+
+  /**
+   * Insert the rows of the codes a scan newly reports
+   * A concurrent scan may open one of the codes between the lookup and the insert, the unique open code
+   * index then refuses the whole batch: rows are retried one by one and a code opened in the meantime
+   * counts as still present
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Array<Object>} rows - Rows from buildDtcRow
+   * @param {string} scannedAt - Scan time (ISO string)
+   * @returns {Object} - Result ({ success, data, stillPresent, message? }), data holds the inserted rows
+   */
+  async insertScanRows(vehicleId, rows, scannedAt) {
+    const batch = await this.insertRows(rows);
+    if (batch.success) return { ...batch, stillPresent: [] };
+    if (batch.code !== 'duplicate') return batch;
+
+    const created = [];
+    const stillPresent = [];
+
+    for (const row of rows) {
+      const inserted = await this.insertRows([row]);
+      const duplicate = inserted.code === 'duplicate';
+      const result = duplicate ? await this.markOpenDtcSeen(vehicleId, row.dtc_code, scannedAt) : inserted;
+
+      if (!result.success) return result;
+      (duplicate ? stillPresent : created).push(...result.data);
+    }
+
+    return { success: true, data: created, stillPresent };
+  }
+
+  /**
+   * Bump the last seen time of a vehicle's open DTC with a code
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} dtcCode - DTC code
+   * @param {string} seenAt - Time the code was reported (ISO string)
+   * @returns {Object} - Result ({ success, data, message? }), data holds the updated row
+   */
+  async markOpenDtcSeen(vehicleId, dtcCode, seenAt) {
+    const { data: open, error } = await supabase
+      .from('vehicle_dtcs')
+      .select('*')
+      .eq('vehicle_id', vehicleId)
+      .eq('dtc_code', dtcCode)
+      .in('status', DTC_OPEN_STATUSES)
+      .maybeSingle();
+
+    if (error || !open) {
+      logger.error('Open DTC lookup error:', error ? error.message : `${dtcCode} is no longer open`);
+      return { success: false, message: 'Failed to add DTCs' };
+    }
+
+    return this.updateRows([open], { last_seen_at: seenAt });
+  }
+
+  /**
+   * Insert vehicle_dtcs rows
+   * @param {Array<Object>} rows - Rows to insert
+   * @returns {Object} - Result ({ success, data, code?, message? }), code 'duplicate' when a code is already open
+   */
+  async insertRows(rows) {
+    if (rows.length === 0) return { success: true, data: [] };
+
+    const { data, error } = await supabase
+      .from('vehicle_dtcs')
+      .insert(rows)
+      .select();
+
+    if (error && error.code === '23505') {
+      return {
+        success: false,
+        code: 'duplicate',
+        message: 'Open DTC with this code already exists for this vehicle',
+      };
+    }
+
+    if (error) {
+      logger.error('DTC insert error:', error.message);
+      return { success: false, message: 'Failed to add DTCs' };
+    }
+
+    return { success: true, data };
+  }
+
+  /**
+   * Apply the same change to several vehicle_dtcs rows
+   * @param {Array<Object>} dtcs - Rows to update
+   * @param {Object} changes - Columns to set
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async updateRows(dtcs, changes) {
+    if (dtcs.length === 0) return { success: true, data: [] };
+
+    const { data, error } = await supabase
+      .from('vehicle_dtcs')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .in('id', dtcs.map((dtc) => dtc.id))
+      .select();
+
+    if (error) {
+      logger.error('DTC update error:', error.message);
+      return { success: false, message: 'Failed to update DTCs' };
+    }
+
+    return { success: true, data };
+  }
+}
+
+module.exports = new DtcService();
@@ -0,0 +1,250 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { DAY_MS } = require('../utils/time');
+const { createSegmenter } = require('../utils/trips');
+
+const telemetryService = require('./telemetryService');
+const tripService = require('./tripService');
+
+const sameName = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+class DtcSuppressionService {
+  /**
+   * Create a snooze or ignore rule
+   * @param {Object} rule - Validated rule
+   *                        ({ dtc_code, action, vehicle_id?, brand?, model?, days?, ignition_cycles?, notes? })
+   * @param {string} userId - User creating the rule
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async createRule({ days, ...rule }, userId) {
+    const now = new Date();
+
+    const { data, error } = await supabase
+      .from('dtc_suppression_rules')
+      .insert([{
+        ...rule,
+        expires_at: days ? new Date(now.getTime() + days * DAY_MS).toISOString() : null,
+        created_by: userId,
+        created_at: now.toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('DTC suppression rule store error:', error.message);
+      return { success: false, message: 'Failed to create suppression rule' };
+    }
+
+    return { success: true, data };
+  }
+
+  /**
+   * Read the rules a user created, or every rule for an unrestricted role
+   * @param {string} userId - User ID
+   * @param {boolean} all - Whether to read every user's rules
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getUserRules(userId, all) {
+    let query = supabase
+      .from('dtc_suppression_rules')
+      .select('*');
+
+    if (!all) query = query.eq('created_by', userId);
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('DTC suppression rules lookup error:', error.message);
+      return { success: false, message: 'Failed to retrieve suppression rules' };
+    }
+
+    return { success: true, data };
+  }
+
+  /**
+   * Delete a rule, the codes it hid show up again
+   * @param {string} ruleId - Rule ID
+   * @returns {Object} - Result ({ success, message? })
+   */
+  async deleteRule(ruleId) {
+    const { error } = await supabase
+      .from('dtc_suppression_rules')
+      .delete()
+      .eq('id', ruleId);
+
+    if (error) {
+      logger.error('DTC suppression rule delete error:', error.message);
+      return { success: false, message: 'Failed to delete suppression rule' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Read the rules that can apply to a vehicle: its own rules, rules for its brand and model and fleet wide rules
+   * @param {Object} vehicle - { id, brand, model }
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getVehicleRules(vehicle) {
+    const [own, fleet] = await Promise.all([
+      supabase.from('dtc_suppression_rules').select('*').eq('vehicle_id', vehicle.id),
+      supabase.from('dtc_suppression_rules').select('*').is('vehicle_id', null),
+    ]);
+
+    const failed = [own, fleet].find((result) => result.error);
+    if (failed) {
+      logger.error('DTC suppression rules lookup error:', failed.error.message);
+      return { success: false, message: 'Failed to retrieve suppression rules' };
+    }
+
+    const matching = fleet.data.filter((rule) => !rule.brand
+      || (sameName(rule.brand, vehicle.brand) && sameName(rule.model, vehicle.model)));
+
+    return { success: true, data: [...own.data, ...matching] };
+  }
+
+  /**
+   * Annotate rules with whether they still apply
+   * A snooze ends at its expiry time, or once the vehicle has started as many trips (ignition cycles)
+   * since the snooze as it allows. Ignore rules never end.
+   * @param {string} vehicleId - Vehicle the ignition cycles are counted for
+   * @param {Array<Object>} rules - dtc_suppression_rules rows
+   * @returns {Array<Object>} - Rules with active, and ignition_cycles_used for ignition cycle snoozes
+   */
+  withStatus(vehicleId, rules) {
+    return Promise.all(rules.map(async (rule) => {
+      if (rule.action === 'ignore') return { ...rule, active: true };
+
+      if (rule.expires_at) {
+        return { ...rule, active: new Date(rule.expires_at) > new Date() };
+      }
+
+      const cycles = await this.countIgnitionCycles(vehicleId, rule.created_at, rule.ignition_cycles);
+      if (!cycles.success) {
+        return { ...rule, active: true, ignition_cycles_used: null };
+      }
+
+      return { ...rule, active: cycles.count < rule.ignition_cycles, ignition_cycles_used: cycles.count };
+    }));
+  }
+
+  /**
+   * Count the ignition cycles (trip starts) of a vehicle since a moment
+   * Trips are detected by a scheduled job, so the samples after the latest stored trip are split into
+   * trips the same way detection does, and cycles not detected yet count as well
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} since - Start of the count (ISO string)
+   * @param {number} enough - Count at which the samples are no longer read
+   * @returns {Object} - Result ({ success, count, message? })
+   */
+  async countIgnitionCycles(vehicleId, since, enough) {
+    const { data: latest, count, error } = await supabase
+      .from('vehicle_trips')
+      .select('start_time', { count: 'exact' })
+      .eq('vehicle_id', vehicleId)
+      .gt('start_time', since)
+      .order('start_time', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.error('Ignition cycle count error:', error.message);
+      return { success: false, message: 'Failed to count ignition cycles' };
+    }
+
+    if (count >= enough) return { success: true, count };
+
+    // The latest stored trip is read again so its samples do not count twice. Without one, reading from
+    // an idle timeout before the snooze shows whether the engine was already running when it started
+    const after = new Date(latest.length > 0 ? latest[0].start_time : since).getTime();
+    const from = latest.length > 0 ? after : after - tripService.idleTimeoutMs;
+
+    let undetected = 0;
+    const segmenter = createSegmenter((tripSamples) => {
+      if (new Date(tripSamples[0].timestamp).getTime() > after) undetected += 1;
+    }, tripService.idleTimeoutMs);
+
+    const read = await telemetryService.forEachSamplePage(
+      { vehicleId, from: new Date(from).toISOString() },
+      ['rpm', 'speed'],
+      (rows) => rows.forEach((row) => segmenter.push(row)),
+    );
+
+    if (!read.success) {
+      logger.error('Ignition cycle count error:', read.message);
+      return { success: false, message: 'Failed to count ignition cycles' };
+    }
+
+    segmenter.flush();
+    return { success: true, count: count + undetected };
+  }
+
+  /**
+   * Rules currently hiding codes on a vehicle
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Array<string>} [codes] - Only check rules for these codes
+   * @returns {Object} - Result ({ success, data: Map of dtc_code -> rule, message? })
+   */
+  async getActiveRules(vehicleId, codes) {
+    try {
+      const { data: vehicle, error } = await supabase
+        .from('vehicles')
+        .select('id, brand, model')
+        .eq('id', vehicleId)
+        .maybeSingle();
+
+      if (error || !vehicle) {
+        return { success: false, message: 'Vehicle not found' };
+      }
+
+      const rules = await this.getVehicleRules(vehicle);
+      if (!rules.success) return rules;
+
+      const relevant = codes ? rules.data.filter((rule) => codes.includes(rule.dtc_code)) : rules.data;
+      const applying = await this.withStatus(vehicleId, relevant);
+      return {
+        success: true,
+        data: new Map(applying.filter((rule) => rule.active).map((rule) => [rule.dtc_code, rule])),
+      };
+    } catch (error) {
+      logger.error('DTC suppression check error:', error.message);
+      return { success: false, message: 'Failed to retrieve suppression rules' };
+    }
+  }
+
+  /**
+   * Split a vehicle's DTCs into visible and suppressed ones
+   * A failed rule lookup hides nothing
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Array<Object>} dtcs - vehicle_dtcs rows of the vehicle
+   * @returns {Object} - { visible, suppressed } with suppressed rows carrying suppressed_by (rule ID)
+   */
+  async partition(vehicleId, dtcs) {
+    if (dtcs.length === 0) return { visible: [], suppressed: [] };
+
+    const rules = await this.getActiveRules(vehicleId, dtcs.map((dtc) => dtc.dtc_code));
+    if (!rules.success) {
+      logger.warn(`DTC suppression skipped for vehicle ${vehicleId}: ${rules.message}`);
+      return { visible: dtcs, suppressed: [] };
+    }
+
+    return {
+      visible: dtcs.filter((dtc) => !rules.data.has(dtc.dtc_code)),
+      suppressed: dtcs
+        .filter((dtc) => rules.data.has(dtc.dtc_code))
+        .map((dtc) => ({ ...dtc, suppressed_by: rules.data.get(dtc.dtc_code).id })),
+    };
+  }
+
+  /**
+   * Check whether a code is currently hidden on a vehicle, used to keep suppressed anomaly insights out of alerts
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} dtcCode - DTC code
+   * @returns {boolean} - Whether a rule hides the code
+   */
+  async isSuppressed(vehicleId, dtcCode) {
+    const rules = await this.getActiveRules(vehicleId, [dtcCode]);
+    return rules.success && rules.data.has(dtcCode);
+  }
+}
+
+module.exports = new DtcSuppressionService();
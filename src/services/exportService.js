@@ -0,0 +1,115 @@
+const { logger } = require('../config/logger');
+const { convertRecord, fieldUnits } = require('../utils/units');
+
+const telemetryTierService = require('./telemetryTierService');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Data to write
+ * @returns {Promise} - Resolves when more data can be written, rejects when the client has gone away
+ */
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    reject(new Error('Export aborted by client'));
+    return;
+  }
+
+  if (res.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  // A client that disconnects never drains the buffer, close or error settles the write instead
+  const settle = (error) => {
+    res.off('drain', settle);
+    res.off('error', settle);
+    res.off('close', settle);
+    if (error || res.destroyed) {
+      reject(error || new Error('Export aborted by client'));
+    } else {
+      resolve();
+    }
+  };
+
+  res.on('drain', settle);
+  res.on('error', settle);
+  res.on('close', settle);
+});
+
+class ExportService {
+  /**
+   * Stream a vehicle's telemetry as CSV or NDJSON, page by page, without buffering the range
+   * Every column keeps a single type (ISO timestamp, numbers or empty) so files load cleanly
+   * into columnar tools such as Parquet converters
+   * @param {Object} res - Express response object
+   * @param {Object} options - Export options
+   * @param {string} options.vehicleId - Vehicle ID
+   * @param {string} options.from - Range start (ISO string)
+   * @param {string} options.to - Range end (ISO string)
+   * @param {string} options.format - csv or ndjson
+   * @param {Array<string>} options.columns - Columns after timestamp
+   * @param {string} options.units - metric or imperial
+   * @returns {Object} - Export result ({ success, total, message? })
+   */
+  async streamExport(res, {
+    vehicleId, from, to, format, columns, units,
+  }) {
+    const fields = ['timestamp', ...columns.filter((column) => column !== 'timestamp')];
+    const filename = `vehicle-${vehicleId}-${from.slice(0, 10)}-${to.slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Units', JSON.stringify(fieldUnits(units)));
+
+    let result;
+    try {
+      if (format === 'csv') {
+        await write(res, `${fields.join(',')}\n`);
+      }
+
+      result = await telemetryTierService.forEachSamplePage({ vehicleId, from, to }, fields, (rows) => {
+        const lines = rows.map((row) => {
+          const converted = convertRecord(row, units);
+          if (format === 'csv') {
+            return fields.map((field) => csvCell(converted[field])).join(',');
+          }
+          return JSON.stringify(Object.fromEntries(fields.map((field) => [field, converted[field] ?? null])));
+        });
+
+        return write(res, `${lines.join('\n')}\n`);
+      });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    if (result.success) {
+      res.end();
+    } else {
+      // Ending the response would look like a complete file to the client, destroying it signals the failure
+      logger.warn(`Export for vehicle ${vehicleId} stopped:`, result.message);
+      res.destroy(new Error(result.message));
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ExportService();
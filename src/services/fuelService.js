@@ -0,0 +1,271 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { DAY_MS, getTimeBucket } = require('../utils/time');
+
+const telemetryTierService = require('./telemetryTierService');
+
+// Trips read per page
+const TRIP_PAGE_SIZE = 1000;
+
+// Tank level rise (percent points) counted as a refuel, smaller rises are sloshing or sensor noise
+const REFUEL_MIN_RISE_PERCENT = 15;
+
+// Longest a refuel may take from the lowest level to the highest one
+const REFUEL_MAX_DURATION_MS = 30 * 60 * 1000;
+
+// Trips shorter than this have no meaningful fuel economy of their own
+const MIN_ECONOMY_DISTANCE_KM = 1;
+
+// History before the report range the vehicle's baseline economy is computed from
+const BASELINE_DAYS = 90;
+
+// Difference from the baseline (percent) still reported as similar
+const BASELINE_SIMILAR_PERCENT = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fuel economy in L/100km
+ * @param {number} fuelLiters - Fuel used
+ * @param {number} distanceKm - Distance driven
+ * @returns {number|null} - Economy, null when the distance is too short
+ */
+const fuelEconomy = (fuelLiters, distanceKm) => (distanceKm >= MIN_ECONOMY_DISTANCE_KM
+  ? round2((fuelLiters / distanceKm) * 100)
+  : null);
+
+class FuelService {
+  /**
+   * Fuel report of a vehicle: economy per trip, day and month, refuels, cost and the comparison
+   * with the vehicle's own economy over the preceding BASELINE_DAYS
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} options - { from, to, timezone, pricePerLiter } with from/to as ISO strings
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async getFuelReport(vehicleId, {
+    from, to, timezone, pricePerLiter,
+  }) {
+    try {
+      const baselineFrom = new Date(new Date(from).getTime() - BASELINE_DAYS * DAY_MS).toISOString();
+
+      const [trips, baselineTrips, refuels] = await Promise.all([
+        this.getTrips(vehicleId, from, to),
+        this.getTrips(vehicleId, baselineFrom, from),
+        this.detectRefuels(vehicleId, from, to),
+      ]);
+
+      const failed = [trips, baselineTrips, refuels].find((result) => !result.success);
+      if (failed) return failed;
+
+      const measured = trips.data.filter((trip) => trip.fuel_used_liters !== null);
+      const summary = this.summarize(measured, pricePerLiter);
+      const baseline = this.summarize(
+        baselineTrips.data.filter((trip) => trip.fuel_used_liters !== null),
+        pricePerLiter,
+      );
+
+      return {
+        success: true,
+        data: {
+          price_per_liter: pricePerLiter,
+          summary: {
+            ...summary,
+            trips_measured: measured.length,
+            trips_without_fuel_data: trips.data.length - measured.length,
+          },
+          baseline: {
+            from: baselineFrom,
+            to: from,
+            ...baseline,
+            comparison: this.compare(summary.economy_l_per_100km, baseline.economy_l_per_100km),
+          },
+          trips: measured.map((trip) => ({
+            id: trip.id,
+            start_time: trip.start_time,
+            end_time: trip.end_time,
+            ...this.summarize([trip], pricePerLiter),
+          })),
+          daily: this.groupBy(measured, 'day', timezone, pricePerLiter),
+          monthly: this.groupBy(measured, 'month', timezone, pricePerLiter),
+          refuels: refuels.data,
+        },
+      };
+    } catch (error) {
+      logger.error('Fuel report error:', error.message);
+      return { success: false, message: 'Failed to compute fuel report' };
+    }
+  }
+
+  /**
+   * Read a vehicle's completed trips that started in a range, oldest first
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} from - Range start (ISO string), inclusive
+   * @param {string} before - Range end (ISO string), exclusive
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getTrips(vehicleId, from, before) {
+    const trips = [];
+    let page;
+
+    do {
+      const { data, error } = await supabase
+        .from('vehicle_trips')
+        .select('id, start_time, end_time, distance_km, fuel_used_liters')
+        .eq('vehicle_id', vehicleId)
+        .eq('status', 'completed')
+        .gte('start_time', from)
+        .lt('start_time', before)
+        .order('start_time', { ascending: true })
+        .range(trips.length, trips.length + TRIP_PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('Fuel trips lookup error:', error.message);
+        return { success: false, message: 'Failed to retrieve trips' };
+      }
+
+      page = data;
+      trips.push(...data);
+    } while (page.length === TRIP_PAGE_SIZE);
+
+    return { success: true, data: trips };
+  }
+
+
+  /**
+   * Total distance, fuel, economy and cost of trips with a measured fuel use
+   * @param {Array<Object>} trips - vehicle_trips rows
+   * @param {number|null} pricePerLiter - Fuel price, null leaves the cost out
+   * @returns {Object} - { distance_km, fuel_used_liters, economy_l_per_100km, cost }
+   */
+  summarize(trips, pricePerLiter) {
+    const distanceKm = trips.reduce((sum, trip) => sum + (Number(trip.distance_km) || 0), 0);
+    const fuelLiters = trips.reduce((sum, trip) => sum + (Number(trip.fuel_used_liters) || 0), 0);
+
+    return {
+      distance_km: round2(distanceKm),
+      fuel_used_liters: round2(fuelLiters),
+      economy_l_per_100km: fuelEconomy(fuelLiters, distanceKm),
+      cost: pricePerLiter !== null ? round2(fuelLiters * pricePerLiter) : null,
+    };
+  }
+
+  /**
+   * Summarise trips per day or month of their start, in a time zone
+   * @param {Array<Object>} trips - vehicle_trips rows ordered by start_time
+   * @param {string} groupBy - day or month
+   * @param {string} timezone - IANA time zone name
+   * @param {number|null} pricePerLiter - Fuel price
+   * @returns {Array<Object>} - Periods in time order ({ period, start, end, trips, ...summary })
+   */
+  groupBy(trips, groupBy, timezone, pricePerLiter) {
+    const periods = new Map();
+
+    trips.forEach((trip) => {
+      const bucket = getTimeBucket(new Date(trip.start_time), groupBy, timezone);
+      if (!periods.has(bucket.key)) {
+        periods.set(bucket.key, { bucket, trips: [] });
+      }
+      periods.get(bucket.key).trips.push(trip);
+    });
+
+    return [...periods.values()].map(({ bucket, trips: periodTrips }) => ({
+      period: bucket.key,
+      start: bucket.start.toISOString(),
+      end: bucket.end.toISOString(),
+      trips: periodTrips.length,
+      ...this.summarize(periodTrips, pricePerLiter),
+    }));
+  }
+
+  /**
+   * Compare an economy with the baseline economy
+   * @param {number|null} economy - Economy in L/100km
+   * @param {number|null} baseline - Baseline economy in L/100km
+   * @returns {Object|null} - { difference_percent, status } where a positive difference means more fuel used
+   */
+  compare(economy, baseline) {
+    if (economy === null || !baseline) return null;
+
+    const differencePercent = round2(((economy - baseline) / baseline) * 100);
+
+    let status = 'similar';
+    if (differencePercent <= -BASELINE_SIMILAR_PERCENT) status = 'better';
+    else if (differencePercent >= BASELINE_SIMILAR_PERCENT) status = 'worse';
+
+    return { difference_percent: differencePercent, status };
+  }
+
+  /**
+   * Detect refuels in a vehicle's tank level series
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} from - Range start (ISO string)
+   * @param {string} to - Range end (ISO string)
+   * @returns {Object} - Result ({ success, data, message? })
+   */
+  async detectRefuels(vehicleId, from, to) {
+    const samples = [];
+    const read = await telemetryTierService.forEachSamplePage({ vehicleId, from, to }, ['fuelTankLevel'], (rows) => {
+      rows.forEach((row) => {
+        if (row.fuelTankLevel !== null && row.fuelTankLevel !== undefined) {
+          samples.push({ timestamp: row.timestamp, level: Number(row.fuelTankLevel) });
+        }
+      });
+    });
+
+    if (!read.success) {
+      return { success: false, message: read.message };
+    }
+
+    return { success: true, data: this.findRefuels(samples) };
+  }
+
+  /**
+   * Find tank level jumps in a level series
+   * A refuel starts at the lowest recent level and runs while the level keeps rising,
+   * it counts once the rise reaches REFUEL_MIN_RISE_PERCENT within REFUEL_MAX_DURATION_MS
+   * @param {Array<Object>} samples - [{ timestamp, level }] ordered by timestamp, level in percent
+   * @returns {Array<Object>} - Refuels ({ started_at, ended_at, level_before, level_after, added_percent })
+   */
+  findRefuels(samples) {
+    const refuels = [];
+    let low = null;
+    let peak = null;
+
+    const closeRefuel = () => {
+      refuels.push({
+        started_at: low.timestamp,
+        ended_at: peak.timestamp,
+        level_before: low.level,
+        level_after: peak.level,
+        added_percent: round2(peak.level - low.level),
+      });
+    };
+
+    samples.forEach((sample) => {
+      const time = new Date(sample.timestamp).getTime();
+      const withinWindow = low && time - new Date(low.timestamp).getTime() <= REFUEL_MAX_DURATION_MS;
+
+      if (peak) {
+        if (sample.level >= peak.level && withinWindow) {
+          peak = sample;
+          return;
+        }
+        closeRefuel();
+        low = sample;
+        peak = null;
+        return;
+      }
+
+      if (!low || sample.level <= low.level || !withinWindow) {
+        low = sample;
+      } else if (sample.level - low.level >= REFUEL_MIN_RISE_PERCENT) {
+        peak = sample;
+      }
+    });
+
+    if (peak) closeRefuel();
+    return refuels;
+  }
+}
+
+module.exports = new FuelService();
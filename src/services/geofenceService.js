@@ -0,0 +1,174 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { pointInGeofence } = require('../utils/geo');
+
+// How long enabled geofences for a vehicle are cached before being reloaded
+const GEOFENCE_CACHE_TTL_MS = 30 * 1000;
+
+// Fixes less precise than this are ignored so a poor fix cannot flap a vehicle in and out
+const MAX_FIX_ACCURACY_METERS = 100;
+
+class GeofenceService {
+  constructor() {
+    // vehicleId -> { geofences, expiresAt }
+    this.geofenceCache = new Map();
+    // `${geofenceId}:${vehicleId}` -> { inside } where inside is null until the first fix
+    this.states = new Map();
+    // vehicleId -> promise of the evaluation in flight, samples of one vehicle are evaluated in order
+    this.queues = new Map();
+  }
+
+  /**
+   * Drop cached geofences after one was created, updated or deleted
+   * States are dropped too and re-seeded from the stored events, a moved boundary starts from the last event
+   */
+  invalidateGeofences() {
+    this.geofenceCache.clear();
+    this.states.clear();
+  }
+
+  /**
+   * Get enabled geofences watching a vehicle
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Array<Object>} - geofences rows
+   */
+  async getGeofences(vehicleId) {
+    const cached = this.geofenceCache.get(vehicleId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.geofences;
+    }
+
+    const { data, error } = await supabase
+      .from('geofences')
+      .select('*')
+      .eq('enabled', true)
+      .contains('vehicle_ids', [vehicleId]);
+
+    if (error) {
+      logger.error('Geofences lookup error:', error.message);
+      return cached ? cached.geofences : [];
+    }
+
+    this.geofenceCache.set(vehicleId, { geofences: data || [], expiresAt: Date.now() + GEOFENCE_CACHE_TTL_MS });
+    return data || [];
+  }
+
+  /**
+   * Evaluate all geofences for a newly stored sample
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Stored vehicle_performance_data row
+   * @returns {Promise} - Resolves once the sample has been evaluated
+   */
+  evaluate(io, sample) {
+    const hasFix = sample.latitude !== null && sample.latitude !== undefined
+      && sample.longitude !== null && sample.longitude !== undefined;
+    const precise = sample.accuracy === null || sample.accuracy === undefined
+      || sample.accuracy <= MAX_FIX_ACCURACY_METERS;
+
+    if (!hasFix || !precise) return Promise.resolve();
+
+    const vehicleId = sample.vehicle_id;
+    const previous = this.queues.get(vehicleId) || Promise.resolve();
+
+    const next = previous
+      .then(() => this.evaluateSample(io, sample))
+      .catch((error) => logger.error('Geofence evaluation error:', error.message))
+      .finally(() => {
+        if (this.queues.get(vehicleId) === next) this.queues.delete(vehicleId);
+      });
+
+    this.queues.set(vehicleId, next);
+    return next;
+  }
+
+  /**
+   * Update geofence states for one sample, recording enter and exit transitions
+   * @param {Object} io - Socket.io server
+   * @param {Object} sample - Stored vehicle_performance_data row with a GPS fix
+   */
+  async evaluateSample(io, sample) {
+    const geofences = await this.getGeofences(sample.vehicle_id);
+
+    for (const geofence of geofences) {
+      const state = await this.getState(geofence, sample.vehicle_id);
+      const inside = pointInGeofence(sample, geofence);
+
+      // Without a recorded event the first fix only sets the baseline, unless it is already inside
+      const entered = inside && state.inside !== true;
+      const exited = !inside && state.inside === true;
+      state.inside = inside;
+
+      if (entered || exited) {
+        await this.recordEvent(io, geofence, sample, entered ? 'enter' : 'exit');
+      }
+    }
+  }
+
+  /**
+   * Get the state of a geofence for a vehicle, seeding it from the last recorded event
+   * @param {Object} geofence - geofences row
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - { inside }
+   */
+  async getState(geofence, vehicleId) {
+    const key = `${geofence.id}:${vehicleId}`;
+
+    if (!this.states.has(key)) {
+      const { data: lastEvent } = await supabase
+        .from('geofence_events')
+        .select('event')
+        .eq('geofence_id', geofence.id)
+        .eq('vehicle_id', vehicleId)
+        .order('occurred_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      this.states.set(key, { inside: lastEvent ? lastEvent.event === 'enter' : null });
+    }
+
+    return this.states.get(key);
+  }
+
+  /**
+   * Persist an enter or exit event and push it to the vehicle's room
+   * @param {Object} io - Socket.io server
+   * @param {Object} geofence - geofences row
+   * @param {Object} sample - Sample whose fix crossed the boundary
+   * @param {string} event - enter or exit
+   */
+  async recordEvent(io, geofence, sample, event) {
+    const { data, error } = await supabase
+      .from('geofence_events')
+      .insert([{
+        geofence_id: geofence.id,
+        vehicle_id: sample.vehicle_id,
+        event,
+        latitude: sample.latitude,
+        longitude: sample.longitude,
+        occurred_at: sample.timestamp,
+        created_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Geofence event store error:', error.message);
+      return;
+    }
+
+    logger.info(`Geofence ${event}: ${geofence.name} for vehicle: ${sample.vehicle_id}`);
+    this.emitEvent(io, { ...data, geofence_name: geofence.name });
+  }
+
+  /**
+   * Emit a geofence event to the vehicle's room
+   * @param {Object} io - Socket.io server
+   * @param {Object} event - geofence_events row with the geofence name
+   */
+  emitEvent(io, event) {
+    if (!io) return;
+    io.to(`vehicle-${event.vehicle_id}`).emit('geofence-event', event);
+  }
+}
+
+module.exports = new GeofenceService();
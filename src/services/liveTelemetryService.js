@@ -0,0 +1,95 @@
+const { logger } = require('../config/logger');
+const { removeNulls } = require('../utils/utils');
+const { convertRecord } = require('../utils/units');
+
+// Minimum delay between two performance-update events for the same vehicle (0 disables throttling)
+const DEFAULT_THROTTLE_MS = 1000;
+
+class LiveTelemetryService {
+  constructor() {
+    const configured = parseInt(process.env.LIVE_UPDATE_THROTTLE_MS, 10);
+    this.throttleMs = Number.isNaN(configured) || configured < 0 ? DEFAULT_THROTTLE_MS : configured;
+
+    // vehicleId -> { lastEmittedAt, pending, timer }
+    this.vehicles = new Map();
+  }
+
+  /**
+   * Broadcast a stored sample to the vehicle's room as a performance-update event
+   * Samples arriving inside the throttle window are coalesced and the latest one is sent when it ends
+   * @param {Object} io - Socket.io server
+   * @param {Object} record - Stored vehicle_performance_data row
+   */
+  publish(io, record) {
+    if (!io || !record || !record.vehicle_id) return;
+
+    const vehicleId = record.vehicle_id;
+    const room = `vehicle-${vehicleId}`;
+
+    // Nobody is watching this vehicle
+    if (!io.sockets.adapter.rooms.get(room)) return;
+
+    if (this.throttleMs === 0) {
+      this.emit(io, record);
+      return;
+    }
+
+    if (!this.vehicles.has(vehicleId)) {
+      this.vehicles.set(vehicleId, { lastEmittedAt: 0, pending: null, timer: null });
+    }
+    const state = this.vehicles.get(vehicleId);
+
+    const elapsed = Date.now() - state.lastEmittedAt;
+
+    if (!state.timer && elapsed >= this.throttleMs) {
+      state.lastEmittedAt = Date.now();
+      this.emit(io, record);
+      return;
+    }
+
+    state.pending = record;
+
+    if (!state.timer) {
+      state.timer = setTimeout(() => {
+        const latest = state.pending;
+        state.timer = null;
+        state.pending = null;
+        state.lastEmittedAt = Date.now();
+        this.emit(io, latest);
+      }, Math.max(this.throttleMs - elapsed, 0));
+    }
+  }
+
+  /**
+   * Emit a performance-update event to every socket in the vehicle's room,
+   * converted to the unit system of each socket's user
+   * @param {Object} io - Socket.io server
+   * @param {Object} record - Stored vehicle_performance_data row
+   */
+  emit(io, record) {
+    try {
+      const room = io.sockets.adapter.rooms.get(`vehicle-${record.vehicle_id}`);
+      if (!room) return;
+
+      const data = removeNulls(record);
+      // unit system -> payload, converted once per system
+      const payloads = new Map();
+
+      room.forEach((socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        if (!socket) return;
+
+        const units = socket.data.unitSystem || 'metric';
+        if (!payloads.has(units)) {
+          payloads.set(units, { vehicleId: record.vehicle_id, units, data: convertRecord(data, units) });
+        }
+
+        socket.emit('performance-update', payloads.get(units));
+      });
+    } catch (error) {
+      logger.error('Live telemetry broadcast error:', error.message);
+    }
+  }
+}
+
+module.exports = new LiveTelemetryService();
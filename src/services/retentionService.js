@@ -0,0 +1,174 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { resolveRetentionPolicy } = require('../config/retention');
+const { HOUR_MS, DAY_MS } = require('../utils/time');
+const { floorTo } = require('../utils/rollup');
+
+const rollupService = require('./rollupService');
+
+// Vehicles read per page
+const VEHICLE_PAGE_SIZE = 500;
+
+class RetentionService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Apply the retention policy to every vehicle: roll old raw samples into hourly and daily
+   * summaries, prune them, then prune expired summaries
+   * Scheduled by node-cron, overlapping runs are skipped
+   * @returns {Object} - Run result ({ success, vehicles, failed, skipped? })
+   */
+  async run() {
+    if (this.running) {
+      logger.warn('Telemetry retention run skipped, the previous run is still in progress');
+      return { success: false, skipped: true };
+    }
+
+    this.running = true;
+    const startedAt = new Date().toISOString();
+
+    try {
+      let vehicles = 0;
+      let failed = 0;
+      let read;
+      let last = null;
+
+      // Vehicles are processed one at a time to keep the load on the database flat
+      do {
+        read = await this.getVehiclePage(last);
+        const page = read.success ? read.data : [];
+        const owners = await this.getOwners(page.map((vehicle) => vehicle.owner_id));
+
+        for (const vehicle of page) {
+          const result = await this.applyPolicy(
+            vehicle.id,
+            resolveRetentionPolicy(owners.get(vehicle.owner_id)),
+            startedAt,
+          );
+          if (!result.success) failed += 1;
+        }
+
+        vehicles += page.length;
+        last = page[page.length - 1];
+      } while (read.success && read.data.length === VEHICLE_PAGE_SIZE);
+
+      logger.info(`Telemetry retention run finished: ${vehicles} vehicles, ${failed} failed`);
+      return { success: read.success && failed === 0, vehicles, failed };
+    } catch (error) {
+      logger.error('Telemetry retention run error:', error.message);
+      return { success: false, vehicles: 0, failed: 0 };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Read one page of vehicles, in id order
+   * @param {Object|null} last - Last vehicle of the previous page
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getVehiclePage(last) {
+    let query = supabase
+      .from('vehicles')
+      .select('id, owner_id');
+
+    if (last) query = query.gt('id', last.id);
+
+    const { data, error } = await query
+      .order('id', { ascending: true })
+      .limit(VEHICLE_PAGE_SIZE);
+
+    if (error) {
+      logger.error('Retention vehicle lookup error:', error.message);
+      return { success: false, message: 'Failed to read vehicles' };
+    }
+
+    return { success: true, data };
+  }
+
+  /**
+   * Load the plan and role of vehicle owners
+   * @param {Array<string>} ownerIds - Owner user IDs
+   * @returns {Map} - userId -> { plan, role }
+   */
+  async getOwners(ownerIds) {
+    const ids = [...new Set(ownerIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, plan, role')
+      .in('id', ids);
+
+    if (error) {
+      logger.error('Retention owner lookup error:', error.message);
+      return new Map();
+    }
+
+    return new Map(data.map((profile) => [profile.id, profile]));
+  }
+
+  /**
+   * Apply a retention policy to one vehicle
+   * Cutoffs are aligned to whole hours (raw) and days (hourly) so no bucket is split across tiers
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} policy - { rawDays, hourlyDays, dailyDays }
+   * @param {string} startedAt - Run start, samples inserted later are left for the next run
+   * @returns {Object} - Result ({ success })
+   */
+  async applyPolicy(vehicleId, policy, startedAt) {
+    try {
+      const { data: state } = await supabase
+        .from('telemetry_retention_state')
+        .select('raw_before, hourly_before')
+        .eq('vehicle_id', vehicleId)
+        .maybeSingle();
+
+      // Cutoffs never move back: a longer window after a plan change cannot bring pruned rows back
+      const cutoff = (days, bucketMs, previous) => {
+        const ms = floorTo(new Date(startedAt).getTime() - days * DAY_MS, bucketMs);
+        return new Date(previous ? Math.max(ms, new Date(previous).getTime()) : ms).toISOString();
+      };
+
+      const rawBefore = cutoff(policy.rawDays, HOUR_MS, state && state.raw_before);
+      const hourlyBefore = cutoff(policy.hourlyDays, DAY_MS, state && state.hourly_before);
+      const dailyBefore = policy.dailyDays === null ? null : cutoff(policy.dailyDays, DAY_MS);
+
+      const rolled = await rollupService.rollupRawSamples(vehicleId, rawBefore, startedAt);
+      if (!rolled.success) return rolled;
+
+      const prunedHourly = await rollupService.pruneRollups('hourly', vehicleId, hourlyBefore);
+      if (!prunedHourly.success) return prunedHourly;
+
+      if (dailyBefore) {
+        const prunedDaily = await rollupService.pruneRollups('daily', vehicleId, dailyBefore);
+        if (!prunedDaily.success) return prunedDaily;
+      }
+
+      // Reads use these boundaries to pick the tier holding each part of a range
+      const { error } = await supabase
+        .from('telemetry_retention_state')
+        .upsert({
+          vehicle_id: vehicleId,
+          raw_before: rawBefore,
+          hourly_before: hourlyBefore,
+          daily_before: dailyBefore,
+          last_run_at: startedAt,
+        }, { onConflict: 'vehicle_id' });
+
+      if (error) {
+        logger.error('Retention state update error:', error.message);
+        return { success: false };
+      }
+
+      return { success: true };
+    } catch (error) {
+      logger.error(`Retention error for vehicle ${vehicleId}:`, error.message);
+      return { success: false };
+    }
+  }
+}
+
+module.exports = new RetentionService();
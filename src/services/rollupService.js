@@ -0,0 +1,200 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { TELEMETRY_FIELDS } = require('../config/telemetry');
+const { ROLLUP_TABLES } = require('../config/retention');
+const { HOUR_MS, DAY_MS } = require('../utils/time');
+const { floorTo, addValue, mergeSummaries } = require('../utils/rollup');
+
+const telemetryService = require('./telemetryService');
+
+const ROLLUP_BUCKET_MS = {
+  hourly: HOUR_MS,
+  daily: DAY_MS,
+};
+
+// Raw sample columns read for a rollup, created_at is compared with the summary watermarks
+const ROLLUP_SOURCE_COLUMNS = [...TELEMETRY_FIELDS, 'pids', 'created_at'];
+
+/**
+ * Whether a stored summary already counts a raw sample
+ * Summaries stored before watermarks existed have none and count nothing still in the raw table
+ * @param {Object|undefined} summary - Stored summary row of the sample's bucket
+ * @param {number} time - Sample timestamp in milliseconds
+ * @param {string} createdAt - Sample insertion time (ISO string)
+ * @returns {boolean} - Already counted
+ */
+const isRolledUp = (summary, time, createdAt) => Boolean(
+  summary
+  && summary.rolled_before
+  && time < new Date(summary.rolled_before).getTime()
+  && new Date(createdAt).getTime() <= new Date(summary.rolled_created_before).getTime(),
+);
+
+/**
+ * Rolls raw samples into the hourly and daily summary tables and prunes them, for the retention job
+ */
+class RollupService {
+  /**
+   * Roll a vehicle's raw samples older than a cutoff into hourly and daily summaries, one day at a time,
+   * pruning each day's raw rows once its summaries are stored
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} before - Exclusive cutoff (ISO string)
+   * @param {string} createdBefore - Only samples inserted before this time are rolled up and pruned
+   * @returns {Object} - Result ({ success, samples })
+   */
+  async rollupRawSamples(vehicleId, before, createdBefore) {
+    const oldest = await telemetryService.getSamplePage({ vehicleId, before, createdBefore }, [], { limit: 1 });
+    if (!oldest.success) return { success: false };
+    if (oldest.data.length === 0) return { success: true, samples: 0 };
+
+    const cutoff = new Date(before).getTime();
+    let samples = 0;
+
+    for (let start = floorTo(new Date(oldest.data[0].timestamp).getTime(), DAY_MS); start < cutoff; start += DAY_MS) {
+      const rolled = await this.rollupWindow({
+        vehicleId,
+        from: new Date(start).toISOString(),
+        before: new Date(Math.min(start + DAY_MS, cutoff)).toISOString(),
+        createdBefore,
+      });
+      if (!rolled.success) return { success: false, samples };
+
+      samples += rolled.samples;
+    }
+
+    return { success: true, samples };
+  }
+
+  /**
+   * Roll up and prune the raw samples of a window of at most one day
+   * Samples a stored summary already counts (see its watermark) are skipped, so re-running a window
+   * whose prune failed does not count them twice
+   * @param {Object} filters - { vehicleId, from, before, createdBefore }, `from` is the start of a day
+   * @returns {Object} - Result ({ success, samples })
+   */
+  async rollupWindow(filters) {
+    const storedHourly = await this.getStoredBuckets('hourly', filters);
+    if (!storedHourly.success) return { success: false };
+
+    const storedDaily = await this.getStoredBuckets('daily', filters);
+    if (!storedDaily.success) return { success: false };
+
+    const stored = { hourly: storedHourly.data, daily: storedDaily.data };
+
+    const buckets = { hourly: new Map(), daily: new Map() };
+
+    const read = await telemetryService.forEachSamplePage(filters, ROLLUP_SOURCE_COLUMNS, (rows) => {
+      rows.forEach((row) => {
+        const time = new Date(row.timestamp).getTime();
+
+        Object.keys(buckets).forEach((tier) => {
+          const start = floorTo(time, ROLLUP_BUCKET_MS[tier]);
+          if (isRolledUp(stored[tier].get(start), time, row.created_at)) return;
+
+          if (!buckets[tier].has(start)) {
+            buckets[tier].set(start, { sample_count: 0, metrics: {} });
+          }
+
+          const bucket = buckets[tier].get(start);
+          bucket.sample_count += 1;
+          TELEMETRY_FIELDS.forEach((field) => addValue(bucket.metrics, field, row[field]));
+          Object.entries(row.pids || {}).forEach(([key, value]) => addValue(bucket.metrics, key, value));
+        });
+      });
+    });
+
+    if (!read.success) return { success: false };
+    if (read.total === 0) return { success: true, samples: 0 };
+
+    const hourly = await this.storeBuckets('hourly', filters, buckets.hourly, stored.hourly);
+    if (!hourly.success) return { success: false };
+
+    const daily = await this.storeBuckets('daily', filters, buckets.daily, stored.daily);
+    if (!daily.success) return { success: false };
+
+    const pruned = await telemetryService.pruneSamples(filters);
+    return { success: pruned.success, samples: read.total };
+  }
+
+  /**
+   * Read the summaries already stored for the buckets of a window
+   * @param {string} tier - hourly or daily
+   * @param {Object} filters - { vehicleId, from, before }
+   * @returns {Object} - Read result ({ success, data }), data maps bucket start (ms) to the summary row
+   */
+  async getStoredBuckets(tier, { vehicleId, from, before }) {
+    const { data, error } = await supabase
+      .from(ROLLUP_TABLES[tier])
+      .select('bucket_start, sample_count, metrics, rolled_before, rolled_created_before')
+      .eq('vehicle_id', vehicleId)
+      .gte('bucket_start', from)
+      .lt('bucket_start', before);
+
+    if (error) {
+      logger.error(`Rollup read error (${tier}):`, error.message);
+      return { success: false };
+    }
+
+    return {
+      success: true,
+      data: new Map(data.map((row) => [new Date(row.bucket_start).getTime(), row])),
+    };
+  }
+
+  /**
+   * Upsert bucket summaries, merging them with the summaries already stored
+   * The watermark of the window is stored with each summary in the same write
+   * @param {string} tier - hourly or daily
+   * @param {Object} filters - { vehicleId, before, createdBefore } of the rolled-up window
+   * @param {Map} buckets - Bucket start (ms) -> { sample_count, metrics } of samples not yet counted
+   * @param {Map} stored - Bucket start (ms) -> stored summary row
+   * @returns {Object} - Result ({ success })
+   */
+  async storeBuckets(tier, { vehicleId, before, createdBefore }, buckets, stored) {
+    if (buckets.size === 0) return { success: true };
+
+    const rows = [...buckets.entries()].map(([ms, bucket]) => ({
+      vehicle_id: vehicleId,
+      bucket_start: new Date(ms).toISOString(),
+      ...(stored.has(ms) ? mergeSummaries(stored.get(ms), bucket) : bucket),
+      rolled_before: before,
+      rolled_created_before: createdBefore,
+      updated_at: new Date().toISOString(),
+    }));
+
+    const { error } = await supabase
+      .from(ROLLUP_TABLES[tier])
+      .upsert(rows, { onConflict: 'vehicle_id,bucket_start' });
+
+    if (error) {
+      logger.error(`Rollup store error (${tier}):`, error.message);
+      return { success: false };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Delete a vehicle's summaries older than a cutoff
+   * @param {string} tier - hourly or daily
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} before - Exclusive cutoff (ISO string)
+   * @returns {Object} - Result ({ success })
+   */
+  async pruneRollups(tier, vehicleId, before) {
+    const { error } = await supabase
+      .from(ROLLUP_TABLES[tier])
+      .delete()
+      .eq('vehicle_id', vehicleId)
+      .lt('bucket_start', before);
+
+    if (error) {
+      logger.error(`Rollup prune error (${tier}):`, error.message);
+      return { success: false };
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,116 @@
+const { logger } = require('../config/logger');
+
+const vehicleAccessService = require('./vehicleAccessService');
+
+// How long a socket reuses an access decision before it is checked again, so a revoked grant takes effect quickly
+const ACCESS_CACHE_TTL_MS = 60 * 1000;
+
+const ROOM_PREFIX = 'vehicle-';
+
+const ACCESS_DENIED_MESSAGES = {
+  not_found: 'Vehicle not found',
+  forbidden: 'You do not have access to this vehicle',
+  lookup_failed: 'Failed to verify vehicle access',
+};
+
+class SocketAccessService {
+  /**
+   * Look up a socket user's access to a vehicle and cache the decision on the socket
+   * @param {Object} socket - Authenticated Socket.io socket
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - Access result ({ allowed, reason })
+   */
+  async checkAccess(socket, vehicleId) {
+    if (!socket.data.vehicleAccess) {
+      // vehicleId -> { access, expiresAt }
+      socket.data.vehicleAccess = new Map();
+    }
+
+    const cached = socket.data.vehicleAccess.get(vehicleId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.access;
+    }
+
+    const access = await vehicleAccessService.canAccessVehicle(socket.userId, vehicleId);
+
+    // Lookup failures are retried on the next event instead of being cached
+    if (access.reason === 'lookup_failed') {
+      socket.data.vehicleAccess.delete(vehicleId);
+    } else {
+      socket.data.vehicleAccess.set(vehicleId, { access, expiresAt: Date.now() + ACCESS_CACHE_TTL_MS });
+    }
+
+    return access;
+  }
+
+  /**
+   * Check whether the socket's user may access a vehicle
+   * Emits a structured error on the given event when access is denied
+   * @param {Object} socket - Authenticated Socket.io socket
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} errorEvent - Event the denial is reported on
+   * @param {string} action - Action being authorized, echoed in the error
+   * @returns {boolean} - Whether access is allowed
+   */
+  async authorize(socket, vehicleId, errorEvent, action) {
+    const access = await this.checkAccess(socket, vehicleId);
+
+    if (!access.allowed) {
+      logger.warn(`Socket ${socket.id} (user ${socket.userId}) denied ${action} for vehicle ${vehicleId}`);
+      socket.emit(errorEvent, {
+        code: access.reason === 'lookup_failed' ? 'ACCESS_CHECK_FAILED' : 'FORBIDDEN',
+        action,
+        vehicleId,
+        message: ACCESS_DENIED_MESSAGES[access.reason] || ACCESS_DENIED_MESSAGES.forbidden,
+      });
+    }
+
+    return access.allowed;
+  }
+
+  /**
+   * Re-check the vehicle rooms of every connected socket and remove sockets that lost access,
+   * so a revoked grant also stops live updates on sockets that are not sending anything
+   * @param {Object} io - Socket.io server
+   */
+  async revalidateSubscriptions(io) {
+    try {
+      for (const socket of io.sockets.sockets.values()) {
+        const rooms = [...socket.rooms].filter((room) => room.startsWith(ROOM_PREFIX));
+
+        for (const room of rooms) {
+          await this.revalidateRoom(socket, room);
+        }
+      }
+    } catch (error) {
+      logger.error('Socket subscription revalidation error:', error.message);
+    }
+  }
+
+  /**
+   * Re-check a socket's access to one subscribed vehicle room, ignoring the cached decision
+   * @param {Object} socket - Authenticated Socket.io socket
+   * @param {string} room - Vehicle room name
+   */
+  async revalidateRoom(socket, room) {
+    const vehicleId = room.slice(ROOM_PREFIX.length);
+
+    if (socket.data.vehicleAccess) {
+      socket.data.vehicleAccess.delete(vehicleId);
+    }
+    const access = await this.checkAccess(socket, vehicleId);
+
+    // Keep the subscription when the lookup itself failed, it is re-checked on the next run
+    if (access.allowed || access.reason === 'lookup_failed') return;
+
+    socket.leave(room);
+    logger.warn(`Socket ${socket.id} (user ${socket.userId}) lost access to vehicle ${vehicleId}`);
+    socket.emit('unsubscribed', {
+      vehicleId,
+      code: 'FORBIDDEN',
+      message: ACCESS_DENIED_MESSAGES[access.reason] || ACCESS_DENIED_MESSAGES.forbidden,
+    });
+  }
+}
+
+module.exports = new SocketAccessService();
@@ -0,0 +1,176 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+
+const telemetryService = require('./telemetryService');
+
+// Rows per insert statement when storing a bulk batch
+const BULK_INSERT_CHUNK_SIZE = 200;
+
+/**
+ * Stores batches of buffered samples, de-duplicated against stored rows and within the batch.
+ * New samples are announced through telemetryService's `sample-stored` event like single samples
+ */
+class TelemetryBulkService {
+  /**
+   * Store a batch of performance data samples in chunks
+   * A failing chunk is retried row by row so one bad row only rejects itself.
+   * Once the batch is stored, every new sample is emitted as `sample-stored` in timestamp order
+   * and marked as not live: rules evaluate buffered history, dashboards do not receive it
+   * @param {Array<{index: number, sample: Object}>} entries - Validated samples with their batch position
+   * @returns {Array<Object>} - Per-entry result ({ index, status, id?, sequence?, message? })
+   */
+  async storeBulk(entries) {
+    const chunks = [];
+    for (let offset = 0; offset < entries.length; offset += BULK_INSERT_CHUNK_SIZE) {
+      chunks.push(entries.slice(offset, offset + BULK_INSERT_CHUNK_SIZE));
+    }
+
+    const results = [];
+    const stored = [];
+    for (const chunk of chunks) {
+      const chunkResult = await this.storeChunk(chunk);
+      results.push(...chunkResult.results);
+      stored.push(...chunkResult.stored);
+    }
+
+    stored
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach((row) => telemetryService.emit('sample-stored', row, { live: false }));
+
+    return results;
+  }
+
+  /**
+   * Insert one chunk, falling back to single-row inserts on failure
+   * @param {Array<{index: number, sample: Object}>} chunk - Chunk of validated samples
+   * @returns {Object} - { results, stored } with the per-entry results and the newly stored rows
+   */
+  async storeChunk(chunk) {
+    const existing = await this.findExistingSamples(chunk);
+    const seen = new Map();
+    existing.forEach((row) => {
+      if (row.sample_id) seen.set(`${row.vehicle_id}:id:${row.sample_id}`, row);
+      if (row.sequence !== null) seen.set(`${row.vehicle_id}:seq:${row.sequence}`, row);
+    });
+
+    const results = [];
+    const fresh = [];
+
+    chunk.forEach((entry) => {
+      const { index, sample } = entry;
+      const dedupKey = sample.sample_id
+        ? `${sample.vehicle_id}:id:${sample.sample_id}`
+        : sample.sequence !== undefined && `${sample.vehicle_id}:seq:${sample.sequence}`;
+
+      if (dedupKey && seen.has(dedupKey)) {
+        const row = seen.get(dedupKey);
+        results.push(this.entryResult(index, sample, 'duplicate', row));
+        return;
+      }
+
+      // Also drop samples repeated inside the same batch
+      if (dedupKey) seen.set(dedupKey, null);
+      fresh.push(entry);
+    });
+
+    if (fresh.length === 0) {
+      return { results, stored: [] };
+    }
+
+    const { data, error } = await supabase
+      .from('vehicle_performance_data')
+      .insert(fresh.map(({ sample }) => telemetryService.buildRecord(sample)))
+      .select();
+
+    if (!error && data && data.length === fresh.length) {
+      fresh.forEach(({ index, sample }, i) => {
+        results.push(this.entryResult(index, sample, 'accepted', data[i]));
+      });
+      return { results, stored: data };
+    }
+
+    logger.warn(`Bulk chunk insert failed, retrying ${fresh.length} rows individually:`, error?.message);
+
+    // storeBulk notifies once the whole batch is stored
+    const stored = [];
+    for (const { index, sample } of fresh) {
+      const result = await telemetryService.storeSample(sample, { notify: false });
+      if (result.success && !result.duplicate) stored.push(result.data);
+
+      results.push(result.success
+        ? this.entryResult(index, sample, result.duplicate ? 'duplicate' : 'accepted', result.data)
+        : { index, status: 'rejected', message: result.message });
+    }
+
+    return { results, stored };
+  }
+
+  /**
+   * Build the report entry for a stored or replayed bulk sample
+   * @param {number} index - Position of the sample in the batch
+   * @param {Object} sample - Validated performance data sample
+   * @param {string} status - accepted or duplicate
+   * @param {Object|null} row - Stored row, null for a repeat inside the same batch
+   * @returns {Object} - Report entry
+   */
+  entryResult(index, sample, status, row) {
+    const result = { index, status };
+
+    if (row) {
+      result.id = row.id;
+      result.timestamp = row.timestamp;
+    }
+    if (sample.sample_id) result.sample_id = sample.sample_id;
+    if (sample.sequence !== undefined) result.sequence = sample.sequence;
+
+    return result;
+  }
+
+  /**
+   * Find which entries of a chunk were already stored
+   * @param {Array<{index: number, sample: Object}>} chunk - Chunk of validated samples
+   * @returns {Array<Object>} - Stored rows matching the chunk's sample IDs or sequence numbers
+   */
+  async findExistingSamples(chunk) {
+    const byVehicle = new Map();
+
+    chunk.forEach(({ sample }) => {
+      if (!sample.sample_id && sample.sequence === undefined) return;
+
+      if (!byVehicle.has(sample.vehicle_id)) {
+        byVehicle.set(sample.vehicle_id, { sampleIds: [], sequences: [] });
+      }
+
+      const keys = byVehicle.get(sample.vehicle_id);
+      if (sample.sample_id) {
+        keys.sampleIds.push(sample.sample_id);
+      } else {
+        keys.sequences.push(sample.sequence);
+      }
+    });
+
+    const lookups = [...byVehicle.entries()].map(async ([vehicleId, { sampleIds, sequences }]) => {
+      // Values are validated UUIDs and integers, safe to place in the filter string
+      const filters = [];
+      if (sampleIds.length > 0) filters.push(`sample_id.in.(${sampleIds.join(',')})`);
+      if (sequences.length > 0) filters.push(`sequence.in.(${sequences.join(',')})`);
+
+      const { data, error } = await supabase
+        .from('vehicle_performance_data')
+        .select('id, vehicle_id, sample_id, sequence, timestamp')
+        .eq('vehicle_id', vehicleId)
+        .or(filters.join(','));
+
+      if (error) {
+        logger.error('Duplicate sample lookup error:', error.message);
+        return [];
+      }
+
+      return data || [];
+    });
+
+    return (await Promise.all(lookups)).flat();
+  }
+}
+
+module.exports = new TelemetryBulkService();
@@ -0,0 +1,270 @@
+const EventEmitter = require('events');
+
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { TELEMETRY_FIELDS, LOCATION_FIELDS } = require('../config/telemetry');
+
+// Rows per select when reading long ranges (PostgREST caps responses at 1000 rows)
+const READ_PAGE_SIZE = 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+/**
+ * Emits `sample-stored` with the stored row for every new live sample, so the
+ * live fan-out and alert evaluation run the same way for REST and Socket.io ingestion
+ */
+class TelemetryService extends EventEmitter {
+  /**
+   * Build a vehicle_performance_data row from a validated sample
+   * @param {Object} sample - Validated performance data sample
+   * @returns {Object} - Row ready for insertion
+   */
+  buildRecord(sample) {
+    const record = { vehicle_id: sample.vehicle_id };
+    const pids = { ...sample.pids };
+
+    // Catalogued PIDs with their own column may arrive top-level or in `pids`
+    TELEMETRY_FIELDS.forEach((field) => {
+      record[field] = sample[field] ?? pids[field] ?? null;
+      delete pids[field];
+    });
+
+    record.pids = Object.keys(pids).length > 0 ? pids : null;
+
+    LOCATION_FIELDS.forEach((field) => {
+      record[field] = sample[field] ?? null;
+    });
+
+    // Keep the reading time reported by the client, buffered samples can be hours old
+    record.timestamp = sample.timestamp
+      ? new Date(sample.timestamp).toISOString()
+      : new Date().toISOString();
+
+    // Client identifiers used to recognise retried samples
+    record.sample_id = sample.sample_id ?? null;
+    record.sequence = sample.sequence ?? null;
+
+    return record;
+  }
+
+  /**
+   * Find an already stored sample by its client sample ID or per-vehicle sequence number
+   * @param {Object} sample - Validated performance data sample
+   * @returns {Object|null} - Stored row or null
+   */
+  async findExistingSample(sample) {
+    if (!sample.sample_id && sample.sequence === undefined) {
+      return null;
+    }
+
+    let query = supabase
+      .from('vehicle_performance_data')
+      .select('*')
+      .eq('vehicle_id', sample.vehicle_id);
+
+    query = sample.sample_id
+      ? query.eq('sample_id', sample.sample_id)
+      : query.eq('sequence', sample.sequence);
+
+    const { data, error } = await query.limit(1).maybeSingle();
+
+    if (error) {
+      logger.error('Duplicate sample lookup error:', error.message);
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Read one page of a vehicle's samples in timestamp order
+   * Pages use keyset pagination on (timestamp, id) so deep pages stay cheap
+   * @param {Object} filters - { vehicleId, from, to, before?, createdBefore? } with dates as ISO strings,
+   *                           `before` is an exclusive upper bound, `createdBefore` filters on insertion time
+   * @param {Array<string>} columns - Columns to select (or ['*']), id and timestamp are always included
+   * @param {Object} [page] - { cursor, limit } where cursor is the last row of the previous page
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getSamplePage({
+    vehicleId, from, to, before, createdBefore,
+  }, columns, { cursor = null, limit = READ_PAGE_SIZE } = {}) {
+    const selected = columns.includes('*') ? '*' : [...new Set(['id', 'timestamp', ...columns])].join(', ');
+
+    let query = supabase
+      .from('vehicle_performance_data')
+      .select(selected)
+      .eq('vehicle_id', vehicleId);
+
+    if (from) query = query.gte('timestamp', from);
+    if (to) query = query.lte('timestamp', to);
+    if (before) query = query.lt('timestamp', before);
+    if (createdBefore) query = query.lte('created_at', createdBefore);
+    if (cursor) {
+      const ts = `"${cursor.timestamp}"`;
+      query = query.or(`timestamp.gt.${ts},and(timestamp.eq.${ts},id.gt.${cursor.id})`);
+    }
+
+    const { data, error } = await query
+      .order('timestamp', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Telemetry page read error:', error.message);
+      return { success: false, message: 'Failed to read performance data' };
+    }
+
+    return { success: true, data };
+  }
+
+  /**
+   * Read all of a vehicle's samples in a range, one page at a time
+   * @param {Object} filters - { vehicleId, from, to } with from/to as ISO strings
+   * @param {Array<string>} columns - Columns to select, id and timestamp are always included
+   * @param {Function} onPage - Called with each page of rows, may be async,
+   *                            returning { success: false, message } stops the read
+   * @returns {Object} - Read result ({ success, total, message? })
+   */
+  async forEachSamplePage(filters, columns, onPage) {
+    let total = 0;
+    let cursor = null;
+    let page;
+
+    do {
+      page = await this.getSamplePage(filters, columns, { cursor });
+      if (!page.success) {
+        return { success: false, total, message: page.message };
+      }
+
+      total += page.data.length;
+
+      if (page.data.length > 0) {
+        const handled = await onPage(page.data, page);
+        if (handled && handled.success === false) {
+          return { success: false, total, message: handled.message };
+        }
+        cursor = page.data[page.data.length - 1];
+      }
+    } while (page.data.length === READ_PAGE_SIZE);
+
+    return { success: true, total };
+  }
+
+  /**
+   * Delete a vehicle's raw samples in a range once they have been rolled up
+   * @param {Object} filters - { vehicleId, from, before, createdBefore } with dates as ISO strings
+   * @returns {Object} - Delete result ({ success, message? })
+   */
+  async pruneSamples({
+    vehicleId, from, before, createdBefore,
+  }) {
+    const { error } = await supabase
+      .from('vehicle_performance_data')
+      .delete()
+      .eq('vehicle_id', vehicleId)
+      .gte('timestamp', from)
+      .lt('timestamp', before)
+      .lte('created_at', createdBefore);
+
+    if (error) {
+      logger.error('Telemetry prune error:', error.message);
+      return { success: false, message: 'Failed to prune performance data' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Encode the last row of a page as an opaque cursor for the next page
+   * @param {Object} row - Last row of the page
+   * @returns {string} - Cursor
+   */
+  encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ t: row.timestamp, id: row.id })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   * @param {string} cursor - Cursor
+   * @returns {Object|null} - { timestamp, id }, null when the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      // Both values end up in a filter string, only accept exact shapes. The timestamp is kept
+      // verbatim, round-tripping it through Date would drop the microseconds Postgres stores
+      if (typeof id !== 'string' || !UUID_PATTERN.test(id) || typeof t !== 'string' || !TIMESTAMP_PATTERN.test(t)) {
+        return null;
+      }
+      return { timestamp: t, id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a single performance data sample
+   * @param {Object} sample - Validated performance data sample
+   * @param {Object} [options] - Store options
+   * @param {boolean} [options.notify=true] - Emit `sample-stored` for a newly stored sample
+   * @returns {Object} - Store result
+   */
+  async storeSample(sample, { notify = true } = {}) {
+    try {
+      const existing = await this.findExistingSample(sample);
+
+      if (existing) {
+        return {
+          success: true,
+          duplicate: true,
+          data: existing,
+        };
+      }
+
+      const { data, error } = await supabase
+        .from('vehicle_performance_data')
+        .insert([this.buildRecord(sample)])
+        .select()
+        .single();
+
+      // Unique violation: a concurrent retry stored the same sample first
+      if (error && error.code === '23505') {
+        const stored = await this.findExistingSample(sample);
+        if (stored) {
+          return {
+            success: true,
+            duplicate: true,
+            data: stored,
+          };
+        }
+      }
+
+      if (error) {
+        logger.error('Database error:', error);
+        return {
+          success: false,
+          message: 'Failed to store performance data',
+        };
+      }
+
+      if (notify) {
+        this.emit('sample-stored', data, { live: true });
+      }
+
+      return {
+        success: true,
+        duplicate: false,
+        data,
+      };
+    } catch (error) {
+      logger.error('Store performance sample error:', error.message);
+      return {
+        success: false,
+        message: 'Failed to store performance data',
+      };
+    }
+  }
+}
+
+module.exports = new TelemetryService();
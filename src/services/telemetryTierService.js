@@ -0,0 +1,261 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { TELEMETRY_FIELDS } = require('../config/telemetry');
+const { ROLLUP_TABLES } = require('../config/retention');
+const { summaryAverage } = require('../utils/rollup');
+
+const telemetryService = require('./telemetryService');
+
+// Rows per page, matches telemetryService so callers can page both the same way
+const READ_PAGE_SIZE = 1000;
+
+// How long a vehicle's tier boundaries are reused before they are read again
+const BOUNDARY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const toMs = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Reads a vehicle's telemetry from the tier that holds each part of a range:
+ * daily summaries before `hourly_before`, hourly summaries before `raw_before`, raw samples after.
+ * Summary rows look like samples (bucket start as timestamp, metric averages as values)
+ * with `tier`, `samples`, `min`, `max` and `counts` added, so existing callers can consume them unchanged
+ */
+class TelemetryTierService {
+  constructor() {
+    // vehicleId -> { rawBefore, hourlyBefore, expiresAt }
+    this.boundaries = new Map();
+  }
+
+  /**
+   * Get the retention boundaries of a vehicle, both null until the retention job has run for it
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - { rawBefore, hourlyBefore } in milliseconds
+   */
+  async getBoundaries(vehicleId) {
+    const cached = this.boundaries.get(vehicleId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const { data, error } = await supabase
+      .from('telemetry_retention_state')
+      .select('raw_before, hourly_before')
+      .eq('vehicle_id', vehicleId)
+      .maybeSingle();
+
+    if (error) {
+      // Fall back to raw reads without caching, the next request retries
+      logger.error('Retention state lookup error:', error.message);
+      return { rawBefore: null, hourlyBefore: null };
+    }
+
+    const boundaries = {
+      rawBefore: toMs(data && data.raw_before),
+      hourlyBefore: toMs(data && data.hourly_before),
+      expiresAt: Date.now() + BOUNDARY_CACHE_TTL_MS,
+    };
+    this.boundaries.set(vehicleId, boundaries);
+    return boundaries;
+  }
+
+  /**
+   * Split a range into per-tier segments, in time order
+   * @param {Object} filters - { vehicleId, from, to } with from/to as ISO strings
+   * @returns {Array<Object>} - Segments ({ tier, from, to, before }), `before` is exclusive
+   */
+  async getSegments({ vehicleId, from, to }) {
+    const { rawBefore, hourlyBefore } = await this.getBoundaries(vehicleId);
+    const fromMs = toMs(from);
+    const toMsValue = toMs(to);
+
+    const segments = [];
+    if (hourlyBefore !== null) segments.push({ tier: 'daily', start: null, end: hourlyBefore });
+    if (rawBefore !== null) segments.push({ tier: 'hourly', start: hourlyBefore, end: rawBefore });
+    segments.push({ tier: 'raw', start: rawBefore, end: null });
+
+    const overlaps = ({ start, end }) => (start === null || end === null || start < end)
+      && (end === null || fromMs === null || fromMs < end)
+      && (start === null || toMsValue === null || toMsValue >= start);
+
+    return segments
+      .filter(overlaps)
+      .map(({ tier, start, end }) => ({
+        tier,
+        from: start !== null && (fromMs === null || start > fromMs) ? new Date(start).toISOString() : from,
+        to,
+        before: end !== null ? new Date(end).toISOString() : undefined,
+      }));
+  }
+
+  /**
+   * Read one page of a vehicle's telemetry across tiers, in timestamp order
+   * @param {Object} filters - { vehicleId, from, to } with from/to as ISO strings
+   * @param {Array<string>} columns - Telemetry fields to return (or ['*'])
+   * @param {Object} [page] - { cursor, limit } where cursor is the last row of the previous page
+   * @returns {Object} - Read result ({ success, data, tiers, message? })
+   */
+  async getSamplePage(filters, columns, { cursor = null, limit = READ_PAGE_SIZE } = {}) {
+    const segments = await this.getSegments(filters);
+    const data = [];
+    const tiers = [];
+
+    for (const segment of segments) {
+      // Once the page is full the later segments are not read
+      if (data.length >= limit) break;
+
+      const result = await this.getSegmentPage(segment, filters.vehicleId, columns, {
+        cursor, limit: limit - data.length,
+      });
+      if (!result.success) return result;
+
+      if (result.data.length > 0) tiers.push(segment.tier);
+      data.push(...result.data);
+    }
+
+    return { success: true, data, tiers };
+  }
+
+  /**
+   * Read one page of a tier segment
+   * A cursor in a later segment leaves the segment empty, a cursor in an earlier one reads it from its start
+   * @param {Object} segment - { tier, from, to, before } as returned by getSegments
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Array<string>} columns - Telemetry fields to return (or ['*'])
+   * @param {Object} page - { cursor, limit } where cursor is the last row of the previous page
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getSegmentPage(segment, vehicleId, columns, { cursor, limit }) {
+    const cursorMs = cursor ? new Date(cursor.timestamp).getTime() : null;
+    const startMs = toMs(segment.from);
+    const endMs = toMs(segment.before);
+
+    if (cursorMs !== null && endMs !== null && cursorMs >= endMs) {
+      return { success: true, data: [] };
+    }
+
+    const page = { cursor: cursorMs !== null && (startMs === null || cursorMs >= startMs) ? cursor : null, limit };
+    const segmentFilters = {
+      vehicleId, from: segment.from, to: segment.to, before: segment.before,
+    };
+
+    return segment.tier === 'raw'
+      ? telemetryService.getSamplePage(segmentFilters, columns, page)
+      : this.getRollupPage(segment.tier, segmentFilters, columns, page);
+  }
+
+  /**
+   * Read all of a vehicle's telemetry in a range across tiers, one page at a time
+   * @param {Object} filters - { vehicleId, from, to } with from/to as ISO strings
+   * @param {Array<string>} columns - Telemetry fields to return
+   * @param {Function} onPage - Called with each page of rows, may be async
+   * @returns {Object} - Read result ({ success, total, tiers, message? })
+   */
+  async forEachSamplePage(filters, columns, onPage) {
+    const tiers = new Set();
+    let total = 0;
+    let cursor = null;
+    let page;
+
+    do {
+      page = await this.getSamplePage(filters, columns, { cursor });
+      if (!page.success) {
+        return { success: false, total, message: page.message };
+      }
+
+      total += page.data.length;
+      page.tiers.forEach((tier) => tiers.add(tier));
+
+      if (page.data.length > 0) {
+        const handled = await onPage(page.data);
+        if (handled && handled.success === false) {
+          return { success: false, total, message: handled.message };
+        }
+        cursor = page.data[page.data.length - 1];
+      }
+    } while (page.data.length === READ_PAGE_SIZE);
+
+    return { success: true, total, tiers: [...tiers] };
+  }
+
+  /**
+   * Read one page of hourly or daily summaries as sample-shaped rows
+   * @param {string} tier - hourly or daily
+   * @param {Object} filters - { vehicleId, from, to, before }
+   * @param {Array<string>} columns - Telemetry fields to return (or ['*'])
+   * @param {Object} page - { cursor, limit }
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getRollupPage(tier, {
+    vehicleId, from, to, before,
+  }, columns, { cursor, limit }) {
+    let query = supabase
+      .from(ROLLUP_TABLES[tier])
+      .select('id, vehicle_id, bucket_start, sample_count, metrics')
+      .eq('vehicle_id', vehicleId);
+
+    if (from) query = query.gte('bucket_start', from);
+    if (to) query = query.lte('bucket_start', to);
+    if (before) query = query.lt('bucket_start', before);
+    if (cursor) {
+      // Same validated cursor shape as telemetryService.getSamplePage
+      const ts = `"${cursor.timestamp}"`;
+      query = query.or(`bucket_start.gt.${ts},and(bucket_start.eq.${ts},id.gt.${cursor.id})`);
+    }
+
+    const { data, error } = await query
+      .order('bucket_start', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error(`Telemetry ${tier} page read error:`, error.message);
+      return { success: false, message: 'Failed to read performance data' };
+    }
+
+    return { success: true, data: data.map((row) => this.toSample(tier, row, columns)) };
+  }
+
+  /**
+   * Shape a summary row like a vehicle_performance_data row
+   * Metric values are the bucket averages, `min`, `max` and `counts` hold the extremes and number
+   * of raw values behind each average (keyed like the values, PID keys included) so callers can
+   * weight averages and keep the true extremes
+   * @param {string} tier - hourly or daily
+   * @param {Object} row - Summary row
+   * @param {Array<string>} columns - Telemetry fields to return (or ['*'])
+   * @returns {Object} - Sample-shaped row
+   */
+  toSample(tier, row, columns) {
+    const all = columns.includes('*');
+    const sample = {
+      id: row.id,
+      vehicle_id: row.vehicle_id,
+      timestamp: row.bucket_start,
+      tier,
+      samples: row.sample_count,
+      min: {},
+      max: {},
+      counts: {},
+    };
+    const pids = {};
+
+    Object.entries(row.metrics || {}).forEach(([key, summary]) => {
+      if (TELEMETRY_FIELDS.includes(key)) {
+        if (!all && !columns.includes(key)) return;
+        sample[key] = summaryAverage(summary);
+      } else {
+        if (!all && !columns.includes('pids')) return;
+        pids[key] = summaryAverage(summary);
+      }
+
+      sample.min[key] = summary.min;
+      sample.max[key] = summary.max;
+      sample.counts[key] = summary.count;
+    });
+
+    if (Object.keys(pids).length > 0) sample.pids = pids;
+    return sample;
+  }
+}
+
+module.exports = new TelemetryTierService();
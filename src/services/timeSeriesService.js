@@ -0,0 +1,166 @@
+const { logger } = require('../config/logger');
+const { createLttbSelector } = require('../utils/downsample');
+const { removeNulls } = require('../utils/utils');
+
+const telemetryTierService = require('./telemetryTierService');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class TimeSeriesService {
+  /**
+   * Downsample a vehicle's telemetry over a range for charting
+   * `avg` averages every metric into fixed-width time buckets, `lttb` keeps the raw rows
+   * that best preserve the shape of each metric (Largest-Triangle-Three-Buckets)
+   * @param {Object} options - Downsampling options
+   * @param {string} options.vehicleId - Vehicle ID
+   * @param {string} options.from - Range start (ISO string)
+   * @param {string} options.to - Range end (ISO string)
+   * @param {Array<string>} options.metrics - Telemetry fields to return
+   * @param {number} [options.points] - Target number of points
+   * @param {number} [options.resolutionMs] - Bucket width for `avg`, overrides points
+   * @param {string} options.method - avg or lttb
+   * @returns {Object} - Downsampling result ({ success, data, meta, message? })
+   */
+  async getDownsampled({
+    vehicleId, from, to, metrics, points, resolutionMs, method,
+  }) {
+    try {
+      return method === 'lttb'
+        ? await this.downsampleLttb({
+          vehicleId, from, to, metrics, points,
+        })
+        : await this.downsampleAverage({
+          vehicleId, from, to, metrics, points, resolutionMs,
+        });
+    } catch (error) {
+      logger.error('Downsample error:', error.message);
+      return { success: false, message: 'Failed to downsample performance data' };
+    }
+  }
+
+  /**
+   * Average every metric into fixed-width time buckets, reading the range page by page
+   * @returns {Object} - Downsampling result
+   */
+  async downsampleAverage({
+    vehicleId, from, to, metrics, points, resolutionMs,
+  }) {
+    const fromMs = new Date(from).getTime();
+    const bucketMs = resolutionMs || Math.max(Math.ceil((new Date(to).getTime() - fromMs) / points), 1000);
+    const buckets = new Map();
+
+    const read = await telemetryTierService.forEachSamplePage({ vehicleId, from, to }, metrics, (rows) => {
+      rows.forEach((row) => {
+        const index = Math.floor((new Date(row.timestamp).getTime() - fromMs) / bucketMs);
+
+        if (!buckets.has(index)) {
+          buckets.set(index, {
+            samples: 0,
+            sums: Object.fromEntries(metrics.map((metric) => [metric, 0])),
+            counts: Object.fromEntries(metrics.map((metric) => [metric, 0])),
+          });
+        }
+
+        const bucket = buckets.get(index);
+        bucket.samples += row.samples || 1;
+        metrics.forEach((metric) => {
+          if (row[metric] !== null && row[metric] !== undefined) {
+            // Summary rows hold the average of `counts[metric]` raw values
+            const count = (row.counts && row.counts[metric]) || 1;
+            bucket.sums[metric] += Number(row[metric]) * count;
+            bucket.counts[metric] += count;
+          }
+        });
+      });
+    });
+
+    if (!read.success) {
+      return { success: false, message: read.message };
+    }
+
+    const data = [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, bucket]) => {
+        const row = {
+          timestamp: new Date(fromMs + index * bucketMs).toISOString(),
+          samples: bucket.samples,
+        };
+        metrics.forEach((metric) => {
+          if (bucket.counts[metric] > 0) {
+            row[metric] = round2(bucket.sums[metric] / bucket.counts[metric]);
+          }
+        });
+        return row;
+      });
+
+    return {
+      success: true,
+      data,
+      meta: {
+        method: 'avg',
+        bucketMs,
+        sourceRecords: read.total,
+        tiers: read.tiers,
+        returnedRecords: data.length,
+      },
+    };
+  }
+
+  /**
+   * Keep the raw rows selected by LTTB for any of the requested metrics
+   * Rows are streamed through one selector per metric, only selected rows and the rows of the
+   * buckets being decided are kept in memory
+   * @returns {Object} - Downsampling result
+   */
+  async downsampleLttb({
+    vehicleId, from, to, metrics, points,
+  }) {
+    const range = { from: new Date(from).getTime(), to: new Date(to).getTime(), buckets: points - 2 };
+    // Row position in the range -> row, for rows selected by any metric
+    const kept = new Map();
+    let position = 0;
+
+    const selectors = metrics.map((metric) => ({
+      metric,
+      selector: createLttbSelector(range, (point) => kept.set(point.position, point.row)),
+    }));
+
+    const read = await telemetryTierService.forEachSamplePage({ vehicleId, from, to }, metrics, (rows) => {
+      rows.forEach((row) => {
+        const x = new Date(row.timestamp).getTime();
+
+        selectors.forEach(({ metric, selector }) => {
+          if (row[metric] !== null && row[metric] !== undefined) {
+            selector.push({
+              x, y: Number(row[metric]), position, row,
+            });
+          }
+        });
+        position += 1;
+      });
+    });
+
+    if (!read.success) {
+      return { success: false, message: read.message };
+    }
+
+    selectors.forEach(({ selector }) => selector.flush());
+
+    const data = [...kept.keys()]
+      .sort((a, b) => a - b)
+      .map((key) => removeNulls(kept.get(key)));
+
+    return {
+      success: true,
+      data,
+      meta: {
+        method: 'lttb',
+        sourceRecords: read.total,
+        tiers: read.tiers,
+        returnedRecords: data.length,
+      },
+    };
+  }
+}
+
+module.exports = new TimeSeriesService();
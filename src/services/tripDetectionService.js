@@ -0,0 +1,93 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+
+const tripService = require('./tripService');
+
+// Vehicles read per page
+const VEHICLE_PAGE_SIZE = 500;
+
+class TripDetectionService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Detect the trips driven since the last run for every vehicle
+   * Scheduled by node-cron, so the trip, driving score and fuel endpoints only read stored trips.
+   * Overlapping runs are skipped
+   * @returns {Object} - Run result ({ success, vehicles, detected, failed, skipped? })
+   */
+  async run() {
+    if (this.running) {
+      logger.warn('Trip detection run skipped, the previous run is still in progress');
+      return { success: false, skipped: true };
+    }
+
+    this.running = true;
+
+    try {
+      let vehicles = 0;
+      let detected = 0;
+      let failed = 0;
+      let read;
+      let last = null;
+
+      // Vehicles are processed one at a time, detection pages through their samples
+      do {
+        read = await this.getVehiclePage(last);
+        const page = read.success ? read.data : [];
+
+        for (const vehicle of page) {
+          const result = await tripService.detectTrips(vehicle.id);
+          if (result.success) {
+            detected += result.detected;
+          } else {
+            logger.warn(`Trip detection failed for vehicle ${vehicle.id}: ${result.message}`);
+            failed += 1;
+          }
+        }
+
+        vehicles += page.length;
+        last = page[page.length - 1];
+      } while (read.success && read.data.length === VEHICLE_PAGE_SIZE);
+
+      logger.info(`Trip detection run finished: ${vehicles} vehicles, ${detected} trips, ${failed} failed`);
+      return {
+        success: read.success && failed === 0, vehicles, detected, failed,
+      };
+    } catch (error) {
+      logger.error('Trip detection run error:', error.message);
+      return {
+        success: false, vehicles: 0, detected: 0, failed: 0,
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Read one page of vehicles, in id order
+   * @param {Object|null} last - Last vehicle of the previous page
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getVehiclePage(last) {
+    let query = supabase
+      .from('vehicles')
+      .select('id');
+
+    if (last) query = query.gt('id', last.id);
+
+    const { data, error } = await query
+      .order('id', { ascending: true })
+      .limit(VEHICLE_PAGE_SIZE);
+
+    if (error) {
+      logger.error('Trip detection vehicle lookup error:', error.message);
+      return { success: false, message: 'Failed to read vehicles' };
+    }
+
+    return { success: true, data };
+  }
+}
+
+module.exports = new TripDetectionService();
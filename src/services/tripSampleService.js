@@ -0,0 +1,118 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { haversineDistance, douglasPeucker } = require('../utils/geo');
+const { TRIP_SAMPLE_COLUMNS, scoreTripSamples } = require('../utils/trips');
+
+const telemetryService = require('./telemetryService');
+
+const ROUTE_SAMPLE_COLUMNS = ['latitude', 'longitude', 'heading', 'accuracy', 'speed', 'rpm'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reads the samples recorded during stored trips, for the trip samples and route endpoints and for scoring
+ */
+class TripSampleService {
+  /**
+   * Score a stored trip detected before driving scores were recorded
+   * Trips whose raw samples were already pruned by retention stay unscored, `scored_at` is still set
+   * so they are not tried again
+   * @param {Object} trip - vehicle_trips row
+   * @returns {Object} - Result ({ success, data?, message? }), data is the updated trip
+   */
+  async scoreStoredTrip(trip) {
+    const samples = await this.getTripSamples(trip, TRIP_SAMPLE_COLUMNS);
+
+    if (!samples.success) {
+      return samples;
+    }
+
+    const scores = samples.data.length < 2
+      ? { scored_at: new Date().toISOString() }
+      : scoreTripSamples(samples.data, Number(trip.distance_km) || 0);
+
+    const { data, error } = await supabase
+      .from('vehicle_trips')
+      .update({
+        ...scores,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', trip.id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Trip score store error:', error.message);
+      return { success: false, message: 'Failed to store trip score' };
+    }
+
+    return { success: true, data };
+  }
+
+  /**
+   * Read the samples recorded during a trip
+   * @param {Object} trip - vehicle_trips row
+   * @param {Array<string>} columns - Columns to select
+   * @returns {Object} - Read result ({ success, data, message? })
+   */
+  async getTripSamples(trip, columns) {
+    const samples = [];
+    const read = await telemetryService.forEachSamplePage({
+      vehicleId: trip.vehicle_id,
+      from: trip.start_time,
+      to: trip.end_time,
+    }, columns, (rows) => {
+      samples.push(...rows);
+    });
+
+    return read.success
+      ? { success: true, data: samples }
+      : { success: false, message: read.message };
+  }
+
+  /**
+   * Build the route of a trip from its GPS samples, simplified with Douglas–Peucker
+   * Every kept point carries the speed and rpm recorded with it for map playback
+   * @param {Object} trip - vehicle_trips row
+   * @param {number} toleranceMeters - Maximum deviation of the simplified route from the recorded one
+   * @returns {Object} - Route result ({ success, data: { points, recorded_points, distance_km }, message? })
+   */
+  async getTripRoute(trip, toleranceMeters) {
+    const samples = await this.getTripSamples(trip, ROUTE_SAMPLE_COLUMNS);
+
+    if (!samples.success) {
+      return samples;
+    }
+
+    // Samples recorded without a GPS fix are left out of the route
+    const positions = samples.data.filter((sample) => sample.latitude !== null && sample.longitude !== null);
+
+    let distanceMeters = 0;
+    for (let i = 1; i < positions.length; i += 1) {
+      distanceMeters += haversineDistance(positions[i - 1], positions[i]);
+    }
+
+    const points = douglasPeucker(positions, toleranceMeters).map((index) => {
+      const sample = positions[index];
+      return {
+        timestamp: sample.timestamp,
+        latitude: sample.latitude,
+        longitude: sample.longitude,
+        heading: sample.heading ?? null,
+        speed: sample.speed ?? null,
+        rpm: sample.rpm ?? null,
+      };
+    });
+
+    return {
+      success: true,
+      data: {
+        points,
+        recorded_points: positions.length,
+        distance_km: round2(distanceMeters / 1000),
+      },
+    };
+  }
+}
+
+module.exports = new TripSampleService();
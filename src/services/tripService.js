@@ -0,0 +1,292 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { DAY_MS } = require('../utils/time');
+const { TRIP_SAMPLE_COLUMNS, buildTrip, createSegmenter } = require('../utils/trips');
+
+const telemetryService = require('./telemetryService');
+
+// Engine-off time (or data gap) after which a trip is considered finished
+const DEFAULT_IDLE_TIMEOUT_SECONDS = 300;
+
+// How far back detection reads when a vehicle has no trips yet
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - Configured value
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value <= 0 ? fallback : value;
+};
+
+class TripService {
+  constructor() {
+    this.idleTimeoutMs = envInt('TRIP_IDLE_TIMEOUT_SECONDS', DEFAULT_IDLE_TIMEOUT_SECONDS) * 1000;
+    this.lookbackMs = envInt('TRIP_DETECTION_LOOKBACK_DAYS', DEFAULT_LOOKBACK_DAYS) * DAY_MS;
+
+    // vehicleId -> detection run in progress
+    this.detections = new Map();
+  }
+
+  /**
+   * Detect new trips for a vehicle and store them
+   * Samples are read page by page and trips are stored as they end. Concurrent calls for the
+   * same vehicle share one run.
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - Detection result ({ success, detected, message? })
+   */
+  detectTrips(vehicleId) {
+    if (!this.detections.has(vehicleId)) {
+      const run = this.runDetection(vehicleId)
+        .finally(() => this.detections.delete(vehicleId));
+      this.detections.set(vehicleId, run);
+    }
+
+    return this.detections.get(vehicleId);
+  }
+
+  /**
+   * Detect trips from the start of the detection window to the latest sample
+   * Trips stored in the window that the samples no longer produce (merged or split by late samples)
+   * are deleted
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - Detection result ({ success, detected, message? })
+   */
+  async runDetection(vehicleId) {
+    try {
+      const detectedAt = new Date().toISOString();
+      const window = await this.getDetectionWindow(vehicleId, detectedAt);
+      if (!window.success) return window;
+
+      const { from } = window;
+      const startTimes = [];
+      let finished = [];
+
+      const segmenter = createSegmenter((tripSamples) => {
+        finished.push(buildTrip(vehicleId, tripSamples, this.idleTimeoutMs));
+      }, this.idleTimeoutMs);
+
+      const storeFinished = async () => {
+        const trips = finished;
+        finished = [];
+        startTimes.push(...trips.map((trip) => trip.start_time));
+        return this.storeTrips(trips);
+      };
+
+      const read = await telemetryService.forEachSamplePage({ vehicleId, from }, TRIP_SAMPLE_COLUMNS, (rows) => {
+        rows.forEach((row) => segmenter.push(row));
+        return storeFinished();
+      });
+
+      if (!read.success) {
+        return { success: false, message: read.message };
+      }
+
+      segmenter.flush();
+      const stored = await storeFinished();
+      if (!stored.success) return stored;
+
+      const cleaned = await this.deleteStaleTrips(vehicleId, from, startTimes);
+      if (!cleaned.success) return cleaned;
+
+      const { error } = await supabase
+        .from('trip_detection_state')
+        .upsert({
+          vehicle_id: vehicleId,
+          samples_before: detectedAt,
+          updated_at: detectedAt,
+        }, { onConflict: 'vehicle_id' });
+
+      if (error) {
+        logger.error('Trip detection state update error:', error.message);
+        return { success: false, message: 'Failed to detect trips' };
+      }
+
+      if (startTimes.length > 0) {
+        logger.info(`Detected ${startTimes.length} trip(s) for vehicle: ${vehicleId}`);
+      }
+      return { success: true, detected: startTimes.length };
+    } catch (error) {
+      logger.error('Trip detection error:', error.message);
+      return { success: false, message: 'Failed to detect trips' };
+    }
+  }
+
+  /**
+   * Find where detection has to start
+   * Normally where the last run stopped: the start of an in-progress trip or the end of the last trip.
+   * Samples inserted since the last run with older timestamps (buffered bulk uploads) move the start
+   * back to the trip they may belong to, but never before the raw samples pruned by retention
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} detectedAt - Start of this run, samples inserted later are left for the next run
+   * @returns {Object} - Result ({ success, from, message? })
+   */
+  async getDetectionWindow(vehicleId, detectedAt) {
+    const [latest, state, retention] = await Promise.all([
+      supabase
+        .from('vehicle_trips')
+        .select('start_time, end_time, status')
+        .eq('vehicle_id', vehicleId)
+        .order('start_time', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+      supabase
+        .from('trip_detection_state')
+        .select('samples_before')
+        .eq('vehicle_id', vehicleId)
+        .maybeSingle(),
+      supabase
+        .from('telemetry_retention_state')
+        .select('raw_before')
+        .eq('vehicle_id', vehicleId)
+        .maybeSingle(),
+    ]);
+
+    const failed = [latest, state, retention].find((result) => result.error);
+    if (failed) {
+      logger.error('Trip detection window lookup error:', failed.error.message);
+      return { success: false, message: 'Failed to detect trips' };
+    }
+
+    const latestTrip = latest.data;
+    let fromMs = this.resumeTime(latestTrip, detectedAt);
+
+    if (latestTrip && state.data && state.data.samples_before) {
+      const late = await this.findLateSampleStart(vehicleId, {
+        insertedAfter: state.data.samples_before,
+        insertedBefore: detectedAt,
+        before: new Date(fromMs).toISOString(),
+      });
+      if (!late.success) return late;
+      if (late.from !== null) fromMs = Math.min(fromMs, late.from);
+    }
+
+    // Pruned samples cannot be re-read, the trips stored for them are kept as they are
+    if (retention.data && retention.data.raw_before) {
+      fromMs = Math.max(fromMs, new Date(retention.data.raw_before).getTime());
+    }
+
+    return { success: true, from: new Date(fromMs).toISOString() };
+  }
+
+  /**
+   * Where detection resumes after the latest stored trip: an in-progress trip is re-read and extended
+   * @param {Object|null} latestTrip - Latest vehicle_trips row of the vehicle
+   * @param {string} detectedAt - Start of this run (ISO string)
+   * @returns {number} - Resume time in milliseconds
+   */
+  resumeTime(latestTrip, detectedAt) {
+    if (!latestTrip) {
+      return new Date(detectedAt).getTime() - this.lookbackMs;
+    }
+
+    return latestTrip.status === 'in_progress'
+      ? new Date(latestTrip.start_time).getTime()
+      : new Date(latestTrip.end_time).getTime() + 1;
+  }
+
+  /**
+   * Find the earliest sample inserted since the last run that lies before the detection start,
+   * and the start of the stored trip it may extend
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} range - { insertedAfter, insertedBefore, before } as ISO strings
+   * @returns {Object} - Result ({ success, from, message? }), from is in milliseconds, null without late samples
+   */
+  async findLateSampleStart(vehicleId, { insertedAfter, insertedBefore, before }) {
+    const { data: sample, error } = await supabase
+      .from('vehicle_performance_data')
+      .select('timestamp')
+      .eq('vehicle_id', vehicleId)
+      .gt('created_at', insertedAfter)
+      .lte('created_at', insertedBefore)
+      .lt('timestamp', before)
+      .order('timestamp', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Late sample lookup error:', error.message);
+      return { success: false, message: 'Failed to detect trips' };
+    }
+
+    if (!sample) {
+      return { success: true, from: null };
+    }
+
+    const time = new Date(sample.timestamp).getTime();
+
+    // A trip that ended less than the idle timeout before the sample continues with it
+    const { data: trip, error: tripError } = await supabase
+      .from('vehicle_trips')
+      .select('start_time')
+      .eq('vehicle_id', vehicleId)
+      .lte('start_time', sample.timestamp)
+      .gte('end_time', new Date(time - this.idleTimeoutMs).toISOString())
+      .order('start_time', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (tripError) {
+      logger.error('Late sample trip lookup error:', tripError.message);
+      return { success: false, message: 'Failed to detect trips' };
+    }
+
+    return { success: true, from: trip ? new Date(trip.start_time).getTime() : time };
+  }
+
+  /**
+   * Store detected trips, a trip starting at the same time as a stored one replaces it
+   * @param {Array<Object>} trips - Trip rows
+   * @returns {Object} - Result ({ success, message? })
+   */
+  async storeTrips(trips) {
+    if (trips.length === 0) {
+      return { success: true };
+    }
+
+    const { error } = await supabase
+      .from('vehicle_trips')
+      .upsert(trips, { onConflict: 'vehicle_id,start_time' });
+
+    if (error) {
+      logger.error('Trip store error:', error.message);
+      return { success: false, message: 'Failed to store detected trips' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Delete the trips stored in a re-detected range that the samples no longer produce
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} from - Start of the re-detected range (ISO string)
+   * @param {Array<string>} startTimes - Start times of the trips detected in the range
+   * @returns {Object} - Result ({ success, message? })
+   */
+  async deleteStaleTrips(vehicleId, from, startTimes) {
+    let query = supabase
+      .from('vehicle_trips')
+      .delete()
+      .eq('vehicle_id', vehicleId)
+      .gte('start_time', from);
+
+    if (startTimes.length > 0) {
+      // Detected start times are ISO strings built by summarizeTrip, safe to place in the filter string
+      query = query.not('start_time', 'in', `(${startTimes.map((time) => `"${time}"`).join(',')})`);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      logger.error('Stale trip delete error:', error.message);
+      return { success: false, message: 'Failed to store detected trips' };
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = new TripService();
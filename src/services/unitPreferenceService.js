@@ -0,0 +1,66 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+const { UNIT_SYSTEMS } = require('../utils/units');
+
+// How long a user's unit preference is reused before the profile is read again
+const PREFERENCE_CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+class UnitPreferenceService {
+  constructor() {
+    // userId -> { system, expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the unit system a user wants telemetry displayed in
+   * @param {string} userId - Authenticated user ID
+   * @returns {string} - metric or imperial, metric when unset or on lookup failure
+   */
+  async getUnitSystem(userId) {
+    if (!userId) return DEFAULT_UNIT_SYSTEM;
+
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.system;
+    }
+
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('unit_system')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Unit preference lookup error:', error.message);
+      return DEFAULT_UNIT_SYSTEM;
+    }
+
+    const system = profile && UNIT_SYSTEMS.includes(profile.unit_system)
+      ? profile.unit_system
+      : DEFAULT_UNIT_SYSTEM;
+
+    this.cache.set(userId, { system, expiresAt: Date.now() + PREFERENCE_CACHE_TTL_MS });
+    return system;
+  }
+
+  /**
+   * Unit system for a request: the `units` query parameter, else the user's preference
+   * @param {Object} req - Express request (after authenticateToken and query validation)
+   * @returns {string} - metric or imperial
+   */
+  async resolveForRequest(req) {
+    return req.query.units || this.getUnitSystem(req.userId);
+  }
+
+  /**
+   * Forget a cached preference after the user changed it
+   * @param {string} userId - User ID
+   */
+  invalidate(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+module.exports = new UnitPreferenceService();
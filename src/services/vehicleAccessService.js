@@ -0,0 +1,73 @@
+const { supabase } = require('../config/supabase');
+const { logger } = require('../config/logger');
+
+// Roles allowed to read and write telemetry for any vehicle
+const UNRESTRICTED_ROLES = ['admin'];
+
+class VehicleAccessService {
+  /**
+   * Check whether a user's role grants access to every vehicle
+   * @param {string} userId - Authenticated user ID
+   * @returns {boolean} - Whether the role is unrestricted
+   */
+  async hasUnrestrictedRole(userId) {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    return Boolean(profile && UNRESTRICTED_ROLES.includes(profile.role));
+  }
+
+  /**
+   * Check whether a user owns a vehicle, has been granted access to it, or has an unrestricted role
+   * @param {string} userId - Authenticated user ID
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Object} - Access result ({ allowed, reason })
+   */
+  async canAccessVehicle(userId, vehicleId) {
+    try {
+      const { data: vehicle, error } = await supabase
+        .from('vehicles')
+        .select('id, owner_id')
+        .eq('id', vehicleId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Vehicle access lookup error:', error.message);
+        return { allowed: false, reason: 'lookup_failed' };
+      }
+
+      if (!vehicle) {
+        return { allowed: false, reason: 'not_found' };
+      }
+
+      if (vehicle.owner_id === userId) {
+        return { allowed: true, reason: 'owner' };
+      }
+
+      const { data: grant } = await supabase
+        .from('vehicle_access')
+        .select('vehicle_id')
+        .eq('vehicle_id', vehicleId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (grant) {
+        return { allowed: true, reason: 'granted' };
+      }
+
+      if (await this.hasUnrestrictedRole(userId)) {
+        return { allowed: true, reason: 'role' };
+      }
+
+      return { allowed: false, reason: 'forbidden' };
+    } catch (error) {
+      logger.error('Vehicle access check error:', error.message);
+      return { allowed: false, reason: 'lookup_failed' };
+    }
+  }
+}
+
+module.exports = new VehicleAccessService();
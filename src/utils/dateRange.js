@@ -0,0 +1,56 @@
+/**
+ * Date range helpers shared by the performance data endpoints
+ */
+
+/**
+ * Monday 00:00 to Sunday 23:59:59.999 (server local time) of the week containing a date
+ * @param {Date} targetDate - Any date in the week
+ * @returns {Object} - { startDate, endDate }
+ */
+const weekContaining = (targetDate) => {
+  const dayOfWeek = targetDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
+
+  // Calculate start of week (Monday)
+  const startDate = new Date(targetDate);
+  startDate.setDate(targetDate.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
+  startDate.setHours(0, 0, 0, 0);
+
+  // Calculate end of week (Sunday)
+  const endDate = new Date(startDate);
+  endDate.setDate(startDate.getDate() + 6);
+  endDate.setHours(23, 59, 59, 999);
+
+  return { startDate, endDate };
+};
+
+/**
+ * Resolve the filterType/date/fromDate/toDate query of GET /api/data/:id into a timestamp range
+ * @param {Object} filters - { filterType, date, fromDate, toDate }
+ * @returns {Object} - { from, to } as ISO strings, or { error } when the filter is incomplete
+ */
+const resolveDateRange = ({
+  filterType, date, fromDate, toDate,
+}) => {
+  const today = new Date().toISOString().split('T')[0];
+
+  if (filterType === 'weekend') {
+    // Filter for the week containing the given date, default to current week
+    const { startDate, endDate } = weekContaining(date ? new Date(date) : new Date());
+    return { from: startDate.toISOString(), to: endDate.toISOString() };
+  }
+
+  if (filterType === 'range' || filterType === 'week') {
+    if (!fromDate || !toDate) {
+      return { error: 'fromDate and toDate are required for range filtering' };
+    }
+    return { from: `${fromDate}T00:00:00.000Z`, to: `${toDate}T23:59:59.999Z` };
+  }
+
+  // 'day' filters for a specific day, anything else returns today's data
+  const targetDate = (filterType === 'day' && date) || today;
+  return { from: `${targetDate}T00:00:00.000Z`, to: `${targetDate}T23:59:59.999Z` };
+};
+
+module.exports = {
+  resolveDateRange,
+};
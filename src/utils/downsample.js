@@ -0,0 +1,112 @@
+/**
+ * Time-series downsampling helpers
+ */
+
+const RESOLUTION_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a resolution such as 30s, 5m, 1h or 1d
+ * @param {string} resolution - Resolution string
+ * @returns {number|null} - Bucket width in milliseconds, null if invalid
+ */
+const parseResolution = (resolution) => {
+  const match = /^(\d+)(s|m|h|d)$/.exec(resolution || '');
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * RESOLUTION_UNITS_MS[match[2]];
+  return ms > 0 ? ms : null;
+};
+
+/**
+ * Area of the triangle formed by three points, doubled
+ * @returns {number} - Doubled area
+ */
+const triangleArea = (a, b, c) => Math.abs((a.x - c.x) * (b.y - a.y) - (a.x - b.x) * (c.y - a.y));
+
+/**
+ * Streaming Largest-Triangle-Three-Buckets selection of the most visually significant points
+ * Buckets are fixed-width ranges of x, so only the points of the bucket being decided and of the
+ * bucket after it are kept in memory. The first and last points are always selected.
+ * @param {Object} range - { from, to, buckets }, x range of the series and the number of buckets
+ * @param {Function} onSelect - Called with each selected point, in x order
+ * @returns {Object} - { push(point), flush() }, points ({ x, y }) are pushed in x order,
+ *                     flush selects from the buckets still pending
+ */
+const createLttbSelector = ({ from, to, buckets }, onSelect) => {
+  const width = Math.max((to - from) / Math.max(buckets, 1), 1);
+  let anchor = null;
+  let current = null;
+  let next = null;
+  let last = null;
+
+  const select = (point) => {
+    anchor = point;
+    onSelect(point);
+  };
+
+  // Pick the point of the bucket forming the largest triangle with the last selected point
+  // and the third vertex
+  const decide = (points, third) => {
+    select(points.reduce((best, point) => (
+      triangleArea(anchor, point, third) > triangleArea(anchor, best, third) ? point : best
+    )));
+  };
+
+  const average = (bucket) => ({
+    x: bucket.points.reduce((sum, point) => sum + point.x, 0) / bucket.points.length,
+    y: bucket.points.reduce((sum, point) => sum + point.y, 0) / bucket.points.length,
+  });
+
+  return {
+    push: (point) => {
+      last = point;
+
+      if (!anchor) {
+        select(point);
+        return;
+      }
+
+      const index = Math.floor((point.x - from) / width);
+
+      if (current && index === current.index) {
+        current.points.push(point);
+      } else if (!current) {
+        current = { index, points: [point] };
+      } else if (next && index === next.index) {
+        next.points.push(point);
+      } else {
+        // The bucket after the current one is complete, its average decides the current one
+        if (next) {
+          decide(current.points, average(next));
+          current = next;
+        }
+        next = { index, points: [point] };
+      }
+    },
+    flush: () => {
+      if (!current) return;
+
+      if (next) {
+        decide(current.points, average(next));
+        current = next;
+      }
+
+      // The last point closes the series, the rest of its bucket competes for one more point
+      const rest = current.points.slice(0, -1);
+      if (rest.length > 0) decide(rest, last);
+      select(last);
+
+      current = null;
+      next = null;
+    },
+  };
+};
+
+module.exports = {
+  parseResolution,
+  createLttbSelector,
+};
@@ -0,0 +1,232 @@
+/**
+ * Driving behaviour metrics and scores from speed and rpm series
+ */
+
+const {
+  DRIVING_SCORE_THRESHOLDS,
+  DRIVING_SCORE_WEIGHTS,
+  MIN_SCORED_DISTANCE_KM,
+} = require('../config/drivingScore');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const SPEEDING_BANDS = DRIVING_SCORE_THRESHOLDS.speedingBands.map(({ band }) => band);
+
+/**
+ * Empty behaviour metrics
+ * @returns {Object} - Metrics with every counter at zero
+ */
+const emptyMetrics = () => ({
+  distance_km: 0,
+  duration_seconds: 0,
+  moving_seconds: 0,
+  harsh_accelerations: 0,
+  harsh_brakings: 0,
+  over_revs: 0,
+  over_rev_seconds: 0,
+  speeding_seconds: Object.fromEntries(SPEEDING_BANDS.map((band) => [band, 0])),
+  idle_seconds: 0,
+  excess_idle_seconds: 0,
+});
+
+/**
+ * Highest speeding band a speed reaches
+ * @param {number} speed - Speed in km/h
+ * @returns {string|null} - Band name, null below every band
+ */
+const speedingBand = (speed) => {
+  let match = null;
+  DRIVING_SCORE_THRESHOLDS.speedingBands.forEach(({ band, minSpeed }) => {
+    if (speed >= minSpeed) match = band;
+  });
+  return match;
+};
+
+/**
+ * Whether a condition starts a new run, it holds at this sample but not at the previous one
+ * @param {boolean} active - Condition at this sample
+ * @param {boolean} wasActive - Condition at the previous sample
+ * @returns {number} - 1 when a run starts, 0 otherwise
+ */
+const startsRun = (active, wasActive) => (active && !wasActive ? 1 : 0);
+
+/**
+ * Add the time between two samples to the time-based metrics, by the state at the earlier sample
+ * @param {Object} metrics - Behaviour metrics, updated in place
+ * @param {Object} prev - Earlier sample
+ * @param {number} dtSeconds - Time to the next sample
+ * @returns {boolean} - Whether the engine was idling
+ */
+const addInterval = (metrics, prev, dtSeconds) => {
+  const prevSpeed = prev.speed ?? 0;
+  const prevRpm = prev.rpm ?? 0;
+
+  if (prevRpm >= DRIVING_SCORE_THRESHOLDS.overRevRpm) metrics.over_rev_seconds += dtSeconds;
+
+  if (prevSpeed > 0) {
+    metrics.moving_seconds += dtSeconds;
+    const band = speedingBand(prevSpeed);
+    if (band) metrics.speeding_seconds[band] += dtSeconds;
+  }
+
+  const idling = prevRpm > 0 && prevSpeed === 0;
+  if (idling) metrics.idle_seconds += dtSeconds;
+  return idling;
+};
+
+/**
+ * Count the driving behaviour events of one trip
+ * Harsh acceleration and braking come from the speed change between consecutive samples,
+ * a run of harsh intervals counts as a single event, as does a run of over-revving samples
+ * @param {Array<Object>} samples - Trip samples ordered by timestamp (speed in km/h, rpm)
+ * @param {number} distanceKm - Trip distance
+ * @returns {Object} - Behaviour metrics
+ */
+const measureTrip = (samples, distanceKm) => {
+  const {
+    harshAccelerationKmhPerSecond,
+    harshBrakingKmhPerSecond,
+    overRevRpm,
+    idleAllowanceSeconds,
+    maxSampleGapSeconds,
+  } = DRIVING_SCORE_THRESHOLDS;
+
+  const metrics = emptyMetrics();
+  metrics.distance_km = distanceKm;
+
+  let accelerating = false;
+  let braking = false;
+  let overRevving = false;
+  let idleStretch = 0;
+
+  const closeIdleStretch = () => {
+    metrics.excess_idle_seconds += Math.max(0, idleStretch - idleAllowanceSeconds);
+    idleStretch = 0;
+  };
+
+  samples.forEach((sample, i) => {
+    const rpm = sample.rpm ?? 0;
+    const revving = rpm >= overRevRpm;
+    metrics.over_revs += startsRun(revving, overRevving);
+    overRevving = revving;
+
+    if (i === 0) return;
+
+    const prev = samples[i - 1];
+    const dtSeconds = (new Date(sample.timestamp) - new Date(prev.timestamp)) / 1000;
+    if (dtSeconds <= 0) return;
+
+    metrics.duration_seconds += dtSeconds;
+
+    if (dtSeconds > maxSampleGapSeconds) {
+      accelerating = false;
+      braking = false;
+      closeIdleStretch();
+      return;
+    }
+
+    const rate = ((sample.speed ?? 0) - (prev.speed ?? 0)) / dtSeconds;
+
+    const harshAcceleration = rate >= harshAccelerationKmhPerSecond;
+    metrics.harsh_accelerations += startsRun(harshAcceleration, accelerating);
+    accelerating = harshAcceleration;
+
+    const harshBraking = -rate >= harshBrakingKmhPerSecond;
+    metrics.harsh_brakings += startsRun(harshBraking, braking);
+    braking = harshBraking;
+
+    if (addInterval(metrics, prev, dtSeconds)) {
+      idleStretch += dtSeconds;
+    } else {
+      closeIdleStretch();
+    }
+  });
+
+  closeIdleStretch();
+  return metrics;
+};
+
+/**
+ * Add up the behaviour metrics of several trips
+ * @param {Array<Object>} list - Behaviour metrics
+ * @returns {Object} - Summed metrics
+ */
+const mergeMetrics = (list) => list.reduce((total, metrics) => {
+  Object.keys(total).forEach((key) => {
+    if (key === 'speeding_seconds') {
+      SPEEDING_BANDS.forEach((band) => {
+        total.speeding_seconds[band] += (metrics.speeding_seconds || {})[band] || 0;
+      });
+    } else {
+      total[key] += Number(metrics[key]) || 0;
+    }
+  });
+  return total;
+}, emptyMetrics());
+
+/**
+ * Score behaviour metrics out of 100 with a breakdown of the points lost
+ * @param {Object} metrics - Behaviour metrics of a trip or of several merged trips
+ * @returns {Object} - { score, breakdown }
+ */
+const scoreMetrics = (metrics) => {
+  const weights = DRIVING_SCORE_WEIGHTS;
+  const scoredDistance = Math.max(metrics.distance_km, MIN_SCORED_DISTANCE_KM);
+  const per100Km = (events) => (events / scoredDistance) * 100;
+  const percentOf = (seconds, total) => (total > 0 ? (seconds / total) * 100 : 0);
+  const penalty = (points) => round2(Math.min(points, weights.maxPenalty));
+
+  const bands = {};
+  let speedingPoints = 0;
+  SPEEDING_BANDS.forEach((band) => {
+    const percent = percentOf(metrics.speeding_seconds[band], metrics.moving_seconds);
+    bands[band] = { seconds: Math.round(metrics.speeding_seconds[band]), percent_of_moving_time: round2(percent) };
+    speedingPoints += percent * weights.speeding[band];
+  });
+
+  const excessIdlePercent = percentOf(metrics.excess_idle_seconds, metrics.duration_seconds);
+
+  const breakdown = {
+    harsh_acceleration: {
+      events: metrics.harsh_accelerations,
+      per_100km: round2(per100Km(metrics.harsh_accelerations)),
+      penalty: penalty(per100Km(metrics.harsh_accelerations) * weights.harshAcceleration),
+    },
+    harsh_braking: {
+      events: metrics.harsh_brakings,
+      per_100km: round2(per100Km(metrics.harsh_brakings)),
+      penalty: penalty(per100Km(metrics.harsh_brakings) * weights.harshBraking),
+    },
+    over_revving: {
+      events: metrics.over_revs,
+      seconds: Math.round(metrics.over_rev_seconds),
+      per_100km: round2(per100Km(metrics.over_revs)),
+      penalty: penalty(per100Km(metrics.over_revs) * weights.overRevving),
+    },
+    speeding: {
+      seconds: Math.round(SPEEDING_BANDS.reduce((sum, band) => sum + metrics.speeding_seconds[band], 0)),
+      bands,
+      penalty: penalty(speedingPoints),
+    },
+    idling: {
+      seconds: Math.round(metrics.idle_seconds),
+      excess_seconds: Math.round(metrics.excess_idle_seconds),
+      excess_percent_of_trip_time: round2(excessIdlePercent),
+      penalty: penalty(excessIdlePercent * weights.idling),
+    },
+  };
+
+  const lost = Object.values(breakdown).reduce((sum, component) => sum + component.penalty, 0);
+
+  return {
+    score: Math.round(Math.max(0, 100 - lost)),
+    breakdown,
+  };
+};
+
+module.exports = {
+  emptyMetrics,
+  measureTrip,
+  mergeMetrics,
+  scoreMetrics,
+};
@@ -0,0 +1,132 @@
+/**
+ * Geographic helpers for GPS telemetry
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two positions
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} - Distance in meters
+ */
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Project positions onto a local plane in meters (equirectangular around the first position)
+ * Accurate enough for the extent of a single trip
+ * @param {Array<Object>} positions - [{ latitude, longitude }]
+ * @returns {Array<Object>} - [{ x, y }] in meters
+ */
+const projectLocal = (positions) => {
+  if (positions.length === 0) return [];
+  const cosLat = Math.cos(toRadians(positions[0].latitude));
+  return positions.map(({ latitude, longitude }) => ({
+    x: toRadians(longitude) * cosLat * EARTH_RADIUS_M,
+    y: toRadians(latitude) * EARTH_RADIUS_M,
+  }));
+};
+
+/**
+ * Distance from a point to the segment a-b on a plane
+ * @returns {number} - Distance in the plane's unit
+ */
+const segmentDistance = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Douglas–Peucker polyline simplification
+ * Iterative so long trips cannot overflow the call stack
+ * @param {Array<Object>} positions - [{ latitude, longitude }] in route order
+ * @param {number} toleranceMeters - Maximum distance a dropped position may lie from the simplified line
+ * @returns {Array<number>} - Indices of the kept positions, in order
+ */
+const douglasPeucker = (positions, toleranceMeters) => {
+  const { length } = positions;
+  if (length <= 2) return positions.map((_, i) => i);
+
+  const points = projectLocal(positions);
+  const keep = new Uint8Array(length);
+  keep[0] = 1;
+  keep[length - 1] = 1;
+
+  const stack = [[0, length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i += 1) {
+      const distance = segmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  const indices = [];
+  keep.forEach((kept, i) => {
+    if (kept) indices.push(i);
+  });
+  return indices;
+};
+
+/**
+ * Whether a position lies inside a polygon (ray casting on latitude/longitude)
+ * Polygons crossing the antimeridian are not supported
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array<Object>} polygon - [{ latitude, longitude }] vertices, closing edge implied
+ * @returns {boolean} - Point is inside
+ */
+const pointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude)
+      && point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude))
+        / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+/**
+ * Whether a position lies inside a circular or polygon geofence
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} geofence - geofences row
+ * @returns {boolean} - Point is inside
+ */
+const pointInGeofence = (point, geofence) => (geofence.type === 'circle'
+  ? haversineDistance(point, geofence.center) <= geofence.radius_meters
+  : pointInPolygon(point, geofence.polygon));
+
+module.exports = {
+  haversineDistance,
+  douglasPeucker,
+  pointInPolygon,
+  pointInGeofence,
+};
@@ -0,0 +1,75 @@
+/**
+ * Helpers for the hourly and daily telemetry summaries
+ * A summary keeps { count, sum, min, max } per metric so buckets can be merged without the raw rows
+ */
+
+/**
+ * Start of the fixed-width bucket containing a time
+ * @param {number} ms - Time in milliseconds
+ * @param {number} bucketMs - Bucket width in milliseconds
+ * @returns {number} - Bucket start in milliseconds
+ */
+const floorTo = (ms, bucketMs) => Math.floor(ms / bucketMs) * bucketMs;
+
+/**
+ * Add a value to a metric summary ({ count, sum, min, max })
+ * @param {Object} metrics - Metric summaries of a bucket
+ * @param {string} key - Telemetry field or PID key
+ * @param {*} value - Sample value
+ */
+const addValue = (metrics, key, value) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+  const summary = metrics[key];
+  if (!summary) {
+    metrics[key] = {
+      count: 1, sum: value, min: value, max: value,
+    };
+    return;
+  }
+
+  summary.count += 1;
+  summary.sum += value;
+  summary.min = Math.min(summary.min, value);
+  summary.max = Math.max(summary.max, value);
+};
+
+/**
+ * Merge two bucket summaries, used when late samples land in an already rolled-up bucket
+ * @param {Object} a - { sample_count, metrics }
+ * @param {Object} b - { sample_count, metrics }
+ * @returns {Object} - Merged { sample_count, metrics }
+ */
+const mergeSummaries = (a, b) => {
+  const metrics = { ...a.metrics };
+
+  Object.entries(b.metrics).forEach(([key, summary]) => {
+    const existing = metrics[key];
+    metrics[key] = existing
+      ? {
+        count: existing.count + summary.count,
+        sum: existing.sum + summary.sum,
+        min: Math.min(existing.min, summary.min),
+        max: Math.max(existing.max, summary.max),
+      }
+      : summary;
+  });
+
+  return { sample_count: a.sample_count + b.sample_count, metrics };
+};
+
+/**
+ * Average of a metric summary
+ * @param {Object} summary - { count, sum, min, max }
+ * @returns {number|null} - Average rounded to two decimals
+ */
+const summaryAverage = (summary) => (
+  summary && summary.count > 0 ? Math.round((summary.sum / summary.count) * 100) / 100 : null
+);
+
+module.exports = {
+  floorTo,
+  addValue,
+  mergeSummaries,
+  summaryAverage,
+};
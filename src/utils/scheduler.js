@@ -0,0 +1,35 @@
+/**
+ * Background job scheduling for the server
+ */
+
+const cron = require('node-cron');
+
+const { logger } = require('../config/logger');
+
+/**
+ * Schedule a background job with node-cron
+ * `<PREFIX>_JOB_ENABLED=false` disables the job, `<PREFIX>_CRON` overrides its schedule
+ * @param {string} name - Job name for the logs
+ * @param {string} envPrefix - Prefix of the job's environment variables (e.g. RETENTION)
+ * @param {string} defaultSchedule - Cron expression used when `<PREFIX>_CRON` is not set
+ * @param {Function} run - Job to run
+ * @returns {boolean} - Whether the job was scheduled
+ */
+const scheduleJob = (name, envPrefix, defaultSchedule, run) => {
+  if (process.env[`${envPrefix}_JOB_ENABLED`] === 'false') return false;
+
+  const schedule = process.env[`${envPrefix}_CRON`] || defaultSchedule;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid ${envPrefix}_CRON expression: ${schedule}, ${name.toLowerCase()} job disabled`);
+    return false;
+  }
+
+  cron.schedule(schedule, run);
+  logger.info(`${name} job scheduled (${schedule})`);
+  return true;
+};
+
+module.exports = {
+  scheduleJob,
+};
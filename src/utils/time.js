@@ -0,0 +1,154 @@
+/**
+ * Time bucketing helpers for telemetry rollups
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const formatters = new Map();
+
+/**
+ * Get a cached Intl formatter returning wall clock parts in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a time zone known to the runtime
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} - Whether the time zone is valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Convert a wall clock time in a time zone to a UTC instant
+ * Out of range values roll over like Date.UTC (e.g. day 32 is the next month)
+ * @param {Object} wallClock - { year, month, day, hour? }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - Instant
+ */
+const zonedTimeToUtc = ({
+  year, month, day, hour = 0,
+}, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const corrected = getTimeZoneOffset(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * ISO 8601 week label (e.g. 2025-W07) for the week starting on a Monday
+ * @param {number} mondayUtc - Monday of the week as a UTC midnight timestamp
+ * @returns {string} - Week label
+ */
+const isoWeekLabel = (mondayUtc) => {
+  const thursday = new Date(mondayUtc + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+  return `${year}-W${pad(week)}`;
+};
+
+/**
+ * Find the hour/day/week/month bucket an instant falls into, in a time zone
+ * @param {Date} date - Instant
+ * @param {string} groupBy - hour, day, week or month
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { key, start, end } with start/end as Date instants (end exclusive)
+ */
+const getTimeBucket = (date, groupBy, timeZone = 'UTC') => {
+  const wallClock = getZonedParts(date, timeZone);
+  const {
+    year, month, day, hour,
+  } = wallClock;
+
+  switch (groupBy) {
+  case 'hour':
+    return {
+      key: `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:00`,
+      start: zonedTimeToUtc(wallClock, timeZone),
+      end: zonedTimeToUtc({ ...wallClock, hour: hour + 1 }, timeZone),
+    };
+  case 'week': {
+    const localMidnight = Date.UTC(year, month - 1, day);
+    const mondayUtc = localMidnight - ((new Date(localMidnight).getUTCDay() + 6) % 7) * DAY_MS;
+    const monday = new Date(mondayUtc);
+    const [y, m, d] = [monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate()];
+    return {
+      key: isoWeekLabel(mondayUtc),
+      start: zonedTimeToUtc({ year: y, month: m, day: d }, timeZone),
+      end: zonedTimeToUtc({ year: y, month: m, day: d + 7 }, timeZone),
+    };
+  }
+  case 'month':
+    return {
+      key: `${year}-${pad(month)}`,
+      start: zonedTimeToUtc({ year, month, day: 1 }, timeZone),
+      end: zonedTimeToUtc({ year, month: month + 1, day: 1 }, timeZone),
+    };
+  case 'day':
+  default:
+    return {
+      key: `${year}-${pad(month)}-${pad(day)}`,
+      start: zonedTimeToUtc({ year, month, day }, timeZone),
+      end: zonedTimeToUtc({ year, month, day: day + 1 }, timeZone),
+    };
+  }
+};
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeBucket,
+};
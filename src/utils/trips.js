@@ -0,0 +1,191 @@
+/**
+ * Trip segmentation and summaries from telemetry samples
+ */
+
+const { measureTrip, scoreMetrics } = require('./drivingScore');
+
+// Sample columns trips are built and scored from
+const TRIP_SAMPLE_COLUMNS = ['rpm', 'speed', 'fuelConsumption', 'fuelTankLevel'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether the engine was running when a sample was taken
+ * @param {Object} sample - vehicle_performance_data row
+ * @returns {boolean} - Engine running
+ */
+const isRunning = (sample) => (sample.rpm ?? 0) > 0 || (sample.speed ?? 0) > 0;
+
+/**
+ * Split a sample stream into trips as samples arrive, only the trip being built is kept in memory
+ * A trip starts at the first running sample and ends at the last running sample before
+ * the engine stays off, or data stops arriving, for longer than the idle timeout
+ * @param {Function} onTrip - Called with the samples of each finished trip
+ * @param {number} idleTimeoutMs - Idle timeout in milliseconds
+ * @returns {Object} - { push(sample), flush() }, samples are pushed in timestamp order,
+ *                     flush ends the trip being built
+ */
+const createSegmenter = (onTrip, idleTimeoutMs) => {
+  let current = null;
+  let lastRunningIndex = -1;
+  let lastTime = null;
+
+  const closeCurrent = () => {
+    // Drop trailing engine-off samples
+    onTrip(current.slice(0, lastRunningIndex + 1));
+    current = null;
+  };
+
+  return {
+    push: (sample) => {
+      const time = new Date(sample.timestamp).getTime();
+
+      if (current) {
+        const lastRunningTime = new Date(current[lastRunningIndex].timestamp).getTime();
+        const gap = time - lastTime;
+
+        if (gap > idleTimeoutMs || (!isRunning(sample) && time - lastRunningTime > idleTimeoutMs)) {
+          closeCurrent();
+        }
+      }
+
+      if (!current && isRunning(sample)) {
+        current = [];
+      }
+
+      if (current) {
+        current.push(sample);
+        if (isRunning(sample)) lastRunningIndex = current.length - 1;
+      }
+
+      lastTime = time;
+    },
+    flush: () => {
+      if (current) closeCurrent();
+    },
+  };
+};
+
+/**
+ * Split a time-ordered sample series into trips
+ * @param {Array<Object>} samples - Samples ordered by timestamp
+ * @param {number} idleTimeoutMs - Idle timeout in milliseconds
+ * @returns {Array<Array<Object>>} - Samples of each trip
+ */
+const segmentTrips = (samples, idleTimeoutMs) => {
+  const trips = [];
+  const segmenter = createSegmenter((tripSamples) => trips.push(tripSamples), idleTimeoutMs);
+
+  samples.forEach((sample) => segmenter.push(sample));
+  segmenter.flush();
+
+  return trips;
+};
+
+/**
+ * Add the step from one sample to the next to the trip totals
+ * @param {Object} totals - { distanceKm, idleSeconds, fuelUsedLiters, hasFuelRate }, updated in place
+ * @param {Object} prev - Previous sample
+ * @param {Object} sample - Sample
+ */
+const addStep = (totals, prev, sample) => {
+  const dtSeconds = (new Date(sample.timestamp) - new Date(prev.timestamp)) / 1000;
+  const prevSpeed = prev.speed ?? 0;
+
+  totals.distanceKm += ((prevSpeed + (sample.speed ?? 0)) / 2) * (dtSeconds / 3600);
+
+  if ((prev.rpm ?? 0) > 0 && prevSpeed === 0) {
+    totals.idleSeconds += dtSeconds;
+  }
+
+  if (prev.fuelConsumption != null && sample.fuelConsumption != null) {
+    totals.hasFuelRate = true;
+    totals.fuelUsedLiters += ((prev.fuelConsumption + sample.fuelConsumption) / 2) * (dtSeconds / 3600);
+  }
+};
+
+/**
+ * Summarise the samples of one trip
+ * Distance integrates speed (km/h) and fuel integrates fuelConsumption (L/h) with the trapezoidal rule
+ * @param {Array<Object>} samples - Trip samples ordered by timestamp
+ * @returns {Object} - Trip summary
+ */
+const summarizeTrip = (samples) => {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const startMs = new Date(first.timestamp).getTime();
+  const endMs = new Date(last.timestamp).getTime();
+
+  const totals = {
+    distanceKm: 0, idleSeconds: 0, fuelUsedLiters: 0, hasFuelRate: false,
+  };
+  let maxSpeed = 0;
+
+  samples.forEach((sample, i) => {
+    maxSpeed = Math.max(maxSpeed, sample.speed ?? 0);
+    if (i > 0) addStep(totals, samples[i - 1], sample);
+  });
+
+  const { distanceKm, idleSeconds } = totals;
+  const durationSeconds = Math.round((endMs - startMs) / 1000);
+  const movingSeconds = durationSeconds - idleSeconds;
+
+  return {
+    start_time: new Date(startMs).toISOString(),
+    end_time: new Date(endMs).toISOString(),
+    duration_seconds: durationSeconds,
+    distance_km: round2(distanceKm),
+    max_speed: maxSpeed,
+    // Average over moving time, idling at lights doesn't drag it down
+    avg_speed: movingSeconds > 0 ? round2(distanceKm / (movingSeconds / 3600)) : 0,
+    idle_seconds: Math.round(idleSeconds),
+    fuel_used_liters: totals.hasFuelRate ? round2(totals.fuelUsedLiters) : null,
+    fuel_level_start: first.fuelTankLevel ?? null,
+    fuel_level_end: last.fuelTankLevel ?? null,
+    sample_count: samples.length,
+  };
+};
+
+/**
+ * Driving behaviour columns of a trip
+ * @param {Array<Object>} samples - Trip samples ordered by timestamp
+ * @param {number} distanceKm - Trip distance
+ * @returns {Object} - { driving_score, driving_metrics, scored_at }
+ */
+const scoreTripSamples = (samples, distanceKm) => {
+  const metrics = measureTrip(samples, distanceKm);
+  return {
+    driving_score: scoreMetrics(metrics).score,
+    driving_metrics: metrics,
+    scored_at: new Date().toISOString(),
+  };
+};
+
+/**
+ * Build the vehicle_trips row of a detected trip
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Array<Object>} tripSamples - Trip samples ordered by timestamp
+ * @param {number} idleTimeoutMs - Idle timeout in milliseconds, a trip that ended less ago is still in progress
+ * @returns {Object} - Trip row
+ */
+const buildTrip = (vehicleId, tripSamples, idleTimeoutMs) => {
+  const summary = summarizeTrip(tripSamples);
+  const open = Date.now() - new Date(summary.end_time).getTime() <= idleTimeoutMs;
+
+  return {
+    vehicle_id: vehicleId,
+    ...summary,
+    ...scoreTripSamples(tripSamples, summary.distance_km),
+    status: open ? 'in_progress' : 'completed',
+    updated_at: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  TRIP_SAMPLE_COLUMNS,
+  buildTrip,
+  createSegmenter,
+  scoreTripSamples,
+  segmentTrips,
+  summarizeTrip,
+};
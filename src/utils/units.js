@@ -0,0 +1,245 @@
+/**
+ * Unit conversion helpers for telemetry values
+ * Values are stored in metric units: samples declaring other units are converted on ingest,
+ * reads are converted to the unit system the user prefers
+ */
+
+const { PID_CATALOG, findPid } = require('../config/pidCatalog');
+const { AGGREGATION_STATS } = require('../config/telemetry');
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Unit of each quantity per unit system
+const UNITS = {
+  metric: {
+    speed: 'km/h',
+    temperature: '°C',
+    distance: 'km',
+    volume: 'L',
+    fuelRate: 'L/h',
+    fuelEconomy: 'L/100km',
+  },
+  imperial: {
+    speed: 'mph',
+    temperature: '°F',
+    distance: 'mi',
+    volume: 'gal',
+    fuelRate: 'gal/h',
+    fuelEconomy: 'mpg',
+  },
+};
+
+const KM_PER_MILE = 1.609344;
+const LITERS_PER_GALLON = 3.785411784;
+
+// Metric -> imperial conversion per quantity
+const TO_IMPERIAL = {
+  speed: (value) => value / KM_PER_MILE,
+  temperature: (value) => (value * 9) / 5 + 32,
+  distance: (value) => value / KM_PER_MILE,
+  volume: (value) => value / LITERS_PER_GALLON,
+  fuelRate: (value) => value / LITERS_PER_GALLON,
+  // L/100km is inverse to mpg, 0 L/100km has no finite mpg
+  fuelEconomy: (value) => (value > 0 ? (100 * LITERS_PER_GALLON) / (KM_PER_MILE * value) : null),
+};
+
+// Declared unit -> metric conversion per quantity, accepting the labels of both systems
+const TO_METRIC = {
+  speed: {
+    'km/h': (value) => value,
+    mph: (value) => value * KM_PER_MILE,
+  },
+  temperature: {
+    '°C': (value) => value,
+    '°F': (value) => ((value - 32) * 5) / 9,
+  },
+  distance: {
+    km: (value) => value,
+    mi: (value) => value * KM_PER_MILE,
+  },
+  volume: {
+    L: (value) => value,
+    gal: (value) => value * LITERS_PER_GALLON,
+  },
+  fuelRate: {
+    'L/h': (value) => value,
+    'gal/h': (value) => value * LITERS_PER_GALLON,
+  },
+  fuelEconomy: {
+    'L/100km': (value) => value,
+    mpg: (value) => (value > 0 ? (100 * LITERS_PER_GALLON) / (KM_PER_MILE * value) : null),
+  },
+};
+
+// Every unit label a client may declare
+const UNIT_LABELS = [...new Set(Object.values(TO_METRIC).flatMap((units) => Object.keys(units)))];
+
+// Quantity measured by each convertible telemetry field or catalogued PID
+const FIELD_QUANTITIES = Object.fromEntries(
+  PID_CATALOG
+    .filter((entry) => entry.quantity)
+    .map((entry) => [entry.key, entry.quantity]),
+);
+
+// Aggregated keys holding a value of the metric (avg_speed, p95_coolantTemp, ...), count_* is unitless
+const AGGREGATE_KEY_PATTERN = new RegExp(
+  `^(${AGGREGATION_STATS.filter((stat) => stat !== 'count').join('|')})_(.+)$`,
+);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert a metric value of a quantity to a unit system
+ * @param {number|null} value - Metric value
+ * @param {string} quantity - Quantity name (speed, temperature, ...)
+ * @param {string} system - metric or imperial
+ * @returns {number|null} - Converted value rounded to two decimals
+ */
+const convertValue = (value, quantity, system = 'metric') => {
+  if (value === null || value === undefined || system === 'metric' || !TO_IMPERIAL[quantity]) {
+    return value;
+  }
+  const converted = TO_IMPERIAL[quantity](Number(value));
+  return converted === null ? null : round2(converted);
+};
+
+/**
+ * Convert the telemetry fields of a record to a unit system
+ * @param {Object} record - vehicle_performance_data row
+ * @param {string} system - metric or imperial
+ * @returns {Object} - Converted copy of the record
+ */
+const convertRecord = (record, system = 'metric') => {
+  if (system === 'metric') return record;
+
+  const converted = { ...record };
+  Object.entries(FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    if (field in converted) {
+      converted[field] = convertValue(converted[field], quantity, system);
+    }
+  });
+
+  // PID readings and the extremes of summary rows are keyed like the record itself
+  ['pids', 'min', 'max'].forEach((key) => {
+    if (record[key]) converted[key] = convertRecord(record[key], system);
+  });
+
+  return converted;
+};
+
+/**
+ * Convert a flat aggregation period (avg_speed, max_coolantTemp, ...) to a unit system
+ * @param {Object} period - Aggregated period
+ * @param {string} system - metric or imperial
+ * @returns {Object} - Converted copy of the period
+ */
+const convertAggregate = (period, system = 'metric') => {
+  if (system === 'metric') return period;
+
+  return Object.fromEntries(Object.entries(period).map(([key, value]) => {
+    const match = AGGREGATE_KEY_PATTERN.exec(key);
+    const quantity = match && FIELD_QUANTITIES[match[2]];
+    return [key, quantity ? convertValue(value, quantity, system) : value];
+  }));
+};
+
+/**
+ * Unit a client declared for a field: a unit system for the whole sample or a per-field unit
+ * @param {string|Object} units - metric, imperial or field -> unit label
+ * @param {string} field - Telemetry field or PID key
+ * @param {string} quantity - Quantity measured by the field
+ * @returns {string} - Unit label
+ */
+const declaredUnit = (units, field, quantity) => {
+  if (units && typeof units === 'object') {
+    return units[field] || UNITS.metric[quantity];
+  }
+  return (UNITS[units] || UNITS.metric)[quantity];
+};
+
+/**
+ * Check the per-field units declared by a client
+ * @param {string|Object} units - metric, imperial or field -> unit label
+ * @returns {Array<string>} - Error messages, empty when every declared unit is valid
+ */
+const validateDeclaredUnits = (units) => {
+  if (!units || typeof units !== 'object') return [];
+
+  return Object.entries(units).flatMap(([id, unit]) => {
+    const entry = findPid(id);
+    const quantity = entry && FIELD_QUANTITIES[entry.key];
+    if (!quantity) {
+      return [`${id} has no convertible unit`];
+    }
+    return TO_METRIC[quantity][unit]
+      ? []
+      : [`${unit} is not a valid unit for ${id}, use one of: ${Object.keys(TO_METRIC[quantity]).join(', ')}`];
+  });
+};
+
+/**
+ * Convert a value from the unit a client declared to the canonical metric unit
+ * @param {string} field - Telemetry field or PID key
+ * @param {*} value - Declared value
+ * @param {string|Object} units - metric, imperial or field -> unit label
+ * @returns {*} - Metric value, non numeric and unitless values are returned as is
+ */
+const toMetricValue = (field, value, units) => {
+  const quantity = FIELD_QUANTITIES[field];
+  if (!quantity || typeof value !== 'number') return value;
+
+  const convert = TO_METRIC[quantity][declaredUnit(units, field, quantity)];
+  if (!convert) return value;
+
+  const metric = convert(value);
+  return metric === null ? null : Math.round(metric * 1000) / 1000;
+};
+
+/**
+ * Convert the PID readings of a sample to metric
+ * Raw hex readings are left alone, the OBD-II decode formulas already yield metric values
+ * @param {Object} readings - PID key or code -> number or hex string
+ * @param {string|Object} units - Units declared by the client
+ * @returns {Object} - Converted readings
+ */
+const pidsToMetric = (readings, units) => Object.fromEntries(
+  Object.entries(readings).map(([id, value]) => {
+    const entry = findPid(id);
+    return [id, entry ? toMetricValue(entry.key, value, units) : value];
+  }),
+);
+
+/**
+ * Convert the telemetry fields of a sample from its declared units to metric
+ * @param {Object} sample - Performance data sample, `pids` already converted
+ * @returns {Object} - Converted sample without `units`
+ */
+const toMetricSample = ({ units, ...sample }) => Object.fromEntries(
+  Object.entries(sample).map(([field, value]) => [
+    field,
+    field === 'pids' ? value : toMetricValue(field, value, units),
+  ]),
+);
+
+/**
+ * Units of the convertible telemetry fields in a unit system
+ * @param {string} system - metric or imperial
+ * @returns {Object} - Field -> unit label
+ */
+const fieldUnits = (system = 'metric') => Object.fromEntries(
+  Object.entries(FIELD_QUANTITIES).map(([field, quantity]) => [field, UNITS[system][quantity]]),
+);
+
+module.exports = {
+  UNIT_SYSTEMS,
+  UNITS,
+  UNIT_LABELS,
+  FIELD_QUANTITIES,
+  convertValue,
+  convertRecord,
+  convertAggregate,
+  validateDeclaredUnits,
+  pidsToMetric,
+  toMetricSample,
+  fieldUnits,
+};
@@ -0,0 +1,168 @@
+const Joi = require('joi');
+
+const { TELEMETRY_FIELDS } = require('../config/telemetry');
+
+const ALERT_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+// Single comparison of a telemetry field against a value
+const conditionSchema = Joi.object({
+  metric: Joi.string()
+    .valid(...TELEMETRY_FIELDS)
+    .required()
+    .messages({
+      'any.only': `Metric must be one of: ${TELEMETRY_FIELDS.join(', ')}`,
+      'any.required': 'Condition metric is required',
+    }),
+  operator: Joi.string()
+    .valid(...ALERT_OPERATORS)
+    .required()
+    .messages({
+      'any.only': `Operator must be one of: ${ALERT_OPERATORS.join(', ')}`,
+      'any.required': 'Condition operator is required',
+    }),
+  value: Joi.number()
+    .required()
+    .messages({
+      'number.base': 'Condition value must be a number',
+      'any.required': 'Condition value is required',
+    }),
+});
+
+// Create alert rule validation schema
+const createAlertRuleSchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .allow(null)
+    .default(null)
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }),
+  name: Joi.string()
+    .min(3)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 3 characters long',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required',
+    }),
+  conditions: Joi.array()
+    .items(conditionSchema)
+    .min(1)
+    .max(5)
+    .required()
+    .messages({
+      'array.min': 'At least one condition is required',
+      'array.max': 'Cannot use more than 5 conditions in a rule',
+      'any.required': 'Conditions are required',
+    }),
+  duration_seconds: Joi.number()
+    .integer()
+    .min(0)
+    .max(86400)
+    .default(0)
+    .messages({
+      'number.base': 'Duration must be a number',
+      'number.min': 'Duration cannot be negative',
+      'number.max': 'Duration cannot exceed 24 hours',
+    }),
+  severity: Joi.string()
+    .valid('info', 'warning', 'critical')
+    .default('warning')
+    .messages({
+      'any.only': 'Severity must be one of: info, warning, critical',
+    }),
+  enabled: Joi.boolean()
+    .default(true),
+});
+
+// Update alert rule validation schema
+const updateAlertRuleSchema = createAlertRuleSchema
+  .fork(['name', 'conditions'], (schema) => schema.optional())
+  .fork(
+    ['vehicle_id', 'duration_seconds', 'severity', 'enabled'],
+    (schema) => schema.optional().prefs({ noDefaults: true }),
+  )
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update',
+  });
+
+// Get alert rules query validation schema
+const getAlertRulesQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }),
+  enabled: Joi.boolean(),
+});
+
+// Update alert (acknowledge / close) validation schema
+const updateAlertSchema = Joi.object({
+  status: Joi.string()
+    .valid('acknowledged', 'closed')
+    .required()
+    .messages({
+      'any.only': 'Status must be one of: acknowledged, closed',
+      'any.required': 'Status is required',
+    }),
+  notes: Joi.string()
+    .max(1000)
+    .messages({
+      'string.max': 'Notes cannot exceed 1000 characters',
+    }),
+});
+
+// Get alerts query validation schema
+const getAlertsQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }),
+  status: Joi.string()
+    .valid('open', 'acknowledged', 'closed')
+    .messages({
+      'any.only': 'Status must be one of: open, acknowledged, closed',
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+// Alert or alert rule ID validation schema
+const alertIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'ID must be a valid UUID',
+      'any.required': 'ID is required',
+    }),
+});
+
+module.exports = {
+  ALERT_OPERATORS,
+  createAlertRuleSchema,
+  updateAlertRuleSchema,
+  getAlertRulesQuerySchema,
+  updateAlertSchema,
+  getAlertsQuerySchema,
+  alertIdSchema,
+};
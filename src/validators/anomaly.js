@@ -0,0 +1,60 @@
+const Joi = require('joi');
+
+const { ANOMALY_METRICS } = require('../config/anomaly');
+const { UNIT_SYSTEMS } = require('../utils/units');
+
+const ANOMALY_METRIC_NAMES = Object.keys(ANOMALY_METRICS);
+
+// Get anomalies query validation schema
+const getAnomaliesQuerySchema = Joi.object({
+  metric: Joi.string()
+    .valid(...ANOMALY_METRIC_NAMES)
+    .messages({
+      'any.only': `Metric must be one of: ${ANOMALY_METRIC_NAMES.join(', ')}`,
+    }),
+  status: Joi.string()
+    .valid('open', 'closed')
+    .messages({
+      'any.only': 'Status must be one of: open, closed',
+    }),
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+  units: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .optional()
+    .messages({
+      'any.only': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+});
+
+module.exports = {
+  getAnomaliesQuerySchema,
+};
@@ -1,5 +1,46 @@
 const Joi = require('joi');
 
+const { DTC_STATUSES, DTC_INITIAL_STATUSES } = require('../config/dtcLifecycle');
+const { UNIT_SYSTEMS, toMetricSample } = require('../utils/units');
+
+// Freeze frame recorded by the ECU with the fault, values are converted to metric before they are stored
+const freezeFrameSchema = Joi.object({
+  rpm: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Freeze frame RPM must be a number',
+      'number.min': 'Freeze frame RPM cannot be negative',
+    }),
+  speed: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Freeze frame speed must be a number',
+      'number.min': 'Freeze frame speed cannot be negative',
+    }),
+  coolantTemp: Joi.number()
+    .messages({
+      'number.base': 'Freeze frame coolant temperature must be a number',
+    }),
+  engineLoad: Joi.number()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.base': 'Freeze frame engine load must be a number',
+      'number.min': 'Freeze frame engine load must be between 0 and 100',
+      'number.max': 'Freeze frame engine load must be between 0 and 100',
+    }),
+  units: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .messages({
+      'any.only': `Freeze frame units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+}).or('rpm', 'speed', 'coolantTemp', 'engineLoad')
+  .custom((value) => toMetricSample(value))
+  .messages({
+    'object.base': 'Freeze frame must be an object',
+    'object.missing': 'Freeze frame must include at least one of: rpm, speed, coolantTemp, engineLoad',
+  });
+
 // Create DTC validation schema
 const createDTCSchema = Joi.object({
   vehicle_id: Joi.string()
@@ -16,27 +57,24 @@ const createDTCSchema = Joi.object({
       'string.pattern.base': 'DTC code must be in format: one letter followed by 4 digits (e.g., P0524)',
       'any.required': 'DTC code is required'
     }),
+  // Description and impact level default to the code dictionary's when omitted
   description: Joi.string()
     .min(10)
     .max(500)
-    .required()
     .messages({
       'string.min': 'Description must be at least 10 characters long',
       'string.max': 'Description cannot exceed 500 characters',
-      'any.required': 'Description is required'
     }),
   impact_level: Joi.string()
     .valid('low', 'mid', 'high')
-    .required()
     .messages({
       'any.only': 'Impact level must be one of: low, mid, high',
-      'any.required': 'Impact level is required'
     }),
   status: Joi.string()
-    .valid('active', 'resolved', 'ignored')
+    .valid(...DTC_INITIAL_STATUSES)
     .default('active')
     .messages({
-      'any.only': 'Status must be one of: active, resolved, ignored'
+      'any.only': `New DTCs can only be added as: ${DTC_INITIAL_STATUSES.join(', ')}`,
     }),
   occurred_at: Joi.date()
     .iso()
@@ -44,7 +82,9 @@ const createDTCSchema = Joi.object({
     .messages({
       'date.format': 'Occurred at must be a valid ISO date',
       'date.max': 'Occurred at cannot be in the future'
-    })
+    }),
+  // Captured from the telemetry sample nearest to occurred_at when omitted
+  freeze_frame: freezeFrameSchema,
 });
 
 // Update DTC validation schema
@@ -62,9 +102,9 @@ const updateDTCSchema = Joi.object({
       'any.only': 'Impact level must be one of: low, mid, high'
     }),
   status: Joi.string()
-    .valid('active', 'resolved', 'ignored')
+    .valid(...DTC_STATUSES)
     .messages({
-      'any.only': 'Status must be one of: active, resolved, ignored'
+      'any.only': `Status must be one of: ${DTC_STATUSES.join(', ')}`,
     }),
   resolution_notes: Joi.string()
     .max(1000)
@@ -76,6 +116,36 @@ const updateDTCSchema = Joi.object({
     .messages({
       'string.max': 'Resolution notes cannot exceed 1000 characters',
       'any.required': 'Resolution notes are required when marking DTC as resolved'
+    }),
+  // Recorded with the change in the DTC's event log
+  notes: Joi.string()
+    .max(1000)
+    .messages({
+      'string.max': 'Notes cannot exceed 1000 characters',
+    }),
+  attachments: Joi.array()
+    .items(Joi.object({
+      url: Joi.string()
+        .uri()
+        .required()
+        .messages({
+          'string.uri': 'Attachment URL must be a valid URL',
+          'any.required': 'Attachment URL is required',
+        }),
+      name: Joi.string()
+        .max(255)
+        .messages({
+          'string.max': 'Attachment name cannot exceed 255 characters',
+        }),
+      content_type: Joi.string()
+        .max(100)
+        .messages({
+          'string.max': 'Attachment content type cannot exceed 100 characters',
+        }),
+    }))
+    .max(10)
+    .messages({
+      'array.max': 'Cannot add more than 10 attachments at once',
     })
 }).min(1).messages({
   'object.min': 'At least one field must be provided for update'
@@ -92,80 +162,37 @@ const dtcIdSchema = Joi.object({
     })
 });
 
-// Get DTCs query validation schema
-const getDTCsQuerySchema = Joi.object({
+// Bulk DTC submission (one scan) validation schema
+// Codes are reconciled against the vehicle's active DTCs, so the vehicle and status come from the scan
+const createBulkDTCsSchema = Joi.object({
   vehicle_id: Joi.string()
     .uuid()
+    .required()
     .messages({
-      'string.guid': 'Vehicle ID must be a valid UUID'
-    }),
-  status: Joi.string()
-    .valid('active', 'resolved', 'ignored')
-    .messages({
-      'any.only': 'Status must be one of: active, resolved, ignored'
-    }),
-  impact_level: Joi.string()
-    .valid('low', 'mid', 'high')
-    .messages({
-      'any.only': 'Impact level must be one of: low, mid, high'
-    }),
-  from_date: Joi.date()
-    .iso()
-    .messages({
-      'date.format': 'From date must be a valid ISO date'
-    }),
-  to_date: Joi.date()
-    .iso()
-    .min(Joi.ref('from_date'))
-    .messages({
-      'date.format': 'To date must be a valid ISO date',
-      'date.min': 'To date must be after from date'
-    }),
-  page: Joi.number()
-    .integer()
-    .min(1)
-    .default(1)
-    .messages({
-      'number.base': 'Page must be a number',
-      'number.integer': 'Page must be an integer',
-      'number.min': 'Page must be at least 1'
-    }),
-  limit: Joi.number()
-    .integer()
-    .min(1)
-    .max(100)
-    .default(10)
-    .messages({
-      'number.base': 'Limit must be a number',
-      'number.integer': 'Limit must be an integer',
-      'number.min': 'Limit must be at least 1',
-      'number.max': 'Limit cannot exceed 100'
-    }),
-  sort_by: Joi.string()
-    .valid('occurred_at', 'dtc_code', 'impact_level', 'status', 'created_at', 'updated_at')
-    .default('occurred_at')
-    .messages({
-      'any.only': 'Sort by must be one of: occurred_at, dtc_code, impact_level, status, created_at, updated_at'
+      'string.guid': 'Vehicle ID must be a valid UUID',
+      'any.required': 'Vehicle ID is required',
     }),
-  sort_order: Joi.string()
-    .valid('asc', 'desc')
-    .default('desc')
-    .messages({
-      'any.only': 'Sort order must be either asc or desc'
-    })
-});
-
-// Bulk create DTCs validation schema
-const createBulkDTCsSchema = Joi.object({
   dtcs: Joi.array()
-    .items(createDTCSchema.fork('dtc_code', (schema) => schema.optional()))
-    .min(1)
+    .items(createDTCSchema.fork(['vehicle_id', 'status'], () => Joi.any().strip()))
+    .unique('dtc_code')
     .max(50)
     .required()
     .messages({
-      'array.min': 'At least one DTC must be provided',
+      'array.unique': 'Each DTC code can only be reported once per scan',
       'array.max': 'Cannot create more than 50 DTCs at once',
       'any.required': 'DTCs array is required'
+    }),
+  scanned_at: Joi.date()
+    .iso()
+    .max('now')
+    .messages({
+      'date.format': 'Scanned at must be a valid ISO date',
+      'date.max': 'Scanned at cannot be in the future',
+    }),
+  auto_resolve: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'Auto resolve must be a boolean',
     })
 });
 
@@ -195,7 +222,6 @@ module.exports = {
   createDTCSchema,
   updateDTCSchema,
   dtcIdSchema,
-  getDTCsQuerySchema,
   createBulkDTCsSchema,
   dtcCodeSchema,
   vehicleIdSchema
@@ -0,0 +1,202 @@
+const Joi = require('joi');
+
+const { DTC_SYSTEMS, DTC_CATEGORIES } = require('../config/dtcDictionary');
+const { DTC_STATUSES } = require('../config/dtcLifecycle');
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { isValidTimeZone } = require('../utils/time');
+
+// Get DTCs query validation schema
+const getDTCsQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }),
+  status: Joi.string()
+    .valid(...DTC_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${DTC_STATUSES.join(', ')}`,
+    }),
+  impact_level: Joi.string()
+    .valid('low', 'mid', 'high')
+    .messages({
+      'any.only': 'Impact level must be one of: low, mid, high',
+    }),
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1',
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+  sort_by: Joi.string()
+    .valid('occurred_at', 'dtc_code', 'impact_level', 'status', 'created_at', 'updated_at')
+    .default('occurred_at')
+    .messages({
+      'any.only': 'Sort by must be one of: occurred_at, dtc_code, impact_level, status, created_at, updated_at',
+    }),
+  sort_order: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc',
+    }),
+});
+
+// Get DTC query validation schema
+const getDTCQuerySchema = Joi.object({
+  units: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .messages({
+      'any.only': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+});
+
+// Vehicle DTC history query validation schema
+const getDTCHistoryQuerySchema = Joi.object({
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  recurrence_days: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .default(30)
+    .messages({
+      'number.base': 'Recurrence days must be a number',
+      'number.integer': 'Recurrence days must be an integer',
+      'number.min': 'Recurrence days must be at least 1',
+      'number.max': 'Recurrence days cannot exceed 365',
+    }),
+  group_by: Joi.string()
+    .valid('code', 'none')
+    .default('code')
+    .messages({
+      'any.only': 'Group by must be either code or none',
+    }),
+});
+
+// DTC code dictionary search query validation schema
+const searchDTCCodesQuerySchema = Joi.object({
+  q: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .messages({
+      'string.min': 'Search text cannot be empty',
+      'string.max': 'Search text cannot exceed 100 characters',
+    }),
+  system: Joi.string()
+    .valid(...Object.values(DTC_SYSTEMS))
+    .messages({
+      'any.only': `System must be one of: ${Object.values(DTC_SYSTEMS).join(', ')}`,
+    }),
+  category: Joi.string()
+    .valid(...DTC_CATEGORIES)
+    .messages({
+      'any.only': `Category must be one of: ${DTC_CATEGORIES.join(', ')}`,
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+// Fleet DTC analytics query validation schema
+const getDTCAnalyticsQuerySchema = Joi.object({
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  // to_date alone is allowed, the range then covers the default number of days before it
+  to_date: Joi.date()
+    .iso()
+    .when('from_date', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from_date')) })
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  brand: Joi.string()
+    .max(50)
+    .messages({
+      'string.max': 'Brand cannot exceed 50 characters',
+    }),
+  impact_level: Joi.string()
+    .valid('low', 'mid', 'high')
+    .messages({
+      'any.only': 'Impact level must be one of: low, mid, high',
+    }),
+  group_by: Joi.string()
+    .valid('day', 'week', 'month')
+    .default('month')
+    .messages({
+      'any.only': 'Group by must be one of: day, week, month',
+    }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .default('UTC')
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA time zone (e.g. Europe/Berlin)',
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50',
+    }),
+});
+
+module.exports = {
+  getDTCsQuerySchema,
+  getDTCQuerySchema,
+  getDTCHistoryQuerySchema,
+  searchDTCCodesQuerySchema,
+  getDTCAnalyticsQuerySchema,
+};
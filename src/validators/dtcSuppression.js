@@ -0,0 +1,110 @@
+const Joi = require('joi');
+
+// DTC suppression rule validation schema
+// Snoozes hide a code on one vehicle for a number of days or ignition cycles, ignore rules hide it for good
+// on one vehicle, on every vehicle of a brand and model, or fleet wide
+const createDTCSuppressionSchema = Joi.object({
+  dtc_code: Joi.string()
+    .pattern(/^[A-Z][0-9]{4}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'DTC code must be in format: one letter followed by 4 digits (e.g., P0524)',
+      'any.required': 'DTC code is required',
+    }),
+  action: Joi.string()
+    .valid('snooze', 'ignore')
+    .required()
+    .messages({
+      'any.only': 'Action must be either snooze or ignore',
+      'any.required': 'Action is required',
+    }),
+  vehicle_id: Joi.string()
+    .uuid()
+    .when('action', { is: 'snooze', then: Joi.required() })
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+      'any.required': 'Vehicle ID is required to snooze a code',
+    }),
+  brand: Joi.string()
+    .max(50)
+    .when('vehicle_id', { is: Joi.exist(), then: Joi.forbidden() })
+    .messages({
+      'string.max': 'Brand cannot exceed 50 characters',
+      'any.unknown': 'Brand cannot be combined with a vehicle ID',
+    }),
+  model: Joi.string()
+    .max(100)
+    .when('vehicle_id', { is: Joi.exist(), then: Joi.forbidden() })
+    .messages({
+      'string.max': 'Model cannot exceed 100 characters',
+      'any.unknown': 'Model cannot be combined with a vehicle ID',
+    }),
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .when('action', { is: 'ignore', then: Joi.forbidden() })
+    .messages({
+      'number.base': 'Days must be a number',
+      'number.integer': 'Days must be an integer',
+      'number.min': 'Days must be at least 1',
+      'number.max': 'Days cannot exceed 365',
+      'any.unknown': 'Days only apply to snoozes',
+    }),
+  ignition_cycles: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .when('action', { is: 'ignore', then: Joi.forbidden() })
+    .messages({
+      'number.base': 'Ignition cycles must be a number',
+      'number.integer': 'Ignition cycles must be an integer',
+      'number.min': 'Ignition cycles must be at least 1',
+      'number.max': 'Ignition cycles cannot exceed 100',
+      'any.unknown': 'Ignition cycles only apply to snoozes',
+    }),
+  notes: Joi.string()
+    .max(1000)
+    .messages({
+      'string.max': 'Notes cannot exceed 1000 characters',
+    }),
+}).and('brand', 'model')
+  .when(Joi.object({ action: Joi.valid('snooze') }).unknown(), {
+    then: Joi.object().xor('days', 'ignition_cycles'),
+  })
+  .messages({
+    'object.and': 'Brand and model must be given together',
+    'object.xor': 'A snooze needs either days or ignition cycles',
+    'object.missing': 'A snooze needs either days or ignition cycles',
+  });
+
+// DTC suppression rules query validation schema
+const getDTCSuppressionsQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }),
+  include_expired: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'Include expired must be a boolean',
+    }),
+});
+
+// DTC suppression rule ID validation schema for params
+const dtcSuppressionIdSchema = Joi.object({
+  ruleId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Rule ID must be a valid UUID',
+      'any.required': 'Rule ID is required',
+    }),
+});
+
+module.exports = {
+  createDTCSuppressionSchema,
+  getDTCSuppressionsQuerySchema,
+  dtcSuppressionIdSchema,
+};
@@ -0,0 +1,44 @@
+const Joi = require('joi');
+
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { isValidTimeZone } = require('../utils/time');
+
+// Fuel report query validation schema
+const getFuelReportQuerySchema = Joi.object({
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .default('UTC')
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA time zone (e.g. Europe/Berlin)',
+    }),
+  price_per_liter: Joi.number()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.base': 'Price per liter must be a number',
+      'number.min': 'Price per liter cannot be negative',
+      'number.max': 'Price per liter cannot exceed 100',
+    }),
+  units: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .optional()
+    .messages({
+      'any.only': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+});
+
+module.exports = {
+  getFuelReportQuerySchema,
+};
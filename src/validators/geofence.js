@@ -0,0 +1,218 @@
+const Joi = require('joi');
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+
+// Single { latitude, longitude } position
+const positionSchema = Joi.object({
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
+    .required()
+    .messages({
+      'number.base': 'Latitude must be a number',
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'any.required': 'Latitude is required',
+    }),
+  longitude: Joi.number()
+    .min(-180)
+    .max(180)
+    .required()
+    .messages({
+      'number.base': 'Longitude must be a number',
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'any.required': 'Longitude is required',
+    }),
+});
+
+// Create geofence validation schema
+// Circles take a center and radius, polygons a list of vertices (the closing edge is implied)
+const createGeofenceSchema = Joi.object({
+  name: Joi.string()
+    .min(3)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 3 characters long',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required',
+    }),
+  type: Joi.string()
+    .valid(...GEOFENCE_TYPES)
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${GEOFENCE_TYPES.join(', ')}`,
+      'any.required': 'Type is required',
+    }),
+  center: positionSchema
+    .when('type', {
+      is: 'circle',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'any.required': 'Center is required for circle geofences',
+      'any.unknown': 'Center is only allowed for circle geofences',
+    }),
+  radius_meters: Joi.number()
+    .min(10)
+    .max(100000)
+    .when('type', {
+      is: 'circle',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'number.base': 'Radius must be a number',
+      'number.min': 'Radius must be at least 10 meters',
+      'number.max': 'Radius cannot exceed 100000 meters',
+      'any.required': 'Radius is required for circle geofences',
+      'any.unknown': 'Radius is only allowed for circle geofences',
+    }),
+  polygon: Joi.array()
+    .items(positionSchema)
+    .min(3)
+    .max(500)
+    .when('type', {
+      is: 'polygon',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'array.min': 'Polygon must have at least 3 vertices',
+      'array.max': 'Polygon cannot have more than 500 vertices',
+      'any.required': 'Polygon is required for polygon geofences',
+      'any.unknown': 'Polygon is only allowed for polygon geofences',
+    }),
+  vehicle_ids: Joi.array()
+    .items(Joi.string().uuid().messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }))
+    .min(1)
+    .max(100)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one vehicle is required',
+      'array.max': 'Cannot watch more than 100 vehicles with one geofence',
+      'array.unique': 'Vehicle IDs must be unique',
+      'any.required': 'Vehicle IDs are required',
+    }),
+  enabled: Joi.boolean()
+    .default(true),
+});
+
+// Update geofence validation schema
+// Shape fields are checked against the resulting type in the route, after merging with the stored geofence
+const updateGeofenceSchema = Joi.object({
+  name: Joi.string()
+    .min(3)
+    .max(100)
+    .messages({
+      'string.min': 'Name must be at least 3 characters long',
+      'string.max': 'Name cannot exceed 100 characters',
+    }),
+  type: Joi.string()
+    .valid(...GEOFENCE_TYPES)
+    .messages({
+      'any.only': `Type must be one of: ${GEOFENCE_TYPES.join(', ')}`,
+    }),
+  center: positionSchema,
+  radius_meters: Joi.number()
+    .messages({
+      'number.base': 'Radius must be a number',
+    }),
+  polygon: Joi.array()
+    .items(positionSchema),
+  vehicle_ids: Joi.array()
+    .items(Joi.string().uuid().messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    })),
+  enabled: Joi.boolean(),
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update',
+  });
+
+// Get geofences query validation schema
+const getGeofencesQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+    }),
+  enabled: Joi.boolean(),
+});
+
+// Get geofence events query validation schema
+const getGeofenceEventsQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+      'any.required': 'Vehicle ID is required',
+    }),
+  geofence_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Geofence ID must be a valid UUID',
+    }),
+  event: Joi.string()
+    .valid('enter', 'exit')
+    .messages({
+      'any.only': 'Event must be one of: enter, exit',
+    }),
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1',
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+// Geofence ID validation schema
+const geofenceIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'ID must be a valid UUID',
+      'any.required': 'ID is required',
+    }),
+});
+
+module.exports = {
+  GEOFENCE_TYPES,
+  createGeofenceSchema,
+  updateGeofenceSchema,
+  getGeofencesQuerySchema,
+  getGeofenceEventsQuerySchema,
+  geofenceIdSchema,
+};
@@ -1,5 +1,13 @@
 const Joi = require('joi');
 
+const {
+  UNIT_SYSTEMS,
+  validateDeclaredUnits,
+  pidsToMetric,
+  toMetricSample,
+} = require('../utils/units');
+const { normalizePids } = require('../config/pidCatalog');
+
 // Performance data creation validation schema
 const createPerformanceDataSchema = Joi.object({
   vehicle_id: Joi.string()
@@ -41,76 +49,114 @@ const createPerformanceDataSchema = Joi.object({
     .messages({
       'number.base': 'fuel Consumption must be a number',
     }),
-  timestamp: Joi.date()
-    .iso()
+  // Any catalogued PID by key or mode + PID code, as a decoded number or raw hex bytes
+  pids: Joi.object()
+    .pattern(Joi.string(), Joi.alternatives().try(Joi.number().strict(), Joi.string()))
+    .custom((value, helpers) => {
+      // Range checks apply to metric values, convert from the declared units first
+      const { units } = helpers.state.ancestors[0];
+      const { values, errors } = normalizePids(pidsToMetric(value, units));
+      return errors.length > 0
+        ? helpers.message({ custom: errors.join(', ') })
+        : values;
+    })
     .optional()
     .messages({
-      'date.format': 'Timestamp must be in ISO 8601 format',
-      'date.base': 'Timestamp must be a valid date'
+      'object.base': 'PIDs must be an object',
+      'alternatives.types': 'PID values must be numbers or raw hex bytes',
+    }),
+  // Units the values were measured in, a unit system or a unit per field (e.g. { speed: 'mph' })
+  // Values are converted to metric before they are stored
+  units: Joi.alternatives()
+    .try(
+      Joi.string().valid(...UNIT_SYSTEMS),
+      Joi.object().pattern(Joi.string(), Joi.string()),
+    )
+    .custom((value, helpers) => {
+      const errors = validateDeclaredUnits(value);
+      return errors.length > 0
+        ? helpers.message({ custom: errors.join(', ') })
+        : value;
     })
-});
-
-// Bulk performance data creation validation schema
-const createBulkPerformanceDataSchema = Joi.object({
-  data: Joi.array()
-    .items(createPerformanceDataSchema)
-    .min(1)
-    .max(1000)
-    .required()
+    .optional()
     .messages({
-      'array.min': 'At least one performance data entry is required',
-      'array.max': 'Cannot process more than 1000 entries at once',
-      'any.required': 'Performance data array is required'
-    })
-});
-
-// Aggregated data query validation schema
-const aggregatedDataQuerySchema = Joi.object({
-  vehicle_id: Joi.string()
-    .uuid()
-    .required()
+      'alternatives.types': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}, or an object of field units`,
+      'alternatives.match': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}, or an object of field units`,
+    }),
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
     .messages({
-      'string.guid': 'Vehicle ID must be a valid UUID',
-      'any.required': 'Vehicle ID is required'
+      'number.base': 'Latitude must be a number',
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
     }),
-  from_date: Joi.date()
-    .iso()
-    .optional()
+  longitude: Joi.number()
+    .min(-180)
+    .max(180)
     .messages({
-      'date.format': 'From date must be in ISO 8601 format',
-      'date.base': 'From date must be a valid date'
+      'number.base': 'Longitude must be a number',
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
     }),
-  to_date: Joi.date()
-    .iso()
-    .min(Joi.ref('from_date'))
-    .optional()
+  heading: Joi.number()
+    .min(0)
+    .less(360)
     .messages({
-      'date.format': 'To date must be in ISO 8601 format',
-      'date.base': 'To date must be a valid date',
-      'date.min': 'To date must be after from date'
+      'number.base': 'Heading must be a number',
+      'number.min': 'Heading must be between 0 and 360 degrees',
+      'number.less': 'Heading must be between 0 and 360 degrees',
     }),
-  group_by: Joi.string()
-    .valid('hour', 'day', 'week', 'month')
-    .default('day')
+  accuracy: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Accuracy must be a number',
+      'number.min': 'Accuracy cannot be negative',
+    }),
+  timestamp: Joi.date()
+    .iso()
     .optional()
     .messages({
-      'any.only': 'Group by must be one of: hour, day, week, month'
+      'date.format': 'Timestamp must be in ISO 8601 format',
+      'date.base': 'Timestamp must be a valid date'
     }),
-  metrics: Joi.array()
-    .items(Joi.string().valid('rpm', 'speed', 'temperature'))
-    .min(1)
-    .default(['rpm', 'speed', 'temperature'])
+  sample_id: Joi.string()
+    .uuid()
     .optional()
     .messages({
-      'array.min': 'At least one metric must be specified',
-      'any.only': 'Metrics must be one of: rpm, speed, temperature'
+      'string.guid': 'Sample ID must be a valid UUID',
     }),
-  aggregation_type: Joi.string()
-    .valid('avg', 'min', 'max', 'all')
-    .default('all')
+  sequence: Joi.number()
+    .integer()
+    .min(0)
     .optional()
     .messages({
-      'any.only': 'Aggregation type must be one of: avg, min, max, all'
+      'number.base': 'Sequence must be a number',
+      'number.integer': 'Sequence must be an integer',
+      'number.min': 'Sequence cannot be negative',
+    })
+})
+  .and('latitude', 'longitude')
+  .custom((sample) => toMetricSample(sample))
+  .messages({
+    'object.and': 'Latitude and longitude must be sent together',
+  });
+
+// Bulk performance data creation validation schema
+// Entries are validated one by one against createPerformanceDataSchema so a bad row
+// is reported on its own instead of failing the whole batch
+const createBulkPerformanceDataSchema = Joi.object({
+  data: Joi.array()
+    .items(Joi.object().messages({
+      'object.base': 'Each performance data entry must be an object',
+    }))
+    .min(1)
+    .max(1000)
+    .required()
+    .messages({
+      'array.min': 'At least one performance data entry is required',
+      'array.max': 'Cannot process more than 1000 entries at once',
+      'any.required': 'Performance data array is required'
     })
 });
 
@@ -139,7 +185,6 @@ const vehicleIdSchema = Joi.object({
 module.exports = {
   createPerformanceDataSchema,
   createBulkPerformanceDataSchema,
-  aggregatedDataQuerySchema,
   performanceDataIdSchema,
   vehicleIdSchema,
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+const Joi = require('joi');
+
+const {
+  TELEMETRY_FIELDS,
+  LOCATION_FIELDS,
+  METRIC_ALIASES,
+  AGGREGATION_STATS,
+} = require('../config/telemetry');
+const { isValidTimeZone } = require('../utils/time');
+const { UNIT_SYSTEMS } = require('../utils/units');
+
+// Unit system the data is returned in, defaults to the user's unit preference
+const unitsQueryField = Joi.string()
+  .valid(...UNIT_SYSTEMS)
+  .optional()
+  .messages({
+    'any.only': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+  });
+
+// Aggregated data query validation schema
+const aggregatedDataQuerySchema = Joi.object({
+  vehicle_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Vehicle ID must be a valid UUID',
+      'any.required': 'Vehicle ID is required',
+    }),
+  from_date: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'From date must be in ISO 8601 format',
+      'date.base': 'From date must be a valid date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .optional()
+    .messages({
+      'date.format': 'To date must be in ISO 8601 format',
+      'date.base': 'To date must be a valid date',
+      'date.min': 'To date must be after from date',
+    }),
+  group_by: Joi.string()
+    .valid('hour', 'day', 'week', 'month')
+    .default('day')
+    .optional()
+    .messages({
+      'any.only': 'Group by must be one of: hour, day, week, month',
+    }),
+  metrics: Joi.array()
+    .items(Joi.string().valid(...TELEMETRY_FIELDS, ...Object.keys(METRIC_ALIASES)))
+    .single()
+    .min(1)
+    .default(['rpm', 'speed', 'coolantTemp'])
+    .optional()
+    .messages({
+      'array.min': 'At least one metric must be specified',
+      'any.only': `Metrics must be any of: ${TELEMETRY_FIELDS.join(', ')}`,
+    }),
+  aggregation_type: Joi.array()
+    .items(Joi.string().valid(...AGGREGATION_STATS, 'all'))
+    .single()
+    .min(1)
+    .default(['all'])
+    .optional()
+    .messages({
+      'any.only': `Aggregation type must be any of: ${AGGREGATION_STATS.join(', ')}, all`,
+    }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .default('UTC')
+    .optional()
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA time zone (e.g. Europe/Berlin)',
+    }),
+  units: unitsQueryField,
+});
+
+// Date filter fields shared by the performance data by vehicle endpoints
+const dateFilterFields = {
+  filterType: Joi.string()
+    .valid('day', 'weekend', 'week', 'range')
+    .optional()
+    .messages({
+      'any.only': 'Filter type must be one of: day, weekend, week, range',
+    }),
+  date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Date must be in YYYY-MM-DD format',
+    }),
+  fromDate: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'From date must be in YYYY-MM-DD format',
+    }),
+  toDate: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'To date must be in YYYY-MM-DD format',
+    }),
+};
+
+// Performance data by vehicle query validation schema
+const performanceDataQuerySchema = Joi.object({
+  ...dateFilterFields,
+  points: Joi.number()
+    .integer()
+    .min(10)
+    .max(10000)
+    .optional()
+    .messages({
+      'number.base': 'Points must be a number',
+      'number.min': 'Points must be at least 10',
+      'number.max': 'Points cannot exceed 10000',
+    }),
+  resolution: Joi.string()
+    .pattern(/^\d+(s|m|h|d)$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Resolution must be a number followed by s, m, h or d (e.g. 5m)',
+    }),
+  method: Joi.string()
+    .valid('lttb', 'avg')
+    .optional()
+    .messages({
+      'any.only': 'Method must be one of: lttb, avg',
+    }),
+  metrics: Joi.array()
+    .items(Joi.string().valid(...TELEMETRY_FIELDS))
+    .single()
+    .min(1)
+    .optional()
+    .messages({
+      'any.only': `Metrics must be any of: ${TELEMETRY_FIELDS.join(', ')}`,
+    }),
+  cursor: Joi.string()
+    .max(500)
+    .optional(),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(1000)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 1000',
+    }),
+  units: unitsQueryField,
+})
+  .oxor('points', 'resolution')
+  .messages({
+    'object.oxor': 'Use either points or resolution, not both',
+  });
+
+// Performance data export query validation schema
+const exportPerformanceDataQuerySchema = Joi.object({
+  ...dateFilterFields,
+  format: Joi.string()
+    .valid('csv', 'ndjson')
+    .default('csv')
+    .messages({
+      'any.only': 'Format must be one of: csv, ndjson',
+    }),
+  columns: Joi.array()
+    .items(Joi.string().valid('id', 'vehicle_id', ...TELEMETRY_FIELDS, ...LOCATION_FIELDS))
+    .single()
+    .min(1)
+    .optional()
+    .messages({
+      'any.only': `Columns must be any of: id, vehicle_id, ${[...TELEMETRY_FIELDS, ...LOCATION_FIELDS].join(', ')}`,
+    }),
+  units: unitsQueryField,
+});
+
+module.exports = {
+  aggregatedDataQuerySchema,
+  performanceDataQuerySchema,
+  exportPerformanceDataQuerySchema,
+};
@@ -0,0 +1,105 @@
+const Joi = require('joi');
+
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { isValidTimeZone } = require('../utils/time');
+
+// Trip ID validation schema
+const tripIdSchema = Joi.object({
+  tripId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Trip ID must be a valid UUID',
+      'any.required': 'Trip ID is required',
+    }),
+});
+
+// Get trips query validation schema
+const getTripsQuerySchema = Joi.object({
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1',
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+});
+
+// Trip route query validation schema
+const getTripRouteQuerySchema = Joi.object({
+  tolerance: Joi.number()
+    .min(0)
+    .max(1000)
+    .default(5)
+    .messages({
+      'number.base': 'Tolerance must be a number',
+      'number.min': 'Tolerance cannot be negative',
+      'number.max': 'Tolerance cannot exceed 1000 meters',
+    }),
+  units: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .optional()
+    .messages({
+      'any.only': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+});
+
+// Driving score query validation schema
+const getDrivingScoreQuerySchema = Joi.object({
+  from_date: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From date must be a valid ISO date',
+    }),
+  to_date: Joi.date()
+    .iso()
+    .min(Joi.ref('from_date'))
+    .messages({
+      'date.format': 'To date must be a valid ISO date',
+      'date.min': 'To date must be after from date',
+    }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .default('UTC')
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA time zone (e.g. Europe/Berlin)',
+    }),
+  units: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .optional()
+    .messages({
+      'any.only': `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+});
+
+module.exports = {
+  tripIdSchema,
+  getTripsQuerySchema,
+  getTripRouteQuerySchema,
+  getDrivingScoreQuerySchema,
+};
@@ -1,5 +1,7 @@
 const Joi = require('joi');
 
+const { UNIT_SYSTEMS } = require('../utils/units');
+
 // Profile update validation schema
 const updateProfileSchema = Joi.object({
   username: Joi.string()
@@ -70,6 +72,22 @@ const updateProfileSchema = Joi.object({
     github: Joi.string().uri().optional(),
     facebook: Joi.string().uri().optional()
   }).optional(),
+  unitSystem: Joi.string()
+    .valid(...UNIT_SYSTEMS)
+    .optional()
+    .messages({
+      'any.only': `Unit system must be one of: ${UNIT_SYSTEMS.join(', ')}`,
+    }),
+  fuelPricePerLiter: Joi.number()
+    .min(0)
+    .max(100)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Fuel price per liter must be a number',
+      'number.min': 'Fuel price per liter cannot be negative',
+      'number.max': 'Fuel price per liter cannot exceed 100',
+    }),
   userId: Joi.string()
     .uuid()
     .optional()
@@ -0,0 +1,94 @@
+const aggregationService = require('../../src/services/aggregationService');
+const telemetryTierService = require('../../src/services/telemetryTierService');
+
+describe('aggregationService.aggregate', () => {
+  it('weights summary rows by the raw values behind them and keeps their extremes', async () => {
+    jest.spyOn(telemetryTierService, 'forEachSamplePage').mockImplementation(async (filters, columns, onPage) => {
+      await onPage([
+        {
+          timestamp: '2024-05-01T08:00:00.000Z',
+          tier: 'hourly',
+          samples: 90,
+          speed: 50,
+          min: { speed: 0 },
+          max: { speed: 120 },
+          counts: { speed: 90 },
+        },
+        { timestamp: '2024-05-01T09:00:00.000Z', speed: 100 },
+        { timestamp: '2024-05-01T09:00:10.000Z', speed: 60 },
+      ]);
+      return { success: true, total: 3 };
+    });
+
+    const result = await aggregationService.aggregate({
+      vehicleId: 'vehicle-1',
+      from: '2024-05-01T00:00:00.000Z',
+      to: '2024-05-01T23:59:59.999Z',
+      groupBy: 'day',
+      metrics: ['speed'],
+      stats: ['avg', 'min', 'max', 'p95', 'count'],
+      timezone: 'UTC',
+    });
+
+    expect(result.data).toEqual([expect.objectContaining({
+      data_points: 92,
+      avg_speed: 50.65,
+      min_speed: 0,
+      max_speed: 120,
+      p95_speed: 50,
+      count_speed: 92,
+    })]);
+  });
+
+  describe('periods', () => {
+    const rows = [
+      { timestamp: '2024-05-01T03:00:00.000Z', rpm: 1000 },
+      { timestamp: '2024-05-01T03:30:00.000Z', rpm: 2000 },
+      { timestamp: '2024-05-01T05:00:00.000Z', rpm: 3000 },
+    ];
+
+    const aggregate = (groupBy, timezone) => aggregationService.aggregate({
+      vehicleId: 'vehicle-1',
+      groupBy,
+      metrics: ['rpm'],
+      stats: ['avg', 'count'],
+      timezone,
+    });
+
+    beforeEach(() => {
+      jest.spyOn(telemetryTierService, 'forEachSamplePage').mockImplementation(async (filters, columns, onPage) => {
+        await onPage(rows);
+        return { success: true, total: rows.length };
+      });
+    });
+
+    it('groups days by the local date of the requested time zone', async () => {
+      const utc = await aggregate('day', 'UTC');
+      const newYork = await aggregate('day', 'America/New_York');
+
+      expect(utc.data.map(({ period, count_rpm: count }) => [period, count])).toEqual([['2024-05-01', 3]]);
+      expect(newYork.data).toEqual([
+        expect.objectContaining({
+          period: '2024-04-30',
+          period_start: '2024-04-30T04:00:00.000Z',
+          period_end: '2024-05-01T04:00:00.000Z',
+          avg_rpm: 1500,
+          count_rpm: 2,
+        }),
+        expect.objectContaining({ period: '2024-05-01', avg_rpm: 3000, count_rpm: 1 }),
+      ]);
+    });
+
+    it('only returns periods that have data', async () => {
+      const result = await aggregate('hour', 'UTC');
+
+      expect(result.data.map(({ period }) => period)).toEqual(['2024-05-01 03:00', '2024-05-01 05:00']);
+    });
+
+    it('reports a failed read', async () => {
+      telemetryTierService.forEachSamplePage.mockResolvedValue({ success: false, total: 0, message: 'timeout' });
+
+      expect(await aggregate('day', 'UTC')).toEqual({ success: false, message: 'timeout' });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const express = require('express');
+const request = require('supertest');
+
+const { supabase } = require('../../src/config/supabase');
+const alertRoutes = require('../../src/routes/alerts');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('alert routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/alerts', alertRoutes);
+
+  const get = (path) => request(app).get(`/api/alerts${path}`).set('Authorization', 'Bearer token');
+
+  beforeEach(() => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+  });
+
+  it('serves the rule routes under /rules', async () => {
+    const rules = [{ id: 'rule-1', vehicle_id: null }];
+    const query = mockQuery({ data: rules, error: null });
+    supabase.from.mockImplementation(() => query);
+
+    const res = await get('/rules');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(rules);
+    expect(supabase.from).toHaveBeenCalledWith('alert_rules');
+    expect(query.or).toHaveBeenCalledWith('vehicle_id.is.null,created_by.eq.user-1');
+  });
+
+  it('requires a vehicle to list fired alerts', async () => {
+    const res = await get('/');
+
+    expect(res.status).toBe(400);
+    expect(supabase.from).not.toHaveBeenCalledWith('alerts');
+  });
+});
@@ -0,0 +1,51 @@
+process.env.ANOMALY_DTC_INSIGHTS = 'true';
+
+const { supabase } = require('../../src/config/supabase');
+const anomalyRecordService = require('../../src/services/anomalyRecordService');
+const dtcSuppressionService = require('../../src/services/dtcSuppressionService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('anomalyRecordService.openAnomaly', () => {
+  const sample = { vehicle_id: 'vehicle-1' };
+  const reading = {
+    metric: 'coolantTemp', band: 'cruise', value: 118, direction: 'high', z: 4.2, mean: 92, stddev: 3,
+  };
+  let io;
+  let emit;
+
+  beforeEach(() => {
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    supabase.from.mockImplementation(() => mockQuery({
+      data: {
+        id: 'anomaly-1', vehicle_id: 'vehicle-1', metric: 'coolantTemp', direction: 'high',
+      },
+      error: null,
+    }));
+    jest.spyOn(anomalyRecordService, 'fileInsight').mockImplementation(async (anomaly) => anomaly);
+  });
+
+  const open = () => anomalyRecordService.openAnomaly(io, sample, reading, {
+    startedAt: '2024-05-01T08:00:00.000Z', samples: 3, peak: { value: 118, z: 4.2 },
+  });
+
+  it('files the insight and raises an alert', async () => {
+    jest.spyOn(dtcSuppressionService, 'isSuppressed').mockResolvedValue(false);
+
+    await open();
+
+    expect(anomalyRecordService.fileInsight).toHaveBeenCalled();
+    expect(dtcSuppressionService.isSuppressed).toHaveBeenCalledWith('vehicle-1', 'P0217');
+    expect(emit).toHaveBeenCalledWith('anomaly', expect.objectContaining({ id: 'anomaly-1' }));
+  });
+
+  it('files the insight of a suppressed code without raising an alert', async () => {
+    jest.spyOn(dtcSuppressionService, 'isSuppressed').mockResolvedValue(true);
+
+    await open();
+
+    expect(anomalyRecordService.fileInsight).toHaveBeenCalled();
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
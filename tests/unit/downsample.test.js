@@ -0,0 +1,79 @@
+const { parseResolution, createLttbSelector } = require('../../src/utils/downsample');
+
+const select = (points, range) => {
+  const selected = [];
+  const selector = createLttbSelector(range, (point) => selected.push(point));
+
+  points.forEach((point) => selector.push(point));
+  selector.flush();
+
+  return selected;
+};
+
+describe('parseResolution', () => {
+  it('converts a resolution to milliseconds', () => {
+    expect(parseResolution('30s')).toBe(30000);
+    expect(parseResolution('5m')).toBe(300000);
+    expect(parseResolution('1h')).toBe(3600000);
+    expect(parseResolution('1d')).toBe(86400000);
+  });
+
+  it('rejects malformed and zero resolutions', () => {
+    expect(parseResolution('5 m')).toBeNull();
+    expect(parseResolution('10w')).toBeNull();
+    expect(parseResolution('0s')).toBeNull();
+    expect(parseResolution(undefined)).toBeNull();
+  });
+});
+
+describe('createLttbSelector', () => {
+  const line = (count) => Array.from({ length: count }, (_, x) => ({ x, y: 0 }));
+
+  it('keeps the first and last points and one point per bucket', () => {
+    const selected = select(line(100), { from: 0, to: 100, buckets: 10 });
+
+    expect(selected[0].x).toBe(0);
+    expect(selected[selected.length - 1].x).toBe(99);
+    expect(selected).toHaveLength(12);
+    expect(selected.map((point) => point.x)).toEqual([...selected.map((point) => point.x)].sort((a, b) => a - b));
+  });
+
+  it('picks the peak of a bucket', () => {
+    const points = line(100);
+    points[45].y = 50;
+    points[72].y = -30;
+
+    const selected = select(points, { from: 0, to: 100, buckets: 10 });
+
+    expect(selected).toContain(points[45]);
+    expect(selected).toContain(points[72]);
+  });
+
+  it('skips empty buckets', () => {
+    const points = [...line(10), { x: 90, y: 0 }, { x: 91, y: 0 }];
+
+    const selected = select(points, { from: 0, to: 100, buckets: 10 });
+
+    expect(selected).toHaveLength(4);
+    expect(selected.slice(2).map((point) => point.x)).toEqual([90, 91]);
+  });
+
+  it('keeps every point of a series shorter than the buckets', () => {
+    const points = line(3);
+    expect(select(points, { from: 0, to: 100, buckets: 10 })).toEqual(points);
+  });
+
+  it('selects nothing for an empty series', () => {
+    expect(select([], { from: 0, to: 100, buckets: 10 })).toEqual([]);
+  });
+
+  it('selects from a bucket as soon as the bucket after it is complete', () => {
+    const selected = [];
+    const selector = createLttbSelector({ from: 0, to: 1000, buckets: 10 }, (point) => selected.push(point));
+
+    line(350).forEach((point) => selector.push(point));
+
+    // Buckets 0 and 1 are decided once bucket 3 starts, buckets 2 and 3 are still pending
+    expect(selected).toHaveLength(3);
+  });
+});
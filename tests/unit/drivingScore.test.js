@@ -0,0 +1,105 @@
+const {
+  emptyMetrics, measureTrip, mergeMetrics, scoreMetrics,
+} = require('../../src/utils/drivingScore');
+
+const START = Date.parse('2024-05-01T08:00:00Z');
+
+// One sample per second with the given speeds (and rpm)
+const series = (speeds, rpm = 2000) => speeds.map((speed, i) => ({
+  timestamp: new Date(START + i * 1000).toISOString(),
+  speed,
+  rpm: typeof rpm === 'function' ? rpm(i) : rpm,
+}));
+
+describe('measureTrip', () => {
+  it('counts a run of harsh intervals as one event', () => {
+    const metrics = measureTrip(series([0, 15, 30, 35, 35, 20, 5, 5]), 1);
+
+    expect(metrics.harsh_accelerations).toBe(1);
+    expect(metrics.harsh_brakings).toBe(1);
+    expect(metrics.duration_seconds).toBe(7);
+    expect(metrics.moving_seconds).toBe(6);
+  });
+
+  it('does not compare samples across a data gap', () => {
+    const samples = [
+      { timestamp: '2024-05-01T08:00:00.000Z', speed: 0, rpm: 800 },
+      { timestamp: '2024-05-01T08:00:30.000Z', speed: 100, rpm: 3000 },
+    ];
+
+    expect(measureTrip(samples, 1)).toMatchObject({ harsh_accelerations: 0, duration_seconds: 30, idle_seconds: 0 });
+  });
+
+  it('counts over-revving events and their duration', () => {
+    const metrics = measureTrip(series([50, 50, 50, 50, 50], (i) => (i < 3 ? 5000 : 3000)), 1);
+
+    expect(metrics.over_revs).toBe(1);
+    expect(metrics.over_rev_seconds).toBe(3);
+  });
+
+  it('puts speeding time in the highest band reached', () => {
+    const metrics = measureTrip(series([130, 130, 150, 165, 100]), 1);
+
+    expect(metrics.speeding_seconds).toEqual({ moderate: 2, high: 1, extreme: 1 });
+  });
+
+  it('only counts idling beyond the allowance as excessive', () => {
+    const metrics = measureTrip(series([...Array(151).fill(0), 10], 800), 0);
+
+    expect(metrics.idle_seconds).toBe(151);
+    expect(metrics.excess_idle_seconds).toBe(31);
+  });
+});
+
+describe('mergeMetrics', () => {
+  it('adds up counters and speeding bands', () => {
+    const a = { ...emptyMetrics(), distance_km: 10, harsh_brakings: 1 };
+    const b = {
+      ...emptyMetrics(),
+      distance_km: 5,
+      harsh_brakings: 2,
+      speeding_seconds: { moderate: 4, high: 0, extreme: 0 },
+    };
+
+    expect(mergeMetrics([a, b])).toMatchObject({
+      distance_km: 15,
+      harsh_brakings: 3,
+      speeding_seconds: { moderate: 4, high: 0, extreme: 0 },
+    });
+  });
+});
+
+describe('scoreMetrics', () => {
+  it('scores a trip without events at 100', () => {
+    expect(scoreMetrics({ ...emptyMetrics(), distance_km: 50 }).score).toBe(100);
+  });
+
+  it('normalises events per 100 km, with short trips counted as the minimum distance', () => {
+    const { score, breakdown } = scoreMetrics({ ...emptyMetrics(), distance_km: 2, harsh_brakings: 2 });
+
+    expect(breakdown.harsh_braking).toEqual({ events: 2, per_100km: 20, penalty: 30 });
+    expect(score).toBe(70);
+  });
+
+  it('caps the points a single behaviour can take away', () => {
+    const { score, breakdown } = scoreMetrics({ ...emptyMetrics(), distance_km: 10, harsh_brakings: 10 });
+
+    expect(breakdown.harsh_braking.penalty).toBe(40);
+    expect(score).toBe(60);
+  });
+
+  it('weights speeding by the share of moving time in each band', () => {
+    const metrics = {
+      ...emptyMetrics(),
+      distance_km: 100,
+      moving_seconds: 1000,
+      speeding_seconds: { moderate: 100, high: 0, extreme: 50 },
+    };
+
+    const { breakdown } = scoreMetrics(metrics);
+
+    // 10% * 0.2 + 5% * 1
+    expect(breakdown.speeding.penalty).toBe(7);
+    expect(breakdown.speeding.bands.extreme).toEqual({ seconds: 50, percent_of_moving_time: 5 });
+  });
+});
@@ -0,0 +1,32 @@
+const drivingScoreService = require('../../src/services/drivingScoreService');
+const tripSampleService = require('../../src/services/tripSampleService');
+
+describe('drivingScoreService.backfillScores', () => {
+  it('only scores trips that were never tried', async () => {
+    const trips = [
+      { id: 'scored', driving_metrics: {}, scored_at: '2024-05-01T00:00:00.000Z' },
+      { id: 'pruned', driving_metrics: null, scored_at: '2024-05-01T00:00:00.000Z' },
+      { id: 'legacy', driving_metrics: null, scored_at: null },
+    ];
+    const scoreStoredTrip = jest.spyOn(tripSampleService, 'scoreStoredTrip').mockResolvedValue({
+      success: true,
+      data: { driving_score: null, driving_metrics: null, scored_at: '2024-05-02T00:00:00.000Z' },
+    });
+
+    await expect(drivingScoreService.backfillScores(trips)).resolves.toMatchObject({ success: true });
+
+    expect(scoreStoredTrip).toHaveBeenCalledTimes(1);
+    expect(scoreStoredTrip).toHaveBeenCalledWith(trips[2]);
+    expect(trips[2].scored_at).toBe('2024-05-02T00:00:00.000Z');
+  });
+
+  it('stops at the first trip that cannot be stored', async () => {
+    const trips = [{ id: 'a', driving_metrics: null }, { id: 'b', driving_metrics: null }];
+    const scoreStoredTrip = jest.spyOn(tripSampleService, 'scoreStoredTrip')
+      .mockResolvedValue({ success: false, message: 'Failed to store trip score' });
+
+    await expect(drivingScoreService.backfillScores(trips))
+      .resolves.toEqual({ success: false, message: 'Failed to store trip score' });
+    expect(scoreStoredTrip).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,81 @@
+const { findDtcCode, searchDtcCodes } = require('../../src/config/dtcDictionary');
+const dtcService = require('../../src/services/dtcService');
+
+const SEEN_AT = '2024-05-01T08:00:00.000Z';
+
+describe('findDtcCode', () => {
+  it('describes dictionary codes in any case', () => {
+    expect(findDtcCode('p0301')).toEqual({
+      code: 'P0301',
+      known: true,
+      description: 'Cylinder 1 Misfire Detected',
+      system: 'powertrain',
+      category: 'ignition_misfire',
+      generic: true,
+      causes: expect.arrayContaining(['Worn spark plug']),
+      severity: 'high',
+    });
+  });
+
+  it('classifies codes that are not in the dictionary by their structure', () => {
+    expect(findDtcCode('P1234')).toMatchObject({
+      known: false,
+      description: 'Manufacturer specific powertrain code P1234',
+      category: 'fuel_air_metering',
+      generic: false,
+      causes: [],
+      severity: 'mid',
+    });
+    expect(findDtcCode('P0399')).toMatchObject({ known: false, generic: true, severity: 'high' });
+    expect(findDtcCode('U3000')).toMatchObject({
+      description: 'Generic network code U3000', system: 'network', category: null, generic: true,
+    });
+  });
+});
+
+describe('searchDtcCodes', () => {
+  it('matches codes by prefix in code order', () => {
+    expect(searchDtcCodes({ q: 'p030', limit: 3 }).map((entry) => entry.code)).toEqual(['P0300', 'P0301', 'P0302']);
+  });
+
+  it('matches every word of the query in the description or causes', () => {
+    const codes = searchDtcCodes({ q: 'vacuum leak' });
+
+    expect(codes.map((entry) => entry.code)).toEqual(expect.arrayContaining(['P0171', 'P0300']));
+    codes.forEach((entry) => {
+      const text = `${entry.description} ${entry.causes.join(' ')}`.toLowerCase();
+      expect(text).toContain('vacuum');
+      expect(text).toContain('leak');
+    });
+  });
+
+  it('filters by system and category', () => {
+    expect(searchDtcCodes({ system: 'network', limit: 100 }).every((entry) => entry.system === 'network')).toBe(true);
+    expect(searchDtcCodes({ q: 'P04', category: 'ignition_misfire' })).toEqual([]);
+  });
+});
+
+describe('dtcService.buildDtcRow', () => {
+  it('fills the description and impact level the client left out from the dictionary', () => {
+    const row = dtcService.buildDtcRow('vehicle-1', { dtc_code: 'P0171' }, SEEN_AT);
+
+    expect(row).toMatchObject({
+      vehicle_id: 'vehicle-1',
+      dtc_code: 'P0171',
+      description: 'System Too Lean (Bank 1)',
+      impact_level: 'mid',
+      status: 'active',
+      occurred_at: SEEN_AT,
+      freeze_frame: null,
+    });
+  });
+
+  it('keeps what the client reported', () => {
+    const row = dtcService.buildDtcRow('vehicle-1', {
+      dtc_code: 'P0171', description: 'Lean condition', impact_level: 'high',
+    }, SEEN_AT);
+
+    expect(row.description).toBe('Lean condition');
+    expect(row.impact_level).toBe('high');
+  });
+});
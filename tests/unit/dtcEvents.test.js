@@ -0,0 +1,65 @@
+const dtcService = require('../../src/services/dtcService');
+const dtcSuppressionService = require('../../src/services/dtcSuppressionService');
+
+const openDtc = (id, code, extra = {}) => ({
+  id, vehicle_id: 'vehicle-1', dtc_code: code, status: 'active', source: 'scan', ...extra,
+});
+
+describe('dtcService.emitDtcEvents', () => {
+  const impactBreakdown = { high: 1, mid: 0, low: 0 };
+
+  const createIo = () => {
+    const room = { emit: jest.fn() };
+    return { room, to: jest.fn(() => room) };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(dtcService, 'getActiveDtcs').mockResolvedValue({
+      success: true,
+      data: { dtcs: [openDtc('dtc-1', 'P0300')], suppressed: [], impact_breakdown: impactBreakdown },
+    });
+  });
+
+  it('sends each change to the vehicle room with the updated impact breakdown', async () => {
+    jest.spyOn(dtcSuppressionService, 'getActiveRules').mockResolvedValue({ success: true, data: new Map() });
+    const io = createIo();
+    const created = openDtc('dtc-1', 'P0300');
+    const resolved = openDtc('dtc-2', 'P0171', { status: 'resolved' });
+
+    await dtcService.emitDtcEvents(io, 'vehicle-1', [
+      { event: 'dtc-created', dtc: created },
+      { event: 'dtc-resolved', dtc: resolved },
+    ]);
+
+    expect(io.to).toHaveBeenCalledWith('vehicle-vehicle-1');
+    expect(io.room.emit.mock.calls).toEqual([
+      ['dtc-created', { dtc: created, total_active: 1, impact_breakdown: impactBreakdown }],
+      ['dtc-resolved', { dtc: resolved, total_active: 1, impact_breakdown: impactBreakdown }],
+    ]);
+  });
+
+  it('does not announce changes to snoozed or ignored codes', async () => {
+    jest.spyOn(dtcSuppressionService, 'getActiveRules').mockResolvedValue({
+      success: true, data: new Map([['P0171', { type: 'snooze' }]]),
+    });
+    const io = createIo();
+
+    await dtcService.emitDtcEvents(io, 'vehicle-1', [
+      { event: 'dtc-updated', dtc: openDtc('dtc-2', 'P0171') },
+      { event: 'dtc-created', dtc: openDtc('dtc-1', 'P0300') },
+    ]);
+
+    expect(io.room.emit).toHaveBeenCalledTimes(1);
+    expect(io.room.emit.mock.calls[0][0]).toBe('dtc-created');
+  });
+
+  it('only logs a failed emit', async () => {
+    jest.spyOn(dtcSuppressionService, 'getActiveRules').mockRejectedValue(new Error('connection lost'));
+    const io = createIo();
+
+    await expect(dtcService.emitDtcEvents(io, 'vehicle-1', [
+      { event: 'dtc-created', dtc: openDtc('dtc-1', 'P0300') },
+    ])).resolves.toBeUndefined();
+    expect(io.room.emit).not.toHaveBeenCalled();
+  });
+});
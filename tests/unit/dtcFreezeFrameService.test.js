@@ -0,0 +1,65 @@
+const { supabase } = require('../../src/config/supabase');
+const dtcFreezeFrameService = require('../../src/services/dtcFreezeFrameService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('dtcFreezeFrameService.withFreezeFrame', () => {
+  const OCCURRED_AT = '2024-05-01T08:00:00.000Z';
+  const row = { vehicle_id: 'vehicle-1', dtc_code: 'P0300', occurred_at: OCCURRED_AT };
+
+  // The lookup reads the nearest sample before the fault, then the nearest one after it
+  const withSamples = (before, after) => {
+    const queries = [mockQuery({ data: before, error: null }), mockQuery({ data: after, error: null })];
+    supabase.from.mockImplementation(() => queries.shift());
+    return queries.slice();
+  };
+
+  it('captures the sample nearest to the fault within two minutes', async () => {
+    const [beforeQuery, afterQuery] = withSamples(
+      {
+        id: 'sample-1', timestamp: '2024-05-01T07:58:30.000Z', rpm: 900, speed: 0,
+      },
+      {
+        id: 'sample-2',
+        timestamp: '2024-05-01T08:00:20.000Z',
+        rpm: 3100,
+        speed: 72,
+        coolantTemp: 104,
+        pids: { engineLoad: 81 },
+      },
+    );
+
+    const result = await dtcFreezeFrameService.withFreezeFrame(row);
+
+    expect(beforeQuery.lte).toHaveBeenCalledWith('timestamp', OCCURRED_AT);
+    expect(beforeQuery.gte).toHaveBeenCalledWith('timestamp', '2024-05-01T07:58:00.000Z');
+    expect(afterQuery.gt).toHaveBeenCalledWith('timestamp', OCCURRED_AT);
+    expect(afterQuery.lte).toHaveBeenCalledWith('timestamp', '2024-05-01T08:02:00.000Z');
+    expect(result.freeze_frame).toEqual({
+      rpm: 3100,
+      speed: 72,
+      coolantTemp: 104,
+      engineLoad: 81,
+      source: 'telemetry',
+      sample_id: 'sample-2',
+      sample_timestamp: '2024-05-01T08:00:20.000Z',
+    });
+  });
+
+  it('stores the DTC without a freeze frame when no sample is within two minutes', async () => {
+    withSamples(null, null);
+
+    const result = await dtcFreezeFrameService.withFreezeFrame(row);
+
+    expect(result).toEqual(row);
+  });
+
+  it('keeps a freeze frame supplied by the client without reading telemetry', async () => {
+    const supplied = { ...row, freeze_frame: { rpm: 2500, source: 'client' } };
+
+    const result = await dtcFreezeFrameService.withFreezeFrame(supplied);
+
+    expect(result).toBe(supplied);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
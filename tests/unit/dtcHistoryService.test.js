@@ -0,0 +1,37 @@
+const dtcHistoryService = require('../../src/services/dtcHistoryService');
+
+describe('dtcHistoryService.annotateRecurrences', () => {
+  const occurrence = (id, code, occurredAt, resolvedAt = null) => ({
+    id, dtc_code: code, occurred_at: occurredAt, resolved_at: resolvedAt,
+  });
+
+  it('counts occurrences per code and marks the ones that came back after a resolution', () => {
+    const [first, other, second, third] = dtcHistoryService.annotateRecurrences([
+      occurrence('a', 'P0300', '2024-05-01T00:00:00.000Z', '2024-05-02T00:00:00.000Z'),
+      occurrence('b', 'P0420', '2024-05-03T00:00:00.000Z'),
+      occurrence('c', 'P0300', '2024-05-12T12:00:00.000Z', '2024-05-13T00:00:00.000Z'),
+      occurrence('d', 'P0300', '2024-07-01T00:00:00.000Z'),
+    ], 30);
+
+    expect(first).toMatchObject({ occurrence: 1, is_recurrence: false, days_since_resolution: null });
+    expect(other).toMatchObject({ occurrence: 1, is_recurrence: false });
+    expect(second).toMatchObject({
+      occurrence: 2, is_recurrence: true, days_since_resolution: 10.5, came_back_within_days: true,
+    });
+    expect(third).toMatchObject({
+      occurrence: 3, is_recurrence: true, days_since_resolution: 49, came_back_within_days: false,
+    });
+  });
+
+  it('does not count a repeat of a code that was never resolved, or reported before its resolution', () => {
+    const [, unresolved, , overlapping] = dtcHistoryService.annotateRecurrences([
+      occurrence('a', 'P0300', '2024-05-01T00:00:00.000Z'),
+      occurrence('b', 'P0300', '2024-05-02T00:00:00.000Z', '2024-05-10T00:00:00.000Z'),
+      occurrence('c', 'P0171', '2024-05-01T00:00:00.000Z', '2024-05-10T00:00:00.000Z'),
+      occurrence('d', 'P0171', '2024-05-05T00:00:00.000Z'),
+    ], 30);
+
+    expect(unresolved).toMatchObject({ occurrence: 2, is_recurrence: false, came_back_within_days: false });
+    expect(overlapping).toMatchObject({ occurrence: 2, is_recurrence: false, days_since_resolution: null });
+  });
+});
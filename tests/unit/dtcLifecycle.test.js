@@ -0,0 +1,27 @@
+const { canTransition } = require('../../src/config/dtcLifecycle');
+
+describe('canTransition', () => {
+  it('moves an open DTC forward through the lifecycle', () => {
+    expect(canTransition('active', 'acknowledged')).toBe(true);
+    expect(canTransition('acknowledged', 'in_repair')).toBe(true);
+    expect(canTransition('in_repair', 'resolved')).toBe(true);
+    expect(canTransition('acknowledged', 'ignored')).toBe(true);
+  });
+
+  it('does not move an open DTC back', () => {
+    expect(canTransition('in_repair', 'acknowledged')).toBe(false);
+    expect(canTransition('acknowledged', 'active')).toBe(false);
+  });
+
+  it('only reopens resolved and ignored DTCs as active', () => {
+    expect(canTransition('resolved', 'active')).toBe(true);
+    expect(canTransition('ignored', 'active')).toBe(true);
+    expect(canTransition('resolved', 'in_repair')).toBe(false);
+    expect(canTransition('ignored', 'resolved')).toBe(false);
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(canTransition('pending', 'active')).toBe(false);
+    expect(canTransition('active', 'pending')).toBe(false);
+  });
+});
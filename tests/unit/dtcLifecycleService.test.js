@@ -0,0 +1,62 @@
+const { supabase } = require('../../src/config/supabase');
+const dtcLifecycleService = require('../../src/services/dtcLifecycleService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const openDtc = (id, code, extra = {}) => ({
+  id, vehicle_id: 'vehicle-1', dtc_code: code, status: 'active', source: 'scan', ...extra,
+});
+
+describe('dtcLifecycleService.updateDtc', () => {
+  const dtc = openDtc('dtc-1', 'P0300', { status: 'acknowledged' });
+
+  beforeEach(() => {
+    jest.spyOn(dtcLifecycleService, 'recordEvents').mockResolvedValue({ success: true });
+  });
+
+  it('only updates the DTC in the status the transition was checked against', async () => {
+    const query = mockQuery({ data: { ...dtc, status: 'in_repair' }, error: null });
+    supabase.from.mockReturnValue(query);
+
+    const result = await dtcLifecycleService.updateDtc(dtc, { status: 'in_repair' }, 'user-1');
+
+    expect(result).toMatchObject({ success: true, data: { status: 'in_repair' } });
+    expect(query.eq).toHaveBeenCalledWith('status', 'acknowledged');
+    expect(dtcLifecycleService.recordEvents).toHaveBeenCalledWith([
+      expect.objectContaining({ from_status: 'acknowledged', to_status: 'in_repair', actor_id: 'user-1' }),
+    ]);
+  });
+
+  it('rejects transitions the lifecycle does not allow', async () => {
+    const result = await dtcLifecycleService.updateDtc(dtc, { status: 'active' }, 'user-1');
+
+    expect(result).toMatchObject({ success: false, code: 'invalid_transition' });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('rejects the update when another one changed the status first', async () => {
+    supabase.from.mockReturnValue(mockQuery({ data: null, error: null }));
+
+    const result = await dtcLifecycleService.updateDtc(dtc, { status: 'in_repair' }, 'user-1');
+
+    expect(result).toMatchObject({ success: false, code: 'invalid_transition' });
+    expect(dtcLifecycleService.recordEvents).not.toHaveBeenCalled();
+  });
+
+  it('reports a duplicate when the reopened code is already open again on the vehicle', async () => {
+    const resolved = openDtc('dtc-1', 'P0300', { status: 'resolved' });
+    supabase.from.mockReturnValue(mockQuery({
+      data: null,
+      error: { code: '23505', message: 'duplicate key value violates unique constraint "vehicle_dtcs_open_code_key"' },
+    }));
+
+    const result = await dtcLifecycleService.updateDtc(resolved, { status: 'active' }, 'user-1');
+
+    expect(result).toEqual({
+      success: false,
+      code: 'duplicate',
+      message: 'Another open DTC with code P0300 already exists for this vehicle',
+    });
+    expect(dtcLifecycleService.recordEvents).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,242 @@
+const express = require('express');
+const request = require('supertest');
+
+const { supabase } = require('../../src/config/supabase');
+const dtcRoutes = require('../../src/routes/dtc');
+const dtcAnalyticsService = require('../../src/services/dtcAnalyticsService');
+const dtcLifecycleService = require('../../src/services/dtcLifecycleService');
+const dtcService = require('../../src/services/dtcService');
+const vehicleAccessService = require('../../src/services/vehicleAccessService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const DTC_ID = '0a7d3b52-41c6-4e8f-9d2a-6b5c4e3f2a10';
+const VEHICLE_ID = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+
+describe('dtc routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/dtcs', dtcRoutes);
+
+  const get = (path) => request(app).get(`/api/dtcs${path}`).set('Authorization', 'Bearer token');
+
+  beforeEach(() => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+  });
+
+  describe('GET /:id', () => {
+    const dtc = {
+      id: DTC_ID,
+      vehicle_id: 'vehicle-1',
+      dtc_code: 'P0217',
+      status: 'active',
+      freeze_frame: {
+        rpm: 3100,
+        speed: 100,
+        coolantTemp: 110,
+        engineLoad: 81,
+        source: 'telemetry',
+      },
+    };
+
+    beforeEach(() => {
+      supabase.from.mockImplementation(() => mockQuery({ data: dtc, error: null }));
+    });
+
+    it('refuses users without access to the DTC\'s vehicle', async () => {
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: false, reason: 'forbidden' });
+
+      const res = await get(`/${DTC_ID}`);
+
+      expect(res.status).toBe(403);
+      expect(vehicleAccessService.canAccessVehicle).toHaveBeenCalledWith('user-1', 'vehicle-1');
+      expect(res.body.data).toBeUndefined();
+    });
+
+    it('returns the freeze frame in the requested unit system', async () => {
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+
+      const res = await get(`/${DTC_ID}?units=imperial`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dtc_code).toBe('P0217');
+      expect(res.body.data.freeze_frame.speed).toBeCloseTo(62.14, 2);
+      expect(res.body.data.freeze_frame.coolantTemp).toBe(230);
+      expect(res.body.data.freeze_frame.rpm).toBe(3100);
+    });
+
+    it('returns 404 for an unknown DTC', async () => {
+      supabase.from.mockImplementation(() => mockQuery({ data: null, error: { message: 'not found' } }));
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle');
+
+      const res = await get(`/${DTC_ID}`);
+
+      expect(res.status).toBe(404);
+      expect(vehicleAccessService.canAccessVehicle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('answers 409 when reopening would duplicate an open DTC', async () => {
+      supabase.from.mockImplementation(() => mockQuery({
+        data: {
+          id: DTC_ID, vehicle_id: 'vehicle-1', dtc_code: 'P0300', status: 'resolved',
+        },
+        error: null,
+      }));
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+      jest.spyOn(dtcLifecycleService, 'updateDtc').mockResolvedValue({
+        success: false,
+        code: 'duplicate',
+        message: 'Another open DTC with code P0300 already exists for this vehicle',
+      });
+
+      const res = await request(app)
+        .put(`/api/dtcs/${DTC_ID}`)
+        .set('Authorization', 'Bearer token')
+        .send({ status: 'active' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Another open DTC with code P0300 already exists for this vehicle');
+    });
+
+    it('announces a resolution to the vehicle room', async () => {
+      const existing = {
+        id: DTC_ID, vehicle_id: 'vehicle-1', dtc_code: 'P0300', status: 'active',
+      };
+      const resolved = { ...existing, status: 'resolved' };
+      const io = {};
+      app.set('io', io);
+      supabase.from.mockImplementation(() => mockQuery({ data: existing, error: null }));
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+      jest.spyOn(dtcLifecycleService, 'updateDtc').mockResolvedValue({ success: true, data: resolved });
+      jest.spyOn(dtcService, 'emitDtcEvents').mockResolvedValue();
+
+      const res = await request(app)
+        .put(`/api/dtcs/${DTC_ID}`)
+        .set('Authorization', 'Bearer token')
+        .send({ status: 'resolved', resolution_notes: 'Replaced ignition coil' });
+
+      expect(res.status).toBe(200);
+      expect(dtcService.emitDtcEvents).toHaveBeenCalledWith(io, 'vehicle-1', [
+        { event: 'dtc-resolved', dtc: resolved },
+      ]);
+    });
+  });
+
+  describe('GET /:id/events', () => {
+    it('reads the event log of the DTC in the path', async () => {
+      const dtc = {
+        id: DTC_ID, vehicle_id: 'vehicle-1', dtc_code: 'P0217', status: 'resolved',
+      };
+      const events = [{ dtc_id: DTC_ID, event_type: 'created' }];
+      supabase.from.mockImplementation(() => mockQuery({ data: dtc, error: null }));
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+      jest.spyOn(dtcLifecycleService, 'getEvents').mockResolvedValue({ success: true, data: events });
+
+      const res = await get(`/${DTC_ID}/events`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ dtc, events, total: 1 });
+      expect(dtcLifecycleService.getEvents).toHaveBeenCalledWith(DTC_ID);
+    });
+  });
+
+  describe('POST /bulk', () => {
+    it('refuses scans of vehicles the user has no access to', async () => {
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: false, reason: 'forbidden' });
+      jest.spyOn(dtcService, 'reconcileScan');
+
+      const res = await request(app)
+        .post('/api/dtcs/bulk')
+        .set('Authorization', 'Bearer token')
+        .send({ vehicle_id: VEHICLE_ID, dtcs: [] });
+
+      expect(res.status).toBe(403);
+      expect(vehicleAccessService.canAccessVehicle).toHaveBeenCalledWith('user-1', VEHICLE_ID);
+      expect(dtcService.reconcileScan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /codes/:code', () => {
+    it('looks the code up in the dictionary', async () => {
+      const res = await get('/codes/P0217');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.code).toBe('P0217');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /vehicle/:vehicleId/history', () => {
+    it('refuses users without access to the vehicle', async () => {
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: false, reason: 'forbidden' });
+
+      const res = await get(`/vehicle/${VEHICLE_ID}/history`);
+
+      expect(res.status).toBe(403);
+      expect(vehicleAccessService.canAccessVehicle).toHaveBeenCalledWith('user-1', VEHICLE_ID);
+      expect(supabase.from).not.toHaveBeenCalledWith('vehicle_dtcs');
+    });
+  });
+
+  describe('DELETE /suppressions/:ruleId', () => {
+    it('returns 404 for an unknown rule', async () => {
+      supabase.from.mockImplementation(() => mockQuery({ data: null, error: { code: 'PGRST116' } }));
+
+      const res = await request(app).delete(`/api/dtcs/suppressions/${DTC_ID}`).set('Authorization', 'Bearer token');
+
+      expect(res.status).toBe(404);
+      expect(supabase.from).toHaveBeenCalledWith('dtc_suppression_rules');
+    });
+  });
+
+  describe('GET /analytics', () => {
+    const withRole = (role) => {
+      supabase.from.mockImplementation(() => mockQuery({ data: { role }, error: null }));
+    };
+
+    beforeEach(() => {
+      jest.spyOn(dtcAnalyticsService, 'getAnalytics').mockResolvedValue({ success: true, data: { top_codes: [] } });
+    });
+
+    it('analyses the 30 days before to_date when from_date is left out', async () => {
+      withRole('admin');
+
+      const res = await get('/analytics?to_date=2024-05-31T00:00:00.000Z');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ from: '2024-05-01T00:00:00.000Z', to: '2024-05-31T00:00:00.000Z' });
+      expect(dtcAnalyticsService.getAnalytics).toHaveBeenCalledWith({
+        from: '2024-05-01T00:00:00.000Z',
+        to: '2024-05-31T00:00:00.000Z',
+        brand: undefined,
+        impactLevel: undefined,
+        groupBy: 'month',
+        timezone: 'UTC',
+        limit: 10,
+      });
+    });
+
+    it('refuses ranges longer than 92 days', async () => {
+      withRole('moderator');
+
+      const allowed = await get('/analytics?from_date=2024-01-01&to_date=2024-04-02');
+      const refused = await get('/analytics?from_date=2024-01-01&to_date=2024-04-03');
+
+      expect(allowed.status).toBe(200);
+      expect(refused.status).toBe(400);
+      expect(refused.body.message).toBe('Analytics range cannot exceed 92 days');
+      expect(dtcAnalyticsService.getAnalytics).toHaveBeenCalledTimes(1);
+    });
+
+    it('is limited to admins and moderators', async () => {
+      withRole('user');
+
+      const res = await get('/analytics');
+
+      expect(res.status).toBe(403);
+      expect(dtcAnalyticsService.getAnalytics).not.toHaveBeenCalled();
+    });
+  });
+});
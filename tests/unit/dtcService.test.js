@@ -0,0 +1,118 @@
+const { supabase } = require('../../src/config/supabase');
+const dtcFreezeFrameService = require('../../src/services/dtcFreezeFrameService');
+const dtcLifecycleService = require('../../src/services/dtcLifecycleService');
+const dtcService = require('../../src/services/dtcService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const SCANNED_AT = '2024-05-01T08:00:00.000Z';
+
+const openDtc = (id, code, extra = {}) => ({
+  id, vehicle_id: 'vehicle-1', dtc_code: code, status: 'active', source: 'scan', ...extra,
+});
+
+describe('dtcService.reconcileScan', () => {
+  let insert;
+
+  const withOpenDtcs = (active) => {
+    supabase.from.mockImplementation(() => {
+      const query = mockQuery({ data: active, error: null });
+      query.insert = insert;
+      query.update.mockImplementation((changes) => mockQuery({
+        data: active.map((dtc) => ({ ...dtc, ...changes })),
+        error: null,
+      }));
+      return query;
+    });
+  };
+
+  beforeEach(() => {
+    insert = jest.fn((rows) => mockQuery({ data: rows.map((row, i) => ({ id: `new-${i}`, ...row })), error: null }));
+    jest.spyOn(dtcFreezeFrameService, 'withFreezeFrame').mockImplementation(async (row) => row);
+    jest.spyOn(dtcLifecycleService, 'recordEvents').mockResolvedValue({ success: true });
+  });
+
+  it('inserts new codes, bumps reported ones and resolves the ones a scan no longer reports', async () => {
+    withOpenDtcs([
+      openDtc('dtc-1', 'P0300'),
+      openDtc('dtc-2', 'P0420'),
+      openDtc('dtc-3', 'P0217', { source: 'anomaly' }),
+    ]);
+    const updateRows = jest.spyOn(dtcService, 'updateRows');
+
+    const result = await dtcService.reconcileScan('vehicle-1', {
+      dtcs: [{ dtc_code: 'P0300' }, { dtc_code: 'P0171' }],
+      scannedAt: SCANNED_AT,
+      autoResolve: true,
+      actorId: 'user-1',
+    });
+
+    expect(result.success).toBe(true);
+    expect(insert.mock.calls[0][0].map((row) => row.dtc_code)).toEqual(['P0171']);
+    expect(updateRows).toHaveBeenCalledWith([expect.objectContaining({ id: 'dtc-1' })], { last_seen_at: SCANNED_AT });
+    // Anomaly insights are not reported by scans and stay open
+    expect(updateRows).toHaveBeenCalledWith(
+      [expect.objectContaining({ id: 'dtc-2' })],
+      expect.objectContaining({ status: 'resolved' }),
+    );
+    expect(dtcLifecycleService.recordEvents).toHaveBeenCalledWith([
+      expect.objectContaining({ event_type: 'created' }),
+      expect.objectContaining({
+        dtc_id: 'dtc-2', from_status: 'active', to_status: 'resolved', actor_id: 'user-1',
+      }),
+    ]);
+  });
+
+  it('leaves unreported codes open without autoResolve', async () => {
+    withOpenDtcs([openDtc('dtc-1', 'P0300')]);
+    const updateRows = jest.spyOn(dtcService, 'updateRows');
+
+    const result = await dtcService.reconcileScan('vehicle-1', {
+      dtcs: [], scannedAt: SCANNED_AT, autoResolve: false,
+    });
+
+    expect(result.data).toEqual({ created: [], still_present: [], resolved: [] });
+    expect(updateRows).toHaveBeenCalledWith([], expect.objectContaining({ status: 'resolved' }));
+  });
+
+  it('counts a code opened by a concurrent scan as still present', async () => {
+    const concurrent = openDtc('dtc-9', 'P0420');
+    supabase.from.mockImplementation(() => {
+      const query = mockQuery({ data: [], error: null });
+      query.insert = insert;
+      query.maybeSingle.mockReturnValue(mockQuery({ data: concurrent, error: null }));
+      return query;
+    });
+    insert
+      .mockImplementationOnce(() => mockQuery({ data: null, error: { code: '23505', message: 'duplicate key' } }))
+      .mockImplementationOnce((rows) => mockQuery({ data: [{ id: 'new-1', ...rows[0] }], error: null }))
+      .mockImplementationOnce(() => mockQuery({ data: null, error: { code: '23505', message: 'duplicate key' } }));
+    const updateRows = jest.spyOn(dtcService, 'updateRows').mockImplementation(async (dtcs, changes) => ({
+      success: true,
+      data: dtcs.map((dtc) => ({ ...dtc, ...changes })),
+    }));
+
+    const result = await dtcService.reconcileScan('vehicle-1', {
+      dtcs: [{ dtc_code: 'P0171' }, { dtc_code: 'P0420' }],
+      scannedAt: SCANNED_AT,
+      autoResolve: false,
+    });
+
+    expect(result.success).toBe(true);
+    expect(insert).toHaveBeenCalledTimes(3);
+    expect(updateRows).toHaveBeenCalledWith([concurrent], { last_seen_at: SCANNED_AT });
+    expect(result.data.created.map((dtc) => dtc.dtc_code)).toEqual(['P0171']);
+    expect(result.data.still_present).toEqual([{ ...concurrent, last_seen_at: SCANNED_AT }]);
+  });
+
+  it('fails on other insert errors', async () => {
+    withOpenDtcs([]);
+    insert.mockImplementation(() => mockQuery({ data: null, error: { code: '42P01', message: 'missing table' } }));
+
+    const result = await dtcService.reconcileScan('vehicle-1', {
+      dtcs: [{ dtc_code: 'P0171' }], scannedAt: SCANNED_AT, autoResolve: false,
+    });
+
+    expect(result).toEqual({ success: false, message: 'Failed to add DTCs' });
+  });
+});
@@ -0,0 +1,95 @@
+const { supabase } = require('../../src/config/supabase');
+const dtcSuppressionService = require('../../src/services/dtcSuppressionService');
+const telemetryService = require('../../src/services/telemetryService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('dtcSuppressionService.withStatus', () => {
+  const rule = (id, extra) => ({
+    id, dtc_code: 'P0420', action: 'snooze', created_at: '2024-05-01T00:00:00.000Z', ...extra,
+  });
+
+  it('ends time snoozes at their expiry and never ends ignore rules', async () => {
+    const rules = await dtcSuppressionService.withStatus('vehicle-1', [
+      rule('expired', { expires_at: '2000-01-01T00:00:00.000Z' }),
+      rule('running', { expires_at: '2999-01-01T00:00:00.000Z' }),
+      rule('ignore', { action: 'ignore' }),
+    ]);
+
+    expect(rules.map(({ id, active }) => [id, active])).toEqual([
+      ['expired', false], ['running', true], ['ignore', true],
+    ]);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  // Samples every 30 seconds from a time, running (rpm 900) or not
+  const samples = (start, count, rpm) => Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(new Date(start).getTime() + i * 30 * 1000).toISOString(), rpm, speed: 0,
+  }));
+
+  const withSamples = (rows) => jest.spyOn(telemetryService, 'forEachSamplePage')
+    .mockImplementation(async (filters, columns, onPage) => {
+      await onPage(rows);
+      return { success: true, total: rows.length };
+    });
+
+  it('counts the stored trips started since an ignition cycle snooze', async () => {
+    const query = mockQuery({ data: [{ start_time: '2024-05-03T07:00:00.000Z' }], count: 2, error: null });
+    supabase.from.mockReturnValue(query);
+    withSamples(samples('2024-05-03T07:00:00.000Z', 10, 900));
+
+    const rules = await dtcSuppressionService.withStatus('vehicle-1', [
+      rule('short', { ignition_cycles: 2 }),
+      rule('long', { ignition_cycles: 3 }),
+    ]);
+
+    expect(rules).toEqual([
+      expect.objectContaining({ id: 'short', active: false, ignition_cycles_used: 2 }),
+      expect.objectContaining({ id: 'long', active: true, ignition_cycles_used: 2 }),
+    ]);
+    expect(supabase.from).toHaveBeenCalledWith('vehicle_trips');
+    expect(query.gt).toHaveBeenCalledWith('start_time', '2024-05-01T00:00:00.000Z');
+    // Only the snooze that is not used up yet reads the samples after the latest stored trip
+    expect(telemetryService.forEachSamplePage).toHaveBeenCalledTimes(1);
+    expect(telemetryService.forEachSamplePage).toHaveBeenCalledWith(
+      { vehicleId: 'vehicle-1', from: '2024-05-03T07:00:00.000Z' },
+      ['rpm', 'speed'],
+      expect.any(Function),
+    );
+  });
+
+  it('counts ignition cycles that trip detection has not stored yet', async () => {
+    supabase.from.mockReturnValue(mockQuery({ data: [], count: 0, error: null }));
+    withSamples([
+      // Engine already running when the snooze was created, that cycle does not count
+      ...samples('2024-04-30T23:58:00.000Z', 8, 900),
+      ...samples('2024-05-01T00:02:00.000Z', 20, 0),
+      ...samples('2024-05-01T08:00:00.000Z', 10, 900),
+      ...samples('2024-05-01T17:30:00.000Z', 10, 900),
+    ]);
+
+    const rules = await dtcSuppressionService.withStatus('vehicle-1', [
+      rule('two', { ignition_cycles: 2 }),
+      rule('three', { ignition_cycles: 3 }),
+    ]);
+
+    expect(rules).toEqual([
+      expect.objectContaining({ id: 'two', active: false, ignition_cycles_used: 2 }),
+      expect.objectContaining({ id: 'three', active: true, ignition_cycles_used: 2 }),
+    ]);
+    expect(telemetryService.forEachSamplePage).toHaveBeenCalledWith(
+      { vehicleId: 'vehicle-1', from: '2024-04-30T23:55:00.000Z' },
+      ['rpm', 'speed'],
+      expect.any(Function),
+    );
+  });
+
+  it('keeps the snooze when the samples cannot be read', async () => {
+    supabase.from.mockReturnValue(mockQuery({ data: [], count: 0, error: null }));
+    jest.spyOn(telemetryService, 'forEachSamplePage').mockResolvedValue({ success: false, message: 'timeout' });
+
+    const [status] = await dtcSuppressionService.withStatus('vehicle-1', [rule('snooze', { ignition_cycles: 1 })]);
+
+    expect(status).toEqual(expect.objectContaining({ active: true, ignition_cycles_used: null }));
+  });
+});
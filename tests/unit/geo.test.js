@@ -0,0 +1,98 @@
+const {
+  haversineDistance, douglasPeucker, pointInPolygon, pointInGeofence,
+} = require('../../src/utils/geo');
+
+describe('haversineDistance', () => {
+  it('measures great-circle distances in meters', () => {
+    // One degree of latitude is about 111.2 km
+    expect(haversineDistance({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195, -1);
+    // Paris to London
+    expect(haversineDistance(
+      { latitude: 48.8566, longitude: 2.3522 },
+      { latitude: 51.5074, longitude: -0.1278 },
+    ) / 1000).toBeCloseTo(343.6, 0);
+  });
+
+  it('is zero for the same position', () => {
+    const position = { latitude: 52.52, longitude: 13.405 };
+    expect(haversineDistance(position, position)).toBe(0);
+  });
+});
+
+describe('douglasPeucker', () => {
+  // Positions along a meridian, about 11 m apart
+  const straight = Array.from({ length: 10 }, (_, i) => ({ latitude: 52 + i * 0.0001, longitude: 13 }));
+
+  it('keeps only the ends of a straight route', () => {
+    expect(douglasPeucker(straight, 1)).toEqual([0, 9]);
+  });
+
+  it('keeps a corner further from the line than the tolerance', () => {
+    const route = [...straight];
+    route[5] = { latitude: route[5].latitude, longitude: 13.001 };
+
+    // The corner lies about 68 m off the line
+    expect(douglasPeucker(route, 10)).toEqual([0, 4, 5, 6, 9]);
+    expect(douglasPeucker(route, 100)).toEqual([0, 9]);
+  });
+
+  it('keeps every position of a route with two positions or fewer', () => {
+    expect(douglasPeucker(straight.slice(0, 2), 10)).toEqual([0, 1]);
+    expect(douglasPeucker([], 10)).toEqual([]);
+  });
+
+  it('simplifies long routes without recursing', () => {
+    const zigzag = Array.from({ length: 100000 }, (_, i) => ({
+      latitude: 52 + i * 0.00001,
+      longitude: 13 + (i % 2) * 0.00001,
+    }));
+
+    expect(douglasPeucker(zigzag, 5)).toEqual([0, 99999]);
+  });
+});
+
+describe('pointInPolygon', () => {
+  // L-shaped area, the notch at the top right is outside
+  const polygon = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 2 },
+    { latitude: 1, longitude: 2 },
+    { latitude: 1, longitude: 1 },
+    { latitude: 2, longitude: 1 },
+    { latitude: 2, longitude: 0 },
+  ];
+
+  it('finds positions inside a concave polygon', () => {
+    expect(pointInPolygon({ latitude: 0.5, longitude: 1.5 }, polygon)).toBe(true);
+    expect(pointInPolygon({ latitude: 1.5, longitude: 0.5 }, polygon)).toBe(true);
+  });
+
+  it('finds positions outside, including in the notch', () => {
+    expect(pointInPolygon({ latitude: 1.5, longitude: 1.5 }, polygon)).toBe(false);
+    expect(pointInPolygon({ latitude: -1, longitude: 0.5 }, polygon)).toBe(false);
+  });
+});
+
+describe('pointInGeofence', () => {
+  const circle = { type: 'circle', center: { latitude: 52, longitude: 13 }, radius_meters: 100 };
+
+  it('compares the distance to the center of a circle with its radius', () => {
+    expect(pointInGeofence({ latitude: 52.0008, longitude: 13 }, circle)).toBe(true);
+    expect(pointInGeofence({ latitude: 52.001, longitude: 13 }, circle)).toBe(false);
+  });
+
+  it('checks polygon geofences against their vertices', () => {
+    const square = {
+      type: 'polygon',
+      polygon: [
+        { latitude: 0, longitude: 0 },
+        { latitude: 0, longitude: 1 },
+        { latitude: 1, longitude: 1 },
+        { latitude: 1, longitude: 0 },
+      ],
+    };
+
+    expect(pointInGeofence({ latitude: 0.5, longitude: 0.5 }, square)).toBe(true);
+    expect(pointInGeofence({ latitude: 1.5, longitude: 0.5 }, square)).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+const express = require('express');
+const request = require('supertest');
+
+const { supabase } = require('../../src/config/supabase');
+const geofenceRoutes = require('../../src/routes/geofences');
+const vehicleAccessService = require('../../src/services/vehicleAccessService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const GEOFENCE_ID = '3c9e7f21-5a4b-4d8c-b1e2-9f0a6d5c4b30';
+const VEHICLE_ID = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+
+describe('geofence routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/geofences', geofenceRoutes);
+
+  const circle = {
+    id: GEOFENCE_ID,
+    name: 'Depot',
+    type: 'circle',
+    center: { latitude: 52.52, longitude: 13.405 },
+    radius_meters: 200,
+    polygon: null,
+    vehicle_ids: [VEHICLE_ID],
+    enabled: true,
+  };
+
+  beforeEach(() => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+    jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+  });
+
+  it('keeps the stored fields an update leaves out', async () => {
+    const update = mockQuery({ data: { ...circle, radius_meters: 500 }, error: null });
+    supabase.from
+      .mockImplementationOnce(() => mockQuery({ data: circle, error: null }))
+      .mockImplementationOnce(() => update);
+
+    const res = await request(app)
+      .put(`/api/geofences/${GEOFENCE_ID}`)
+      .set('Authorization', 'Bearer token')
+      .send({ radius_meters: 500 });
+
+    expect(res.status).toBe(200);
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Depot',
+      type: 'circle',
+      center: circle.center,
+      radius_meters: 500,
+      polygon: null,
+      vehicle_ids: [VEHICLE_ID],
+      enabled: true,
+    }));
+  });
+
+  it('serves the events of a vehicle under /events', async () => {
+    const events = mockQuery({ data: [], error: null, count: 0 });
+    supabase.from.mockImplementation(() => events);
+
+    const res = await request(app)
+      .get(`/api/geofences/events?vehicle_id=${VEHICLE_ID}&event=enter`)
+      .set('Authorization', 'Bearer token');
+
+    expect(res.status).toBe(200);
+    expect(supabase.from).toHaveBeenCalledWith('geofence_events');
+    expect(events.eq).toHaveBeenCalledWith('event', 'enter');
+  });
+});
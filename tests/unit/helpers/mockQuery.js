@@ -0,0 +1,26 @@
+const QUERY_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'is', 'in', 'not', 'or', 'gt', 'gte', 'lt', 'lte', 'ilike',
+  'order', 'limit', 'range', 'single', 'maybeSingle',
+];
+
+/**
+ * Chainable stand-in for a supabase query builder that resolves to a fixed result
+ * Every builder method is a jest mock returning the query, so tests can assert on filters
+ * @param {Object} [result] - { data, error, count } the awaited query resolves to
+ * @returns {Object} - Query builder
+ */
+const mockQuery = (result = { data: null, error: null }) => {
+  const query = {};
+
+  QUERY_METHODS.forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+
+  return query;
+};
+
+module.exports = {
+  mockQuery,
+};
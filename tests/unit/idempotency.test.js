@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+
+const { supabase } = require('../../src/config/supabase');
+const { logger } = require('../../src/config/logger');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const KEY = 'scan-42';
+const SCOPE = 'POST /api/performance-data user-1';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+// Settling the key runs after the response is sent
+const settled = () => new Promise((resolve) => { setImmediate(resolve); });
+
+describe('idempotency middleware', () => {
+  let handler;
+  let queries;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.userId = 'user-1';
+    next();
+  });
+  app.post('/api/performance-data', idempotency, (req, res) => handler(req, res));
+
+  // Each supabase query takes the next result in line
+  const withQueries = (...results) => {
+    queries = results.map((result) => mockQuery(result));
+    supabase.from.mockImplementation(() => queries.shift() || mockQuery());
+  };
+
+  const post = () => request(app).post('/api/performance-data').set('Idempotency-Key', KEY).send({});
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(201).json({ success: true, id: 'sample-1' }));
+  });
+
+  it('reserves the key, runs the request and stores its response', async () => {
+    withQueries({ error: null }, { error: null });
+    const [reserve, store] = queries;
+
+    const response = await post();
+    await settled();
+
+    expect(response.status).toBe(201);
+    expect(reserve.insert).toHaveBeenCalledWith([expect.objectContaining({ scope: SCOPE, key: KEY })]);
+    expect(store.update).toHaveBeenCalledWith({ status_code: 201, response_body: { success: true, id: 'sample-1' } });
+    expect(store.is).toHaveBeenCalledWith('status_code', null);
+  });
+
+  it('releases the key of a request that did not succeed', async () => {
+    handler = jest.fn((req, res) => res.status(500).json({ success: false }));
+    withQueries({ error: null }, { error: null });
+    const [, release] = queries;
+
+    await post();
+    await settled();
+
+    expect(release.delete).toHaveBeenCalled();
+    expect(release.update).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response of a finished request', async () => {
+    withQueries(
+      { error: { code: '23505', message: 'duplicate key' } },
+      { data: { status_code: 201, response_body: { success: true, id: 'sample-1' } }, error: null },
+    );
+
+    const response = await post();
+
+    expect(response.status).toBe(201);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(response.body).toEqual({ success: true, id: 'sample-1' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('refuses a concurrent request while the key is reserved', async () => {
+    withQueries(
+      { error: { code: '23505', message: 'duplicate key' } },
+      { data: { status_code: null, response_body: null, created_at: minutesAgo(0) }, error: null },
+    );
+
+    const response = await post();
+
+    expect(response.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('takes over a reservation abandoned for more than two minutes', async () => {
+    const abandonedAt = minutesAgo(3);
+    withQueries(
+      { error: { code: '23505', message: 'duplicate key' } },
+      { data: { status_code: null, response_body: null, created_at: abandonedAt }, error: null },
+      { data: [{ key: KEY }], error: null },
+      { error: null },
+    );
+    const [, , takeover] = queries;
+
+    const response = await post();
+
+    expect(response.status).toBe(201);
+    expect(takeover.eq).toHaveBeenCalledWith('created_at', abandonedAt);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not run a request whose abandoned reservation another retry took over first', async () => {
+    withQueries(
+      { error: { code: '23505', message: 'duplicate key' } },
+      { data: { status_code: null, response_body: null, created_at: minutesAgo(3) }, error: null },
+      { data: [], error: null },
+    );
+
+    const response = await post();
+
+    expect(response.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('logs a response that could not be stored', async () => {
+    withQueries({ error: null });
+    const failing = mockQuery();
+    failing.then = (resolve, reject) => Promise.reject(new Error('connection reset')).then(resolve, reject);
+    supabase.from.mockImplementationOnce(() => queries.shift()).mockImplementationOnce(() => failing);
+
+    const response = await post();
+    await settled();
+
+    expect(response.status).toBe(201);
+    expect(logger.error).toHaveBeenCalledWith('Idempotency store error:', 'connection reset');
+  });
+});
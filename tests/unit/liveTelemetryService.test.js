@@ -0,0 +1,79 @@
+const liveTelemetryService = require('../../src/services/liveTelemetryService');
+
+const createIo = (vehicleId, unitSystems) => {
+  const sockets = new Map(unitSystems.map((unitSystem, i) => [`socket-${i}`, {
+    data: { unitSystem },
+    emit: jest.fn(),
+  }]));
+
+  return {
+    sockets: {
+      adapter: { rooms: new Map([[`vehicle-${vehicleId}`, new Set(sockets.keys())]]) },
+      sockets,
+    },
+  };
+};
+
+const emitted = (io, socketId = 'socket-0') => io.sockets.sockets.get(socketId).emit.mock.calls
+  .map(([event, payload]) => [event, payload.data.rpm]);
+
+describe('liveTelemetryService.publish', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends the first sample at once and only the latest one of each throttle window', () => {
+    const io = createIo('vehicle-1', ['metric']);
+    const sample = (rpm) => ({ vehicle_id: 'vehicle-1', timestamp: new Date().toISOString(), rpm });
+
+    liveTelemetryService.publish(io, sample(1000));
+    jest.advanceTimersByTime(200);
+    liveTelemetryService.publish(io, sample(1100));
+    jest.advanceTimersByTime(200);
+    liveTelemetryService.publish(io, sample(1200));
+
+    expect(emitted(io)).toEqual([['performance-update', 1000]]);
+
+    jest.advanceTimersByTime(600);
+    expect(emitted(io)).toEqual([['performance-update', 1000], ['performance-update', 1200]]);
+
+    // Nothing is pending, the next window starts with the next sample
+    jest.advanceTimersByTime(5000);
+    liveTelemetryService.publish(io, sample(1300));
+    expect(emitted(io)).toHaveLength(3);
+  });
+
+  it('converts the update to the unit system of each socket', () => {
+    const io = createIo('vehicle-2', ['metric', 'imperial']);
+
+    liveTelemetryService.publish(io, {
+      vehicle_id: 'vehicle-2', timestamp: '2024-05-01T08:00:00.000Z', speed: 100, rpm: 2000, latitude: null,
+    });
+
+    const [[, metric]] = io.sockets.sockets.get('socket-0').emit.mock.calls;
+    const [[, imperial]] = io.sockets.sockets.get('socket-1').emit.mock.calls;
+    expect(metric).toEqual({
+      vehicleId: 'vehicle-2',
+      units: 'metric',
+      data: {
+        vehicle_id: 'vehicle-2', timestamp: '2024-05-01T08:00:00.000Z', speed: 100, rpm: 2000,
+      },
+    });
+    expect(imperial.units).toBe('imperial');
+    expect(imperial.data.speed).toBeCloseTo(62.14, 2);
+  });
+
+  it('skips vehicles nobody is subscribed to', () => {
+    const io = createIo('vehicle-3', ['metric']);
+
+    liveTelemetryService.publish(io, { vehicle_id: 'vehicle-4', rpm: 900 });
+    jest.runOnlyPendingTimers();
+
+    expect(emitted(io)).toEqual([]);
+    expect(liveTelemetryService.vehicles.has('vehicle-4')).toBe(false);
+  });
+});
@@ -0,0 +1,174 @@
+const express = require('express');
+const request = require('supertest');
+
+const { supabase } = require('../../src/config/supabase');
+const performanceDataRoutes = require('../../src/routes/performanceData');
+const vehicleAccessService = require('../../src/services/vehicleAccessService');
+const unitPreferenceService = require('../../src/services/unitPreferenceService');
+const aggregationService = require('../../src/services/aggregationService');
+const telemetryTierService = require('../../src/services/telemetryTierService');
+const exportService = require('../../src/services/exportService');
+const telemetryBulkService = require('../../src/services/telemetryBulkService');
+
+const VEHICLE_ID = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+
+describe('performance data read routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/performance-data', performanceDataRoutes);
+
+  const get = (path) => request(app).get(`/api/performance-data${path}`).set('Authorization', 'Bearer token');
+
+  beforeEach(() => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+    jest.spyOn(unitPreferenceService, 'resolveForRequest').mockResolvedValue('metric');
+  });
+
+  describe('without access to the vehicle', () => {
+    beforeEach(() => {
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: false, reason: 'forbidden' });
+    });
+
+    it('refuses GET /:id before reading any samples', async () => {
+      const getSamplePage = jest.spyOn(telemetryTierService, 'getSamplePage');
+
+      const res = await get(`/${VEHICLE_ID}?date=2024-05-01`);
+
+      expect(res.status).toBe(403);
+      expect(vehicleAccessService.canAccessVehicle).toHaveBeenCalledWith('user-1', VEHICLE_ID);
+      expect(getSamplePage).not.toHaveBeenCalled();
+    });
+
+    it('refuses GET /aggregated before aggregating', async () => {
+      const aggregate = jest.spyOn(aggregationService, 'aggregate');
+
+      const res = await get(`/aggregated?vehicle_id=${VEHICLE_ID}`);
+
+      expect(res.status).toBe(403);
+      expect(vehicleAccessService.canAccessVehicle).toHaveBeenCalledWith('user-1', VEHICLE_ID);
+      expect(aggregate).not.toHaveBeenCalled();
+    });
+
+    it('refuses GET /:id/export before streaming anything', async () => {
+      const streamExport = jest.spyOn(exportService, 'streamExport');
+
+      const res = await get(`/${VEHICLE_ID}/export?date=2024-05-01`);
+
+      expect(res.status).toBe(403);
+      expect(res.headers['content-disposition']).toBeUndefined();
+      expect(streamExport).not.toHaveBeenCalled();
+    });
+  });
+
+  it('serves GET /:id to users with access', async () => {
+    jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+    jest.spyOn(telemetryTierService, 'getSamplePage').mockResolvedValue({
+      success: true,
+      data: [{
+        id: 'sample-1',
+        vehicle_id: VEHICLE_ID,
+        timestamp: '2024-05-01T08:00:00.000Z',
+        speed: 50,
+      }],
+      tiers: ['raw'],
+    });
+
+    const res = await get(`/${VEHICLE_ID}?date=2024-05-01`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ id: 'sample-1', speed: 50 })]);
+  });
+
+  describe('GET /:id/export', () => {
+    const pages = [
+      [
+        { timestamp: '2024-05-01T08:00:00.000Z', speed: 100, rpm: 2000 },
+        { timestamp: '2024-05-01T08:00:01.000Z', speed: null, rpm: 2100 },
+      ],
+      [{ timestamp: '2024-05-01T08:00:02.000Z', speed: 50, rpm: 1500 }],
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: true, reason: 'owner' });
+      jest.spyOn(telemetryTierService, 'forEachSamplePage').mockImplementation(async (filters, columns, onPage) => {
+        for (const page of pages) {
+          await onPage(page);
+        }
+        return { success: true, total: 3 };
+      });
+    });
+
+    it('streams every page as CSV with a header row and empty cells for missing values', async () => {
+      const res = await get(`/${VEHICLE_ID}/export?filterType=range&fromDate=2024-05-01&toDate=2024-05-02`)
+        .query('columns=speed&columns=rpm');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition'])
+        .toBe(`attachment; filename="vehicle-${VEHICLE_ID}-2024-05-01-2024-05-02.csv"`);
+      expect(res.text).toBe([
+        'timestamp,speed,rpm',
+        '2024-05-01T08:00:00.000Z,100,2000',
+        '2024-05-01T08:00:01.000Z,,2100',
+        '2024-05-01T08:00:02.000Z,50,1500',
+        '',
+      ].join('\n'));
+      expect(telemetryTierService.forEachSamplePage).toHaveBeenCalledWith(
+        expect.objectContaining({ vehicleId: VEHICLE_ID }),
+        ['timestamp', 'speed', 'rpm'],
+        expect.any(Function),
+      );
+    });
+
+    it('streams NDJSON in the user\'s unit system', async () => {
+      unitPreferenceService.resolveForRequest.mockResolvedValue('imperial');
+
+      const res = await get(`/${VEHICLE_ID}/export?date=2024-05-01&format=ndjson&columns=speed`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      expect(JSON.parse(res.headers['x-units'])).toEqual(expect.objectContaining({ speed: 'mph' }));
+
+      const lines = res.text.trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines).toHaveLength(3);
+      expect(lines[0].timestamp).toBe('2024-05-01T08:00:00.000Z');
+      expect(lines[0].speed).toBeCloseTo(62.14, 2);
+      expect(lines[1]).toEqual({ timestamp: '2024-05-01T08:00:01.000Z', speed: null });
+    });
+
+    it('aborts the download instead of ending it when a page fails to load', async () => {
+      telemetryTierService.forEachSamplePage.mockImplementation(async (filters, columns, onPage) => {
+        await onPage(pages[0]);
+        return { success: false, message: 'timeout' };
+      });
+
+      await expect(get(`/${VEHICLE_ID}/export?date=2024-05-01&columns=speed`)).rejects.toThrow();
+    });
+  });
+});
+
+describe('performance data bulk route', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/performance-data', performanceDataRoutes);
+
+  beforeEach(() => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+  });
+
+  it('rejects the samples of vehicles the user cannot access', async () => {
+    jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockResolvedValue({ allowed: false, reason: 'forbidden' });
+    jest.spyOn(telemetryBulkService, 'storeBulk').mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/performance-data/bulk')
+      .set('Authorization', 'Bearer token')
+      .send({ data: [{ vehicle_id: VEHICLE_ID, rpm: 900 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.results).toEqual([
+      { index: 0, status: 'rejected', message: 'You do not have access to this vehicle' },
+    ]);
+    expect(telemetryBulkService.storeBulk).toHaveBeenCalledWith([]);
+  });
+});
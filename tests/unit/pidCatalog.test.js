@@ -0,0 +1,88 @@
+const {
+  PID_CATALOG, findPid, normalizePids, describePid,
+} = require('../../src/config/pidCatalog');
+const { validateData } = require('../../src/utils/validation');
+const { createPerformanceDataSchema } = require('../../src/validators/performanceData');
+
+const VEHICLE_ID = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+
+describe('PID catalog', () => {
+  it('gives every PID a unique key and mode + PID code', () => {
+    const keys = PID_CATALOG.map((entry) => entry.key);
+    const codes = PID_CATALOG.map((entry) => describePid(entry).code);
+
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(new Set(codes).size).toBe(codes.length);
+  });
+
+  it('finds PIDs by key or by code in any case', () => {
+    expect(findPid('rpm').pid).toBe('0C');
+    expect(findPid('010C').key).toBe('rpm');
+    expect(findPid('010c').key).toBe('rpm');
+    expect(findPid('01FF')).toBeNull();
+  });
+
+  it('describes PIDs without their decode function', () => {
+    expect(describePid(findPid('engineLoad'))).toEqual({
+      key: 'engineLoad',
+      code: '0104',
+      mode: '01',
+      pid: '04',
+      name: expect.any(String),
+      unit: '%',
+      quantity: null,
+      min: 0,
+      max: 100,
+      bytes: 1,
+      formula: expect.any(String),
+      storage: 'pids',
+    });
+  });
+});
+
+describe('normalizePids', () => {
+  it('decodes raw hex bytes with the SAE J1979 formula and keys values by PID key', () => {
+    expect(normalizePids({ '010C': '1AF8', timingAdvance: '90', engineLoad: 42.5 })).toEqual({
+      values: { rpm: 1726, timingAdvance: 8, engineLoad: 42.5 },
+      errors: [],
+    });
+  });
+
+  it('rejects unknown PIDs, malformed raw bytes and values out of range', () => {
+    const { values, errors } = normalizePids({
+      '01FF': 1,
+      rpm: '1A',
+      speed: 'zz',
+      engineLoad: 120,
+      throttlePosition: 50,
+    });
+
+    expect(values).toEqual({ throttlePosition: 50 });
+    expect(errors).toEqual([
+      'Unknown PID 01FF',
+      'PID rpm raw value must be 2 hex byte(s)',
+      'PID speed raw value must be 1 hex byte(s)',
+      'PID engineLoad must be between 0 and 100 %',
+    ]);
+  });
+});
+
+describe('createPerformanceDataSchema pids', () => {
+  it('accepts catalogued PIDs and stores them decoded in metric units', () => {
+    const result = validateData(createPerformanceDataSchema, {
+      vehicle_id: VEHICLE_ID,
+      pids: { '0104': 'FF', ambientAirTemp: 77 },
+      units: { ambientAirTemp: '°F' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.pids).toEqual({ engineLoad: 100, ambientAirTemp: 25 });
+  });
+
+  it('refuses a sample with PIDs outside the catalog', () => {
+    const result = validateData(createPerformanceDataSchema, { vehicle_id: VEHICLE_ID, pids: { '01FF': 1 } });
+
+    expect(result.success).toBe(false);
+    expect(JSON.stringify(result.errors)).toContain('Unknown PID 01FF');
+  });
+});
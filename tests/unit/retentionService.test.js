@@ -0,0 +1,23 @@
+const { supabase } = require('../../src/config/supabase');
+const retentionService = require('../../src/services/retentionService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('retentionService.run', () => {
+  it('applies the policy to every page of vehicles', async () => {
+    const firstPage = Array.from({ length: 500 }, (_, i) => ({ id: `vehicle-${String(i).padStart(4, '0')}` }));
+    const pages = [firstPage, [{ id: 'vehicle-0500' }]];
+    const vehicleQueries = [];
+
+    supabase.from.mockImplementation((table) => {
+      const query = mockQuery({ data: table === 'vehicles' ? pages.shift() : [], error: null });
+      if (table === 'vehicles') vehicleQueries.push(query);
+      return query;
+    });
+    const applyPolicy = jest.spyOn(retentionService, 'applyPolicy').mockResolvedValue({ success: true });
+
+    await expect(retentionService.run()).resolves.toEqual({ success: true, vehicles: 501, failed: 0 });
+    expect(applyPolicy).toHaveBeenCalledTimes(501);
+    expect(vehicleQueries[1].gt).toHaveBeenCalledWith('id', 'vehicle-0499');
+  });
+});
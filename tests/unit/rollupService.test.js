@@ -0,0 +1,114 @@
+const { supabase } = require('../../src/config/supabase');
+const rollupService = require('../../src/services/rollupService');
+const telemetryService = require('../../src/services/telemetryService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const window = {
+  vehicleId: 'vehicle-1',
+  from: '2024-05-01T00:00:00.000Z',
+  before: '2024-05-01T12:00:00.000Z',
+  createdBefore: '2024-05-03T00:00:00.000Z',
+};
+
+const sample = (timestamp, speed, createdAt) => ({
+  id: `${timestamp}-${speed}`, timestamp, speed, created_at: createdAt,
+});
+
+describe('rollupService.rollupWindow', () => {
+  let stored;
+  let upserts;
+
+  beforeEach(() => {
+    stored = { vehicle_performance_hourly: [], vehicle_performance_daily: [] };
+    upserts = [];
+
+    supabase.from.mockImplementation((table) => {
+      const query = mockQuery({ data: stored[table], error: null });
+      query.upsert.mockImplementation((rows) => {
+        upserts.push({ table, rows });
+        return mockQuery({ data: null, error: null });
+      });
+      return query;
+    });
+    jest.spyOn(telemetryService, 'pruneSamples').mockResolvedValue({ success: true });
+  });
+
+  const readSamples = (rows) => jest.spyOn(telemetryService, 'forEachSamplePage')
+    .mockImplementation(async (filters, columns, onPage) => {
+      await onPage(rows);
+      return { success: true, total: rows.length };
+    });
+
+  it('stores the window watermark with each summary', async () => {
+    readSamples([
+      sample('2024-05-01T08:10:00.000Z', 40, '2024-05-01T08:10:01.000Z'),
+      sample('2024-05-01T08:20:00.000Z', 60, '2024-05-01T08:20:01.000Z'),
+    ]);
+
+    await expect(rollupService.rollupWindow(window)).resolves.toEqual({ success: true, samples: 2 });
+
+    const [hourly] = upserts.find(({ table }) => table === 'vehicle_performance_hourly').rows;
+    expect(hourly).toMatchObject({
+      bucket_start: '2024-05-01T08:00:00.000Z',
+      sample_count: 2,
+      metrics: {
+        speed: {
+          count: 2, sum: 100, min: 40, max: 60,
+        },
+      },
+      rolled_before: window.before,
+      rolled_created_before: window.createdBefore,
+    });
+  });
+
+  it('skips samples a stored summary already counts when a window is rolled up again', async () => {
+    stored.vehicle_performance_hourly = [{
+      bucket_start: '2024-05-01T08:00:00+00:00',
+      sample_count: 1,
+      metrics: {
+        speed: {
+          count: 1, sum: 40, min: 40, max: 40,
+        },
+      },
+      rolled_before: '2024-05-01T12:00:00+00:00',
+      rolled_created_before: '2024-05-02T00:00:00+00:00',
+    }];
+    readSamples([
+      // Counted by the previous run, whose prune failed
+      sample('2024-05-01T08:10:00.000Z', 40, '2024-05-01T08:10:01.000Z'),
+      // Uploaded late, after the previous run
+      sample('2024-05-01T08:30:00.000Z', 80, '2024-05-02T09:00:00.000Z'),
+    ]);
+
+    await rollupService.rollupWindow(window);
+
+    const [hourly] = upserts.find(({ table }) => table === 'vehicle_performance_hourly').rows;
+    expect(hourly.sample_count).toBe(2);
+    expect(hourly.metrics.speed).toEqual({
+      count: 2, sum: 120, min: 40, max: 80,
+    });
+    expect(telemetryService.pruneSamples).toHaveBeenCalledWith(window);
+  });
+
+  it('leaves summaries alone when every sample is already counted', async () => {
+    stored.vehicle_performance_hourly = [{
+      bucket_start: '2024-05-01T08:00:00.000Z',
+      sample_count: 1,
+      metrics: {},
+      rolled_before: window.before,
+      rolled_created_before: window.createdBefore,
+    }];
+    stored.vehicle_performance_daily = [{
+      bucket_start: '2024-05-01T00:00:00.000Z',
+      sample_count: 1,
+      metrics: {},
+      rolled_before: window.before,
+      rolled_created_before: window.createdBefore,
+    }];
+    readSamples([sample('2024-05-01T08:10:00.000Z', 40, '2024-05-01T08:10:01.000Z')]);
+
+    await expect(rollupService.rollupWindow(window)).resolves.toEqual({ success: true, samples: 1 });
+    expect(upserts).toEqual([]);
+  });
+});
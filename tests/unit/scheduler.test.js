@@ -0,0 +1,38 @@
+const cron = require('node-cron');
+
+const { scheduleJob } = require('../../src/utils/scheduler');
+
+describe('scheduleJob', () => {
+  const env = { ...process.env };
+  const run = jest.fn();
+
+  beforeEach(() => {
+    jest.spyOn(cron, 'schedule').mockReturnValue({});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('schedules the job on its default schedule', () => {
+    expect(scheduleJob('Trip detection', 'TRIP_DETECTION', '*/10 * * * *', run)).toBe(true);
+    expect(cron.schedule).toHaveBeenCalledWith('*/10 * * * *', run);
+  });
+
+  it('takes the schedule from <PREFIX>_CRON', () => {
+    process.env.TRIP_DETECTION_CRON = '0 * * * *';
+
+    scheduleJob('Trip detection', 'TRIP_DETECTION', '*/10 * * * *', run);
+
+    expect(cron.schedule).toHaveBeenCalledWith('0 * * * *', run);
+  });
+
+  it('skips disabled jobs and jobs with an invalid schedule', () => {
+    process.env.RETENTION_JOB_ENABLED = 'false';
+    process.env.TRIP_DETECTION_CRON = 'every ten minutes';
+
+    expect(scheduleJob('Telemetry retention', 'RETENTION', '15 * * * *', run)).toBe(false);
+    expect(scheduleJob('Trip detection', 'TRIP_DETECTION', '*/10 * * * *', run)).toBe(false);
+    expect(cron.schedule).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+const socketAccessService = require('../../src/services/socketAccessService');
+const vehicleAccessService = require('../../src/services/vehicleAccessService');
+
+const createSocket = (rooms = []) => ({
+  id: 'socket-1',
+  userId: 'user-1',
+  data: {},
+  rooms: new Set(['socket-1', ...rooms]),
+  emit: jest.fn(),
+  leave: jest.fn(),
+});
+
+describe('socketAccessService.authorize', () => {
+  it('reuses a cached decision only until it expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const canAccess = jest.spyOn(vehicleAccessService, 'canAccessVehicle')
+      .mockResolvedValueOnce({ allowed: true, reason: 'granted' })
+      .mockResolvedValueOnce({ allowed: false, reason: 'forbidden' });
+    const socket = createSocket();
+
+    expect(await socketAccessService.authorize(socket, 'vehicle-1', 'data-error', 'performance-data')).toBe(true);
+
+    now.mockReturnValue(1000000 + 30 * 1000);
+    expect(await socketAccessService.authorize(socket, 'vehicle-1', 'data-error', 'performance-data')).toBe(true);
+    expect(canAccess).toHaveBeenCalledTimes(1);
+
+    // The grant was revoked, the next write after the cache expires is refused
+    now.mockReturnValue(1000000 + 61 * 1000);
+    expect(await socketAccessService.authorize(socket, 'vehicle-1', 'data-error', 'performance-data')).toBe(false);
+    expect(canAccess).toHaveBeenCalledTimes(2);
+    expect(socket.emit).toHaveBeenCalledWith('data-error', {
+      code: 'FORBIDDEN',
+      action: 'performance-data',
+      vehicleId: 'vehicle-1',
+      message: 'You do not have access to this vehicle',
+    });
+  });
+
+  it('does not cache failed lookups', async () => {
+    const canAccess = jest.spyOn(vehicleAccessService, 'canAccessVehicle')
+      .mockResolvedValueOnce({ allowed: false, reason: 'lookup_failed' })
+      .mockResolvedValueOnce({ allowed: true, reason: 'owner' });
+    const socket = createSocket();
+
+    expect(await socketAccessService.authorize(socket, 'vehicle-1', 'error', 'subscribe-vehicle')).toBe(false);
+    expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'ACCESS_CHECK_FAILED' }));
+
+    expect(await socketAccessService.authorize(socket, 'vehicle-1', 'error', 'subscribe-vehicle')).toBe(true);
+    expect(canAccess).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('socketAccessService.revalidateSubscriptions', () => {
+  it('removes sockets from vehicle rooms they lost access to and keeps the rest', async () => {
+    jest.spyOn(vehicleAccessService, 'canAccessVehicle').mockImplementation(async (userId, vehicleId) => ({
+      'vehicle-1': { allowed: true, reason: 'owner' },
+      'vehicle-2': { allowed: false, reason: 'forbidden' },
+      'vehicle-3': { allowed: false, reason: 'lookup_failed' },
+    }[vehicleId]));
+    const socket = createSocket(['vehicle-vehicle-1', 'vehicle-vehicle-2', 'vehicle-vehicle-3']);
+    // A cached grant does not survive the revalidation
+    socket.data.vehicleAccess = new Map([
+      ['vehicle-2', { access: { allowed: true, reason: 'granted' }, expiresAt: Date.now() + 60000 }],
+    ]);
+    const io = { sockets: { sockets: new Map([[socket.id, socket]]) } };
+
+    await socketAccessService.revalidateSubscriptions(io);
+
+    expect(vehicleAccessService.canAccessVehicle).toHaveBeenCalledTimes(3);
+    expect(socket.leave).toHaveBeenCalledTimes(1);
+    expect(socket.leave).toHaveBeenCalledWith('vehicle-vehicle-2');
+    expect(socket.emit).toHaveBeenCalledWith('unsubscribed', {
+      vehicleId: 'vehicle-2',
+      code: 'FORBIDDEN',
+      message: 'You do not have access to this vehicle',
+    });
+    expect(socket.data.vehicleAccess.get('vehicle-2').access.allowed).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+const { supabase } = require('../../src/config/supabase');
+const telemetryBulkService = require('../../src/services/telemetryBulkService');
+const telemetryService = require('../../src/services/telemetryService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('telemetryBulkService.storeBulk', () => {
+  const entries = [
+    { index: 0, sample: { vehicle_id: 'vehicle-1', timestamp: '2024-05-01T08:00:10.000Z', rpm: 2000 } },
+    { index: 1, sample: { vehicle_id: 'vehicle-1', timestamp: '2024-05-01T08:00:00.000Z', rpm: 1500 } },
+  ];
+  let stored;
+
+  beforeEach(() => {
+    jest.spyOn(telemetryBulkService, 'findExistingSamples').mockResolvedValue([]);
+    stored = jest.fn();
+    telemetryService.on('sample-stored', stored);
+  });
+
+  afterEach(() => {
+    telemetryService.off('sample-stored', stored);
+  });
+
+  it('hands the new samples to the rules in time order without marking them live', async () => {
+    supabase.from.mockImplementation(() => mockQuery({
+      data: entries.map(({ sample }, i) => ({ id: `sample-${i}`, ...sample })),
+      error: null,
+    }));
+
+    const results = await telemetryBulkService.storeBulk(entries);
+
+    expect(results.map((result) => result.status)).toEqual(['accepted', 'accepted']);
+    expect(stored.mock.calls).toEqual([
+      [expect.objectContaining({ id: 'sample-1' }), { live: false }],
+      [expect.objectContaining({ id: 'sample-0' }), { live: false }],
+    ]);
+  });
+
+  it('hands over the rows stored by the row by row retry, and not the duplicates', async () => {
+    supabase.from.mockImplementation(() => mockQuery({ data: null, error: { message: 'bad row' } }));
+    jest.spyOn(telemetryService, 'storeSample')
+      .mockResolvedValueOnce({ success: true, duplicate: false, data: { id: 'sample-0', ...entries[0].sample } })
+      .mockResolvedValueOnce({ success: true, duplicate: true, data: { id: 'old', ...entries[1].sample } });
+
+    const results = await telemetryBulkService.storeBulk(entries);
+
+    expect(results.map((result) => result.status)).toEqual(['accepted', 'duplicate']);
+    expect(telemetryService.storeSample).toHaveBeenCalledWith(entries[0].sample, { notify: false });
+    expect(stored.mock.calls).toEqual([[expect.objectContaining({ id: 'sample-0' }), { live: false }]]);
+  });
+});
@@ -0,0 +1,43 @@
+const telemetryService = require('../../src/services/telemetryService');
+
+// A full page as getSamplePage returns it (READ_PAGE_SIZE rows)
+const page = (first, length) => Array.from({ length }, (_, i) => ({
+  id: `sample-${first + i}`,
+  timestamp: new Date(Date.UTC(2024, 4, 1) + (first + i) * 1000).toISOString(),
+}));
+
+describe('telemetryService.forEachSamplePage', () => {
+  it('reads pages after the last row of the previous one until a short page', async () => {
+    const getSamplePage = jest.spyOn(telemetryService, 'getSamplePage')
+      .mockResolvedValueOnce({ success: true, data: page(0, 1000) })
+      .mockResolvedValueOnce({ success: true, data: page(1000, 10) });
+    const onPage = jest.fn();
+
+    const read = await telemetryService.forEachSamplePage({ vehicleId: 'vehicle-1' }, ['rpm'], onPage);
+
+    expect(read).toEqual({ success: true, total: 1010 });
+    expect(getSamplePage.mock.calls.map(([, , { cursor }]) => cursor && cursor.id)).toEqual([null, 'sample-999']);
+    expect(onPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops when a page handler fails', async () => {
+    const getSamplePage = jest.spyOn(telemetryService, 'getSamplePage')
+      .mockResolvedValue({ success: true, data: page(0, 1000) });
+
+    const read = await telemetryService.forEachSamplePage({ vehicleId: 'vehicle-1' }, ['rpm'], () => (
+      { success: false, message: 'Failed to store rollup' }
+    ));
+
+    expect(read).toEqual({ success: false, total: 1000, message: 'Failed to store rollup' });
+    expect(getSamplePage).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a failed read with the rows read before it', async () => {
+    jest.spyOn(telemetryService, 'getSamplePage')
+      .mockResolvedValueOnce({ success: true, data: page(0, 1000) })
+      .mockResolvedValueOnce({ success: false, message: 'Failed to read performance data' });
+
+    await expect(telemetryService.forEachSamplePage({ vehicleId: 'vehicle-1' }, ['rpm'], jest.fn()))
+      .resolves.toEqual({ success: false, total: 1000, message: 'Failed to read performance data' });
+  });
+});
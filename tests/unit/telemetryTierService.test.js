@@ -0,0 +1,58 @@
+const telemetryService = require('../../src/services/telemetryService');
+const telemetryTierService = require('../../src/services/telemetryTierService');
+
+const row = (timestamp) => ({ id: `row-${timestamp}`, timestamp });
+
+describe('telemetryTierService.getSamplePage', () => {
+  const segments = [
+    { tier: 'hourly', from: '2024-04-01T00:00:00.000Z', before: '2024-05-01T00:00:00.000Z' },
+    { tier: 'raw', from: '2024-05-01T00:00:00.000Z' },
+  ];
+  let rollupPage;
+  let rawPage;
+
+  beforeEach(() => {
+    jest.spyOn(telemetryTierService, 'getSegments').mockResolvedValue(segments);
+    rollupPage = jest.spyOn(telemetryTierService, 'getRollupPage')
+      .mockResolvedValue({ success: true, data: [row('2024-04-30T23:00:00.000Z')] });
+    rawPage = jest.spyOn(telemetryService, 'getSamplePage')
+      .mockResolvedValue({ success: true, data: [row('2024-05-01T00:00:00.000Z')] });
+  });
+
+  it('fills a page from the older tier first and continues in the next one', async () => {
+    const page = await telemetryTierService.getSamplePage({ vehicleId: 'vehicle-1' }, ['rpm'], { limit: 5 });
+
+    expect(page).toEqual({
+      success: true,
+      data: [row('2024-04-30T23:00:00.000Z'), row('2024-05-01T00:00:00.000Z')],
+      tiers: ['hourly', 'raw'],
+    });
+    expect(rawPage).toHaveBeenCalledWith(expect.objectContaining({ from: '2024-05-01T00:00:00.000Z' }), ['rpm'], {
+      cursor: null, limit: 4,
+    });
+  });
+
+  it('does not read the next tier once the page is full', async () => {
+    const page = await telemetryTierService.getSamplePage({ vehicleId: 'vehicle-1' }, ['rpm'], { limit: 1 });
+
+    expect(page.tiers).toEqual(['hourly']);
+    expect(rawPage).not.toHaveBeenCalled();
+  });
+
+  it('skips the tiers before a cursor', async () => {
+    const cursor = row('2024-05-01T00:00:00.000Z');
+
+    await telemetryTierService.getSamplePage({ vehicleId: 'vehicle-1' }, ['rpm'], { cursor, limit: 5 });
+
+    expect(rollupPage).not.toHaveBeenCalled();
+    expect(rawPage).toHaveBeenCalledWith(expect.any(Object), ['rpm'], { cursor, limit: 5 });
+  });
+
+  it('stops at a failed tier read', async () => {
+    rollupPage.mockResolvedValue({ success: false, message: 'Failed to read performance data' });
+
+    await expect(telemetryTierService.getSamplePage({ vehicleId: 'vehicle-1' }, ['rpm']))
+      .resolves.toEqual({ success: false, message: 'Failed to read performance data' });
+    expect(rawPage).not.toHaveBeenCalled();
+  });
+});
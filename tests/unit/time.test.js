@@ -0,0 +1,56 @@
+const { getTimeBucket, isValidTimeZone } = require('../../src/utils/time');
+
+const bucket = (iso, groupBy, timeZone) => {
+  const { key, start, end } = getTimeBucket(new Date(iso), groupBy, timeZone);
+  return { key, start: start.toISOString(), end: end.toISOString() };
+};
+
+describe('getTimeBucket', () => {
+  it('cuts days at local midnight of the time zone', () => {
+    expect(bucket('2024-05-01T02:30:00.000Z', 'day', 'America/New_York')).toEqual({
+      key: '2024-04-30',
+      start: '2024-04-30T04:00:00.000Z',
+      end: '2024-05-01T04:00:00.000Z',
+    });
+  });
+
+  it('gives the day daylight saving time starts 23 hours', () => {
+    expect(bucket('2024-03-10T12:00:00.000Z', 'day', 'America/New_York')).toEqual({
+      key: '2024-03-10',
+      start: '2024-03-10T05:00:00.000Z',
+      end: '2024-03-11T04:00:00.000Z',
+    });
+  });
+
+  it('cuts hours in time zones with a half hour offset', () => {
+    expect(bucket('2024-05-01T10:15:00.000Z', 'hour', 'Asia/Kolkata')).toEqual({
+      key: '2024-05-01 15:00',
+      start: '2024-05-01T09:30:00.000Z',
+      end: '2024-05-01T10:30:00.000Z',
+    });
+  });
+
+  it('labels weeks with their ISO week across year boundaries', () => {
+    expect(bucket('2025-01-01T12:00:00.000Z', 'week', 'UTC')).toEqual({
+      key: '2025-W01',
+      start: '2024-12-30T00:00:00.000Z',
+      end: '2025-01-06T00:00:00.000Z',
+    });
+    expect(bucket('2021-01-01T12:00:00.000Z', 'week', 'UTC').key).toBe('2020-W53');
+  });
+
+  it('cuts months at the local start of the month', () => {
+    expect(bucket('2024-01-31T16:00:00.000Z', 'month', 'Asia/Tokyo')).toEqual({
+      key: '2024-02',
+      start: '2024-01-31T15:00:00.000Z',
+      end: '2024-02-29T15:00:00.000Z',
+    });
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names and rejects unknown zones', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
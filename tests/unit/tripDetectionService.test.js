@@ -0,0 +1,49 @@
+const { supabase } = require('../../src/config/supabase');
+const tripDetectionService = require('../../src/services/tripDetectionService');
+const tripService = require('../../src/services/tripService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+describe('tripDetectionService.run', () => {
+  const vehicles = (from, count) => Array.from({ length: count }, (_, i) => ({ id: `vehicle-${from + i}` }));
+
+  it('detects trips for every vehicle page by page and keeps going past failed vehicles', async () => {
+    const pages = [
+      mockQuery({ data: vehicles(0, 500), error: null }),
+      mockQuery({ data: vehicles(500, 2), error: null }),
+    ];
+    const [, secondPage] = pages;
+    supabase.from.mockImplementation(() => pages.shift());
+    jest.spyOn(tripService, 'detectTrips').mockImplementation(async (vehicleId) => (
+      vehicleId === 'vehicle-7'
+        ? { success: false, message: 'Failed to detect trips' }
+        : { success: true, detected: vehicleId === 'vehicle-501' ? 2 : 0 }
+    ));
+
+    const result = await tripDetectionService.run();
+
+    expect(result).toEqual({
+      success: false, vehicles: 502, detected: 2, failed: 1,
+    });
+    expect(tripService.detectTrips).toHaveBeenCalledTimes(502);
+    expect(secondPage.gt).toHaveBeenCalledWith('id', 'vehicle-499');
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    let finishDetection;
+    supabase.from.mockImplementation(() => mockQuery({ data: vehicles(0, 1), error: null }));
+    jest.spyOn(tripService, 'detectTrips').mockImplementation(() => new Promise((resolve) => {
+      finishDetection = () => resolve({ success: true, detected: 1 });
+    }));
+
+    const first = tripDetectionService.run();
+    await new Promise((resolve) => { setImmediate(resolve); });
+
+    expect(await tripDetectionService.run()).toEqual({ success: false, skipped: true });
+
+    finishDetection();
+    expect(await first).toEqual({
+      success: true, vehicles: 1, detected: 1, failed: 0,
+    });
+  });
+});
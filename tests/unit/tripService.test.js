@@ -0,0 +1,104 @@
+const { supabase } = require('../../src/config/supabase');
+const tripService = require('../../src/services/tripService');
+const telemetryService = require('../../src/services/telemetryService');
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const START = Date.parse('2024-05-01T08:00:00Z');
+
+// One sample every `stepSeconds` from `offsetSeconds` after START
+const samples = (offsetSeconds, count, values, stepSeconds = 10) => Array.from({ length: count }, (_, i) => ({
+  timestamp: new Date(START + (offsetSeconds + i * stepSeconds) * 1000).toISOString(),
+  ...values,
+}));
+
+const driving = { rpm: 2000, speed: 50 };
+
+describe('tripService.resumeTime', () => {
+  it('re-reads an in-progress trip and resumes after a completed one', () => {
+    const trip = { start_time: '2024-05-01T08:00:00.000Z', end_time: '2024-05-01T09:00:00.000Z' };
+
+    expect(tripService.resumeTime({ ...trip, status: 'in_progress' }, '2024-05-02T00:00:00.000Z'))
+      .toBe(Date.parse(trip.start_time));
+    expect(tripService.resumeTime({ ...trip, status: 'completed' }, '2024-05-02T00:00:00.000Z'))
+      .toBe(Date.parse(trip.end_time) + 1);
+    expect(tripService.resumeTime(null, '2024-05-31T00:00:00.000Z'))
+      .toBe(Date.parse('2024-05-31T00:00:00.000Z') - tripService.lookbackMs);
+  });
+});
+
+describe('tripService.getDetectionWindow', () => {
+  const tables = (overrides) => (table) => overrides[table] || mockQuery({ data: null, error: null });
+
+  it('moves the start back to the trip a late bulk sample belongs to', async () => {
+    const lateSample = mockQuery({ data: { timestamp: '2024-05-01T09:02:00.000Z' }, error: null });
+    const coveringTrip = mockQuery({ data: { start_time: '2024-05-01T08:30:00.000Z' }, error: null });
+    const latestTrip = mockQuery({
+      data: { start_time: '2024-05-01T12:00:00.000Z', end_time: '2024-05-01T13:00:00.000Z', status: 'completed' },
+      error: null,
+    });
+    const tripQueries = [latestTrip, coveringTrip];
+
+    const otherTables = tables({
+      trip_detection_state: mockQuery({ data: { samples_before: '2024-05-01T14:00:00.000Z' }, error: null }),
+      vehicle_performance_data: lateSample,
+    });
+    supabase.from.mockImplementation((table) => (table === 'vehicle_trips' ? tripQueries.shift() : otherTables(table)));
+
+    const window = await tripService.getDetectionWindow('vehicle-1', '2024-05-01T15:00:00.000Z');
+
+    expect(window).toEqual({ success: true, from: '2024-05-01T08:30:00.000Z' });
+    expect(lateSample.gt).toHaveBeenCalledWith('created_at', '2024-05-01T14:00:00.000Z');
+    expect(lateSample.lt).toHaveBeenCalledWith('timestamp', '2024-05-01T13:00:00.001Z');
+  });
+
+  it('never starts before the raw samples kept by retention', async () => {
+    supabase.from.mockImplementation(tables({
+      vehicle_trips: mockQuery({ data: null, error: null }),
+      telemetry_retention_state: mockQuery({ data: { raw_before: '2024-05-20T00:00:00.000Z' }, error: null }),
+    }));
+
+    const window = await tripService.getDetectionWindow('vehicle-1', '2024-05-31T00:00:00.000Z');
+
+    expect(window).toEqual({ success: true, from: '2024-05-20T00:00:00.000Z' });
+  });
+});
+
+describe('tripService.runDetection', () => {
+  it('stores trips page by page and removes trips the samples no longer produce', async () => {
+    const pages = [
+      samples(0, 10, driving),
+      samples(2000, 10, driving),
+    ];
+
+    const from = '2024-05-01T00:00:00.000Z';
+    jest.spyOn(tripService, 'getDetectionWindow').mockResolvedValue({ success: true, from });
+    jest.spyOn(telemetryService, 'forEachSamplePage').mockImplementation(async (filters, columns, onPage) => {
+      await onPage(pages[0]);
+      await onPage(pages[1]);
+      return { success: true, total: 20 };
+    });
+    const storeTrips = jest.spyOn(tripService, 'storeTrips').mockResolvedValue({ success: true });
+    const deleteStaleTrips = jest.spyOn(tripService, 'deleteStaleTrips').mockResolvedValue({ success: true });
+    supabase.from.mockImplementation(() => mockQuery({ data: null, error: null }));
+
+    const result = await tripService.detectTrips('vehicle-1');
+
+    expect(result).toEqual({ success: true, detected: 2 });
+    // The first trip is stored with the second page, the second once the stream ends
+    expect(storeTrips.mock.calls.map(([trips]) => trips.length)).toEqual([0, 1, 1]);
+    expect(deleteStaleTrips).toHaveBeenCalledWith('vehicle-1', from, [
+      pages[0][0].timestamp,
+      pages[1][0].timestamp,
+    ]);
+  });
+
+  it('shares one run between concurrent calls for a vehicle', async () => {
+    const runDetection = jest.spyOn(tripService, 'runDetection').mockResolvedValue({ success: true, detected: 0 });
+
+    await Promise.all([tripService.detectTrips('vehicle-1'), tripService.detectTrips('vehicle-1')]);
+    await tripService.detectTrips('vehicle-1');
+
+    expect(runDetection).toHaveBeenCalledTimes(2);
+  });
+});
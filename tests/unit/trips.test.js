@@ -0,0 +1,105 @@
+const { createSegmenter, segmentTrips, summarizeTrip } = require('../../src/utils/trips');
+
+const START = Date.parse('2024-05-01T08:00:00Z');
+
+// One sample every `stepSeconds` from `offsetSeconds` after START
+const samples = (offsetSeconds, count, values, stepSeconds = 10) => Array.from({ length: count }, (_, i) => ({
+  timestamp: new Date(START + (offsetSeconds + i * stepSeconds) * 1000).toISOString(),
+  ...values,
+}));
+
+// Default idle timeout of trip detection
+const IDLE_TIMEOUT_MS = 300 * 1000;
+
+const driving = { rpm: 2000, speed: 50 };
+const engineOff = { rpm: 0, speed: 0 };
+
+describe('segmentTrips', () => {
+  it('ends a trip once the engine has been off longer than the idle timeout', () => {
+    const series = [
+      ...samples(0, 10, driving),
+      ...samples(100, 40, engineOff),
+      ...samples(500, 10, driving),
+    ];
+
+    const trips = segmentTrips(series, IDLE_TIMEOUT_MS);
+
+    expect(trips).toHaveLength(2);
+    expect(trips[0]).toHaveLength(10);
+    expect(trips[1][0].timestamp).toBe(series[50].timestamp);
+  });
+
+  it('keeps short stops inside one trip and drops trailing engine-off samples', () => {
+    const series = [
+      ...samples(0, 5, driving),
+      ...samples(50, 5, engineOff),
+      ...samples(100, 5, driving),
+      ...samples(150, 3, engineOff),
+    ];
+
+    const trips = segmentTrips(series, IDLE_TIMEOUT_MS);
+
+    expect(trips).toHaveLength(1);
+    expect(trips[0]).toHaveLength(15);
+    expect(trips[0][14]).toEqual(series[14]);
+  });
+
+  it('ends a trip at a data gap longer than the idle timeout', () => {
+    const series = [...samples(0, 3, driving), ...samples(1000, 3, driving)];
+
+    expect(segmentTrips(series, IDLE_TIMEOUT_MS).map((trip) => trip.length)).toEqual([3, 3]);
+  });
+
+  it('finds no trip while the engine is off', () => {
+    expect(segmentTrips(samples(0, 20, engineOff), IDLE_TIMEOUT_MS)).toEqual([]);
+  });
+});
+
+describe('createSegmenter', () => {
+  it('hands over a trip as soon as it has ended, before the stream is flushed', () => {
+    const onTrip = jest.fn();
+    const segmenter = createSegmenter(onTrip, IDLE_TIMEOUT_MS);
+
+    samples(0, 5, driving).forEach((sample) => segmenter.push(sample));
+    expect(onTrip).not.toHaveBeenCalled();
+
+    samples(1000, 1, driving).forEach((sample) => segmenter.push(sample));
+    expect(onTrip).toHaveBeenCalledTimes(1);
+    expect(onTrip.mock.calls[0][0]).toHaveLength(5);
+
+    segmenter.flush();
+    expect(onTrip).toHaveBeenCalledTimes(2);
+    expect(onTrip.mock.calls[1][0]).toHaveLength(1);
+  });
+});
+
+describe('summarizeTrip', () => {
+  it('integrates distance and fuel and counts idle time', () => {
+    const series = [
+      ['2024-05-01T08:00:00.000Z', 800, 0, 1, 60],
+      ['2024-05-01T08:01:00.000Z', 2000, 60, 5, 60],
+      ['2024-05-01T08:31:00.000Z', 2000, 60, 5, 58],
+    ].map(([timestamp, rpm, speed, fuelConsumption, fuelTankLevel]) => ({
+      timestamp, rpm, speed, fuelConsumption, fuelTankLevel,
+    }));
+
+    expect(summarizeTrip(series)).toEqual({
+      start_time: '2024-05-01T08:00:00.000Z',
+      end_time: '2024-05-01T08:31:00.000Z',
+      duration_seconds: 1860,
+      distance_km: 30.5,
+      max_speed: 60,
+      avg_speed: 61,
+      idle_seconds: 60,
+      fuel_used_liters: 2.55,
+      fuel_level_start: 60,
+      fuel_level_end: 58,
+      sample_count: 3,
+    });
+  });
+
+  it('reports no fuel use without a fuel rate', () => {
+    const summary = summarizeTrip(samples(0, 3, driving));
+    expect(summary.fuel_used_liters).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+const {
+  convertValue,
+  convertRecord,
+  convertAggregate,
+  validateDeclaredUnits,
+  pidsToMetric,
+  toMetricSample,
+  fieldUnits,
+} = require('../../src/utils/units');
+
+describe('convertValue', () => {
+  it('converts metric values to imperial', () => {
+    expect(convertValue(100, 'speed', 'imperial')).toBe(62.14);
+    expect(convertValue(100, 'temperature', 'imperial')).toBe(212);
+    expect(convertValue(10, 'fuelRate', 'imperial')).toBe(2.64);
+    expect(convertValue(5, 'fuelEconomy', 'imperial')).toBe(47.04);
+  });
+
+  it('returns metric, missing and unitless values as they are', () => {
+    expect(convertValue(100, 'speed', 'metric')).toBe(100);
+    expect(convertValue(null, 'speed', 'imperial')).toBeNull();
+    expect(convertValue(2000, 'rpm', 'imperial')).toBe(2000);
+  });
+
+  it('has no fuel economy for zero consumption', () => {
+    expect(convertValue(0, 'fuelEconomy', 'imperial')).toBeNull();
+  });
+});
+
+describe('convertRecord', () => {
+  it('converts telemetry columns and PID readings, leaving other fields alone', () => {
+    const record = {
+      timestamp: '2024-05-01T08:00:00.000Z',
+      rpm: 2000,
+      speed: 100,
+      coolantTemp: 90,
+      pids: { intakeAirTemp: 20, engineLoad: 40 },
+    };
+
+    expect(convertRecord(record, 'imperial')).toEqual({
+      timestamp: '2024-05-01T08:00:00.000Z',
+      rpm: 2000,
+      speed: 62.14,
+      coolantTemp: 194,
+      pids: { intakeAirTemp: 68, engineLoad: 40 },
+    });
+    expect(record.speed).toBe(100);
+  });
+
+  it('returns the record itself in metric', () => {
+    const record = { speed: 100 };
+    expect(convertRecord(record, 'metric')).toBe(record);
+  });
+});
+
+describe('convertAggregate', () => {
+  it('converts every statistic of a metric except counts', () => {
+    expect(convertAggregate({
+      period: '2024-05-01',
+      avg_speed: 100,
+      max_coolantTemp: 100,
+      count_speed: 12,
+      avg_rpm: 1500,
+    }, 'imperial')).toEqual({
+      period: '2024-05-01',
+      avg_speed: 62.14,
+      max_coolantTemp: 212,
+      count_speed: 12,
+      avg_rpm: 1500,
+    });
+  });
+});
+
+describe('validateDeclaredUnits', () => {
+  it('accepts unit systems and valid per-field units', () => {
+    expect(validateDeclaredUnits('imperial')).toEqual([]);
+    expect(validateDeclaredUnits({ speed: 'mph', '0105': '°F' })).toEqual([]);
+  });
+
+  it('reports unknown units and unitless fields', () => {
+    expect(validateDeclaredUnits({ speed: 'knots', rpm: 'rpm' })).toEqual([
+      'knots is not a valid unit for speed, use one of: km/h, mph',
+      'rpm has no convertible unit',
+    ]);
+  });
+});
+
+describe('toMetricSample', () => {
+  it('converts the fields of an imperial sample and drops the units', () => {
+    expect(toMetricSample({
+      units: 'imperial',
+      vehicleId: 'vehicle-1',
+      speed: 62.137,
+      coolantTemp: 212,
+      rpm: 2000,
+    })).toEqual({
+      vehicleId: 'vehicle-1',
+      speed: 100,
+      coolantTemp: 100,
+      rpm: 2000,
+    });
+  });
+
+  it('converts only the fields declared in per-field units', () => {
+    expect(toMetricSample({ units: { speed: 'mph' }, speed: 10, coolantTemp: 90 })).toEqual({
+      speed: 16.093,
+      coolantTemp: 90,
+    });
+  });
+
+  it('leaves metric samples unchanged', () => {
+    expect(toMetricSample({ speed: 100, coolantTemp: 90 })).toEqual({ speed: 100, coolantTemp: 90 });
+  });
+});
+
+describe('pidsToMetric', () => {
+  it('converts decoded readings by key or code and keeps raw hex readings', () => {
+    expect(pidsToMetric({ '010F': 68, coolantTemp: '82', FFFF: 1 }, 'imperial')).toEqual({
+      '010F': 20,
+      coolantTemp: '82',
+      FFFF: 1,
+    });
+  });
+});
+
+describe('fieldUnits', () => {
+  it('lists the unit of each convertible field', () => {
+    expect(fieldUnits('imperial')).toMatchObject({ speed: 'mph', coolantTemp: '°F', fuelConsumption: 'gal/h' });
+    expect(fieldUnits()).toMatchObject({ speed: 'km/h', coolantTemp: '°C', fuelConsumption: 'L/h' });
+  });
+});